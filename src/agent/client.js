@@ -0,0 +1,87 @@
+'use strict';
+
+const net = require('net');
+const path = require('path');
+const ethers = require('ethers');
+const configFile = require('../config-file');
+
+function agentDir() {
+    return path.join(configFile.configDir(), 'agent');
+}
+
+function socketPath(walletId) {
+    const name = /^(0x)?[0-9a-f]+$/i.test(walletId)
+        ? '0x' + walletId.replace(/^0x/i, '').toLowerCase()
+        : walletId;
+    return path.join(agentDir(), `${name}.sock`);
+}
+
+function request(socketFile, message) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        const socket = net.createConnection(socketFile, () => {
+            socket.write(JSON.stringify(message) + '\n');
+        });
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => data += chunk);
+        socket.on('error', reject);
+        socket.on('end', () => {
+            try {
+                const response = JSON.parse(data);
+                if (response.error)
+                    reject(new Error(`Key agent: ${response.error}`));
+                else
+                    resolve(response.result);
+            }
+            catch (err) {
+                reject(new Error('Key agent: Invalid response'));
+            }
+        });
+    });
+}
+
+async function getStatus(socketFile) {
+    try {
+        return await request(socketFile, {method: 'status'});
+    }
+    catch (err) {
+        if (['ENOENT', 'ECONNREFUSED'].includes(err.code))
+            return null;
+        throw err;
+    }
+}
+
+function stop(socketFile) {
+    return request(socketFile, {method: 'stop'});
+}
+
+function toSerializable(value) {
+    return ethers.utils.BigNumber.isBigNumber(value) ? value.toHexString() : value;
+}
+
+function createSigner(socketFile, address) {
+    return {
+        address,
+        signMessage: async (message) => {
+            const bytes = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+            return request(socketFile, {method: 'signMessage', message: ethers.utils.hexlify(bytes)});
+        },
+        signTransaction: async (transaction) => {
+            const tx = await ethers.utils.resolveProperties(transaction);
+            const serializable = Object.keys(tx).reduce((result, key) => {
+                result[key] = toSerializable(tx[key]);
+                return result;
+            }, {});
+            return request(socketFile, {method: 'signTransaction', transaction: serializable});
+        }
+    };
+}
+
+module.exports = {
+    agentDir,
+    socketPath,
+    request,
+    getStatus,
+    stop,
+    createSigner
+};
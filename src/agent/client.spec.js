@@ -0,0 +1,122 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+chai.use(require('chai-as-promised'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+
+const agent = require('./client');
+const {startServer} = require('./server');
+
+describe('Key agent', () => {
+    const privateKey = '0x' + '11'.repeat(32);
+    const address = new ethers.Wallet(privateKey).address;
+    let dir, socketFile, server;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-agent-'));
+        socketFile = path.join(dir, 'agent.sock');
+        server = await startServer(privateKey, socketFile, 60);
+    });
+
+    afterEach(done => {
+        const cleanup = () => {
+            fs.rmdirSync(dir);
+            done();
+        };
+        if (server.listening)
+            server.close(cleanup);
+        else
+            cleanup();
+    });
+
+    context('socket path', () => {
+        it('is derived from the normalized wallet address', () => {
+            expect(agent.socketPath('0xABCDEF')).to.equal(agent.socketPath('abcdef'));
+            expect(path.basename(agent.socketPath('0xABCDEF'))).to.equal('0xabcdef.sock');
+        });
+
+        it('uses other wallet identifiers as they are', () => {
+            expect(path.basename(agent.socketPath('hd-0123abcd'))).to.equal('hd-0123abcd.sock');
+        });
+    });
+
+    context('socket file', () => {
+        it('is only accessible by the owner', () => {
+            expect(fs.statSync(socketFile).mode & 0o777).to.equal(0o600);
+        });
+    });
+
+    context('status', () => {
+        it('reports the wallet address and expiration time', async () => {
+            const status = await agent.getStatus(socketFile);
+            expect(status.address).to.equal(address);
+            expect(new Date(status.expiresAt).getTime()).to.be.greaterThan(Date.now());
+        });
+
+        it('is null when no agent is running', async () => {
+            expect(await agent.getStatus(path.join(dir, 'other.sock'))).to.be.null;
+        });
+    });
+
+    context('signer', () => {
+        let signer;
+
+        beforeEach(() => {
+            signer = agent.createSigner(socketFile, address);
+        });
+
+        it('signs messages', async () => {
+            const signature = await signer.signMessage('hello');
+            expect(ethers.utils.verifyMessage('hello', signature)).to.equal(address);
+        });
+
+        it('signs binary messages', async () => {
+            const message = ethers.utils.arrayify('0x0102030405');
+            const signature = await signer.signMessage(message);
+            expect(ethers.utils.verifyMessage(message, signature)).to.equal(address);
+        });
+
+        it('signs transactions', async () => {
+            const signedTx = await signer.signTransaction({
+                to: address,
+                nonce: 1,
+                gasLimit: ethers.utils.bigNumberify(21000),
+                gasPrice: ethers.utils.parseUnits('1', 'gwei'),
+                value: ethers.utils.parseEther('1.5'),
+                data: '0x',
+                chainId: 3
+            });
+            const tx = ethers.utils.parseTransaction(signedTx);
+            expect(tx.from).to.equal(address);
+            expect(tx.value.eq(ethers.utils.parseEther('1.5'))).to.be.true;
+        });
+    });
+
+    context('unknown requests', () => {
+        it('yield an error', () => {
+            return expect(agent.request(socketFile, {method: 'privateKey'})).to.be.rejectedWith(/unknown method/i);
+        });
+    });
+
+    context('stopping', () => {
+        it('closes the agent', async () => {
+            await agent.stop(socketFile);
+            await new Promise(resolve => server.once('close', resolve));
+            expect(await agent.getStatus(socketFile)).to.be.null;
+        });
+    });
+
+    context('idle timeout', () => {
+        it('closes the agent when it has been idle', async () => {
+            await new Promise(resolve => server.close(resolve));
+            server = await startServer(privateKey, socketFile, 0.05);
+            await new Promise(resolve => server.once('close', resolve));
+            expect(await agent.getStatus(socketFile)).to.be.null;
+        });
+    });
+});
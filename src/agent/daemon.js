@@ -0,0 +1,19 @@
+'use strict';
+
+// Started by `nahmii agent start`; the private key comes over IPC and is never written to disk
+
+const {startServer} = require('./server');
+
+process.once('message', async ({privateKey, socketFile, idleTimeout}) => {
+    try {
+        const server = await startServer(privateKey, socketFile, idleTimeout);
+        server.on('close', () => process.exit(0));
+        process.on('SIGTERM', () => server.close());
+        process.on('SIGINT', () => server.close());
+        process.send({ready: true}, () => process.disconnect());
+    }
+    catch (err) {
+        process.send({error: err.message});
+        process.exit(1);
+    }
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const ethers = require('ethers');
+
+function startServer(privateKey, socketFile, idleTimeout) {
+    const wallet = new ethers.Wallet(privateKey);
+    let timer, expiresAt;
+
+    const server = net.createServer(socket => {
+        let data = '';
+        socket.setEncoding('utf8');
+        socket.on('error', () => socket.destroy());
+        socket.on('data', async chunk => {
+            data += chunk;
+            if (!data.includes('\n'))
+                return;
+
+            let response;
+            try {
+                response = {result: await handle(JSON.parse(data))};
+            }
+            catch (err) {
+                response = {error: err.message};
+            }
+            socket.end(JSON.stringify(response));
+        });
+    });
+
+    function touch() {
+        clearTimeout(timer);
+        expiresAt = Date.now() + idleTimeout * 1000;
+        timer = setTimeout(() => server.close(), idleTimeout * 1000);
+    }
+
+    async function handle(message) {
+        switch (message.method) {
+        case 'status':
+            return {address: wallet.address, expiresAt: new Date(expiresAt).toISOString()};
+        case 'signMessage':
+            touch();
+            return wallet.signMessage(ethers.utils.arrayify(message.message));
+        case 'signTransaction':
+            touch();
+            return wallet.sign(message.transaction);
+        case 'stop':
+            setImmediate(() => server.close());
+            return true;
+        default:
+            throw new Error(`Unknown method: ${message.method}`);
+        }
+    }
+
+    server.on('close', () => clearTimeout(timer));
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(socketFile, () => {
+            fs.chmodSync(socketFile, 0o600);
+            touch();
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    startServer
+};
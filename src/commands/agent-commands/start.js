@@ -0,0 +1,73 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const agent = require('../../agent/client');
+const output = require('../../output');
+const {ValidationError} = require('../../errors');
+
+const DEFAULT_IDLE_TIMEOUT = 900;
+
+module.exports = {
+    command: 'start [--timeout=<seconds>]',
+    describe: 'Unlocks the wallet and keeps it unlocked in a background agent until it has been idle for <timeout> seconds',
+    builder: yargs => {
+        yargs.example('agent start', 'Starts the key agent using the configured idle timeout (agent.idleTimeout) or 900 seconds.');
+        yargs.example('agent start --timeout=3600', 'Starts the key agent and keeps the wallet unlocked until it has been idle for an hour.');
+        yargs.option('timeout', {
+            desc: 'Number of seconds the agent stays alive without signing anything. Defaults to agent.idleTimeout in the config or 900.',
+            type: 'number'
+        });
+    },
+    handler: async (argv) => {
+        const config = require('../../config');
+        const idleTimeout = validateTimeout(argv.timeout || (config.agent || {}).idleTimeout || DEFAULT_IDLE_TIMEOUT);
+        const socketFile = agent.socketPath(config.walletId());
+
+        const status = await agent.getStatus(socketFile);
+        if (status) {
+            console.error(`Key agent is already running for wallet ${status.address}`);
+            output.print({running: true, ...status});
+            return;
+        }
+
+        const privateKey = await config.privateKey();
+
+        if (!fs.existsSync(agent.agentDir()))
+            fs.mkdirSync(agent.agentDir(), {recursive: true, mode: 0o700});
+        if (fs.existsSync(socketFile))
+            fs.unlinkSync(socketFile); // Left behind by an agent that did not shut down cleanly
+
+        await spawnDaemon({privateKey, socketFile, idleTimeout});
+        output.print({running: true, ...await agent.getStatus(socketFile)});
+    }
+};
+
+function validateTimeout(timeout) {
+    timeout = parseInt(timeout);
+    if (!(timeout > 0))
+        throw new ValidationError('Timeout must be a number higher than 0.');
+    return timeout;
+}
+
+function spawnDaemon(message) {
+    return new Promise((resolve, reject) => {
+        const child = childProcess.fork(path.join(__dirname, '../../agent/daemon.js'), [], {
+            detached: true,
+            stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+        });
+        child.once('error', reject);
+        child.once('exit', code => reject(new Error(`Key agent exited with code ${code}`)));
+        child.once('message', response => {
+            child.removeAllListeners('exit');
+            if (response.error)
+                return reject(new Error(`Unable to start key agent: ${response.error}`));
+            child.unref();
+            if (child.connected)
+                child.disconnect();
+            resolve();
+        });
+        child.send(message);
+    });
+}
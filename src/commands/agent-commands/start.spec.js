@@ -0,0 +1,155 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const EventEmitter = require('events');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const walletID = '0x1234567890123456789012345678901234567890';
+
+const stubbedConfig = {
+    wallet: {
+        address: walletID
+    },
+    privateKey: sinon.stub(),
+    walletId: () => 'wallet-id'
+};
+
+const stubbedAgent = {
+    agentDir: () => '/home/user/.nahmii/agent',
+    socketPath: sinon.stub(),
+    getStatus: sinon.stub()
+};
+
+const stubbedFs = {
+    existsSync: sinon.stub(),
+    mkdirSync: sinon.stub(),
+    unlinkSync: sinon.stub()
+};
+
+const stubbedChildProcess = {
+    fork: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./start', {
+        'fs': stubbedFs,
+        'child_process': stubbedChildProcess,
+        '../../agent/client': stubbedAgent,
+        '../../config': stubbedConfig
+    });
+}
+
+describe('Agent start command', () => {
+    const status = {address: walletID, expiresAt: '2026-10-19T00:00:00.000Z'};
+    let child;
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        sinon.stub(console, 'error');
+        child = new EventEmitter();
+        child.send = sinon.stub().callsFake(() => setImmediate(() => child.emit('message', {ready: true})));
+        child.unref = sinon.stub();
+        child.disconnect = sinon.stub();
+        child.connected = true;
+        stubbedChildProcess.fork.returns(child);
+        stubbedAgent.socketPath.withArgs('wallet-id').returns('/home/user/.nahmii/agent/wallet.sock');
+        stubbedConfig.privateKey.resolves('a private key');
+        stubbedFs.existsSync.returns(false);
+    });
+
+    afterEach(() => {
+        stubbedConfig.agent = undefined;
+        stubbedConfig.privateKey.reset();
+        stubbedAgent.socketPath.reset();
+        stubbedAgent.getStatus.reset();
+        stubbedChildProcess.fork.reset();
+        stubbedFs.existsSync.reset();
+        stubbedFs.mkdirSync.reset();
+        stubbedFs.unlinkSync.reset();
+        console.log.restore();
+        console.error.restore();
+    });
+
+    context('agent start --timeout=60', () => {
+        beforeEach(() => {
+            stubbedAgent.getStatus.onFirstCall().resolves(null);
+            stubbedAgent.getStatus.onSecondCall().resolves(status);
+            return proxyquireCommand().handler({timeout: 60});
+        });
+
+        it('creates the agent folder accessible by the owner only', () => {
+            expect(stubbedFs.mkdirSync).to.have.been.calledWith('/home/user/.nahmii/agent', {recursive: true, mode: 0o700});
+        });
+
+        it('hands the decrypted key to the agent', () => {
+            expect(child.send).to.have.been.calledWith({
+                privateKey: 'a private key',
+                socketFile: '/home/user/.nahmii/agent/wallet.sock',
+                idleTimeout: 60
+            });
+        });
+
+        it('detaches from the agent', () => {
+            expect(child.unref).to.have.been.called;
+            expect(child.disconnect).to.have.been.called;
+        });
+
+        it('outputs the status of the agent', () => {
+            expect(console.log).to.have.been.calledWith(JSON.stringify({running: true, ...status}));
+        });
+    });
+
+    context('agent start with a configured idle timeout', () => {
+        it('uses the configured idle timeout', async () => {
+            stubbedConfig.agent = {idleTimeout: '3600'};
+            stubbedAgent.getStatus.resolves(null);
+            await proxyquireCommand().handler({});
+            expect(child.send).to.have.been.calledWith(sinon.match({idleTimeout: 3600}));
+        });
+    });
+
+    context('agent start when a stale socket exists', () => {
+        it('removes the stale socket', async () => {
+            stubbedAgent.getStatus.resolves(null);
+            stubbedFs.existsSync.withArgs('/home/user/.nahmii/agent/wallet.sock').returns(true);
+            await proxyquireCommand().handler({});
+            expect(stubbedFs.unlinkSync).to.have.been.calledWith('/home/user/.nahmii/agent/wallet.sock');
+        });
+    });
+
+    context('agent start when the agent is already running', () => {
+        beforeEach(() => {
+            stubbedAgent.getStatus.resolves(status);
+            return proxyquireCommand().handler({});
+        });
+
+        it('does not unlock the wallet', () => {
+            expect(stubbedConfig.privateKey).not.to.have.been.called;
+            expect(stubbedChildProcess.fork).not.to.have.been.called;
+        });
+
+        it('outputs the status of the agent', () => {
+            expect(console.log).to.have.been.calledWith(JSON.stringify({running: true, ...status}));
+        });
+    });
+
+    context('agent start when the agent fails to start', () => {
+        it('yields an error', () => {
+            stubbedAgent.getStatus.resolves(null);
+            child.send = sinon.stub().callsFake(() => setImmediate(() => child.emit('message', {error: 'EACCES'})));
+            return expect(proxyquireCommand().handler({})).to.be.rejectedWith(/unable to start key agent: EACCES/i);
+        });
+    });
+
+    context('agent start --timeout=-1', () => {
+        it('yields an error', () => {
+            return expect(proxyquireCommand().handler({timeout: -1})).to.be.rejectedWith(/timeout must be a number higher than 0/i);
+        });
+    });
+});
@@ -0,0 +1,15 @@
+'use strict';
+
+const agent = require('../../agent/client');
+const output = require('../../output');
+
+module.exports = {
+    command: 'status',
+    describe: 'Shows whether the key agent is running and when it expires',
+    builder: {},
+    handler: async () => {
+        const config = require('../../config');
+        const status = await agent.getStatus(agent.socketPath(config.walletId()));
+        output.print(status ? {running: true, ...status} : {running: false});
+    }
+};
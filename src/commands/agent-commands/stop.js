@@ -0,0 +1,21 @@
+'use strict';
+
+const agent = require('../../agent/client');
+const output = require('../../output');
+
+module.exports = {
+    command: 'stop',
+    describe: 'Stops the key agent, locking the wallet',
+    builder: {},
+    handler: async () => {
+        const config = require('../../config');
+        const socketFile = agent.socketPath(config.walletId());
+
+        if (await agent.getStatus(socketFile))
+            await agent.stop(socketFile);
+        else
+            console.error(`No key agent is running for wallet ${config.wallet.address || config.wallet.mnemonic}`);
+
+        output.print({running: false});
+    }
+};
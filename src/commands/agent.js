@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    command: 'agent <start|stop|status>',
+    describe: 'Manage the key agent that keeps the wallet unlocked for a session',
+    builder: yargs => {
+        return yargs
+            .commandDir('./agent-commands', {exclude: /.*.spec.js$/})
+            .demandCommand();
+    },
+    handler: async () => {}
+};
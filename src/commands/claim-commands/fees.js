@@ -2,8 +2,11 @@
 
 const dbg = require('../../dbg');
 const nahmii = require('nahmii-sdk');
-const {ethers: {utils: {parseUnits}}} = require('ethers');
+const {ethers: {utils: {parseUnits, formatUnits}}} = require('ethers');
 const ora = require('ora');
+const utils = require('../../utils');
+const {confirm} = require('../../confirm');
+const {wrap, ValidationError} = require('../../errors');
 
 const blockSymbol = Symbol.for('block');
 const accrualSymbol = Symbol.for('accrual');
@@ -70,15 +73,16 @@ module.exports = {
         const options = {gasLimit, gasPrice};
 
         const config = require('../../config');
-        const provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
-        const privateKey = await config.privateKey(config.wallet.secret);
-        const wallet = new nahmii.Wallet(privateKey, provider);
-
-        const network = await provider.getNetwork();
-        const claimant = new nahmii.FeesClaimant(provider, config.tokenHolderRevenueFundAbstractions[network.name]);
-
+        let provider;
         const spinner = ora();
         try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
+
+            const network = await provider.getNetwork();
+            const claimant = new nahmii.FeesClaimant(provider, config.tokenHolderRevenueFundAbstractions[network.name]);
+
             if (blockSymbol === range.type) {
                 range.claimableFeesFn = claimant.claimableFeesForBlocks;
                 range.claimFeesFn = claimant.claimFeesForBlocks;
@@ -101,11 +105,24 @@ module.exports = {
             if (0 < parseFloat(stagedAmount))
                 spinner.succeed(`Previously claimed (and not withdrawn) amount of ${tokenInfo.symbol} is ${stagedAmount}`);
 
+            if (0 < parseFloat(claimableAmount) || 0 < parseFloat(stagedAmount)) {
+                const total = parseUnits(claimableAmount, tokenInfo.decimals).add(parseUnits(stagedAmount, tokenInfo.decimals));
+                await confirm(provider, {
+                    action: `Claim and withdrawal of ${tokenInfo.symbol} fees`,
+                    amount: formatUnits(total, tokenInfo.decimals),
+                    currency: tokenInfo.symbol,
+                    contract: 'TokenHolderRevenueFund',
+                    gasLimit,
+                    gasPrice,
+                    transactions: 0 < parseFloat(claimableAmount) ? 2 : 1
+                }, argv);
+            }
+
             if (0 < parseFloat(claimableAmount)) {
                 spinner.start(`Claiming ${claimableAmount} ${tokenInfo.symbol}`);
                 const claimAndStageTx = await range.claimFeesFn.call(claimant, wallet, currency, range.first, range.last, options);
 
-                await provider.getTransactionConfirmation(claimAndStageTx.hash, timeout);
+                await utils.confirmTransaction(provider, claimAndStageTx.hash, timeout);
                 spinner.succeed(`Claim of ${claimableAmount} ${tokenInfo.symbol} confirmed`);
             }
             else {
@@ -121,7 +138,7 @@ module.exports = {
                 const withdrawableMonetaryAmount = await nahmii.MonetaryAmount.from(withdrawableAmount, tokenInfo.currency);
                 const withdrawTx = await claimant.withdrawFees(wallet, withdrawableMonetaryAmount, options);
 
-                await provider.getTransactionConfirmation(withdrawTx.hash, timeout);
+                await utils.confirmTransaction(provider, withdrawTx.hash, timeout);
                 spinner.succeed(`Withdrawal of ${withdrawableAmount} ${tokenInfo.symbol} confirmed`);
             }
             else {
@@ -131,10 +148,11 @@ module.exports = {
         catch (err) {
             dbg(err);
             spinner.fail();
-            throw new Error(`Claiming of fees failed: ${err.message}`);
+            throw wrap(err, 'Claiming of fees failed');
         }
         finally {
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
@@ -142,34 +160,34 @@ module.exports = {
 function validateGasPrice(priceGWei) {
     const price = parseInt(priceGWei);
     if (price <= 0)
-        throw new Error('Gas price must be a number higher than 0.');
+        throw new ValidationError('Gas price must be a number higher than 0.');
     return price;
 }
 
 function validateGasLimit(gas) {
     const gasLimit = parseInt(gas);
     if (gasLimit <= 0)
-        throw new Error('Gas limit must be a number higher than 0.');
+        throw new ValidationError('Gas limit must be a number higher than 0.');
     return gasLimit;
 }
 
 function validateBlock(index, name) {
     index = parseInt(index);
     if (Number.isNaN(index) || index < 0)
-        throw new Error(`${name} block number must be a number higher than 0.`);
+        throw new ValidationError(`${name} block number must be a number higher than 0.`);
     return index;
 }
 
 function validateAccrual(index, name) {
     index = parseInt(index);
     if (Number.isNaN(index) || index < 0)
-        throw new Error(`${name} accrual index must be a number higher than 0.`);
+        throw new ValidationError(`${name} accrual index must be a number higher than 0.`);
     return index;
 }
 
 function validateTimeout(timeout) {
     timeout = parseInt(timeout);
     if (timeout <= 0)
-        throw new Error('Timeout must be a number higher than 0.');
+        throw new ValidationError('Timeout must be a number higher than 0.');
     return timeout;
 }
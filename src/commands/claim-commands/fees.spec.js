@@ -9,6 +9,7 @@ const {EthereumAddress} = require('nahmii-ethereum-address');
 
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 const ethers = require('ethers');
+const {CancelledError} = require('../../errors');
 
 function stubbedNahmiiProvider() {
     throw new Error('NahmiiProvider constructor not implemented!');
@@ -57,7 +58,7 @@ const stubbedConfig = {
     wallet: {
         secret: 'secret much'
     },
-    privateKey: sinon.stub(),
+    signer: sinon.stub(),
     apiRoot: 'some-api-root',
     appId: 'an-app-id',
     appSecret: 'much secret!',
@@ -88,6 +89,8 @@ const stubbedOra = {
     fail: sinon.stub()
 };
 
+const stubbedConfirm = sinon.stub();
+
 function proxyquireCommand() {
     return proxyquire('./fees', {
         'nahmii-sdk': {
@@ -105,6 +108,7 @@ function proxyquireCommand() {
                 return stubbedFeesClaimant;
             }
         },
+        '../../confirm': {confirm: stubbedConfirm},
         '../../config': stubbedConfig,
         'ora': function () {
             return stubbedOra;
@@ -118,6 +122,7 @@ describe('Claim fees command', () => {
     let cmd, cmdOpts;
 
     beforeEach(() => {
+        stubbedConfirm.resolves();
         stubbedNahmiiProvider.from
             .withArgs(stubbedConfig.apiRoot, stubbedConfig.appId, stubbedConfig.appSecret)
             .resolves(stubbedProviderInstance);
@@ -126,8 +131,7 @@ describe('Claim fees command', () => {
             .resolves(stubbedTokenInfo);
         stubbedProviderInstance.getNetwork
             .returns({name: 'test-network'});
-        stubbedConfig.privateKey
-            .withArgs(stubbedConfig.wallet.secret)
+        stubbedConfig.signer
             .resolves('privatekey');
 
         cmd = proxyquireCommand();
@@ -140,6 +144,7 @@ describe('Claim fees command', () => {
     });
 
     afterEach(() => {
+        stubbedConfirm.reset();
         stubbedProviderInstance.getTransactionConfirmation.reset();
     });
 
@@ -176,6 +181,29 @@ describe('Claim fees command', () => {
                 expect(stubbedProviderInstance.getTransactionConfirmation).to.have.been.calledWith('claim fees tx hash');
                 expect(stubbedProviderInstance.getTransactionConfirmation).to.have.been.calledWith('withdraw fees tx hash');
             });
+
+            it('asks for confirmation of the claim and withdrawal', async () => {
+                await cmd.handler(Object.assign(cmdOpts, {blocks: '1234'}));
+
+                expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, {
+                    action: 'Claim and withdrawal of SYM fees',
+                    amount: '3000.0',
+                    currency: 'SYM',
+                    contract: 'TokenHolderRevenueFund',
+                    gasLimit: 6000000,
+                    gasPrice: ethers.utils.parseUnits('12', 'gwei'),
+                    transactions: 2
+                });
+            });
+
+            it('should neither claim nor withdraw when declined', async () => {
+                stubbedConfirm.rejects(new CancelledError('Claim and withdrawal of SYM fees cancelled'));
+                const err = await cmd.handler(Object.assign(cmdOpts, {blocks: '1234'})).catch(err => err);
+
+                expect(err.code).to.equal('CANCELLED');
+                expect(stubbedFeesClaimant.claimFeesForBlocks).not.to.have.been.called;
+                expect(stubbedFeesClaimant.withdrawFees).not.to.have.been.called;
+            });
         });
 
         describe('when claimable is zero and previously claimed is non-zero', () => {
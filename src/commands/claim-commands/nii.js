@@ -4,6 +4,10 @@ const dbg = require('../../dbg');
 const nahmii = require('nahmii-sdk');
 const ethers = require('ethers');
 const ora = require('ora');
+const utils = require('../../utils');
+const output = require('../../output');
+const {confirm} = require('../../confirm');
+const {wrap, ValidationError} = require('../../errors');
 
 module.exports = {
     command: 'nii for period <period> [--gas=<gaslimit>] [--price=<gasPrice in gwei>] [--timeout=<seconds>]',
@@ -37,17 +41,28 @@ module.exports = {
         const options = {gasLimit, gasPrice};
 
         const config = require('../../config');
-        const provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
-        const privateKey = await config.privateKey(config.wallet.secret);
-        const wallet = new nahmii.Wallet(privateKey, provider);
-        const niiContract = await nahmii.Erc20Contract.from('NII', wallet);
-
+        let provider, niiContract, address;
         const spinner = ora();
         try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
+            niiContract = await nahmii.Erc20Contract.from('NII', wallet);
+            address = await config.address();
+
             const RevenueTokenManagerContract = require('../../contracts/revenue-token-manager-contract');
             const revenueTokenManager = new RevenueTokenManagerContract(wallet);
 
-            let niiBalance = await niiContract.balanceOf(config.wallet.address);
+            // Releasing, clearing the allowance, approving and depositing
+            await confirm(provider, {
+                action: `Claim of NII for period ${period}`,
+                contract: `RevenueTokenManager ${revenueTokenManager.address}`,
+                gasLimit,
+                gasPrice,
+                transactions: 4
+            }, argv);
+
+            let niiBalance = await niiContract.balanceOf(address);
             dbg(`Opening on-chain balance: ${ethers.utils.formatUnits(niiBalance, 15)} NII`);
 
             let releaseReceipt;
@@ -57,7 +72,7 @@ module.exports = {
                 spinner.succeed(`1/8 - Claim registered for period ${period}`);
 
                 spinner.start('2/8 - Confirming claim');
-                releaseReceipt = await provider.getTransactionConfirmation(releaseTx.hash, timeout);
+                releaseReceipt = await utils.confirmTransaction(provider, releaseTx.hash, timeout);
                 spinner.succeed('2/8 - Claim confirmed');
             }
             catch (err) {
@@ -65,7 +80,7 @@ module.exports = {
                 spinner.fail(err.message);
             }
 
-            niiBalance = await niiContract.balanceOf(config.wallet.address);
+            niiBalance = await niiContract.balanceOf(address);
             dbg(`Depositing: ${ethers.utils.formatUnits(niiBalance, 15)} NII`);
 
             spinner.start('Checking allowance');
@@ -81,7 +96,7 @@ module.exports = {
                     spinner.succeed('3/8 - Allowance cleared');
 
                     spinner.start('4/8 - Confirming allowance is cleared');
-                    await provider.getTransactionConfirmation(pendingClearTx.hash, timeout);
+                    await utils.confirmTransaction(provider, pendingClearTx.hash, timeout);
                     spinner.succeed('4/8 - Allowance confirmed cleared');
                 }
                 else {
@@ -94,7 +109,7 @@ module.exports = {
                 spinner.succeed('5/8 - Transfer approval registered');
 
                 spinner.start('6/8 - Confirming transfer approval');
-                approveReceipt = await provider.getTransactionConfirmation(pendingApprovalTx.hash, timeout);
+                approveReceipt = await utils.confirmTransaction(provider, pendingApprovalTx.hash, timeout);
                 spinner.succeed('6/8 - Transfer approval confirmed');
             }
             else {
@@ -109,24 +124,28 @@ module.exports = {
             spinner.succeed('7/8 - nahmii deposit registered');
 
             spinner.start('8/8 - Confirming nahmii deposit');
-            const completeReceipt = await provider.getTransactionConfirmation(pendingCompleteTx.hash, timeout);
+            const completeReceipt = await utils.confirmTransaction(provider, pendingCompleteTx.hash, timeout);
             spinner.succeed(`8/8 - nahmii deposit of ${niiBalance} NII confirmed`);
 
             console.error('Please allow a few minutes for the nahmii balance to be updated!');
 
-            const output = [releaseReceipt, approveReceipt, completeReceipt].map(reduceReceipt);
-            console.log(JSON.stringify(output));
+            const reduceReceipt = await utils.receiptReducer(provider, config.explorerUrl);
+            const receipts = [releaseReceipt, approveReceipt, completeReceipt].map(reduceReceipt);
+            output.print(receipts);
         }
         catch (err) {
             dbg(err);
             spinner.fail();
-            throw new Error(`Claiming NII failed: ${err.message}`);
+            throw wrap(err, 'Claiming NII failed');
         }
         finally {
-            const niiBalance = ethers.utils.formatUnits(await niiContract.balanceOf(config.wallet.address), 15);
-            dbg(`Closing on-chain balance: ${niiBalance} NII`);
+            if (niiContract && address) {
+                const niiBalance = ethers.utils.formatUnits(await niiContract.balanceOf(address), 15);
+                dbg(`Closing on-chain balance: ${niiBalance} NII`);
+            }
 
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
@@ -134,40 +153,27 @@ module.exports = {
 function validateGasPrice(priceGWei) {
     const price = parseInt(priceGWei);
     if (price <= 0)
-        throw new Error('Gas price must be a number higher than 0.');
+        throw new ValidationError('Gas price must be a number higher than 0.');
     return price;
 }
 
 function validateGasLimit(gas) {
     const gasLimit = parseInt(gas);
     if (gasLimit <= 0)
-        throw new Error('Gas limit must be a number higher than 0.');
+        throw new ValidationError('Gas limit must be a number higher than 0.');
     return gasLimit;
 }
 
 function validatePeriod(period) {
     period = parseInt(period);
     if (period < 1 || period > 120)
-        throw new Error('Period must be a number from 1 to 120.');
+        throw new ValidationError('Period must be a number from 1 to 120.');
     return period;
 }
 
 function validateTimeout(timeout) {
     timeout = parseInt(timeout);
     if (timeout <= 0)
-        throw new Error('Timeout must be a number higher than 0.');
+        throw new ValidationError('Timeout must be a number higher than 0.');
     return timeout;
 }
-
-function reduceReceipt(txReceipt) {
-    if (!txReceipt)
-        return null;
-
-    // TODO: Fix links when on mainnet
-    return {
-        transactionHash: txReceipt.transactionHash,
-        blockNumber: txReceipt.blockNumber,
-        gasUsed: ethers.utils.bigNumberify(txReceipt.gasUsed).toString(),
-        href: `https://ropsten.etherscan.io/tx/${txReceipt.transactionHash}`
-    };
-}
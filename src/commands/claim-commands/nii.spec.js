@@ -8,6 +8,7 @@ chai.use(sinonChai);
 
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 const ethers = require('ethers');
+const {CancelledError} = require('../../errors');
 
 const stubbedWallet = {
     approveTokenDeposit: sinon.stub(),
@@ -24,7 +25,8 @@ const stubbedConfig = {
     wallet: {
         secret: 'secret much'
     },
-    privateKey: sinon.stub(),
+    signer: sinon.stub(),
+    address: () => Promise.resolve(stubbedConfig.wallet.address),
     apiRoot: 'some-api-root',
     appId: 'an-app-id',
     appSecret: 'much secret!'
@@ -37,6 +39,7 @@ function fakeNahmiiProvider() {
 fakeNahmiiProvider.from = sinon.stub();
 
 const stubbedProviderInstance = {
+    getNetwork: () => Promise.resolve({name: 'ropsten', chainId: 3}),
     getBlockNumber: sinon.stub(),
     getApiAccessToken: sinon.stub(),
     stopUpdate: sinon.stub(),
@@ -56,6 +59,7 @@ const stubbedOra = {
 };
 
 const stubbedRevenueTokenManager = {
+    address: '0x0000000000000000000000000000000000000123',
     release: sinon.stub()
 };
 stubbedRevenueTokenManager.reset = function() {
@@ -73,6 +77,8 @@ stubbedNiiContract.reset = function() {
     this.balanceOf.reset();
 }.bind(stubbedNiiContract);
 
+const stubbedConfirm = sinon.stub();
+
 function proxyquireCommand() {
     return proxyquire('./nii', {
         'nahmii-sdk': {
@@ -82,6 +88,7 @@ function proxyquireCommand() {
             },
             Erc20Contract: erc20contractClass
         },
+        '../../confirm': {confirm: stubbedConfirm},
         '../../config': stubbedConfig,
         'ora': function() {
             return stubbedOra;
@@ -117,8 +124,8 @@ describe('Claim NII command', () => {
     let cmd;
 
     beforeEach(() => {
-        stubbedConfig.privateKey
-            .withArgs(stubbedConfig.wallet.secret)
+        stubbedConfirm.resolves();
+        stubbedConfig.signer
             .resolves('privatekey');
         fakeNahmiiProvider.from
             .withArgs(stubbedConfig.apiRoot, stubbedConfig.appId, stubbedConfig.appSecret)
@@ -145,6 +152,7 @@ describe('Claim NII command', () => {
     });
 
     afterEach(() => {
+        stubbedConfirm.reset();
         stubbedRevenueTokenManager.reset();
         stubbedNiiContract.reset();
         stubbedWallet.reset();
@@ -189,6 +197,16 @@ describe('Claim NII command', () => {
                     });
                 });
 
+                it('asks for confirmation of the claim', () => {
+                    expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, {
+                        action: 'Claim of NII for period 1',
+                        contract: `RevenueTokenManager ${stubbedRevenueTokenManager.address}`,
+                        gasLimit: 800000,
+                        gasPrice: ethers.utils.parseUnits('12', 'gwei'),
+                        transactions: 4
+                    });
+                });
+
                 it('releases fund for period 0 in RevenueTokenManager', () => {
                     expect(stubbedRevenueTokenManager.release).to.have.been.calledWith(0);
                 });
@@ -199,6 +217,16 @@ describe('Claim NII command', () => {
             });
         });
 
+        context('when declined', () => {
+            it('yields an error without sending any transaction', async () => {
+                stubbedConfirm.rejects(new CancelledError('Claim of NII for period 1 cancelled'));
+                const err = await cmd.handler.call(undefined, {period: '1'}).catch(err => err);
+                expect(err.code).to.equal('CANCELLED');
+                expect(stubbedRevenueTokenManager.release).not.to.have.been.called;
+                expect(stubbedWallet.completeTokenDeposit).not.to.have.been.called;
+            });
+        });
+
         context('with specified timeout', () => {
             let expectedTimeout;
 
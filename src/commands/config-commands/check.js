@@ -0,0 +1,47 @@
+'use strict';
+
+const dbg = require('../../dbg');
+const nahmii = require('nahmii-sdk');
+const hdWallet = require('../../hd-wallet');
+const {NetworkError} = require('../../errors');
+
+module.exports = {
+    command: ['check', '$0'],
+    describe: 'Does some simple checks on the current configuration and displays the essentials.',
+    builder: {},
+    handler: async () => {
+        const config = require('../../config');
+
+        console.log(`Using configuration from ${config.file}:`);
+        console.log(`\tprofile: ${config.profile} (available: ${config.profiles.join(', ')})`);
+        console.log(`\tapiRoot: ${config.apiRoot}`);
+        console.log(`\tappId: ${config.appId}`);
+        console.log(`\tappSecret: ${'*'.repeat(config.appSecret.length ? 20 : 0)}`);
+        if (hdWallet.isHDWallet(config.wallet)) {
+            console.log(`\twallet mnemonic: ${config.wallet.mnemonic}`);
+            console.log(`\twallet path: ${hdWallet.derivationPath(config.wallet, process.env.NAHMII_ACCOUNT)}`);
+        }
+        else {
+            console.log(`\twallet address: ${config.wallet.address}`);
+        }
+        console.log(`\twallet secret: ${config.wallet.secret ? '*'.repeat(20) : '(not stored, will be prompted for or read from --passphrase-file or NAHMII_WALLET_PASSPHRASE)'}`);
+
+        let provider;
+        try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            await Promise.all([
+                provider.getBlockNumber(),
+                provider.getApiAccessToken()
+            ]);
+            console.log('Successfully connected to network!');
+        }
+        catch (err) {
+            dbg(err);
+            throw new NetworkError('Unable to connect to network! Check your configuration and network connection.', {apiRoot: config.apiRoot});
+        }
+        finally {
+            if (provider)
+                provider.stopUpdate();
+        }
+    }
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+const configFile = require('../../config-file');
+const configKeys = require('../../config-keys');
+const profiles = require('../../profiles');
+const {ConfigError} = require('../../errors');
+
+function maskSecrets(value, key) {
+    if (value === null || typeof value !== 'object')
+        return configKeys.isSecret(key) ? '*'.repeat(20) : value;
+
+    return Object.keys(value).reduce((masked, prop) => {
+        masked[prop] = maskSecrets(value[prop], `${key}.${prop}`);
+        return masked;
+    }, {});
+}
+
+module.exports = {
+    command: 'get <key>',
+    describe: 'Display a configuration setting of the active profile. Secrets are masked.',
+    builder: yargs => {
+        yargs.example('config get wallet.address', 'Displays the wallet address of the active profile.');
+        yargs.example('config get apiRoot --profile mainnet', 'Displays the API root of the "mainnet" profile.');
+    },
+    handler: async (argv) => {
+        const rawConfig = configFile.load();
+        const config = profiles.applyActiveProfile(rawConfig);
+        const value = configFile.getPath(config, argv.key);
+        if (value === undefined)
+            throw new ConfigError(`"${argv.key}" is not set in profile "${config.profile}"`);
+
+        const masked = maskSecrets(value, argv.key);
+        console.log(typeof masked === 'object' ? JSON.stringify(masked) : masked);
+    }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const configFile = require('../../config-file');
+
+const stubbedConfigFile = {
+    ...configFile,
+    load: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./get', {
+        '../../config-file': stubbedConfigFile
+    });
+}
+
+describe('Config get command', () => {
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        stubbedConfigFile.load.returns({
+            apiRoot: 'api2.dev.hubii.net',
+            wallet: {address: '0x01', secret: 'secret much'},
+            profiles: {mainnet: {apiRoot: 'api.nahmii.io'}}
+        });
+    });
+
+    afterEach(() => {
+        delete process.env.NAHMII_PROFILE;
+        stubbedConfigFile.load.reset();
+        console.log.restore();
+    });
+
+    it('outputs the value of the default profile', async () => {
+        await proxyquireCommand().handler({key: 'apiRoot'});
+        expect(console.log).to.have.been.calledWith('api2.dev.hubii.net');
+    });
+
+    it('outputs the value of the active profile', async () => {
+        process.env.NAHMII_PROFILE = 'mainnet';
+        await proxyquireCommand().handler({key: 'apiRoot'});
+        expect(console.log).to.have.been.calledWith('api.nahmii.io');
+    });
+
+    it('masks secrets', async () => {
+        await proxyquireCommand().handler({key: 'wallet.secret'});
+        expect(console.log).to.have.been.calledWith('*'.repeat(20));
+    });
+
+    it('masks secrets in nested settings', async () => {
+        await proxyquireCommand().handler({key: 'wallet'});
+        expect(console.log).to.have.been.calledWith(JSON.stringify({address: '0x01', secret: '*'.repeat(20)}));
+    });
+
+    it('yields an error for settings that are not set', () => {
+        return expect(proxyquireCommand().handler({key: 'appId'})).to.be.rejectedWith(/"appId" is not set/);
+    });
+
+    it('yields a config error for unknown profiles', async () => {
+        process.env.NAHMII_PROFILE = 'nope';
+        const err = await proxyquireCommand().handler({key: 'apiRoot'}).catch(err => err);
+        expect(err.code).to.equal('CONFIG');
+        expect(err.message).to.match(/Unknown configuration profile "nope"/);
+    });
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const readlineSync = require('readline-sync');
+const configFile = require('../../config-file');
+const configKeys = require('../../config-keys');
+const profiles = require('../../profiles');
+const {ValidationError} = require('../../errors');
+
+module.exports = {
+    command: 'set <key> [value]',
+    describe: 'Change a configuration setting of the active profile. Secrets are prompted for when no value is given.',
+    builder: yargs => {
+        yargs.example('config set wallet.address 0x1234567890123456789012345678901234567890', 'Changes the wallet address of the active profile.');
+        yargs.example('config set appSecret', 'Prompts for the app secret of the active profile without echoing it.');
+        yargs.example('config set apiRoot api.nahmii.io --profile mainnet', 'Changes the API root of the "mainnet" profile.');
+        yargs.coerce('value', arg => arg === undefined ? arg : String(arg));
+    },
+    handler: async (argv) => {
+        const rawConfig = configFile.load();
+        const profile = profiles.selectProfile(rawConfig, process.env.NAHMII_PROFILE);
+        const {path, spec} = configKeys.resolve(argv.key, profile);
+
+        let value = argv.value;
+        if (value === undefined) {
+            if (!spec.secret)
+                throw new ValidationError(`Missing value for "${argv.key}"`);
+            value = readlineSync.question(`${argv.key}: `, {hideEchoBack: true});
+        }
+        spec.validate(value, rawConfig);
+
+        configFile.setPath(rawConfig, path, value);
+        configFile.write(rawConfig);
+        console.log(`Updated "${path}" in ${configFile.configFile()}`);
+    }
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const configFile = require('../../config-file');
+
+const walletID = '0x1234567890123456789012345678901234567890';
+
+const stubbedConfigFile = {
+    ...configFile,
+    load: sinon.stub(),
+    write: sinon.stub()
+};
+
+const stubbedReadlineSync = {
+    question: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./set', {
+        'readline-sync': stubbedReadlineSync,
+        '../../config-file': stubbedConfigFile
+    });
+}
+
+describe('Config set command', () => {
+    let rawConfig;
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        rawConfig = {
+            apiRoot: 'api2.dev.hubii.net',
+            wallet: {address: '0x' + '00'.repeat(20), secret: 'old secret'},
+            profiles: {mainnet: {apiRoot: 'api.nahmii.io'}}
+        };
+        stubbedConfigFile.load.returns(rawConfig);
+    });
+
+    afterEach(() => {
+        delete process.env.NAHMII_PROFILE;
+        stubbedConfigFile.load.reset();
+        stubbedConfigFile.write.reset();
+        stubbedReadlineSync.question.reset();
+        console.log.restore();
+    });
+
+    context(`config set wallet.address ${walletID}`, () => {
+        beforeEach(() => {
+            return proxyquireCommand().handler({key: 'wallet.address', value: walletID});
+        });
+
+        it('writes the new value to the config file', () => {
+            expect(stubbedConfigFile.write).to.have.been.calledWith(sinon.match({wallet: {address: walletID, secret: 'old secret'}}));
+        });
+    });
+
+    context(`config set wallet.address ${walletID} --profile mainnet`, () => {
+        beforeEach(() => {
+            process.env.NAHMII_PROFILE = 'mainnet';
+            return proxyquireCommand().handler({key: 'wallet.address', value: walletID});
+        });
+
+        it('writes the new value to the profile', () => {
+            expect(stubbedConfigFile.write).to.have.been.calledWith(sinon.match({
+                wallet: {address: '0x' + '00'.repeat(20)},
+                profiles: {mainnet: {apiRoot: 'api.nahmii.io', wallet: {address: walletID}}}
+            }));
+        });
+    });
+
+    context('config set wallet.secret', () => {
+        beforeEach(() => {
+            stubbedReadlineSync.question.returns('new secret');
+            return proxyquireCommand().handler({key: 'wallet.secret'});
+        });
+
+        it('prompts for the secret without echoing it', () => {
+            expect(stubbedReadlineSync.question).to.have.been.calledWith(sinon.match.string, {hideEchoBack: true});
+        });
+
+        it('writes the secret to the config file', () => {
+            expect(stubbedConfigFile.write).to.have.been.calledWith(sinon.match({wallet: {secret: 'new secret'}}));
+        });
+
+        it('does not output the secret', () => {
+            expect(console.log).not.to.have.been.calledWith(sinon.match(/new secret/));
+        });
+    });
+
+    context('config set wallet.address 0x1234', () => {
+        it('yields an error without writing the config file', async () => {
+            await expect(proxyquireCommand().handler({key: 'wallet.address', value: '0x1234'}))
+                .to.be.rejectedWith(/not a valid wallet address/);
+            expect(stubbedConfigFile.write).not.to.have.been.called;
+        });
+    });
+
+    context('config set wallet.address 0xnothex', () => {
+        it('yields a validation error', async () => {
+            const err = await proxyquireCommand().handler({key: 'wallet.address', value: '0xnothex'}).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+        });
+    });
+
+    context('config set wallet.adress 0x1234', () => {
+        it('yields a validation error for unknown keys', async () => {
+            const err = await proxyquireCommand().handler({key: 'wallet.adress', value: walletID}).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(err.message).to.match(/unknown configuration key/i);
+            expect(stubbedConfigFile.write).not.to.have.been.called;
+        });
+    });
+
+    context('config set apiRoot', () => {
+        it('yields an error', () => {
+            return expect(proxyquireCommand().handler({key: 'apiRoot'}))
+                .to.be.rejectedWith(/missing value/i);
+        });
+    });
+});
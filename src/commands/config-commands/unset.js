@@ -0,0 +1,25 @@
+'use strict';
+
+const configFile = require('../../config-file');
+const configKeys = require('../../config-keys');
+const profiles = require('../../profiles');
+const {ConfigError} = require('../../errors');
+
+module.exports = {
+    command: 'unset <key>',
+    describe: 'Remove a configuration setting from the active profile',
+    builder: yargs => {
+        yargs.example('config unset wallet.secret', 'Removes the wallet pass phrase from the active profile.');
+    },
+    handler: async (argv) => {
+        const rawConfig = configFile.load();
+        const profile = profiles.selectProfile(rawConfig, process.env.NAHMII_PROFILE);
+        const {path} = configKeys.resolve(argv.key, profile);
+
+        if (!configFile.unsetPath(rawConfig, path))
+            throw new ConfigError(`"${path}" is not set`);
+
+        configFile.write(rawConfig);
+        console.log(`Removed "${path}" from ${configFile.configFile()}`);
+    }
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const configFile = require('../../config-file');
+
+const stubbedConfigFile = {
+    ...configFile,
+    load: sinon.stub(),
+    write: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./unset', {
+        '../../config-file': stubbedConfigFile
+    });
+}
+
+describe('Config unset command', () => {
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        stubbedConfigFile.load.returns({
+            apiRoot: 'api2.dev.hubii.net',
+            wallet: {address: '0x01', secret: 'secret much'}
+        });
+    });
+
+    afterEach(() => {
+        stubbedConfigFile.load.reset();
+        stubbedConfigFile.write.reset();
+        console.log.restore();
+    });
+
+    it('removes the setting from the config file', async () => {
+        await proxyquireCommand().handler({key: 'wallet.secret'});
+        expect(stubbedConfigFile.write).to.have.been.calledWith({
+            apiRoot: 'api2.dev.hubii.net',
+            wallet: {address: '0x01'}
+        });
+    });
+
+    it('yields an error for settings that are not set', async () => {
+        await expect(proxyquireCommand().handler({key: 'appId'})).to.be.rejectedWith(/"appId" is not set/);
+        expect(stubbedConfigFile.write).not.to.have.been.called;
+    });
+});
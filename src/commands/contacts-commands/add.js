@@ -0,0 +1,17 @@
+'use strict';
+
+const contacts = require('../../contacts');
+
+module.exports = {
+    command: 'add <name> <address>',
+    describe: 'Adds a contact with the wallet <address> to the address book',
+    builder: yargs => {
+        yargs.example('contacts add alice 0x1234567890123456789012345678901234567890', 'Adds alice, who can then be paid with "pay 100 HBT to alice".');
+        yargs.coerce('name', arg => String(arg));
+        yargs.coerce('address', arg => String(arg));
+    },
+    handler: async (argv) => {
+        const {name, address} = contacts.add(argv.name, argv.address);
+        console.log(`Added contact ${name} with address ${address}`);
+    }
+};
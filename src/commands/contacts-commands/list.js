@@ -0,0 +1,13 @@
+'use strict';
+
+const contacts = require('../../contacts');
+const output = require('../../output');
+
+module.exports = {
+    command: 'list',
+    describe: 'Lists the contacts in the address book',
+    builder: {},
+    handler: async () => {
+        output.print(contacts.list());
+    }
+};
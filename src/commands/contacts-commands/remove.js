@@ -0,0 +1,15 @@
+'use strict';
+
+const contacts = require('../../contacts');
+
+module.exports = {
+    command: 'remove <name>',
+    describe: 'Removes the contact <name> from the address book',
+    builder: yargs => {
+        yargs.coerce('name', arg => String(arg));
+    },
+    handler: async (argv) => {
+        const {name, address} = contacts.remove(argv.name);
+        console.log(`Removed contact ${name} with address ${address}`);
+    }
+};
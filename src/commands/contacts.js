@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    command: 'contacts <add|remove|list>',
+    describe: 'Manage the address book of named contacts to pay',
+    builder: yargs => {
+        return yargs
+            .commandDir('./contacts-commands', {exclude: /.*.spec.js$/})
+            .demandCommand();
+    },
+    handler: async () => {}
+};
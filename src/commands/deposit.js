@@ -4,6 +4,10 @@ const dbg = require('../dbg');
 const nahmii = require('nahmii-sdk');
 const ethers = require('ethers');
 const ora = require('ora');
+const utils = require('../utils');
+const output = require('../output');
+const {confirm} = require('../confirm');
+const {wrap, ValidationError} = require('../errors');
 
 module.exports = {
     command: 'deposit <amount> <currency> [--gas=<gaslimit>] [--price=<gasPrice in gwei>]',
@@ -34,22 +38,36 @@ module.exports = {
         const options = {gasLimit, gasPrice};
 
         const config = require('../config');
-        const provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
-        const privateKey = await config.privateKey(config.wallet.secret);
-        const wallet = new nahmii.Wallet(privateKey, provider);
-
+        let provider;
         const spinner = ora();
         try {
-            if (argv.currency.toUpperCase() === 'ETH') {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const isEth = argv.currency.toUpperCase() === 'ETH';
+            await confirm(provider, {
+                action: 'Deposit',
+                amount,
+                currency: argv.currency,
+                contract: 'ClientFund',
+                gasLimit,
+                gasPrice,
+                transactions: isEth ? 1 : 2
+            }, argv);
+
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
+
+            const reduceReceipt = await utils.receiptReducer(provider, config.explorerUrl);
+
+            if (isEth) {
                 spinner.start('Waiting for transaction to be broadcast');
                 const { hash } = await wallet.depositEth(amount, options);
                 spinner.succeed(`Transaction broadcast ${hash}`);
 
                 spinner.start('Waiting for transaction to be mined');
-                const receipt = await provider.getTransactionConfirmation(hash);
+                const receipt = await utils.confirmTransaction(provider, hash);
                 spinner.succeed('Transaction mined');
 
-                console.log(JSON.stringify([reduceReceipt(receipt)]));
+                output.print([reduceReceipt(receipt)]);
             }
             else {
                 spinner.start('Waiting for transaction 1/2 to be broadcast');
@@ -57,7 +75,7 @@ module.exports = {
                 spinner.succeed(`Transaction 1/2 broadcast ${pendingApprovalTx.hash}`);
 
                 spinner.start('Waiting for transaction 1/2 to be mined');
-                const approveReceipt = await provider.getTransactionConfirmation(pendingApprovalTx.hash, 180);
+                const approveReceipt = await utils.confirmTransaction(provider, pendingApprovalTx.hash, 180);
                 spinner.succeed('Transaction 1/2 mined');
 
                 spinner.start('Waiting for transaction 2/2 to be broadcast').start();
@@ -65,19 +83,20 @@ module.exports = {
                 spinner.succeed(`Transaction 2/2 broadcast ${pendingCompleteTx.hash}`);
 
                 spinner.start('Waiting for transaction 2/2 to be mined');
-                const completeReceipt = await provider.getTransactionConfirmation(pendingCompleteTx.hash, 180);
+                const completeReceipt = await utils.confirmTransaction(provider, pendingCompleteTx.hash, 180);
                 spinner.succeed('Transaction 2/2 mined');
 
-                console.log(JSON.stringify([reduceReceipt(approveReceipt), reduceReceipt(completeReceipt)]));
+                output.print([reduceReceipt(approveReceipt), reduceReceipt(completeReceipt)]);
             }
         }
         catch (err) {
             dbg(err);
             spinner.fail('Something went wrong');
-            throw new Error(`Deposit failed: ${err.message}`);
+            throw wrap(err, 'Deposit failed');
         }
         finally {
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
@@ -89,11 +108,11 @@ function validateAmount(amount) {
     }
     catch (err) {
         dbg(err);
-        throw new TypeError('Amount must be a number!');
+        throw new ValidationError('Amount must be a number!');
     }
 
     if (amountBN.eq(0))
-        throw new Error('Amount must be greater than zero!');
+        throw new ValidationError('Amount must be greater than zero!');
 
     return amount;
 }
@@ -101,16 +120,6 @@ function validateAmount(amount) {
 function validatePositiveInteger(str) {
     const number = parseInt(str);
     if (number <= 0)
-        throw new Error('Gas limit/price must be a number higher than 0');
+        throw new ValidationError('Gas limit/price must be a number higher than 0');
     return number;
 }
-
-function reduceReceipt(txReceipt) {
-    // TODO: Fix links when on mainnet
-    return {
-        transactionHash: txReceipt.transactionHash,
-        blockNumber: txReceipt.blockNumber,
-        gasUsed: ethers.utils.bigNumberify(txReceipt.gasUsed).toString(),
-        href: `https://ropsten.etherscan.io/tx/${txReceipt.transactionHash}`
-    };
-}
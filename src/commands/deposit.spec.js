@@ -8,6 +8,7 @@ chai.use(sinonChai);
 
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 const ethers = require('ethers');
+const {CancelledError} = require('../errors');
 
 const stubbedWallet = {
     depositEth: sinon.stub(),
@@ -19,7 +20,7 @@ const stubbedConfig = {
     wallet: {
         secret: 'secret much'
     },
-    privateKey: sinon.stub(),
+    signer: sinon.stub(),
     apiRoot: 'some-api-root',
     appId: 'an-app-id',
     appSecret: 'much secret!'
@@ -31,6 +32,7 @@ function fakeNahmiiProvider() {
 fakeNahmiiProvider.from = sinon.stub();
 
 const stubbedProviderInstance = {
+    getNetwork: () => Promise.resolve({name: 'ropsten', chainId: 3}),
     getBlockNumber: sinon.stub(),
     getApiAccessToken: sinon.stub(),
     stopUpdate: sinon.stub(),
@@ -50,6 +52,8 @@ const stubbedOra = {
 };
 stubbedOra.start.returns(stubbedOra);
 
+const stubbedConfirm = sinon.stub();
+
 function proxyquireCommand() {
     return proxyquire('./deposit', {
         'nahmii-sdk': {
@@ -58,6 +62,7 @@ function proxyquireCommand() {
                 return stubbedWallet;
             }
         },
+        '../confirm': {confirm: stubbedConfirm},
         '../config': stubbedConfig,
         'ora': function() {
             return stubbedOra;
@@ -79,8 +84,8 @@ describe('Deposit command', () => {
     };
 
     beforeEach(() => {
-        stubbedConfig.privateKey
-            .withArgs(stubbedConfig.wallet.secret)
+        stubbedConfirm.resolves();
+        stubbedConfig.signer
             .resolves('privatekey');
         fakeNahmiiProvider.from
             .withArgs(stubbedConfig.apiRoot, stubbedConfig.appId, stubbedConfig.appSecret)
@@ -101,10 +106,11 @@ describe('Deposit command', () => {
     });
 
     afterEach(() => {
+        stubbedConfirm.reset();
         stubbedWallet.depositEth.reset();
         stubbedWallet.approveTokenDeposit.reset();
         stubbedWallet.completeTokenDeposit.reset();
-        stubbedConfig.privateKey.reset();
+        stubbedConfig.signer.reset();
         fakeNahmiiProvider.from.reset();
         stubbedProviderInstance.reset();
         console.log.restore();
@@ -120,6 +126,18 @@ describe('Deposit command', () => {
             });
         });
 
+        it('asks for confirmation of the deposit', () => {
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, {
+                action: 'Deposit',
+                amount: '1.1',
+                currency: 'ETH',
+                contract: 'ClientFund',
+                gasLimit: 2,
+                gasPrice: ethers.utils.bigNumberify(2000000000),
+                transactions: 1
+            });
+        });
+
         it('tells wallet to deposit 1.1 ETH', () => {
             expect(stubbedWallet.depositEth).to.have.been.calledWith('1.1', {gasLimit: 2, gasPrice: ethers.utils.bigNumberify(2000000000)});
         });
@@ -180,6 +198,21 @@ describe('Deposit command', () => {
         });
     });
 
+    context('deposit 0.07 TT1 when declined', () => {
+        it('yields an error without sending any transaction', async () => {
+            stubbedConfirm.rejects(new CancelledError('Deposit cancelled'));
+            const err = await depositCmd.handler.call(undefined, {
+                amount: '0.07',
+                currency: 'TT1',
+                gas: 2,
+                price: 1
+            }).catch(err => err);
+            expect(err.code).to.equal('CANCELLED');
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, sinon.match({transactions: 2}));
+            expect(stubbedWallet.approveTokenDeposit).not.to.have.been.called;
+        });
+    });
+
     context('deposit foo ETH', () => {
         it('yields an error', (done) => {
             depositCmd.handler
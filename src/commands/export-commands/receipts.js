@@ -0,0 +1,108 @@
+'use strict';
+
+const path = require('path');
+const dbg = require('../../dbg');
+const nahmii = require('nahmii-sdk');
+const ora = require('ora');
+const output = require('../../output');
+const receipts = require('../../receipts');
+const receiptFilters = require('../../receipt-filters');
+const receiptExport = require('../../receipt-export');
+const journal = require('../../journal');
+const {wrap} = require('../../errors');
+
+module.exports = {
+    command: 'receipts [file]',
+    describe: 'Export all receipts of my executed payments to a CSV or NDJSON file, continuing where the last export of the file left off',
+    builder: yargs => {
+        yargs.example('export receipts', 'Exports the receipts not exported yet to receipts.csv.');
+        yargs.example('export receipts hbt-2026.ndjson --currency HBT --since 2026-01-01 --until 2027-01-01', 'Exports the HBT receipts of 2026 as newline delimited JSON.');
+        yargs.example('export receipts alice.csv --counterparty alice', 'Exports the receipts of payments to and from the contact alice.');
+        yargs.positional('file', {
+            desc: 'File to export to. Receipts are appended to an existing file.',
+            type: 'string',
+            default: 'receipts.csv'
+        });
+        yargs.option('format', {
+            desc: 'Format of the file, by default ndjson for .ndjson and .jsonl files and csv otherwise',
+            choices: receiptExport.FORMATS
+        });
+        yargs.option('since', {
+            desc: 'Only export receipts created at or after this date, e.g. 2026-09-01. Dates without a time are in UTC.',
+            type: 'string'
+        });
+        yargs.option('until', {
+            desc: 'Only export receipts created before this date, e.g. 2026-10-01',
+            type: 'string'
+        });
+        yargs.option('currency', {
+            desc: 'Only export receipts in this currency, e.g. HBT',
+            type: 'string'
+        });
+        yargs.option('counterparty', {
+            desc: 'Only export receipts of payments to or from this address or contact',
+            type: 'string'
+        });
+        yargs.option('restart', {
+            desc: 'Export all receipts again, replacing the file',
+            type: 'boolean',
+            default: false
+        });
+    },
+    handler: async (argv) => {
+        const file = path.resolve(argv.file);
+        const format = receiptExport.formatOf(file, argv.format);
+
+        const config = require('../../config');
+        let provider;
+        const spinner = ora();
+        let out;
+        try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const address = await config.address();
+            const criteria = await receiptFilters.criteria(provider, argv);
+
+            const last = argv.restart ? undefined : receiptExport.lastNonce(file, format);
+            const fromNonce = last === undefined ? 0 : last + 1;
+            const currencyInfo = await receipts.currencies(provider);
+            const matches = receipts.matcher(address, criteria, currencyInfo);
+
+            out = receiptExport.open(file, format, {append: last !== undefined});
+            let pending = [];
+            let exported = 0;
+            let lastNonce = last;
+            const flush = () => {
+                out.write(journal.annotate(pending).map(r => ({...receipts.describe(r, address, currencyInfo), reference: r.reference})));
+                exported += pending.length;
+                pending = [];
+            };
+
+            spinner.start(`Exporting receipts from nonce ${fromNonce}`);
+            await receipts.eachReceipt(provider, address, receipt => {
+                if (!matches(receipt))
+                    return;
+                pending.push(receipt);
+                lastNonce = Number(receipt.nonce);
+                if (pending.length >= receipts.PAGE_SIZE) {
+                    flush();
+                    spinner.text = `Exported ${exported} receipts, up to nonce ${lastNonce}`;
+                }
+            }, {fromNonce});
+            flush();
+            spinner.succeed(`Exported ${exported} receipts`);
+
+            output.print({file, format, fromNonce, exported, lastNonce});
+        }
+        catch (err) {
+            dbg(err);
+            spinner.stop();
+            throw wrap(err, 'Unable to export receipts');
+        }
+        finally {
+            if (out)
+                out.close();
+            if (provider)
+                provider.stopUpdate();
+        }
+    }
+};
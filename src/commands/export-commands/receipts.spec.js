@@ -0,0 +1,207 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const me = '0x1234567890123456789012345678901234567891';
+const alice = '0x1234567890123456789012345678901234567890';
+const bob = '0x' + 'bb'.repeat(20);
+const hbt = '0x' + 'ab'.repeat(20);
+const eth = '0x' + '00'.repeat(20);
+
+const stubbedConfig = {
+    address: sinon.stub(),
+    apiRoot: 'some-api-root',
+    appId: 'an-app-id',
+    appSecret: 'much secret!'
+};
+
+function fakeNahmiiProvider() {
+    throw new Error('NahmiiProvider constructor not implemented!');
+}
+fakeNahmiiProvider.from = sinon.stub();
+
+const stubbedProviderInstance = {
+    getWalletReceipts: sinon.stub(),
+    getSupportedTokens: sinon.stub(),
+    stopUpdate: sinon.stub()
+};
+
+const stubbedOra = {
+    start: sinon.stub(),
+    succeed: sinon.stub(),
+    stop: sinon.stub()
+};
+
+const stubbedJournal = {
+    annotate: receipts => receipts.map(r => ({...r, reference: r.nonce === 2 ? 'invoice 2' : undefined}))
+};
+
+const stubbedContacts = {
+    resolve: name => name === 'alice' ? alice : name
+};
+
+function proxyquireCommand() {
+    const stubbedNahmii = {
+        NahmiiProvider: fakeNahmiiProvider,
+        utils: require('nahmii-sdk').utils
+    };
+    return proxyquire('./receipts', {
+        'nahmii-sdk': stubbedNahmii,
+        'ora': function() {
+            return stubbedOra;
+        },
+        '../../receipt-filters': proxyquire('../../receipt-filters', {
+            './payments': proxyquire('../../payments', {
+                'nahmii-sdk': stubbedNahmii,
+                './contacts': stubbedContacts
+            })
+        }),
+        '../../journal': stubbedJournal,
+        '../../config': stubbedConfig
+    });
+}
+
+function receipt(nonce, sender, recipient, created, ct = hbt) {
+    return {
+        nonce,
+        created,
+        blockNumber: nonce * 10,
+        sender: {wallet: sender},
+        recipient: {wallet: recipient},
+        amount: '1000000000000000',
+        currency: {ct, id: '0'}
+    };
+}
+
+describe('Export receipts command', () => {
+    const history = [
+        receipt(1, me, alice, '2026-08-15T00:00:00.000Z'),
+        receipt(2, alice, me, '2026-09-02T00:00:00.000Z'),
+        receipt(3, me, bob, '2026-09-03T00:00:00.000Z', eth),
+        receipt(4, me, alice, '2026-10-01T00:00:00.000Z')
+    ];
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-export-'));
+        sinon.stub(console, 'log');
+        fakeNahmiiProvider.from.resolves(stubbedProviderInstance);
+        stubbedConfig.address.resolves(me);
+        stubbedProviderInstance.getSupportedTokens.resolves([{currency: hbt, symbol: 'HBT', decimals: 15}]);
+        stubbedProviderInstance.getWalletReceipts.callsFake(async (address, fromNonce, limit) => {
+            return history.filter(r => r.nonce >= fromNonce).slice(0, limit);
+        });
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+        fakeNahmiiProvider.from.reset();
+        stubbedConfig.address.reset();
+        stubbedProviderInstance.getWalletReceipts.reset();
+        stubbedProviderInstance.getSupportedTokens.reset();
+        stubbedProviderInstance.stopUpdate.reset();
+    });
+
+    function exportReceipts(file, args = {}) {
+        return proxyquireCommand().handler({file: path.join(dir, file), restart: false, ...args});
+    }
+
+    function readNdjson(file) {
+        return fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    }
+
+    it('exports the whole history in nonce order', async () => {
+        await exportReceipts('receipts.ndjson');
+        expect(readNdjson('receipts.ndjson').map(r => r.nonce)).to.eql([1, 2, 3, 4]);
+    });
+
+    it('renders amounts with the decimals of the currency and adds the references', async () => {
+        await exportReceipts('receipts.ndjson');
+        const [, second, third] = readNdjson('receipts.ndjson');
+        expect(second).to.include({direction: 'in', amount: '1.0', symbol: 'HBT', reference: 'invoice 2'});
+        expect(third).to.include({amount: '0.001', symbol: 'ETH'});
+    });
+
+    it('exports CSV with a header', async () => {
+        await exportReceipts('receipts.csv');
+        const lines = fs.readFileSync(path.join(dir, 'receipts.csv'), 'utf8').trim().split('\n');
+        expect(lines).to.have.lengthOf(5);
+        expect(lines[0]).to.match(/^nonce,created,/);
+    });
+
+    it('outputs a summary', async () => {
+        await exportReceipts('receipts.ndjson');
+        expect(JSON.parse(console.log.lastCall.args[0])).to.eql({
+            file: path.join(dir, 'receipts.ndjson'),
+            format: 'ndjson',
+            fromNonce: 0,
+            exported: 4,
+            lastNonce: 4
+        });
+    });
+
+    it('resumes from the last exported nonce', async () => {
+        history.push(receipt(5, alice, me, '2026-10-02T00:00:00.000Z'));
+        try {
+            fs.writeFileSync(path.join(dir, 'receipts.ndjson'), JSON.stringify({nonce: 4}) + '\n');
+            await exportReceipts('receipts.ndjson');
+        }
+        finally {
+            history.pop();
+        }
+        expect(stubbedProviderInstance.getWalletReceipts).to.have.been.calledWith(me, 5);
+        expect(readNdjson('receipts.ndjson').map(r => r.nonce)).to.eql([4, 5]);
+    });
+
+    it('starts over with --restart', async () => {
+        fs.writeFileSync(path.join(dir, 'receipts.ndjson'), JSON.stringify({nonce: 4}) + '\n');
+        await exportReceipts('receipts.ndjson', {restart: true});
+        expect(readNdjson('receipts.ndjson').map(r => r.nonce)).to.eql([1, 2, 3, 4]);
+    });
+
+    it('filters by date', async () => {
+        await exportReceipts('receipts.ndjson', {since: '2026-09-01', until: '2026-10-01'});
+        expect(readNdjson('receipts.ndjson').map(r => r.nonce)).to.eql([2, 3]);
+    });
+
+    it('filters by currency', async () => {
+        await exportReceipts('receipts.ndjson', {currency: 'eth'});
+        expect(readNdjson('receipts.ndjson').map(r => r.nonce)).to.eql([3]);
+    });
+
+    it('filters by counterparty given as contact', async () => {
+        await exportReceipts('receipts.ndjson', {counterparty: 'alice'});
+        expect(readNdjson('receipts.ndjson').map(r => r.nonce)).to.eql([1, 2, 4]);
+    });
+
+    it('rejects unknown currencies', async () => {
+        const err = await exportReceipts('receipts.ndjson', {currency: 'XYZ'}).catch(err => err);
+        expect(err.code).to.equal('VALIDATION');
+    });
+
+    it('rejects unknown counterparties', async () => {
+        const err = await exportReceipts('receipts.ndjson', {counterparty: 'carol'}).catch(err => err);
+        expect(err.message).to.match(/"carol" is neither an address nor a known contact/);
+    });
+
+    it('rejects invalid dates', async () => {
+        const err = await exportReceipts('receipts.ndjson', {since: 'last week'}).catch(err => err);
+        expect(err.code).to.equal('VALIDATION');
+    });
+
+    it('rejects until before since', async () => {
+        const err = await exportReceipts('receipts.ndjson', {since: '2026-10-01', until: '2026-09-01'}).catch(err => err);
+        expect(err.message).to.match(/--until must be later than --since/);
+    });
+});
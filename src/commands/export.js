@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    command: 'export <receipts>',
+    describe: 'Export history to a file',
+    builder: yargs => {
+        return yargs
+            .commandDir('./export-commands', {exclude: /.*.spec.js$/})
+            .demandCommand();
+    },
+    handler: async () => {}
+};
@@ -2,47 +2,135 @@
 
 const path = require('path');
 const fs = require('fs');
-const yaml = require('node-yaml');
-const os = require('os');
 const readlineSync = require('readline-sync');
+const configFile = require('../config-file');
+const configKeys = require('../config-keys');
+const utils = require('../utils');
+const {DEFAULT_PROFILE, isValidName} = require('../profiles');
+const {ConfigError, ValidationError} = require('../errors');
+
+// Each setting comes from an option, the environment, a template, a prompt or the default, in that order
+const settingSources = [
+    {key: 'apiRoot', option: 'apiRoot', flag: '--api-root', env: 'NAHMII_API_ROOT', prompt: 'apiRoot', default: 'api2.dev.hubii.net'},
+    {key: 'appId', option: 'appId', flag: '--app-id', env: 'NAHMII_APP_ID', prompt: 'appId'},
+    {key: 'appSecret', option: 'appSecret', flag: '--app-secret', env: 'NAHMII_APP_SECRET', prompt: 'appSecret', hidden: true},
+    {key: 'wallet.address', option: 'walletAddress', flag: '--wallet-address', env: 'NAHMII_WALLET_ADDRESS', prompt: 'wallet address'},
+    {key: 'wallet.secret', flag: '--passphrase-stdin', prompt: 'wallet pass phrase (leave empty to not store it)', hidden: true, optional: true}
+];
 
 module.exports = {
     command: 'init [--force]',
     describe: 'Initializes the config file',
     builder: yargs => {
+        yargs.example('init', 'Prompts for the API server, credentials and wallet.');
+        yargs.example('init --from template.yaml --passphrase-stdin < passphrase.txt', 'Creates the config from a template without prompting.');
+        yargs.example('init --api-root api.nahmii.io --app-id 123 --app-secret 456 --wallet-address 0x1234...', 'Creates the config from options, prompting only for what is missing.');
         yargs.option('force', {
-            desc: 'replace existing config',
+            desc: 'replace the settings of an existing config, keeping its profiles',
+            default: false,
+            type: 'boolean'
+        });
+        yargs.option('api-root', {
+            desc: 'Root domain of the nahmii APIs [env: NAHMII_API_ROOT]',
+            type: 'string'
+        });
+        yargs.option('app-id', {
+            desc: 'Application ID [env: NAHMII_APP_ID]',
+            type: 'string'
+        });
+        yargs.option('app-secret', {
+            desc: 'Application secret [env: NAHMII_APP_SECRET]',
+            type: 'string'
+        });
+        yargs.option('wallet-address', {
+            desc: 'Address of the wallet [env: NAHMII_WALLET_ADDRESS]',
+            type: 'string'
+        });
+        yargs.option('passphrase-stdin', {
+            desc: 'Read the wallet pass phrase from stdin and store it in the config',
             default: false,
             type: 'boolean'
         });
+        yargs.option('from', {
+            desc: 'YAML template with the settings to use',
+            type: 'string'
+        });
     },
     handler: async (argv) => {
-        const configDir = path.resolve(os.homedir(), '.nahmii');
-        const configFile = path.resolve(configDir, 'config.yaml');
+        const configDir = configFile.configDir();
+        const configPath = configFile.configFile();
         const keystoreDir = path.resolve(configDir, 'keystore');
 
-        if (!argv.force && fs.existsSync(configFile)) {
-            console.error('Config file already exists: ' + configFile);
-            process.exit(-1);
+        const profile = process.env.NAHMII_PROFILE || DEFAULT_PROFILE;
+        if (!isValidName(profile))
+            throw new ValidationError(`"${profile}" is not a valid profile name. Use letters, digits, "_" and "-".`, {profile});
+        const existingConfig = fs.existsSync(configPath)
+            ? configFile.read(configPath) || {}
+            : null;
+
+        if (profile === DEFAULT_PROFILE) {
+            if (!argv.force && existingConfig)
+                throw new ConfigError('Config file already exists: ' + configPath, {file: configPath});
+        }
+        else if (!argv.force && existingConfig && (existingConfig.profiles || {})[profile]) {
+            throw new ConfigError(`Profile "${profile}" already exists in config file: ${configPath}`, {file: configPath, profile});
         }
 
+        const settings = collectSettings(argv, profile);
+
         if (!fs.existsSync(configDir))
             fs.mkdirSync(configDir);
         if (!fs.existsSync(keystoreDir))
             fs.mkdirSync(keystoreDir);
 
-        console.log('Please specify the API server and credentials: [press ENTER for default value]');
-        const apiRoot = readlineSync.question('apiRoot: [api2.dev.hubii.net] ') || 'api2.dev.hubii.net';
-        const appId = readlineSync.question('appId: [] ');
-        const appSecret = readlineSync.question('appSecret: [] ');
-        const address = readlineSync.question('wallet address: [] ');
-        const secret = readlineSync.question('wallet pass phrase: [] ');
+        // Keep the profiles and other settings of an existing config file
+        let config = {...existingConfig, ...settings};
+        if (profile !== DEFAULT_PROFILE) {
+            config = existingConfig || {defaultProfile: profile};
+            config.profiles = {...config.profiles, [profile]: settings};
+        }
+
+        configFile.write(config, configPath);
+        console.log('Template configuration created: ' + configPath);
+    }
+};
+
+function collectSettings(argv, profile) {
+    const template = argv.from ? configFile.load(path.resolve(argv.from)) : {};
+    const interactive = !!process.stdin.isTTY;
+    const passphrase = argv.passphraseStdin ? utils.readStdin() : undefined;
 
-        const config = {apiRoot, appId, appSecret, wallet: {address, secret}};
+    if (interactive)
+        console.log(`Please specify the API server and credentials for profile "${profile}": [press ENTER for default value]`);
 
-        yaml.writeSync(configFile, config);
-        console.log('Template configuration created: ' + configFile);
+    const settings = {};
+    for (const source of settingSources) {
+        let value = source.option ? argv[source.option] : passphrase;
+        if (value === undefined && source.env)
+            value = process.env[source.env];
+        if (value === undefined)
+            value = configFile.getPath(template, source.key);
+        if (value === undefined && interactive) {
+            const defaultValue = source.default || '';
+            value = readlineSync.question(`${source.prompt}: [${source.hidden ? '' : defaultValue}] `, {hideEchoBack: !!source.hidden}) || defaultValue;
+        }
+        if (value === undefined)
+            value = source.default;
 
-        fs.chmodSync(configFile, 0o600);
+        if (source.optional && (value === undefined || value === ''))
+            continue;
+        if (value === undefined || value === '')
+            throw new ValidationError(`Missing value for ${source.key}. Use ${source.flag}, set ${source.env} or provide it in the --from template.`);
+
+        value = String(value);
+        try {
+            configKeys.keys[source.key].validate(value);
+        }
+        catch (err) {
+            throw new ValidationError(`Invalid value for ${source.key}: ${err.message}`);
+        }
+
+        configFile.setPath(settings, source.key, value);
     }
-};
+    return settings;
+}
@@ -0,0 +1,227 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const configFile = require('../config-file');
+
+const walletID = '0x1234567890123456789012345678901234567890';
+
+const stubbedFs = {
+    existsSync: sinon.stub(),
+    mkdirSync: sinon.stub()
+};
+
+const stubbedUtils = {
+    readStdin: sinon.stub()
+};
+
+const stubbedConfigFile = {
+    ...configFile,
+    configDir: () => '/home/user/.nahmii',
+    configFile: () => '/home/user/.nahmii/config.yaml',
+    load: sinon.stub(),
+    read: sinon.stub(),
+    write: sinon.stub()
+};
+
+const stubbedReadlineSync = {
+    question: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./init', {
+        'fs': stubbedFs,
+        'readline-sync': stubbedReadlineSync,
+        '../config-file': stubbedConfigFile,
+        '../utils': stubbedUtils
+    });
+}
+
+describe('Init command', () => {
+    const envNames = ['NAHMII_API_ROOT', 'NAHMII_APP_ID', 'NAHMII_APP_SECRET', 'NAHMII_WALLET_ADDRESS', 'NAHMII_WALLET_PASSPHRASE'];
+    let isTTY;
+
+    beforeEach(() => {
+        isTTY = process.stdin.isTTY;
+        process.stdin.isTTY = false;
+        sinon.stub(console, 'log');
+        stubbedFs.existsSync.returns(false);
+    });
+
+    afterEach(() => {
+        process.stdin.isTTY = isTTY;
+        envNames.forEach(name => delete process.env[name]);
+        stubbedFs.existsSync.reset();
+        stubbedFs.mkdirSync.reset();
+        stubbedUtils.readStdin.reset();
+        stubbedConfigFile.load.reset();
+        stubbedConfigFile.read.reset();
+        stubbedConfigFile.write.reset();
+        stubbedReadlineSync.question.reset();
+        console.log.restore();
+    });
+
+    context('with options and the pass phrase on stdin', () => {
+        beforeEach(() => {
+            stubbedUtils.readStdin.returns('pass phrase');
+            return proxyquireCommand().handler({
+                apiRoot: 'api.nahmii.io',
+                appId: 'an-app-id',
+                appSecret: 'much secret!',
+                walletAddress: walletID,
+                passphraseStdin: true
+            });
+        });
+
+        it('writes the config file', () => {
+            expect(stubbedConfigFile.write).to.have.been.calledWith({
+                apiRoot: 'api.nahmii.io',
+                appId: 'an-app-id',
+                appSecret: 'much secret!',
+                wallet: {address: walletID, secret: 'pass phrase'}
+            }, '/home/user/.nahmii/config.yaml');
+        });
+
+        it('creates the keystore folder', () => {
+            expect(stubbedFs.mkdirSync).to.have.been.calledWith('/home/user/.nahmii/keystore');
+        });
+
+        it('does not prompt', () => {
+            expect(stubbedReadlineSync.question).not.to.have.been.called;
+        });
+    });
+
+    context('with environment variables and a template', () => {
+        beforeEach(() => {
+            process.env.NAHMII_APP_SECRET = 'env secret';
+            process.env.NAHMII_WALLET_PASSPHRASE = 'env pass phrase';
+            stubbedConfigFile.load.returns({
+                appId: 'template-app-id',
+                appSecret: 'template secret',
+                wallet: {address: walletID}
+            });
+            return proxyquireCommand().handler({from: 'template.yaml'});
+        });
+
+        it('prefers environment variables over the template and uses defaults for the rest', () => {
+            expect(stubbedConfigFile.write).to.have.been.calledWith({
+                apiRoot: 'api2.dev.hubii.net',
+                appId: 'template-app-id',
+                appSecret: 'env secret',
+                wallet: {address: walletID}
+            });
+        });
+
+        it('does not store the pass phrase from the environment', () => {
+            expect(stubbedConfigFile.write.firstCall.args[0].wallet).not.to.have.property('secret');
+        });
+    });
+
+    context('on a terminal', () => {
+        beforeEach(() => {
+            process.stdin.isTTY = true;
+            stubbedReadlineSync.question.withArgs(sinon.match(/^apiRoot/)).returns('');
+            stubbedReadlineSync.question.withArgs(sinon.match(/^appSecret/)).returns('prompted secret');
+            stubbedReadlineSync.question.withArgs(sinon.match(/^wallet pass phrase/)).returns('prompted pass phrase');
+            return proxyquireCommand().handler({appId: 'an-app-id', walletAddress: walletID});
+        });
+
+        it('prompts only for missing values', () => {
+            expect(stubbedReadlineSync.question).to.have.been.calledThrice;
+            expect(stubbedReadlineSync.question).not.to.have.been.calledWith(sinon.match(/^appId/));
+        });
+
+        it('hides secrets while typing', () => {
+            expect(stubbedReadlineSync.question).to.have.been.calledWith(sinon.match(/^appSecret/), {hideEchoBack: true});
+            expect(stubbedReadlineSync.question).to.have.been.calledWith(sinon.match(/^apiRoot/), {hideEchoBack: false});
+        });
+
+        it('writes the config file', () => {
+            expect(stubbedConfigFile.write).to.have.been.calledWith({
+                apiRoot: 'api2.dev.hubii.net',
+                appId: 'an-app-id',
+                appSecret: 'prompted secret',
+                wallet: {address: walletID, secret: 'prompted pass phrase'}
+            });
+        });
+    });
+
+    context('with a required value missing', () => {
+        it('yields an error without writing the config file', async () => {
+            await expect(proxyquireCommand().handler({appId: 'an-app-id', walletAddress: walletID}))
+                .to.be.rejectedWith(/missing value for appSecret.*--app-secret.*NAHMII_APP_SECRET/i);
+            expect(stubbedConfigFile.write).not.to.have.been.called;
+        });
+    });
+
+    context('with an invalid profile name', () => {
+        afterEach(() => {
+            delete process.env.NAHMII_PROFILE;
+        });
+
+        it('yields an error without writing the config file', async () => {
+            process.env.NAHMII_PROFILE = '../x';
+            const err = await proxyquireCommand().handler({appId: 'an-app-id', appSecret: 'a secret', walletAddress: walletID}).catch(err => err);
+            expect(err.message).to.match(/"\.\.\/x" is not a valid profile name/);
+            expect(err.code).to.equal('VALIDATION');
+            expect(stubbedConfigFile.write).not.to.have.been.called;
+        });
+    });
+
+    context('with an invalid wallet address', () => {
+        it('yields an error', () => {
+            process.env.NAHMII_APP_SECRET = 'env secret';
+            return expect(proxyquireCommand().handler({appId: 'an-app-id', walletAddress: '0x1234'}))
+                .to.be.rejectedWith(/invalid value for wallet.address/i);
+        });
+    });
+
+    context('with --force and an existing config file', () => {
+        const options = {
+            apiRoot: 'api.nahmii.io',
+            appId: 'new-app-id',
+            appSecret: 'new secret',
+            walletAddress: walletID
+        };
+
+        beforeEach(() => {
+            stubbedFs.existsSync.withArgs('/home/user/.nahmii/config.yaml').returns(true);
+            stubbedConfigFile.read.returns({
+                apiRoot: 'api2.dev.hubii.net',
+                appId: 'old-app-id',
+                appSecret: 'old secret',
+                wallet: {mnemonic: 'mnemonic.json'},
+                explorerUrl: 'https://explorer.example.com/tx/{hash}',
+                defaultProfile: 'test',
+                profiles: {test: {apiRoot: 'api.test.nahmii.io'}}
+            });
+        });
+
+        it('refuses to overwrite the config file without --force', async () => {
+            await expect(proxyquireCommand().handler(options)).to.be.rejectedWith(/already exists/);
+            expect(stubbedConfigFile.write).not.to.have.been.called;
+        });
+
+        it('replaces the settings of the default profile', async () => {
+            await proxyquireCommand().handler({...options, force: true});
+            const config = stubbedConfigFile.write.lastCall.args[0];
+            expect(config).to.include({apiRoot: 'api.nahmii.io', appId: 'new-app-id', appSecret: 'new secret'});
+            expect(config.wallet).to.eql({address: walletID});
+        });
+
+        it('keeps the profiles, the default profile and other settings', async () => {
+            await proxyquireCommand().handler({...options, force: true});
+            expect(stubbedConfigFile.write.lastCall.args[0]).to.deep.include({
+                explorerUrl: 'https://explorer.example.com/tx/{hash}',
+                defaultProfile: 'test',
+                profiles: {test: {apiRoot: 'api.test.nahmii.io'}}
+            });
+        });
+    });
+});
@@ -1,53 +1,265 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
 const dbg = require('../dbg');
 const nahmii = require('nahmii-sdk');
-const prefix0x = nahmii.utils.prefix0x;
 const ethers = require('ethers');
+const ora = require('ora');
+const output = require('../output');
+const payments = require('../payments');
+const paymentBatch = require('../payment-batch');
+const paymentRequest = require('../payment-request');
+const {confirm} = require('../confirm');
+const {wrap, CliError, ValidationError} = require('../errors');
 
 module.exports = {
-    command: 'pay <amount> <currency> to <recipient>',
-    describe: 'Send <amount> of <currency> from your current wallet to the <recipient>\'s wallet',
-    builder: {},
+    command: 'pay [amount] [currency] [to] [recipient]',
+    describe: 'Send <amount> of <currency> from your current wallet to the <recipient>\'s wallet, given as an address or contact name',
+    builder: yargs => {
+        yargs.usage('$0 pay <amount> <currency> to <recipient>\n$0 pay --uri <uri>\n$0 pay --batch <file>');
+        yargs.example('pay 100 HBT to 0x1234567890123456789012345678901234567890', 'Pays 100 HBT to the given wallet.');
+        yargs.example('pay 100 HBT to alice --reference "invoice 1001"', 'Pays alice and records the reference with the payment.');
+        yargs.example('pay 100 HBT to alice', 'Pays 100 HBT to the contact alice, see "contacts add".');
+        yargs.example('pay all HBT to alice', 'Pays the whole nahmii balance of HBT to alice. Use max as well, or a percentage such as 50%.');
+        yargs.example('pay 100 HBT to alice --idempotency-key invoice-1001', 'Pays alice unless a payment with the same key was registered before, so it can be safely retried.');
+        yargs.example('pay 100 HBT to 0x1234567890123456789012345678901234567890 --dry-run', 'Shows the payment that would be signed, without signing or registering it.');
+        yargs.example('pay --uri "nahmii:0x1234567890123456789012345678901234567890?amount=100&currency=HBT&ref=invoice%201001"', 'Pays a payment request, as created with "request 100 HBT --reference \'invoice 1001\'".');
+        yargs.example('pay --batch payouts.csv', 'Pays every recipient listed in payouts.csv and writes the outcome to payouts.results.csv.');
+        yargs.option('reference', {
+            desc: 'Reference to attach to the payment, e.g. an invoice number. It is kept in a local journal and shown with the receipt by "show receipts".',
+            type: 'string'
+        });
+        yargs.option('idempotency-key', {
+            desc: 'Unique key of the payment. When a payment with the same key was registered before, its outcome is reported instead of paying again. With --batch, the rows are keyed by it and their content instead of by their content alone.',
+            type: 'string'
+        });
+        yargs.option('uri', {
+            desc: 'Payment request URI to pay, as created by "nahmii request"',
+            type: 'string'
+        });
+        yargs.option('batch', {
+            desc: 'CSV or JSON file with the columns recipient, amount, currency and, optionally, reference. Each payment is validated before any of them is sent.',
+            type: 'string'
+        });
+        yargs.option('results', {
+            desc: 'File to write the outcome of each batch payment to. Defaults to <batch>.results.csv or <batch>.results.json.',
+            type: 'string'
+        });
+        yargs.option('dry-run', {
+            desc: 'Validate the payment and show the payload that would be signed, without signing or registering it.',
+            type: 'boolean',
+            default: false
+        });
+        yargs.conflicts('batch', ['reference', 'uri']);
+        yargs.conflicts('uri', 'reference');
+        yargs.coerce('amount', arg => arg); // Coerce it to remain a string
+    },
     handler: async (argv) => {
-        const config = require('../config');
-        const provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
-        const privateKey = await config.privateKey(config.wallet.secret);
-        const wallet = new nahmii.Wallet(privateKey, provider);
+        if (argv.batch)
+            return payBatch(argv);
+
+        if (argv.uri) {
+            if (argv.amount || argv.currency || argv.recipient)
+                throw new ValidationError('Give either a payment request URI or the amount, currency and recipient, not both');
+            argv = {...argv, ...paymentRequest.fromUri(argv.uri)};
+        }
 
+        const usage = 'Usage: pay <amount> <currency> to <recipient>, pay --uri <uri> or pay --batch <file>';
+        if (!argv.amount || !argv.currency || !argv.recipient)
+            throw new ValidationError(usage);
+        // yargs takes any word in the place of "to"
+        if (argv.to !== undefined && argv.to !== 'to')
+            throw new ValidationError(`Expected "to" before the recipient, not "${argv.to}". ${usage}`);
+
+        const config = require('../config');
+        let provider;
         try {
-            const currencyDefinition = await getCurrencyBySymbol(provider, argv.currency);
-            const currency = prefix0x(currencyDefinition.currency);
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const sender = await config.address();
+            const prepared = await payments.preparePayment(provider, argv, sender);
 
-            const amount = nahmii.MonetaryAmount.from(ethers.utils.parseUnits(argv.amount, currencyDefinition.decimals), currency);
-            const recipient = prefix0x(argv.recipient);
-            const sender = prefix0x(config.wallet.address);
+            if (argv.idempotencyKey !== undefined) {
+                const earlier = await payments.findIdempotentPayment(provider, sender, argv.idempotencyKey, prepared, {profile: config.profile});
+                if (earlier) {
+                    console.error(`Payment with idempotency key "${argv.idempotencyKey}" was registered before and is ${earlier.status}, not paying again`);
+                    output.print(earlier);
+                    return;
+                }
+            }
 
-            const payment = new nahmii.Payment(amount, sender, recipient, wallet);
-            await payment.sign();
+            await warnAboutNewRecipients(provider, sender, [prepared]);
 
-            const response = await payment.register();
-            console.log(JSON.stringify(response));
+            if (argv.dryRun) {
+                const wallet = new nahmii.Wallet(payments.watchOnlySigner(sender), provider);
+                output.print(await payments.previewPayment(wallet, sender, prepared));
+                return;
+            }
+
+            await confirm(provider, {
+                action: 'Payment',
+                amount: ethers.utils.formatUnits(prepared.amountBN, prepared.currency.decimals),
+                currency: prepared.currency.symbol,
+                recipient: prepared.recipient
+            }, argv);
+
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
+            const response = await payments.sendPayment(wallet, sender, prepared, {idempotencyKey: argv.idempotencyKey, profile: config.profile});
+            output.print(response);
         }
         catch (err) {
             dbg(err);
-            throw new Error(`Payment failed: ${err.message}`);
+            throw wrap(err, 'Payment failed');
         }
         finally {
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
 
-async function getCurrencyBySymbol(provider, symbol) {
-    if (symbol.toUpperCase() === 'ETH') {
-        return {
-            currency: prefix0x('00'.repeat(20)),
-            decimals: 18,
-            symbol: 'ETH'
-        };
+async function warnAboutNewRecipients(provider, sender, prepared) {
+    let recipients;
+    try {
+        recipients = await payments.newRecipients(provider, sender, prepared);
+    }
+    catch (err) {
+        // Only a precaution, so not being able to check is no reason to stop
+        dbg(err);
+        return;
+    }
+    for (const recipient of recipients)
+        console.error(`WARNING: ${recipient} does not appear in any of your receipts. Make sure it is the right recipient.`);
+}
+
+async function prepareBatch(provider, rows, sender) {
+    const prepared = [];
+    const invalid = [];
+    for (const row of rows) {
+        try {
+            prepared.push(await payments.preparePayment(provider, row, sender));
+        }
+        catch (err) {
+            if (!(err instanceof ValidationError))
+                throw err;
+            invalid.push({row: row.row, message: err.message});
+        }
+    }
+
+    if (invalid.length) {
+        const summary = invalid.map(i => `row ${i.row}: ${i.message}`).join('; ');
+        throw new ValidationError(`Batch file has ${invalid.length} invalid payment(s): ${summary}`, {invalid});
+    }
+    return prepared;
+}
+
+async function payBatch(argv) {
+    const file = path.resolve(argv.batch);
+    const resultsFile = argv.results ? path.resolve(argv.results) : paymentBatch.resultsFile(file);
+    const rows = paymentBatch.read(file);
+    if (!rows.length)
+        throw new ValidationError(`Batch file has no payments: ${file}`, {file});
+    const keys = paymentBatch.idempotencyKeys(rows, argv.idempotencyKey !== undefined ? argv.idempotencyKey : 'batch');
+    rows.forEach((row, i) => {
+        row.idempotencyKey = keys[i];
+    });
+    if (!argv.dryRun && fs.existsSync(resultsFile))
+        console.error(`WARNING: ${resultsFile} holds the results of an earlier run and is replaced. Rows paid before are reported with their status and not paid again.`);
+
+    const config = require('../config');
+    let provider;
+    const spinner = ora();
+    try {
+        provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+        const sender = await config.address();
+        const watchOnlyWallet = new nahmii.Wallet(payments.watchOnlySigner(sender), provider);
+
+        spinner.start(`Validating ${rows.length} payment(s)`);
+        const prepared = await prepareBatch(provider, rows, sender);
+        const earlier = await findEarlierPayments(provider, sender, rows, prepared, config.profile);
+        const pending = rows.map((row, i) => ({row, prepared: prepared[i]})).filter((p, i) => !earlier[i]);
+        await payments.checkBalance(watchOnlyWallet, pending.map(p => p.prepared));
+        spinner.succeed(`Validated ${rows.length} payment(s)`);
+        for (let i = 0; i < rows.length; i++) {
+            if (earlier[i])
+                console.error(`Payment in row ${rows[i].row} was registered before and is ${earlier[i].status}, not paying again`);
+        }
+        await warnAboutNewRecipients(provider, sender, pending.map(p => p.prepared));
+
+        if (argv.dryRun) {
+            const previews = [];
+            for (const p of pending)
+                previews.push({row: p.row.row, ...await payments.previewPayment(watchOnlyWallet, sender, p.prepared)});
+            output.print(previews, {columns: ['row', 'sender', 'recipient', 'amount', 'symbol', 'currency', 'reference']});
+            return;
+        }
+
+        let wallet;
+        const results = rows.map((row, i) => earlier[i] ? {...describeRow(row), status: earlier[i].status, hash: earlier[i].hash} : undefined);
+        if (pending.length) {
+            await confirm(provider, {
+                action: `Batch of ${pending.length} payment(s)`,
+                amount: batchTotals(pending.map(p => p.prepared)),
+                recipient: `${new Set(pending.map(p => p.prepared.recipient.toLowerCase())).size} recipient(s)`
+            }, argv);
+            wallet = new nahmii.Wallet(await config.signer(), provider);
+        }
+
+        for (let i = 0; i < pending.length; i++) {
+            const {row} = pending[i];
+            spinner.start(`Paying ${row.amount} ${row.currency} to ${row.recipient} (${i + 1}/${pending.length})`);
+            let result;
+            try {
+                const response = await payments.sendPayment(wallet, sender, pending[i].prepared, {idempotencyKey: row.idempotencyKey, profile: config.profile});
+                result = {...describeRow(row), status: 'registered', hash: payments.registeredHash(response), response};
+                spinner.succeed();
+            }
+            catch (err) {
+                dbg(err);
+                result = {...describeRow(row), status: 'failed', error: err.message};
+                spinner.fail(`Payment in row ${row.row} failed: ${err.message}`);
+            }
+            // Written after each payment, so an interrupted run still tells what was paid
+            results[rows.indexOf(row)] = result;
+            paymentBatch.writeResults(resultsFile, results.filter(r => r));
+        }
+        if (!pending.length)
+            paymentBatch.writeResults(resultsFile, results);
+
+        const failed = results.filter(r => r.status === 'failed').length;
+        output.print({total: results.length, registered: results.length - failed, failed, results: resultsFile});
+        if (failed)
+            throw new CliError(`${failed} of ${results.length} payment(s) failed, see ${resultsFile}`, 'GENERAL', {failed, results: resultsFile});
+    }
+    catch (err) {
+        dbg(err);
+        spinner.stop();
+        throw wrap(err, 'Batch payment failed');
     }
+    finally {
+        if (provider)
+            provider.stopUpdate();
+    }
+}
 
-    const tokens = await provider.getSupportedTokens();
-    return tokens.find(t => t.symbol.toUpperCase() === symbol.toUpperCase());
+async function findEarlierPayments(provider, sender, rows, prepared, profile) {
+    const earlier = [];
+    for (let i = 0; i < rows.length; i++)
+        earlier.push(await payments.findIdempotentPayment(provider, sender, rows[i].idempotencyKey, prepared[i], {profile}));
+    return earlier;
+}
+
+function describeRow({row, recipient, amount, currency, reference}) {
+    return {row, recipient, amount, currency, reference};
+}
+
+function batchTotals(prepared) {
+    const totals = new Map();
+    for (const p of prepared) {
+        const total = totals.get(p.currency.symbol) || {decimals: p.currency.decimals, amount: ethers.utils.bigNumberify(0)};
+        total.amount = total.amount.add(p.amountBN);
+        totals.set(p.currency.symbol, total);
+    }
+    return [...totals].map(([symbol, total]) => `${ethers.utils.formatUnits(total.amount, total.decimals)} ${symbol}`).join(', ');
 }
@@ -5,15 +5,23 @@ const sinon = require('sinon');
 const sinonChai = require('sinon-chai');
 const expect = chai.expect;
 chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 
 const ethers = require('ethers');
+const paymentBatch = require('../payment-batch');
+const {CancelledError} = require('../errors');
 
 const walletID = '0x1234567890123456789012345678901234567890';
 const walletID2 = '0x1234567890123456789012345678901234567891';
 
 const stubbedPayment = sinon.stub();
+stubbedPayment.from = sinon.stub();
 const stubbedMonetaryAmount = {
     from: sinon.stub()
 };
@@ -36,7 +44,9 @@ const stubbedConfig = {
         address: walletID2,
         secret: 'expected secret'
     },
-    privateKey: sinon.stub(),
+    signer: sinon.stub(),
+    address: () => Promise.resolve(stubbedConfig.wallet.address),
+    profile: 'default',
     apiRoot: 'some-api-root',
     appId: 'an-app-id',
     appSecret: 'much secret!'
@@ -50,26 +60,58 @@ fakeNahmiiProvider.from = sinon.stub();
 
 const stubbedProviderInstance = {
     getSupportedTokens: sinon.stub(),
+    getWalletReceipts: sinon.stub(),
+    getPendingPayments: sinon.stub(),
     stopUpdate: sinon.stub()
 };
 stubbedProviderInstance.reset = function() {
     this.getSupportedTokens.reset();
+    this.getWalletReceipts.reset();
+    this.getPendingPayments.reset();
     this.stopUpdate.reset();
 }.bind(stubbedProviderInstance);
 
 const stubbedWallet = {};
 
+const stubbedOra = {
+    start: sinon.stub(),
+    succeed: sinon.stub(),
+    fail: sinon.stub(),
+    stop: sinon.stub()
+};
+
+const stubbedConfirm = sinon.stub();
+
+const stubbedJournal = {
+    record: sinon.stub(),
+    findByIdempotencyKey: sinon.stub()
+};
+
+const stubbedContacts = {
+    resolve: recipient => recipient === 'alice' ? walletID : recipient
+};
+
 function proxyquireCommand() {
+    const stubbedNahmii = {
+        NahmiiProvider: fakeNahmiiProvider,
+        Payment: stubbedPayment,
+        Wallet: function() {
+            return stubbedWallet;
+        },
+        MonetaryAmount: stubbedMonetaryAmount,
+        utils: require('nahmii-sdk').utils
+    };
     return proxyquire('./pay', {
-        'nahmii-sdk': {
-            NahmiiProvider: fakeNahmiiProvider,
-            Payment: stubbedPayment,
-            Wallet: function() {
-                return stubbedWallet;
-            },
-            MonetaryAmount: stubbedMonetaryAmount,
-            utils: require('nahmii-sdk').utils
+        'nahmii-sdk': stubbedNahmii,
+        'ora': function() {
+            return stubbedOra;
         },
+        '../payments': proxyquire('../payments', {
+            'nahmii-sdk': stubbedNahmii,
+            './contacts': stubbedContacts,
+            './journal': stubbedJournal
+        }),
+        '../confirm': {confirm: stubbedConfirm},
         '../config': stubbedConfig
     });
 }
@@ -79,10 +121,16 @@ describe('Pay command', () => {
     let fakePayment, fakeMoney;
 
     beforeEach(() => {
+        stubbedConfirm.resolves();
         sinon.stub(console, 'log');
+        sinon.stub(console, 'error');
+        stubbedProviderInstance.getWalletReceipts.resolves([
+            {nonce: 1, sender: {wallet: walletID2}, recipient: {wallet: walletID}}
+        ]);
         fakePayment = {
             sign: sinon.stub(),
-            register: sinon.stub()
+            register: sinon.stub(),
+            toJSON: sinon.stub().returns({})
         };
         fakePayment.sign.resolves();
         fakePayment.register.resolves(registeredPayment);
@@ -93,14 +141,19 @@ describe('Pay command', () => {
     });
 
     afterEach(() => {
+        stubbedConfirm.reset();
         stubbedProviderInstance.reset();
         stubbedPayment.reset();
-        stubbedConfig.privateKey.reset();
+        stubbedPayment.from.reset();
+        stubbedConfig.signer.reset();
         console.log.restore();
+        console.error.restore();
+        stubbedJournal.record.reset();
+        stubbedJournal.findByIdempotencyKey.reset();
     });
 
     context(`pay 1000 HBT to ${walletID}`, () => {
-        const expectedPrivateKey = 'a private key';
+        const expectedSigner = 'a private key';
 
         beforeEach(async () => {
             const cmd = proxyquireCommand().handler;
@@ -120,9 +173,8 @@ describe('Pay command', () => {
                     stubbedWallet
                 )
                 .returns(fakePayment);
-            stubbedConfig.privateKey
-                .withArgs(stubbedConfig.wallet.secret)
-                .resolves(expectedPrivateKey);
+            stubbedConfig.signer
+                .resolves(expectedSigner);
             await cmd({
                 amount: '1000',
                 currency: 'HBT',
@@ -130,6 +182,15 @@ describe('Pay command', () => {
             });
         });
 
+        it('asks for confirmation of the payment', () => {
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, {
+                action: 'Payment',
+                amount: '1000.0',
+                currency: 'HBT',
+                recipient: walletID
+            });
+        });
+
         it('signs the payment', () => {
             expect(fakePayment.sign).to.have.been.calledOnce;
         });
@@ -148,7 +209,7 @@ describe('Pay command', () => {
     });
 
     context(`pay 1.1 ETH to ${walletID}`, () => {
-        const expectedPrivateKey = 'a private key';
+        const expectedSigner = 'a private key';
 
         beforeEach(async () => {
             const cmd = proxyquireCommand().handler;
@@ -163,9 +224,8 @@ describe('Pay command', () => {
                     walletID,
                     stubbedWallet
                 ).returns(fakePayment);
-            stubbedConfig.privateKey
-                .withArgs(stubbedConfig.wallet.secret)
-                .resolves(expectedPrivateKey);
+            stubbedConfig.signer
+                .resolves(expectedSigner);
             await cmd({
                 amount: '1.1',
                 currency: 'ETH',
@@ -189,4 +249,730 @@ describe('Pay command', () => {
             expect(stubbedProviderInstance.stopUpdate).to.have.been.called;
         });
     });
-});
\ No newline at end of file
+
+    context('pay 1000 HBT to alice', () => {
+        it('pays the address of the contact', async () => {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt]);
+            stubbedMonetaryAmount.from.returns(fakeMoney);
+            stubbedPayment.returns(fakePayment);
+            stubbedConfig.signer.resolves('a private key');
+            await proxyquireCommand().handler({
+                amount: '1000',
+                currency: 'HBT',
+                recipient: 'alice'
+            });
+            expect(stubbedPayment).to.have.been.calledWith(fakeMoney, walletID2, walletID);
+            expect(fakePayment.register).to.have.been.calledOnce;
+        });
+
+        it('yields an error for unknown contacts', async () => {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt]);
+            const err = await proxyquireCommand().handler({
+                amount: '1000',
+                currency: 'HBT',
+                recipient: 'bob'
+            }).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(err.message).to.match(/"bob" is neither an address nor a known contact/);
+        });
+    });
+
+    context(`pay --uri nahmii:${walletID}?amount=1000&currency=HBT&ref=invoice%201001`, () => {
+        const uri = `nahmii:${walletID}?amount=1000&currency=HBT&ref=invoice%201001`;
+        const hash = '0x' + 'ab'.repeat(32);
+
+        function pay(args) {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt]);
+            stubbedMonetaryAmount.from
+                .withArgs(ethers.utils.parseUnits('1000', testCurrency.hbt.decimals), testCurrency.hbt.currency)
+                .returns(fakeMoney);
+            stubbedPayment.withArgs(fakeMoney, walletID2, walletID, stubbedWallet).returns(fakePayment);
+            stubbedConfig.signer.resolves('a private key');
+            fakePayment.toJSON.returns({seals: {wallet: {hash}}});
+            return proxyquireCommand().handler({uri, ...args});
+        }
+
+        it('pays the requested amount to the requested recipient', async () => {
+            await pay();
+            expect(fakePayment.register).to.have.been.calledOnce;
+        });
+
+        it('asks for confirmation of the requested payment', async () => {
+            await pay();
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, sinon.match({
+                action: 'Payment',
+                amount: '1000.0',
+                currency: 'HBT',
+                recipient: walletID
+            }));
+        });
+
+        it('records the reference of the request in the journal', async () => {
+            await pay();
+            expect(stubbedJournal.record).to.have.been.calledWith(hash, sinon.match({reference: 'invoice 1001'}));
+        });
+
+        it('rejects an amount, currency or recipient next to the URI', async () => {
+            const err = await pay({amount: '2000'}).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(fakePayment.sign).not.to.have.been.called;
+        });
+
+        it('rejects requests for the whole or a percentage of the balance', async () => {
+            for (const amount of ['all', 'max', '50%25']) {
+                const err = await proxyquireCommand().handler({uri: `nahmii:${walletID}?amount=${amount}&currency=HBT`}).catch(err => err);
+                expect(err.code, amount).to.equal('VALIDATION');
+                expect(err.message).to.match(/must be for a fixed amount/);
+            }
+            expect(fakePayment.sign).not.to.have.been.called;
+        });
+
+        it('rejects URIs that are not payment requests', async () => {
+            const err = await proxyquireCommand().handler({uri: `ethereum:${walletID}`}).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(err.message).to.match(/is not a payment request/);
+        });
+    });
+
+    context(`pay 1000 HBT to ${walletID} --reference "invoice 1001"`, () => {
+        const hash = '0x' + 'ab'.repeat(32);
+
+        function pay(reference) {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt]);
+            stubbedMonetaryAmount.from.returns(fakeMoney);
+            stubbedPayment.returns(fakePayment);
+            stubbedConfig.signer.resolves('a private key');
+            fakePayment.toJSON.returns({seals: {wallet: {hash}}});
+            fakePayment.register.resolves({seals: {wallet: {hash}}});
+            return proxyquireCommand().handler({amount: '1000', currency: 'HBT', recipient: walletID, reference});
+        }
+
+        it('records the reference in the journal by the hash of the signed payment', async () => {
+            await pay('invoice 1001');
+            expect(stubbedJournal.record).to.have.been.calledWith(hash, sinon.match({
+                sender: walletID2,
+                recipient: walletID,
+                amount: '1000.0',
+                currency: 'HBT',
+                reference: 'invoice 1001'
+            }));
+        });
+
+        it('records the payment before registering it', async () => {
+            await pay('invoice 1001');
+            expect(stubbedJournal.record.firstCall).to.have.been.calledWith(hash, sinon.match({status: 'signed'}));
+            expect(stubbedJournal.record).to.have.been.calledBefore(fakePayment.register);
+            expect(stubbedJournal.record.secondCall).to.have.been.calledWith(hash, sinon.match({status: 'registered'}));
+        });
+
+        it('rejects references that are too long', async () => {
+            const err = await pay('x'.repeat(257)).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(fakePayment.sign).not.to.have.been.called;
+        });
+    });
+
+    context(`pay 1000 HBT to ${walletID} --idempotency-key invoice-1001`, () => {
+        const hash = '0x' + 'ab'.repeat(32);
+        const earlierAttempt = {
+            hash,
+            recipient: walletID,
+            amount: '1000.0',
+            currency: 'HBT',
+            idempotencyKey: 'invoice-1001',
+            status: 'signed',
+            payload: {seals: {wallet: {hash}}}
+        };
+
+        beforeEach(() => {
+            stubbedProviderInstance.getPendingPayments.resolves([]);
+        });
+
+        function pay(amount = '1000') {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt]);
+            stubbedMonetaryAmount.from.returns(fakeMoney);
+            stubbedPayment.returns(fakePayment);
+            stubbedConfig.signer.resolves('a private key');
+            fakePayment.toJSON.returns({seals: {wallet: {hash: '0x' + 'cd'.repeat(32)}}});
+            return proxyquireCommand().handler({amount, currency: 'HBT', recipient: walletID, idempotencyKey: 'invoice-1001'});
+        }
+
+        it('records the key with the signed payment before registering it', async () => {
+            await pay();
+            expect(stubbedJournal.record.firstCall).to.have.been.calledWith('0x' + 'cd'.repeat(32), sinon.match({
+                idempotencyKey: 'invoice-1001',
+                profile: 'default',
+                status: 'signed',
+                payload: {seals: {wallet: {hash: '0x' + 'cd'.repeat(32)}}}
+            }));
+            expect(stubbedJournal.record).to.have.been.calledBefore(fakePayment.register);
+        });
+
+        it('looks up the key for the wallet in the active profile only', async () => {
+            await pay();
+            expect(stubbedJournal.findByIdempotencyKey).to.have.been.calledWith('invoice-1001', {profile: 'default', sender: walletID2});
+        });
+
+        it('reports a pending payment with the same key instead of paying again', async () => {
+            const pending = {seals: {wallet: {hash}}};
+            stubbedJournal.findByIdempotencyKey.withArgs('invoice-1001').returns(earlierAttempt);
+            stubbedProviderInstance.getPendingPayments.resolves([{seals: {wallet: {hash: '0x00'}}}, pending]);
+            await pay();
+            expect(fakePayment.sign).not.to.have.been.called;
+            expect(stubbedConfirm).not.to.have.been.called;
+            expect(JSON.parse(console.log.lastCall.args[0])).to.eql({
+                idempotencyKey: 'invoice-1001',
+                status: 'pending',
+                hash,
+                payment: pending
+            });
+        });
+
+        it('reports an executed payment with the same key instead of paying again', async () => {
+            const receipt = {nonce: 2, seals: {wallet: {hash: hash.toUpperCase().replace('0X', '0x')}}};
+            stubbedJournal.findByIdempotencyKey.withArgs('invoice-1001').returns(earlierAttempt);
+            stubbedProviderInstance.getWalletReceipts.resolves([
+                {nonce: 1, sender: {wallet: walletID2}, recipient: {wallet: walletID}},
+                receipt
+            ]);
+            await pay();
+            expect(fakePayment.sign).not.to.have.been.called;
+            expect(JSON.parse(console.log.lastCall.args[0])).to.include({status: 'executed', hash});
+        });
+
+        it('registers the payment signed before when it never reached the API', async () => {
+            const signedBefore = {register: sinon.stub().resolves(registeredPayment), toJSON: () => earlierAttempt.payload};
+            stubbedJournal.findByIdempotencyKey.withArgs('invoice-1001').returns(earlierAttempt);
+            stubbedPayment.from.withArgs(earlierAttempt.payload, stubbedWallet).returns(signedBefore);
+            await pay();
+            expect(fakePayment.sign).not.to.have.been.called;
+            expect(signedBefore.register).to.have.been.calledOnce;
+            expect(stubbedJournal.record).to.have.been.calledOnceWith(hash, sinon.match({status: 'registered'}));
+            expect(JSON.parse(console.log.lastCall.args[0])).to.eql(registeredPayment);
+        });
+
+        it('refuses to pay again when the payment registered before is neither pending nor executed', async () => {
+            stubbedJournal.findByIdempotencyKey.withArgs('invoice-1001').returns({...earlierAttempt, status: 'registered'});
+            const err = await pay().catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(err.message).to.match(/was registered before, but is neither pending nor executed/);
+            expect(stubbedConfirm).not.to.have.been.called;
+            expect(fakePayment.sign).not.to.have.been.called;
+            expect(fakePayment.register).not.to.have.been.called;
+        });
+
+        it('reports the earlier payment of a relative amount, as the balance has changed since', async () => {
+            stubbedJournal.findByIdempotencyKey.withArgs('invoice-1001').returns(earlierAttempt);
+            stubbedProviderInstance.getPendingPayments.resolves([{seals: {wallet: {hash}}}]);
+            stubbedWallet.getNahmiiBalance = sinon.stub().resolves({HBT: '500'});
+            try {
+                await pay('all');
+            }
+            finally {
+                delete stubbedWallet.getNahmiiBalance;
+            }
+            expect(fakePayment.sign).not.to.have.been.called;
+            expect(JSON.parse(console.log.lastCall.args[0])).to.include({status: 'pending', hash});
+        });
+
+        it('rejects a key that was used for another payment', async () => {
+            stubbedJournal.findByIdempotencyKey.withArgs('invoice-1001').returns(earlierAttempt);
+            const err = await pay('2000').catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(err.message).to.match(/was used for another payment, of 1000.0 HBT/);
+            expect(fakePayment.sign).not.to.have.been.called;
+        });
+    });
+
+    context('pay all HBT and pay 50% HBT', () => {
+        beforeEach(() => {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt]);
+            stubbedMonetaryAmount.from.returns(fakeMoney);
+            stubbedPayment.returns(fakePayment);
+            stubbedConfig.signer.resolves('a private key');
+            stubbedWallet.getNahmiiBalance = sinon.stub().resolves({HBT: '1234.567890123456789'});
+        });
+
+        afterEach(() => {
+            delete stubbedWallet.getNahmiiBalance;
+        });
+
+        function pay(amount) {
+            return proxyquireCommand().handler({amount, currency: 'HBT', recipient: walletID});
+        }
+
+        it('pays the whole nahmii balance for all', async () => {
+            await pay('all');
+            expect(stubbedMonetaryAmount.from).to.have.been.calledWith(
+                ethers.utils.parseUnits('1234.567890123456789', testCurrency.hbt.decimals),
+                testCurrency.hbt.currency
+            );
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, sinon.match({amount: '1234.567890123456789'}));
+        });
+
+        it('pays the whole nahmii balance for max', async () => {
+            await pay('max');
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, sinon.match({amount: '1234.567890123456789'}));
+        });
+
+        it('pays a percentage of the nahmii balance, rounded down', async () => {
+            await pay('50%');
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, sinon.match({amount: '617.283945061728394'}));
+        });
+
+        it('fails when there is no balance', async () => {
+            stubbedWallet.getNahmiiBalance.resolves({});
+            const err = await pay('all').catch(err => err);
+            expect(err.code).to.equal('INSUFFICIENT_FUNDS');
+            expect(fakePayment.sign).not.to.have.been.called;
+        });
+    });
+
+    context('recipient validation', () => {
+        function pay(recipient) {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt]);
+            stubbedMonetaryAmount.from.returns(fakeMoney);
+            stubbedPayment.returns(fakePayment);
+            stubbedConfig.signer.resolves('a private key');
+            return proxyquireCommand().handler({amount: '1000', currency: 'HBT', recipient});
+        }
+
+        async function expectRejected(recipient, message) {
+            const err = await pay(recipient).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(err.message).to.match(message);
+            expect(fakePayment.sign).not.to.have.been.called;
+        }
+
+        it('rejects truncated addresses', () => {
+            return expectRejected(walletID.slice(0, -1), /has 39 hex digits instead of 40/);
+        });
+
+        it('rejects addresses with other characters than hex digits', () => {
+            return expectRejected('0x' + 'z'.repeat(40), /may only contain the hex digits/);
+        });
+
+        it('rejects mixed case addresses with a wrong checksum', () => {
+            return expectRejected('0xAbcDeF7890123456789012345678901234567890', /does not match its checksum/);
+        });
+
+        it('refuses to pay yourself', () => {
+            return expectRejected(walletID2, /can not pay yourself/);
+        });
+
+        it('pays checksummed addresses in their checksummed form', async () => {
+            const checksummed = '0xABcDeF7890123456789012345678901234567890';
+            await pay(checksummed.toLowerCase());
+            expect(stubbedPayment).to.have.been.calledWith(fakeMoney, walletID2, checksummed);
+        });
+
+        it('warns about recipients that do not appear in any receipt', async () => {
+            const stranger = '0x' + '22'.repeat(20);
+            await pay(stranger);
+            expect(console.error).to.have.been.calledWith(sinon.match(`${stranger} does not appear in any of your receipts`));
+            expect(fakePayment.register).to.have.been.calledOnce;
+        });
+
+        it('does not warn about earlier counterparties', async () => {
+            await pay(walletID);
+            expect(console.error).not.to.have.been.calledWith(sinon.match(/does not appear/));
+        });
+
+        it('stops looking through the receipts once the recipient is found', async () => {
+            const page = Array.from({length: 100}, (_, i) => ({nonce: i, sender: {wallet: walletID2}, recipient: {wallet: walletID}}));
+            stubbedProviderInstance.getWalletReceipts.resolves(page);
+            await pay(walletID);
+            expect(stubbedProviderInstance.getWalletReceipts).to.have.been.calledOnce;
+        });
+
+        it('still pays when the receipts are not available', async () => {
+            stubbedProviderInstance.getWalletReceipts.rejects(new Error('Not authorized!'));
+            await pay(walletID);
+            expect(fakePayment.register).to.have.been.calledOnce;
+        });
+    });
+
+    context('pay 1000 HBT with another word than to', () => {
+        it('yields a usage error without paying', async () => {
+            const err = await proxyquireCommand().handler({amount: '1000', currency: 'HBT', to: 'from', recipient: walletID}).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(err.message).to.match(/^Expected "to" before the recipient, not "from". Usage: pay <amount> <currency> to <recipient>/);
+            expect(fakePayment.sign).not.to.have.been.called;
+        });
+
+        it('accepts to', async () => {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt]);
+            stubbedMonetaryAmount.from.returns(fakeMoney);
+            stubbedPayment.returns(fakePayment);
+            stubbedConfig.signer.resolves('a private key');
+            await proxyquireCommand().handler({amount: '1000', currency: 'HBT', to: 'to', recipient: walletID});
+            expect(fakePayment.register).to.have.been.calledOnce;
+        });
+    });
+
+    context(`pay 1000 HBT to ${walletID} when declined`, () => {
+        it('yields an error without unlocking the wallet or paying', async () => {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt]);
+            stubbedConfirm.rejects(new CancelledError('Payment cancelled'));
+            const err = await proxyquireCommand().handler({
+                amount: '1000',
+                currency: 'HBT',
+                recipient: walletID
+            }).catch(err => err);
+            expect(err.code).to.equal('CANCELLED');
+            expect(stubbedConfig.signer).not.to.have.been.called;
+            expect(stubbedPayment).not.to.have.been.called;
+        });
+    });
+
+    context(`pay 1000 HBT to ${walletID} --dry-run`, () => {
+        const payload = {
+            amount: ethers.utils.parseUnits('1000', testCurrency.hbt.decimals).toString(),
+            currency: {ct: testCurrency.hbt.currency, id: '0'},
+            sender: {wallet: walletID2},
+            recipient: {wallet: walletID}
+        };
+
+        function dryRun() {
+            return proxyquireCommand().handler({
+                amount: '1000',
+                currency: 'HBT',
+                recipient: walletID,
+                dryRun: true
+            });
+        }
+
+        beforeEach(() => {
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt, testCurrency.wtf]);
+            stubbedMonetaryAmount.from.returns(fakeMoney);
+            stubbedPayment.returns(fakePayment);
+            fakePayment.toJSON = sinon.stub().returns(payload);
+            stubbedWallet.getNahmiiBalance = sinon.stub().resolves({HBT: '1500'});
+        });
+
+        afterEach(() => {
+            delete stubbedWallet.getNahmiiBalance;
+        });
+
+        context('with a sufficient balance', () => {
+            beforeEach(dryRun);
+
+            it('does not unlock the wallet', () => {
+                expect(stubbedConfig.signer).not.to.have.been.called;
+            });
+
+            it('does not ask for confirmation', () => {
+                expect(stubbedConfirm).not.to.have.been.called;
+            });
+
+            it('neither signs nor registers the payment', () => {
+                expect(fakePayment.sign).not.to.have.been.called;
+                expect(fakePayment.register).not.to.have.been.called;
+            });
+
+            it('outputs the payload that would be signed', () => {
+                expect(console.log).to.have.been.calledWith(JSON.stringify({
+                    sender: walletID2,
+                    recipient: walletID,
+                    amount: payload.amount,
+                    currency: testCurrency.hbt.currency,
+                    symbol: 'HBT',
+                    decimals: testCurrency.hbt.decimals,
+                    balance: '1500',
+                    payload
+                }));
+            });
+
+            it('stops token refresh', () => {
+                expect(stubbedProviderInstance.stopUpdate).to.have.been.called;
+            });
+        });
+
+        context('with an insufficient balance', () => {
+            it('yields an insufficient funds error', async () => {
+                stubbedWallet.getNahmiiBalance.resolves({HBT: '999.99'});
+                const err = await dryRun().catch(err => err);
+                expect(err.code).to.equal('INSUFFICIENT_FUNDS');
+                expect(console.log).not.to.have.been.called;
+            });
+        });
+    });
+
+    context('pay --batch', () => {
+        let dir, batchFile, resultsFile;
+
+        function writeBatch(lines) {
+            fs.writeFileSync(batchFile, ['recipient,amount,currency,reference', ...lines].join('\n'));
+        }
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-pay-'));
+            batchFile = path.join(dir, 'payouts.csv');
+            resultsFile = path.join(dir, 'payouts.results.csv');
+            stubbedProviderInstance.getSupportedTokens.resolves([testCurrency.hbt, testCurrency.wtf]);
+            stubbedMonetaryAmount.from.returns(fakeMoney);
+            stubbedPayment.returns(fakePayment);
+            stubbedConfig.signer.resolves('a private key');
+            stubbedWallet.getNahmiiBalance = sinon.stub().resolves({HBT: '1000', ETH: '2'});
+        });
+
+        afterEach(() => {
+            fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+            fs.rmdirSync(dir);
+            delete stubbedWallet.getNahmiiBalance;
+        });
+
+        context('with valid payments', () => {
+            beforeEach(() => {
+                fakePayment.toJSON.returns({seals: {wallet: {hash: '0x' + 'cd'.repeat(32)}}});
+                writeBatch([
+                    `${walletID},600,HBT,invoice 1`,
+                    `${walletID},"1.5",ETH,`
+                ]);
+                return proxyquireCommand().handler({batch: batchFile});
+            });
+
+            it('asks for confirmation of the whole batch once', () => {
+                expect(stubbedConfirm).to.have.been.calledOnceWith(stubbedProviderInstance, {
+                    action: 'Batch of 2 payment(s)',
+                    amount: '600.0 HBT, 1.5 ETH',
+                    recipient: '1 recipient(s)'
+                });
+            });
+
+            it('unlocks the wallet once', () => {
+                expect(stubbedConfig.signer).to.have.been.calledOnce;
+            });
+
+            it('signs and registers every payment', () => {
+                expect(fakePayment.sign).to.have.been.calledTwice;
+                expect(fakePayment.register).to.have.been.calledTwice;
+            });
+
+            it('writes the outcome of every payment to the results file', () => {
+                const lines = fs.readFileSync(resultsFile, 'utf8').trim().split('\n');
+                expect(lines[0]).to.equal('row,recipient,amount,currency,reference,status,hash,error,response');
+                expect(lines[1]).to.match(new RegExp(`^1,${walletID},600,HBT,invoice 1,registered,`));
+                expect(lines[2]).to.match(new RegExp(`^2,${walletID},1.5,ETH,,registered,`));
+            });
+
+            it('outputs a summary', () => {
+                expect(console.log).to.have.been.calledWith(JSON.stringify({total: 2, registered: 2, failed: 0, results: resultsFile}));
+            });
+
+            it('gives every payment an idempotency key of what it pays', () => {
+                const keys = stubbedJournal.record.getCalls()
+                    .filter(call => call.args[1].status === 'signed')
+                    .map(call => call.args[1].idempotencyKey);
+                expect(keys).to.have.lengthOf(2);
+                expect(keys[0]).to.match(/^batch:[0-9a-f]{32}:1$/);
+                expect(keys[1]).to.match(/^batch:[0-9a-f]{32}:1$/);
+                expect(keys[1]).not.to.equal(keys[0]);
+            });
+        });
+
+        context('idempotency keys', () => {
+            function keysOf(lines) {
+                writeBatch(lines);
+                return paymentBatch.idempotencyKeys(paymentBatch.read(batchFile), 'batch');
+            }
+
+            it('keep the key of a row when other rows are added, removed or moved', () => {
+                const [first, second] = keysOf([`${walletID},600,HBT,`, `${walletID},300,HBT,`]);
+                expect(keysOf([`${walletID},100,ETH,`, `${walletID},300,HBT,`, `${walletID},600,HBT,`])).to.eql([
+                    keysOf([`${walletID},100,ETH,`])[0],
+                    second,
+                    first
+                ]);
+            });
+
+            it('tell repeated rows apart by their occurrence', () => {
+                const keys = keysOf([`${walletID},600,HBT,`, `${walletID},600,HBT,`]);
+                expect(keys[0]).to.match(/:1$/);
+                expect(keys[1]).to.equal(keys[0].replace(/1$/, '2'));
+            });
+
+            it('change with any column of a row', () => {
+                const keys = keysOf([`${walletID},600,HBT,`, `${walletID},600,HBT,invoice 1`, `${walletID},600,ETH,`, `${walletID},60,HBT,`]);
+                expect(new Set(keys).size).to.equal(4);
+            });
+        });
+
+        context('while paying', () => {
+            it('writes the outcome of each payment as soon as it is known', async () => {
+                writeBatch([
+                    `${walletID},1,HBT,`,
+                    `${walletID},2,HBT,`
+                ]);
+                let written;
+                fakePayment.register.onSecondCall().callsFake(async () => {
+                    written = fs.readFileSync(resultsFile, 'utf8').trim().split('\n');
+                    return registeredPayment;
+                });
+                await proxyquireCommand().handler({batch: batchFile});
+                expect(written).to.have.lengthOf(2);
+                expect(written[1]).to.match(/^1,.*,registered,/);
+            });
+        });
+
+        context('paid before', () => {
+            const hash = '0x' + 'ab'.repeat(32);
+
+            beforeEach(() => {
+                writeBatch([
+                    `${walletID},600,HBT,`,
+                    `${walletID},300,HBT,`
+                ]);
+                const [first] = paymentBatch.idempotencyKeys(paymentBatch.read(batchFile), 'batch');
+                stubbedJournal.findByIdempotencyKey.callsFake(key => key === first
+                    ? {hash, recipient: walletID, amount: '600.0', currency: 'HBT', idempotencyKey: key, status: 'signed'}
+                    : undefined);
+                stubbedProviderInstance.getPendingPayments.resolves([{seals: {wallet: {hash}}}]);
+            });
+
+            it('only pays the rows that were not paid before', async () => {
+                await proxyquireCommand().handler({batch: batchFile});
+                expect(fakePayment.register).to.have.been.calledOnce;
+                expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, sinon.match({action: 'Batch of 1 payment(s)', amount: '300.0 HBT'}));
+                const lines = fs.readFileSync(resultsFile, 'utf8').trim().split('\n');
+                expect(lines[1]).to.match(new RegExp(`^1,.*,pending,${hash},`));
+                expect(lines[2]).to.match(/^2,.*,registered,/);
+            });
+
+            it('pays nothing when every row was paid before', async () => {
+                const [first] = paymentBatch.idempotencyKeys(paymentBatch.read(batchFile), 'batch');
+                stubbedJournal.findByIdempotencyKey.callsFake(key => ({
+                    hash,
+                    recipient: walletID,
+                    amount: key === first ? '600.0' : '300.0',
+                    currency: 'HBT',
+                    idempotencyKey: key,
+                    status: 'signed'
+                }));
+                await proxyquireCommand().handler({batch: batchFile});
+                expect(stubbedConfirm).not.to.have.been.called;
+                expect(stubbedConfig.signer).not.to.have.been.called;
+                expect(console.log).to.have.been.calledWith(JSON.stringify({total: 2, registered: 2, failed: 0, results: resultsFile}));
+            });
+
+            it('recognizes the rows paid before after the file was edited', async () => {
+                writeBatch([
+                    `${walletID},300,HBT,`,
+                    `${walletID},600,HBT,`
+                ]);
+                await proxyquireCommand().handler({batch: batchFile});
+                const lines = fs.readFileSync(resultsFile, 'utf8').trim().split('\n');
+                expect(lines[1]).to.match(/^1,.*,registered,/);
+                expect(lines[2]).to.match(new RegExp(`^2,.*,pending,${hash},`));
+            });
+
+            it('warns that the results of the earlier run are replaced', async () => {
+                fs.writeFileSync(resultsFile, 'row,recipient\n');
+                await proxyquireCommand().handler({batch: batchFile});
+                expect(console.error).to.have.been.calledWith(sinon.match(/holds the results of an earlier run/));
+            });
+
+            it('pays the file again under another --idempotency-key', async () => {
+                await proxyquireCommand().handler({batch: batchFile, idempotencyKey: 'payouts-2026-10'});
+                const keys = stubbedJournal.findByIdempotencyKey.getCalls().map(call => call.args[0]);
+                expect(keys).to.have.lengthOf.at.least(2);
+                for (const key of keys)
+                    expect(key).to.match(/^payouts-2026-10:[0-9a-f]{32}:1$/);
+            });
+        });
+
+        context('with --dry-run', () => {
+            beforeEach(() => {
+                fakePayment.toJSON = sinon.stub().returns({sender: {wallet: walletID2}, recipient: {wallet: walletID}});
+                writeBatch([
+                    `${walletID},600,HBT,invoice 1`,
+                    `${walletID},"1.5",ETH,`
+                ]);
+                return proxyquireCommand().handler({batch: batchFile, dryRun: true});
+            });
+
+            it('neither unlocks the wallet nor pays anyone', () => {
+                expect(stubbedConfig.signer).not.to.have.been.called;
+                expect(fakePayment.sign).not.to.have.been.called;
+                expect(fakePayment.register).not.to.have.been.called;
+            });
+
+            it('does not write a results file', () => {
+                expect(fs.existsSync(resultsFile)).to.be.false;
+            });
+
+            it('outputs every payment that would be signed', () => {
+                const previews = JSON.parse(console.log.lastCall.args[0]);
+                expect(previews.map(p => [p.row, p.amount, p.symbol])).to.eql([
+                    [1, ethers.utils.parseUnits('600', testCurrency.hbt.decimals).toString(), 'HBT'],
+                    [2, ethers.utils.parseEther('1.5').toString(), 'ETH']
+                ]);
+            });
+        });
+
+        context('when declined', () => {
+            it('neither unlocks the wallet nor pays anyone', async () => {
+                writeBatch([`${walletID},600,HBT,`]);
+                stubbedConfirm.rejects(new CancelledError('Batch of 1 payment(s) cancelled'));
+                const err = await proxyquireCommand().handler({batch: batchFile}).catch(err => err);
+                expect(err.code).to.equal('CANCELLED');
+                expect(stubbedConfig.signer).not.to.have.been.called;
+                expect(fakePayment.sign).not.to.have.been.called;
+                expect(fs.existsSync(resultsFile)).to.be.false;
+            });
+        });
+
+        context('with an invalid payment', () => {
+            it('rejects the batch without paying anyone', async () => {
+                writeBatch([
+                    `${walletID},600,HBT,`,
+                    '0x1234,1,HBT,',
+                    `${walletID},1,FOO,`
+                ]);
+                const err = await proxyquireCommand().handler({batch: batchFile}).catch(err => err);
+                expect(err.code).to.equal('VALIDATION');
+                expect(err.message).to.match(/2 invalid payment\(s\): row 2: .* row 3: /);
+                expect(fakePayment.sign).not.to.have.been.called;
+            });
+        });
+
+        context('with payments exceeding the balance', () => {
+            it('rejects the batch without paying anyone', async () => {
+                writeBatch([
+                    `${walletID},600,HBT,`,
+                    `${walletID},600,HBT,`
+                ]);
+                const err = await proxyquireCommand().handler({batch: batchFile}).catch(err => err);
+                expect(err.code).to.equal('INSUFFICIENT_FUNDS');
+                expect(fakePayment.sign).not.to.have.been.called;
+            });
+        });
+
+        context('when a payment fails', () => {
+            let err;
+
+            beforeEach(async () => {
+                writeBatch([
+                    `${walletID},1,HBT,`,
+                    `${walletID},2,HBT,`
+                ]);
+                fakePayment.register.onFirstCall().rejects(new Error('Not authorized!'));
+                err = await proxyquireCommand().handler({batch: batchFile}).catch(err => err);
+            });
+
+            it('continues with the other payments', () => {
+                expect(fakePayment.register).to.have.been.calledTwice;
+            });
+
+            it('records the error in the results file', () => {
+                const lines = fs.readFileSync(resultsFile, 'utf8').trim().split('\n');
+                expect(lines[1]).to.match(/^1,.*,failed,,Not authorized!,$/);
+                expect(lines[2]).to.match(/^2,.*,registered,/);
+            });
+
+            it('yields an error', () => {
+                expect(err.message).to.match(/1 of 2 payment\(s\) failed/);
+            });
+        });
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const dbg = require('../../dbg');
+const output = require('../../output');
+const utils = require('../../utils');
+const payments = require('../../payments');
+const contacts = require('../../contacts');
+const journal = require('../../journal');
+const ledger = require('../../ledger');
+const statement = require('../../statement');
+const prices = require('../../prices');
+const {wrap, ValidationError} = require('../../errors');
+
+module.exports = {
+    command: 'statement',
+    describe: 'Show the statement of a month in a currency, with the opening, running and closing balances and the totals by counterparty',
+    builder: yargs => {
+        yargs.example('report statement --currency HBT --month 2026-09', 'Shows the HBT statement of September 2026 as JSON.');
+        yargs.example('report statement --currency HBT --month 2026-09 -o csv > hbt-2026-09.csv', 'Saves the statement as CSV for a spreadsheet.');
+        yargs.example('report statement --currency HBT --month 2026-09 --fiat EUR', 'Adds the EUR value of each entry at the price of its time.');
+        yargs.option('currency', {
+            desc: 'Currency of the statement, e.g. HBT',
+            type: 'string',
+            demandOption: true
+        });
+        yargs.option('month', {
+            desc: 'Month of the statement in UTC, e.g. 2026-09',
+            type: 'string',
+            demandOption: true
+        });
+        yargs.option('online', {
+            desc: 'Sync the ledger with the API first, see "nahmii sync --events". The ledger is always synced when it never was.',
+            type: 'boolean',
+            default: false
+        });
+        yargs.option('fiat', {
+            desc: `Value the entries in a fiat currency at the price of their time, one of ${prices.FIATS.join(', ')}. Prices come from the price source in the config, see "prices.file" and "prices.url".`,
+            type: 'string'
+        });
+    },
+    handler: async (argv) => {
+        const {since, until} = utils.parseMonth(argv.month);
+        const fiat = argv.fiat === undefined ? undefined : prices.parseFiat(argv.fiat);
+        const config = require('../../config');
+        try {
+            const source = fiat ? prices.source(config) : undefined;
+            const address = await config.address();
+            const provider = await ledger.open(config, address, {online: argv.online, events: true});
+            if (ledger.syncedBlock(config.profile, address) === undefined)
+                console.error('WARNING: The deposits, settlements, stages, unstages and withdrawals of the wallet are left out, as the nahmii contracts are not known on the network of the API.');
+            const currency = await payments.getCurrencyBySymbol(provider, argv.currency);
+            if (!currency)
+                throw new ValidationError(`Unknown currency "${argv.currency}". See "nahmii show tokens" for a list of supported tokens.`, {currency: argv.currency});
+
+            let result = statement.drawUp({
+                address,
+                receipts: journal.annotate(ledger.load(config.profile, address)),
+                events: ledger.loadEvents(config.profile, address),
+                currency: {...currency, decimals: Number(currency.decimals)},
+                since,
+                until
+            });
+            if (fiat)
+                result = await statement.valuate(result, source, fiat);
+
+            const nameOf = contacts.nameLookup();
+            for (const item of [...result.entries, ...result.counterparties]) {
+                if (item.counterparty)
+                    item.contact = nameOf(item.counterparty);
+            }
+            output.print({month: argv.month, ...result}, {
+                columns: fiat ? statement.FIAT_COLUMNS : statement.COLUMNS,
+                rows: statement.toRows
+            });
+        }
+        catch (err) {
+            dbg(err);
+            throw wrap(err, 'Unable to draw up the statement');
+        }
+    }
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const me = '0x1234567890123456789012345678901234567891';
+const alice = '0x' + 'aa'.repeat(20);
+const hbt = '0x' + 'ab'.repeat(20);
+
+const stubbedConfig = {
+    profile: 'work',
+    address: sinon.stub()
+};
+
+const stubbedLedgerProvider = {
+    getSupportedTokens: sinon.stub()
+};
+
+const stubbedLedger = {
+    open: sinon.stub(),
+    load: sinon.stub(),
+    loadEvents: sinon.stub(),
+    syncedBlock: sinon.stub()
+};
+
+const stubbedContacts = {
+    nameLookup: () => address => address === alice ? 'alice' : undefined
+};
+
+const stubbedJournal = {
+    annotate: receipts => receipts.map(r => ({...r, reference: 'invoice 7'}))
+};
+
+const stubbedPrices = {
+    ...require('../../prices'),
+    source: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./statement', {
+        '../../payments': proxyquire('../../payments', {
+            'nahmii-sdk': {utils: require('nahmii-sdk').utils}
+        }),
+        '../../contacts': stubbedContacts,
+        '../../journal': stubbedJournal,
+        '../../ledger': stubbedLedger,
+        '../../prices': stubbedPrices,
+        '../../config': stubbedConfig
+    });
+}
+
+describe('Report statement command', () => {
+    const receipts = [{
+        created: '2026-09-02T00:00:00.000Z',
+        sender: {wallet: alice},
+        recipient: {wallet: me},
+        amount: '1500000000000000',
+        currency: {ct: hbt, id: '0'}
+    }];
+    const events = [{
+        created: '2026-08-01T00:00:00.000Z',
+        type: 'deposit',
+        amount: '10000000000000000',
+        currency: {ct: hbt, id: '0'},
+        transactionHash: '0x1234'
+    }];
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        delete process.env.NAHMII_OUTPUT;
+        stubbedConfig.address.resolves(me);
+        stubbedLedger.open.resolves(stubbedLedgerProvider);
+        stubbedLedger.load.returns(receipts);
+        stubbedLedger.loadEvents.returns(events);
+        stubbedLedger.syncedBlock.returns(1000);
+        stubbedLedgerProvider.getSupportedTokens.resolves([{currency: hbt, symbol: 'HBT', decimals: '15'}]);
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        delete process.env.NAHMII_OUTPUT;
+        stubbedConfig.address.reset();
+        stubbedLedger.open.reset();
+        stubbedLedger.load.reset();
+        stubbedLedger.loadEvents.reset();
+        stubbedLedger.syncedBlock.reset();
+        stubbedLedgerProvider.getSupportedTokens.reset();
+        stubbedPrices.source.reset();
+    });
+
+    function report(args = {}) {
+        return proxyquireCommand().handler({currency: 'hbt', month: '2026-09', online: false, ...args});
+    }
+
+    it('draws up the statement from the ledger of the wallet', async () => {
+        await report();
+        expect(stubbedLedger.open).to.have.been.calledWith(stubbedConfig, me, {online: false, events: true});
+        expect(stubbedLedger.load).to.have.been.calledWith('work', me);
+        expect(stubbedLedger.loadEvents).to.have.been.calledWith('work', me);
+    });
+
+    it('syncs the ledger first with --online', async () => {
+        await report({online: true});
+        expect(stubbedLedger.open).to.have.been.calledWith(stubbedConfig, me, {online: true, events: true});
+    });
+
+    it('warns when the events of the wallet could not be synced', async () => {
+        stubbedLedger.syncedBlock.returns(undefined);
+        sinon.stub(console, 'error');
+        try {
+            await report();
+            expect(console.error).to.have.been.calledWith(sinon.match(/deposits, settlements, stages, unstages and withdrawals of the wallet are left out/));
+        }
+        finally {
+            console.error.restore();
+        }
+        expect(console.log).to.have.been.called;
+    });
+
+    it('outputs the statement of the month', async () => {
+        await report();
+        const result = JSON.parse(console.log.lastCall.args[0]);
+        expect(result).to.include({month: '2026-09', currency: 'HBT', since: '2026-09-01T00:00:00.000Z', until: '2026-10-01T00:00:00.000Z'});
+        expect(result.opening).to.eql({balance: '10.0', staged: '0.0'});
+        expect(result.closing).to.eql({balance: '11.5', staged: '0.0'});
+    });
+
+    it('names the counterparties that are contacts and adds references', async () => {
+        await report();
+        const result = JSON.parse(console.log.lastCall.args[0]);
+        expect(result.entries[0]).to.include({counterparty: alice, contact: 'alice', reference: 'invoice 7'});
+        expect(result.counterparties[0]).to.include({counterparty: alice, contact: 'alice', in: '1.5'});
+    });
+
+    it('outputs rows as CSV', async () => {
+        process.env.NAHMII_OUTPUT = 'csv';
+        await report();
+        const lines = console.log.lastCall.args[0].split('\n');
+        expect(lines[0]).to.equal('created,type,counterparty,contact,reference,amount,in,out,fee,balance,staged,hash');
+        expect(lines.slice(1).map(line => line.split(',')[1])).to.eql(['opening', 'payment', 'closing', 'counterparty']);
+    });
+
+    it('rejects unknown currencies', async () => {
+        const err = await report({currency: 'XYZ'}).catch(err => err);
+        expect(err.message).to.match(/Unknown currency "XYZ"/);
+    });
+
+    it('rejects invalid months', async () => {
+        const err = await report({month: 'september'}).catch(err => err);
+        expect(err.code).to.equal('VALIDATION');
+        expect(stubbedLedger.open).not.to.have.been.called;
+    });
+
+    it('values the entries in fiat at historical prices with --fiat', async () => {
+        const price = sinon.stub().callsFake(async (symbol, fiat, at) => at < new Date('2026-09-02T00:00:00Z') ? '1.5' : '2');
+        stubbedPrices.source.returns({price});
+        await report({fiat: 'eur'});
+        expect(stubbedPrices.source).to.have.been.calledWith(stubbedConfig);
+        expect(price).to.have.been.calledWith('HBT', 'EUR', new Date('2026-09-02T00:00:00.000Z'));
+        const result = JSON.parse(console.log.lastCall.args[0]);
+        expect(result.fiat).to.equal('EUR');
+        expect(result.opening).to.include({price: '1.5', value: '15.00'});
+        expect(result.entries[0]).to.include({price: '2', value: '3.00'});
+        expect(result.closing).to.include({price: '2', value: '23.00'});
+    });
+
+    it('adds price and value columns with --fiat', async () => {
+        stubbedPrices.source.returns({price: async () => '2'});
+        process.env.NAHMII_OUTPUT = 'csv';
+        await report({fiat: 'USD'});
+        const lines = console.log.lastCall.args[0].split('\n');
+        expect(lines[0]).to.equal('created,type,counterparty,contact,reference,amount,in,out,fee,balance,staged,price,value,hash');
+    });
+
+    it('rejects unsupported fiat currencies', async () => {
+        const err = await report({fiat: 'GBP'}).catch(err => err);
+        expect(err.code).to.equal('VALIDATION');
+        expect(stubbedLedger.open).not.to.have.been.called;
+    });
+});
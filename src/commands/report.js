@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    command: 'report <statement>',
+    describe: 'Draw up accounting reports from the local ledger',
+    builder: yargs => {
+        return yargs
+            .commandDir('./report-commands', {exclude: /.*.spec.js$/})
+            .demandCommand();
+    },
+    handler: async () => {}
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+const dbg = require('../dbg');
+const nahmii = require('nahmii-sdk');
+const qrcode = require('qrcode-terminal');
+const output = require('../output');
+const utils = require('../utils');
+const payments = require('../payments');
+const paymentRequest = require('../payment-request');
+const {wrap, ValidationError} = require('../errors');
+
+module.exports = {
+    command: 'request <amount> <currency>',
+    describe: 'Create a request for a payment of <amount> of <currency> to your current wallet, as a URI and QR code',
+    builder: yargs => {
+        yargs.example('request 100 HBT --reference "invoice 1001"', 'Creates a request to pay 100 HBT, which can be paid with "pay --uri <uri>".');
+        yargs.option('reference', {
+            desc: 'Reference of the payment, e.g. an invoice number',
+            type: 'string'
+        });
+        yargs.option('qr', {
+            desc: 'Show the request as a QR code. Use --no-qr to only output the URI.',
+            type: 'boolean',
+            default: true
+        });
+        yargs.coerce('amount', arg => String(arg)); // Coerce it to remain a string
+    },
+    handler: async (argv) => {
+        const config = require('../config');
+        let provider;
+        try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            if (utils.isRelativeAmount(argv.amount))
+                throw new ValidationError(`Payment requests must be for a fixed amount, not ${argv.amount}`, {amount: argv.amount});
+            const currency = await payments.getCurrencyBySymbol(provider, argv.currency);
+            if (!currency)
+                throw new ValidationError(`Unknown currency "${argv.currency}". See "nahmii show tokens" for a list of supported tokens.`, {currency: argv.currency});
+            if (!utils.parseAmount(argv.amount, currency.decimals).gt(0))
+                throw new ValidationError('Amount must be greater than zero!', {amount: argv.amount});
+
+            const request = {
+                recipient: utils.checksumAddress(await config.address(), 'wallet address'),
+                amount: argv.amount,
+                currency: currency.symbol,
+                reference: argv.reference
+            };
+            const uri = paymentRequest.toUri(request);
+
+            // The QR code goes to stderr to keep the output parsable
+            if (argv.qr)
+                qrcode.generate(uri, {small: true}, code => console.error(code));
+            output.print({uri, ...request});
+        }
+        catch (err) {
+            dbg(err);
+            throw wrap(err, 'Unable to create the payment request');
+        }
+        finally {
+            if (provider)
+                provider.stopUpdate();
+        }
+    }
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const walletID = '0x1234567890123456789012345678901234567890';
+
+const stubbedConfig = {
+    address: sinon.stub(),
+    apiRoot: 'some-api-root',
+    appId: 'an-app-id',
+    appSecret: 'much secret!'
+};
+
+function fakeNahmiiProvider() {
+    throw new Error('NahmiiProvider constructor not implemented!');
+}
+fakeNahmiiProvider.from = sinon.stub();
+
+const stubbedProviderInstance = {
+    getSupportedTokens: sinon.stub(),
+    stopUpdate: sinon.stub()
+};
+
+const stubbedQrcode = {
+    generate: sinon.stub()
+};
+
+function proxyquireCommand() {
+    const stubbedNahmii = {
+        NahmiiProvider: fakeNahmiiProvider,
+        utils: require('nahmii-sdk').utils
+    };
+    return proxyquire('./request', {
+        'nahmii-sdk': stubbedNahmii,
+        'qrcode-terminal': stubbedQrcode,
+        '../payments': proxyquire('../payments', {
+            'nahmii-sdk': stubbedNahmii
+        }),
+        '../config': stubbedConfig
+    });
+}
+
+describe('Request command', () => {
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        sinon.stub(console, 'error');
+        fakeNahmiiProvider.from.resolves(stubbedProviderInstance);
+        stubbedProviderInstance.getSupportedTokens.resolves([
+            {currency: '0x0000000000000000000000000000000000000001', symbol: 'HBT', decimals: 15}
+        ]);
+        stubbedConfig.address.resolves(walletID.slice(2));
+        stubbedQrcode.generate.callsFake((text, options, callback) => callback(`QR code of ${text}`));
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        console.error.restore();
+        fakeNahmiiProvider.from.reset();
+        stubbedProviderInstance.getSupportedTokens.reset();
+        stubbedProviderInstance.stopUpdate.reset();
+        stubbedConfig.address.reset();
+        stubbedQrcode.generate.reset();
+    });
+
+    context('request 100 hbt --reference "invoice 1001"', () => {
+        const expectedUri = `nahmii:${walletID}?amount=100&currency=HBT&ref=invoice%201001`;
+
+        beforeEach(() => {
+            return proxyquireCommand().handler({amount: '100', currency: 'hbt', reference: 'invoice 1001', qr: true});
+        });
+
+        it('outputs a payment request URI for the current wallet', () => {
+            expect(JSON.parse(console.log.lastCall.args[0])).to.eql({
+                uri: expectedUri,
+                recipient: walletID,
+                amount: '100',
+                currency: 'HBT',
+                reference: 'invoice 1001'
+            });
+        });
+
+        it('shows the URI as a QR code on stderr', () => {
+            expect(stubbedQrcode.generate).to.have.been.calledWith(expectedUri);
+            expect(console.error).to.have.been.calledWith(`QR code of ${expectedUri}`);
+        });
+
+        it('stops the provider', () => {
+            expect(stubbedProviderInstance.stopUpdate).to.have.been.calledOnce;
+        });
+    });
+
+    context('request 100 HBT --no-qr', () => {
+        it('does not show a QR code', async () => {
+            await proxyquireCommand().handler({amount: '100', currency: 'HBT', qr: false});
+            expect(stubbedQrcode.generate).not.to.have.been.called;
+        });
+    });
+
+    context('request 100 XYZ', () => {
+        it('rejects unknown currencies', async () => {
+            const err = await proxyquireCommand().handler({amount: '100', currency: 'XYZ', qr: true}).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(err.message).to.match(/Unknown currency "XYZ"/);
+        });
+    });
+
+    context('request 0 HBT', () => {
+        it('rejects amounts that are not greater than zero', async () => {
+            const err = await proxyquireCommand().handler({amount: '0', currency: 'HBT', qr: true}).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(console.log).not.to.have.been.called;
+        });
+    });
+
+    context('request all HBT', () => {
+        it('rejects amounts relative to the balance', async () => {
+            for (const amount of ['all', 'max', '50%']) {
+                const err = await proxyquireCommand().handler({amount, currency: 'HBT', qr: true}).catch(err => err);
+                expect(err.code, amount).to.equal('VALIDATION');
+                expect(err.message).to.match(/must be for a fixed amount/);
+            }
+            expect(console.log).not.to.have.been.called;
+        });
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const dbg = require('../../dbg');
+const nahmii = require('nahmii-sdk');
+const output = require('../../output');
+const payments = require('../../payments');
+const schedules = require('../../schedules');
+const utils = require('../../utils');
+const {confirm} = require('../../confirm');
+const {wrap} = require('../../errors');
+
+module.exports = {
+    command: 'add <name> <amount> <currency> <recipient>',
+    describe: 'Schedules a payment of <amount> of <currency> to the <recipient>, given as an address or contact name, to repeat at an interval',
+    builder: yargs => {
+        yargs.example('schedule add rent 1000 HBT landlord --interval "0 9 1 * *"', 'Pays the contact landlord 1000 HBT at 9:00 on the first of every month, when "schedule run" is run.');
+        yargs.option('interval', {
+            desc: 'When to pay, as a cron expression of minute, hour, day of month, month and day of week in local time, or one of @hourly, @daily, @weekly, @monthly and @yearly',
+            type: 'string',
+            demandOption: true
+        });
+        yargs.option('reference', {
+            desc: 'Reference to record with each payment, e.g. a contract number',
+            type: 'string'
+        });
+        yargs.coerce('name', arg => String(arg));
+        yargs.coerce('amount', arg => String(arg)); // Coerce it to remain a string
+    },
+    handler: async (argv) => {
+        const config = require('../../config');
+        let provider;
+        try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const sender = await config.address();
+            const prepared = await payments.preparePayment(provider, argv, sender);
+
+            await confirm(provider, {
+                action: `Scheduled payment "${argv.name}" (${argv.interval})`,
+                amount: argv.amount,
+                currency: prepared.currency.symbol,
+                recipient: prepared.recipient
+            }, argv);
+
+            const schedule = schedules.add(argv.name, {
+                recipient: prepared.recipient,
+                amount: argv.amount,
+                currency: prepared.currency.symbol,
+                interval: argv.interval,
+                reference: prepared.reference,
+                profile: config.profile,
+                sender: utils.checksumAddress(sender, 'wallet address')
+            });
+            const next = schedules.nextDue(schedule);
+            output.print({...schedule, next: next ? next.toISOString() : undefined});
+        }
+        catch (err) {
+            dbg(err);
+            throw wrap(err, 'Unable to add the schedule');
+        }
+        finally {
+            if (provider)
+                provider.stopUpdate();
+        }
+    }
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const {CancelledError} = require('../../errors');
+
+const sender = '0x1234567890123456789012345678901234567891';
+const alice = '0x1234567890123456789012345678901234567890';
+
+const stubbedConfig = {
+    address: sinon.stub(),
+    profile: 'mainnet',
+    apiRoot: 'some-api-root',
+    appId: 'an-app-id',
+    appSecret: 'much secret!'
+};
+
+function fakeNahmiiProvider() {
+    throw new Error('NahmiiProvider constructor not implemented!');
+}
+fakeNahmiiProvider.from = sinon.stub();
+
+const stubbedProviderInstance = {
+    stopUpdate: sinon.stub()
+};
+
+const stubbedConfirm = sinon.stub();
+
+const stubbedSchedules = {
+    add: sinon.stub(),
+    nextDue: sinon.stub()
+};
+
+const stubbedPayments = {
+    preparePayment: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./add', {
+        'nahmii-sdk': {
+            NahmiiProvider: fakeNahmiiProvider
+        },
+        '../../schedules': stubbedSchedules,
+        '../../payments': stubbedPayments,
+        '../../confirm': {confirm: stubbedConfirm},
+        '../../config': stubbedConfig
+    });
+}
+
+describe('Schedule add command', () => {
+    const argv = {name: 'rent', amount: '100', currency: 'hbt', recipient: 'alice', interval: '0 9 1 * *', reference: 'flat 1'};
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        fakeNahmiiProvider.from.resolves(stubbedProviderInstance);
+        stubbedConfig.address.resolves(sender);
+        stubbedConfirm.resolves();
+        stubbedPayments.preparePayment.resolves({currency: {symbol: 'HBT'}, recipient: alice, reference: 'flat 1'});
+        stubbedSchedules.add.callsFake((name, schedule) => ({name, ...schedule}));
+        stubbedSchedules.nextDue.returns(new Date('2026-11-01T09:00:00.000Z'));
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        fakeNahmiiProvider.from.reset();
+        stubbedProviderInstance.stopUpdate.reset();
+        stubbedConfig.address.reset();
+        stubbedConfirm.reset();
+        stubbedPayments.preparePayment.reset();
+        stubbedSchedules.add.reset();
+        stubbedSchedules.nextDue.reset();
+    });
+
+    it('validates the payment like pay does', async () => {
+        await proxyquireCommand().handler(argv);
+        expect(stubbedPayments.preparePayment).to.have.been.calledWith(stubbedProviderInstance, argv, sender);
+    });
+
+    it('asks for confirmation of the schedule', async () => {
+        await proxyquireCommand().handler(argv);
+        expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, {
+            action: 'Scheduled payment "rent" (0 9 1 * *)',
+            amount: '100',
+            currency: 'HBT',
+            recipient: alice
+        }, argv);
+    });
+
+    it('stores the resolved recipient and currency', async () => {
+        await proxyquireCommand().handler(argv);
+        expect(stubbedSchedules.add).to.have.been.calledWith('rent', sinon.match({
+            recipient: alice,
+            amount: '100',
+            currency: 'HBT',
+            interval: '0 9 1 * *',
+            reference: 'flat 1'
+        }));
+    });
+
+    it('stores the profile and wallet to pay from', async () => {
+        stubbedConfig.address.resolves(sender.replace('0x', ''));
+        await proxyquireCommand().handler(argv);
+        expect(stubbedSchedules.add).to.have.been.calledWith('rent', sinon.match({profile: 'mainnet', sender}));
+    });
+
+    it('outputs the schedule with its first payment', async () => {
+        await proxyquireCommand().handler(argv);
+        expect(JSON.parse(console.log.lastCall.args[0])).to.include({name: 'rent', next: '2026-11-01T09:00:00.000Z'});
+    });
+
+    it('does not store the schedule when the confirmation is declined', async () => {
+        stubbedConfirm.rejects(new CancelledError('Scheduled payment cancelled'));
+        const err = await proxyquireCommand().handler(argv).catch(err => err);
+        expect(err.code).to.equal('CANCELLED');
+        expect(stubbedSchedules.add).not.to.have.been.called;
+    });
+});
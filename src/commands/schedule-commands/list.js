@@ -0,0 +1,19 @@
+'use strict';
+
+const output = require('../../output');
+const schedules = require('../../schedules');
+
+module.exports = {
+    command: 'list',
+    describe: 'Lists the schedules with the time of their next payment',
+    builder: {},
+    handler: async () => {
+        const list = schedules.list().map(schedule => {
+            const next = schedules.nextDue(schedule);
+            return {...schedule, next: next ? next.toISOString() : undefined};
+        });
+        output.print(list, {
+            columns: ['name', 'amount', 'currency', 'recipient', 'interval', 'reference', 'profile', 'lastDue', 'next']
+        });
+    }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const sender = '0x1234567890123456789012345678901234567891';
+const alice = '0x1234567890123456789012345678901234567890';
+
+const stubbedSchedules = {
+    list: sinon.stub(),
+    nextDue: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./list', {
+        '../../schedules': stubbedSchedules
+    });
+}
+
+describe('Schedule list command', () => {
+    const rent = {name: 'rent', recipient: alice, amount: '100', currency: 'HBT', interval: '@monthly', profile: 'mainnet', sender};
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        delete process.env.NAHMII_OUTPUT;
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        delete process.env.NAHMII_OUTPUT;
+        stubbedSchedules.list.reset();
+        stubbedSchedules.nextDue.reset();
+    });
+
+    it('outputs the schedules with the time of their next payment', async () => {
+        stubbedSchedules.list.returns([rent]);
+        stubbedSchedules.nextDue.withArgs(rent).returns(new Date('2026-11-01T00:00:00.000Z'));
+        await proxyquireCommand().handler({});
+        expect(JSON.parse(console.log.lastCall.args[0])).to.eql([{...rent, next: '2026-11-01T00:00:00.000Z'}]);
+    });
+
+    it('leaves out the next payment of schedules that have none', async () => {
+        stubbedSchedules.list.returns([rent]);
+        await proxyquireCommand().handler({});
+        expect(JSON.parse(console.log.lastCall.args[0])[0]).not.to.have.property('next');
+    });
+
+    it('outputs an empty list without schedules', async () => {
+        stubbedSchedules.list.returns([]);
+        await proxyquireCommand().handler({});
+        expect(JSON.parse(console.log.lastCall.args[0])).to.eql([]);
+    });
+
+    it('includes the profile in the CSV columns', async () => {
+        process.env.NAHMII_OUTPUT = 'csv';
+        stubbedSchedules.list.returns([rent]);
+        await proxyquireCommand().handler({});
+        expect(console.log.lastCall.args[0].split('\n')[0]).to.equal('name,amount,currency,recipient,interval,reference,profile,lastDue,next');
+    });
+});
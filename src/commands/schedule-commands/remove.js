@@ -0,0 +1,15 @@
+'use strict';
+
+const schedules = require('../../schedules');
+
+module.exports = {
+    command: 'remove <name>',
+    describe: 'Removes the schedule <name>, no further payments are made for it',
+    builder: yargs => {
+        yargs.coerce('name', arg => String(arg));
+    },
+    handler: async (argv) => {
+        const {name} = schedules.remove(argv.name);
+        console.log(`Removed schedule ${name}`);
+    }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const {ValidationError} = require('../../errors');
+
+const stubbedSchedules = {
+    remove: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./remove', {
+        '../../schedules': stubbedSchedules
+    });
+}
+
+describe('Schedule remove command', () => {
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        stubbedSchedules.remove.reset();
+    });
+
+    it('removes the schedule and reports it by its stored name', async () => {
+        stubbedSchedules.remove.returns({name: 'rent'});
+        await proxyquireCommand().handler({name: 'RENT'});
+        expect(stubbedSchedules.remove).to.have.been.calledWith('RENT');
+        expect(console.log).to.have.been.calledWith('Removed schedule rent');
+    });
+
+    it('fails for unknown schedules', async () => {
+        stubbedSchedules.remove.throws(new ValidationError('Unknown schedule "rent"'));
+        await expect(proxyquireCommand().handler({name: 'rent'})).to.be.rejectedWith(/Unknown schedule "rent"/);
+        expect(console.log).not.to.have.been.called;
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const dbg = require('../../dbg');
+const nahmii = require('nahmii-sdk');
+const ora = require('ora');
+const output = require('../../output');
+const payments = require('../../payments');
+const schedules = require('../../schedules');
+const {wrap, CliError} = require('../../errors');
+
+module.exports = {
+    command: 'run',
+    describe: 'Makes the scheduled payments that are due, meant to be run by cron or a systemd timer',
+    builder: yargs => {
+        yargs.example('schedule run', 'Makes the payments that are due. Each is only paid once, however often this is run.');
+        yargs.option('dry-run', {
+            desc: 'Only list the payments that are due',
+            type: 'boolean',
+            default: false
+        });
+    },
+    handler: async (argv) => {
+        return schedules.withLock(async () => {
+            const config = require('../../config');
+            let provider;
+            const spinner = ora();
+            try {
+                const sender = await config.address();
+                const due = dueFrom(config.profile, sender);
+                for (const {name, missed} of due.filter(d => d.missed > 0))
+                    console.error(`WARNING: ${missed} earlier payment(s) of schedule ${name} were not made in time and are skipped`);
+
+                const columns = ['name', 'due', 'amount', 'currency', 'recipient', 'status', 'hash', 'error'];
+                if (argv.dryRun || !due.length) {
+                    output.print(due.map(d => describe(d, 'due')), {columns});
+                    return;
+                }
+
+                provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+                let wallet;
+
+                const results = [];
+                for (const d of due) {
+                    spinner.start(`Paying ${d.schedule.amount} ${d.schedule.currency} to ${d.schedule.recipient} for schedule ${d.name}`);
+                    try {
+                        const idempotencyKey = schedules.idempotencyKey(d.name, d.due);
+                        const prepared = await payments.preparePayment(provider, d.schedule, sender);
+                        const earlier = await payments.findIdempotentPayment(provider, sender, idempotencyKey, prepared, {profile: config.profile});
+                        if (earlier) {
+                            results.push({...describe(d, earlier.status), hash: earlier.hash});
+                        }
+                        else {
+                            wallet = wallet || new nahmii.Wallet(await config.signer(), provider);
+                            const response = await payments.sendPayment(wallet, sender, prepared, {idempotencyKey, profile: config.profile});
+                            results.push({...describe(d, 'registered'), hash: payments.registeredHash(response)});
+                        }
+                        schedules.markPaid(d.name, d.due);
+                        spinner.succeed();
+                    }
+                    catch (err) {
+                        dbg(err);
+                        results.push({...describe(d, 'failed'), error: err.message});
+                        spinner.fail(`Payment of schedule ${d.name} failed: ${err.message}`);
+                    }
+                }
+
+                output.print(results, {columns});
+                const failed = results.filter(r => r.status === 'failed').length;
+                if (failed)
+                    throw new CliError(`${failed} of ${results.length} scheduled payment(s) failed`, 'GENERAL', {failed});
+            }
+            catch (err) {
+                dbg(err);
+                spinner.stop();
+                throw wrap(err, 'Scheduled payments failed');
+            }
+            finally {
+                if (provider)
+                    provider.stopUpdate();
+            }
+        });
+    }
+};
+
+function dueFrom(profile, sender) {
+    const due = [];
+    for (const d of schedules.due()) {
+        if (schedules.belongsTo(d.schedule, {profile, sender}))
+            due.push(d);
+        else
+            console.error(`WARNING: Schedule ${d.name} pays from ${d.schedule.sender} in profile "${d.schedule.profile}" and is skipped. Run "nahmii --profile ${d.schedule.profile} schedule run" to pay it.`);
+    }
+    return due;
+}
+
+function describe({name, schedule, due}, status) {
+    return {
+        name,
+        due: due.toISOString(),
+        amount: schedule.amount,
+        currency: schedule.currency,
+        recipient: schedule.recipient,
+        status
+    };
+}
@@ -0,0 +1,230 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const sender = '0x1234567890123456789012345678901234567891';
+const alice = '0x1234567890123456789012345678901234567890';
+
+const stubbedConfig = {
+    address: sinon.stub(),
+    signer: sinon.stub(),
+    profile: 'mainnet',
+    apiRoot: 'some-api-root',
+    appId: 'an-app-id',
+    appSecret: 'much secret!'
+};
+
+function fakeNahmiiProvider() {
+    throw new Error('NahmiiProvider constructor not implemented!');
+}
+fakeNahmiiProvider.from = sinon.stub();
+
+const stubbedProviderInstance = {
+    stopUpdate: sinon.stub()
+};
+
+const stubbedWallet = {};
+
+const stubbedOra = {
+    start: sinon.stub(),
+    succeed: sinon.stub(),
+    fail: sinon.stub(),
+    stop: sinon.stub()
+};
+
+const stubbedSchedules = {
+    due: sinon.stub(),
+    markPaid: sinon.stub(),
+    belongsTo: require('../../schedules').belongsTo,
+    idempotencyKey: (name, due) => `schedule:${name}:${due.toISOString()}`,
+    withLock: fn => fn()
+};
+
+const stubbedPayments = {
+    preparePayment: sinon.stub(),
+    findIdempotentPayment: sinon.stub(),
+    sendPayment: sinon.stub(),
+    registeredHash: response => response.seals.wallet.hash
+};
+
+function proxyquireCommand() {
+    return proxyquire('./run', {
+        'nahmii-sdk': {
+            NahmiiProvider: fakeNahmiiProvider,
+            Wallet: function() {
+                return stubbedWallet;
+            }
+        },
+        'ora': function() {
+            return stubbedOra;
+        },
+        '../../schedules': stubbedSchedules,
+        '../../payments': stubbedPayments,
+        '../../config': stubbedConfig
+    });
+}
+
+function dueSchedule(name, missed = 0, origin = {profile: 'mainnet', sender}) {
+    return {
+        name,
+        schedule: {name, recipient: alice, amount: '100', currency: 'HBT', interval: '@monthly', ...origin},
+        due: new Date('2026-11-01T00:00:00.000Z'),
+        missed
+    };
+}
+
+describe('Schedule run command', () => {
+    const prepared = {expected: 'prepared payment'};
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        sinon.stub(console, 'error');
+        fakeNahmiiProvider.from.resolves(stubbedProviderInstance);
+        stubbedConfig.address.resolves(sender);
+        stubbedConfig.signer.resolves('a private key');
+        stubbedPayments.preparePayment.resolves(prepared);
+        stubbedPayments.findIdempotentPayment.resolves(null);
+        stubbedPayments.sendPayment.resolves({seals: {wallet: {hash: '0xabcd'}}});
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        console.error.restore();
+        fakeNahmiiProvider.from.reset();
+        stubbedProviderInstance.stopUpdate.reset();
+        stubbedConfig.address.reset();
+        stubbedConfig.signer.reset();
+        stubbedSchedules.due.reset();
+        stubbedSchedules.markPaid.reset();
+        stubbedPayments.preparePayment.reset();
+        stubbedPayments.findIdempotentPayment.reset();
+        stubbedPayments.sendPayment.reset();
+    });
+
+    function run(args = {}) {
+        return proxyquireCommand().handler({dryRun: false, ...args});
+    }
+
+    context('without payments due', () => {
+        beforeEach(() => {
+            stubbedSchedules.due.returns([]);
+            return run();
+        });
+
+        it('does not connect to the API', () => {
+            expect(fakeNahmiiProvider.from).not.to.have.been.called;
+        });
+
+        it('outputs an empty list', () => {
+            expect(JSON.parse(console.log.lastCall.args[0])).to.eql([]);
+        });
+    });
+
+    context('with a payment due', () => {
+        beforeEach(() => {
+            stubbedSchedules.due.returns([dueSchedule('rent')]);
+        });
+
+        it('pays through the same steps as pay, with the idempotency key of the occurrence', async () => {
+            await run();
+            expect(stubbedPayments.preparePayment).to.have.been.calledWith(stubbedProviderInstance, sinon.match({recipient: alice, amount: '100', currency: 'HBT'}), sender);
+            expect(stubbedPayments.findIdempotentPayment).to.have.been.calledWith(stubbedProviderInstance, sender, 'schedule:rent:2026-11-01T00:00:00.000Z', prepared, {profile: 'mainnet'});
+            expect(stubbedPayments.sendPayment).to.have.been.calledWith(stubbedWallet, sender, prepared, {idempotencyKey: 'schedule:rent:2026-11-01T00:00:00.000Z', profile: 'mainnet'});
+        });
+
+        it('records that the occurrence was paid', async () => {
+            await run();
+            expect(stubbedSchedules.markPaid).to.have.been.calledWith('rent', new Date('2026-11-01T00:00:00.000Z'));
+        });
+
+        it('outputs the outcome', async () => {
+            await run();
+            expect(JSON.parse(console.log.lastCall.args[0])).to.eql([{
+                name: 'rent',
+                due: '2026-11-01T00:00:00.000Z',
+                amount: '100',
+                currency: 'HBT',
+                recipient: alice,
+                status: 'registered',
+                hash: '0xabcd'
+            }]);
+        });
+
+        it('does not pay an occurrence that was paid before', async () => {
+            stubbedPayments.findIdempotentPayment.resolves({status: 'executed', hash: '0x1234'});
+            await run();
+            expect(stubbedPayments.sendPayment).not.to.have.been.called;
+            expect(stubbedSchedules.markPaid).to.have.been.calledOnce;
+            expect(JSON.parse(console.log.lastCall.args[0])[0]).to.include({status: 'executed', hash: '0x1234'});
+        });
+
+        it('only lists the payments with --dry-run', async () => {
+            await run({dryRun: true});
+            expect(stubbedPayments.sendPayment).not.to.have.been.called;
+            expect(stubbedSchedules.markPaid).not.to.have.been.called;
+            expect(JSON.parse(console.log.lastCall.args[0])[0]).to.include({name: 'rent', status: 'due'});
+        });
+
+        it('stops the provider', async () => {
+            await run();
+            expect(stubbedProviderInstance.stopUpdate).to.have.been.calledOnce;
+        });
+    });
+
+    context('with missed payments', () => {
+        it('warns that they are skipped', async () => {
+            stubbedSchedules.due.returns([dueSchedule('rent', 2)]);
+            await run();
+            expect(console.error).to.have.been.calledWith(sinon.match(/2 earlier payment\(s\) of schedule rent were not made in time/));
+        });
+    });
+
+    context('with schedules of other profiles and wallets', () => {
+        beforeEach(() => {
+            stubbedSchedules.due.returns([
+                dueSchedule('rent'),
+                dueSchedule('salary', 0, {profile: 'ropsten', sender}),
+                dueSchedule('savings', 0, {profile: 'mainnet', sender: alice})
+            ]);
+            return run();
+        });
+
+        it('only pays the schedules of the active profile and wallet', () => {
+            expect(stubbedPayments.sendPayment).to.have.been.calledOnce;
+            expect(stubbedSchedules.markPaid).to.have.been.calledOnceWith('rent');
+        });
+
+        it('warns about the skipped schedules', () => {
+            expect(console.error).to.have.been.calledWith(sinon.match(/Schedule salary pays from .* in profile "ropsten" and is skipped. Run "nahmii --profile ropsten schedule run"/));
+            expect(console.error).to.have.been.calledWith(sinon.match(/Schedule savings pays from .* in profile "mainnet" and is skipped/));
+        });
+    });
+
+    context('with a failing payment', () => {
+        let err;
+
+        beforeEach(async () => {
+            stubbedSchedules.due.returns([dueSchedule('rent'), dueSchedule('salary')]);
+            stubbedPayments.sendPayment.onFirstCall().rejects(new Error('API down'));
+            err = await run().catch(err => err);
+        });
+
+        it('continues with the other payments', () => {
+            expect(stubbedPayments.sendPayment).to.have.been.calledTwice;
+        });
+
+        it('only records the payments that were made', () => {
+            expect(stubbedSchedules.markPaid).to.have.been.calledOnceWith('salary');
+        });
+
+        it('yields an error', () => {
+            expect(err.message).to.match(/1 of 2 scheduled payment\(s\) failed/);
+        });
+    });
+});
@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    command: 'schedule <add|remove|list|run>',
+    describe: 'Manage recurring payments and make the ones that are due',
+    builder: yargs => {
+        return yargs
+            .commandDir('./schedule-commands', {exclude: /.*.spec.js$/})
+            .demandCommand();
+    },
+    handler: async () => {}
+};
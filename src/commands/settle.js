@@ -5,6 +5,9 @@ const ethers = require('ethers');
 const ora = require('ora');
 const dbg = require('../dbg');
 const utils = require('../utils');
+const payments = require('../payments');
+const {confirm} = require('../confirm');
+const {wrap, ValidationError, InsufficientFundsError} = require('../errors');
 
 module.exports = {
     command: 'settle <amount> <currency> [--gas=<gasLimit>] [--price=<gasPrice in gwei>]',
@@ -14,6 +17,7 @@ module.exports = {
         yargs.example('settle 1 ETH --gas=500000', 'Start settlement(s) for 1 Ether and sets gas limit to 500000 while using default gas price.');
         yargs.example('settle 0 ETH --price=2', 'Start settlement(s) for 0 Ether and sets gas price to 2 Gwei while using default gas limit.');
         yargs.example('settle 1000 HBT', 'Start settlement(s) for 1000 Hubiits (HBT) using default gas limit and price.');
+        yargs.example('settle all HBT', 'Start settlement(s) for the whole nahmii balance of HBT. Percentages such as 50% work too.');
         yargs.option('gas', {
             desc: 'Gas limit used _per transaction_. Settles can be 1 or more transactions depending on the stage amount.',
             default: 6000000,
@@ -35,30 +39,28 @@ module.exports = {
         try {
             provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
             const tokenInfo = await provider.getTokenInfo(currency);
-            const amount = utils.parseAmount(argv.amount, tokenInfo.decimals);
+            const amount = await utils.resolveAmount(argv.amount, tokenInfo.decimals, async () => {
+                return payments.nahmiiBalance(provider, await config.address(), tokenInfo);
+            });
             if (!amount.gte(0))
-                throw new Error('Amount must be greater than zero!');
+                throw new ValidationError('Amount must be greater than zero!');
 
             const gasLimit = utils.parsePositiveInteger(argv.gas);
             const gasPriceInGwei = utils.parsePositiveInteger(argv.price);
             const gasPrice = ethers.utils.bigNumberify(gasPriceInGwei).mul(ethers.utils.bigNumberify(10).pow(9));
 
             const stageMonetaryAmount = nahmii.MonetaryAmount.from(amount.toString(), tokenInfo.currency);
-            const privateKey = await config.privateKey(config.wallet.secret);
-            const wallet = new nahmii.Wallet(privateKey, provider);
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
             const settlement = new nahmii.SettlementFactory(provider);
             const balances = await wallet.getNahmiiBalance();
             const balance = balances[currency];
-            if (!balance) {
-                spinner.fail(`No nahmii balance available for ${currency}`);
-                return;
-            }
+            if (!balance)
+                throw new InsufficientFundsError(`No nahmii balance available for ${currency}`, {currency, balance: '0'});
 
             const balanceBN = ethers.utils.parseUnits(balance, tokenInfo.decimals);
-            if (balanceBN.lt(amount)) {
-                spinner.fail(`The maximum settleable nahmii balance is ${balance}`);
-                return;
-            }
+            if (balanceBN.lt(amount))
+                throw new InsufficientFundsError(`The maximum settleable nahmii balance is ${balance}`, {currency, balance});
 
             spinner.start('Checking incompleted settlement(s)');
             const registeredSettlements = await settlement.getAllSettlements(wallet.address, tokenInfo.currency);
@@ -72,24 +74,37 @@ module.exports = {
             const requiredSettlements = await settlement.calculateRequiredSettlements(wallet.address, stageMonetaryAmount);
             spinner.info(`Need to start ${requiredSettlements.length} settlement(s).`);
 
+            if (requiredSettlements.length) {
+                await confirm(provider, {
+                    action: 'Settlement',
+                    amount: ethers.utils.formatUnits(amount, tokenInfo.decimals),
+                    currency,
+                    contract: requiredSettlements.map(s => `${s.type} settlement challenge`).join(', '),
+                    gasLimit,
+                    gasPrice,
+                    transactions: requiredSettlements.length
+                }, argv);
+            }
+
             for (const requiredSettlement of requiredSettlements) {
                 const formattedStageAmount = ethers.utils.formatUnits(requiredSettlement.stageAmount, tokenInfo.decimals);
                 spinner.info(`Starting ${requiredSettlement.type} settlement with stage amount ${formattedStageAmount} ${currency}.`);
                 const {hash} = await requiredSettlement.start(wallet, {gasLimit, gasPrice});
                 spinner.start(`Waiting for transaction ${hash} to be mined`);
 
-                const txReceipt = await provider.getTransactionConfirmation(hash, 300);
+                const txReceipt = await utils.confirmTransaction(provider, hash, 300);
                 spinner.succeed(`Successfully started settlement: ${hash} [gas used: ${ethers.utils.bigNumberify(txReceipt.gasUsed).toString()}]`);
             }
         }
         catch (err) {
             dbg(err);
             spinner.warn('Can not prepare for new settlement(s). Please check if there are incompleted settlements.');
-            throw new Error(`Unable to start settlement: ${err.message}`);
+            throw wrap(err, 'Unable to start settlement');
         }
         finally {
             spinner.stop();
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
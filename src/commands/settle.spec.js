@@ -9,6 +9,7 @@ chai.use(sinonChai);
 
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 const ethers = require('ethers');
+const {CancelledError} = require('../errors');
 
 const stubbedWallet = {
     getNahmiiBalance: sinon.stub()
@@ -19,7 +20,8 @@ const stubbedConfig = {
     wallet: {
         secret: 'secret much'
     },
-    privateKey: sinon.stub(),
+    signer: sinon.stub(),
+    address: sinon.stub(),
     apiRoot: 'some-api-root',
     appId: 'an-app-id',
     appSecret: 'much secret!'
@@ -73,6 +75,12 @@ stubbedOra.reset = function() {
 }.bind(stubbedOra);
 stubbedOra.start.returns(stubbedOra);
 
+const stubbedConfirm = sinon.stub();
+
+const stubbedPayments = {
+    nahmiiBalance: sinon.stub()
+};
+
 function proxyquireCommand() {
     return proxyquire('./settle', {
         'nahmii-sdk': {
@@ -85,6 +93,8 @@ function proxyquireCommand() {
             },
             MonetaryAmount
         },
+        '../confirm': {confirm: stubbedConfirm},
+        '../payments': stubbedPayments,
         '../config': stubbedConfig,
         'ora': function() {
             return stubbedOra;
@@ -117,8 +127,8 @@ describe('settle command', () => {
     let requiredSettlements;
 
     beforeEach(() => {
-        stubbedConfig.privateKey
-            .withArgs(stubbedConfig.wallet.secret)
+        stubbedConfirm.resolves();
+        stubbedConfig.signer
             .resolves('privatekey');
         fakeNahmiiProvider.from
             .withArgs(stubbedConfig.apiRoot, stubbedConfig.appId, stubbedConfig.appSecret)
@@ -142,8 +152,9 @@ describe('settle command', () => {
     });
 
     afterEach(() => {
+        stubbedConfirm.reset();
         stubbedWallet.getNahmiiBalance.reset();
-        stubbedConfig.privateKey.reset();
+        stubbedConfig.signer.reset();
         fakeNahmiiProvider.from.reset();
         stubbedProviderInstance.reset();
         stubbedOra.reset();
@@ -178,6 +189,18 @@ describe('settle command', () => {
             });
         });
 
+        it('asks for confirmation of the settlements', () => {
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, {
+                action: 'Settlement',
+                amount: '1.1',
+                currency: 'ETH',
+                contract: 'payment settlement challenge, onchain-balance settlement challenge',
+                gasLimit: 2,
+                gasPrice: ethers.utils.bigNumberify(2000000000),
+                transactions: 2
+            });
+        });
+
         it('starts required settlements', () => {
             for(const requiredSettlement of requiredSettlements) {
                 expect(requiredSettlement.start).to.have.been.calledWith(
@@ -196,6 +219,61 @@ describe('settle command', () => {
         });
     });
 
+    context('settle all ETH and settle 25% ETH', () => {
+        const address = '0x1234567890123456789012345678901234567890';
+
+        beforeEach(() => {
+            stubbedConfig.address.resolves(address);
+            stubbedPayments.nahmiiBalance
+                .withArgs(stubbedProviderInstance, address, sinon.match({symbol: 'ETH', decimals: 18}))
+                .resolves(ethers.utils.parseUnits('1.2', 18));
+            stubbedSettlementFactory.getAllSettlements.resolves([]);
+            stubbedSettlementFactory.calculateRequiredSettlements.resolves([]);
+        });
+
+        afterEach(() => {
+            stubbedConfig.address.reset();
+            stubbedPayments.nahmiiBalance.reset();
+        });
+
+        function settle(amount) {
+            return settleCmd.handler.call(undefined, {amount, currency: 'ETH', gas: 2, price: 2});
+        }
+
+        it('settles the whole nahmii balance for all', async () => {
+            await settle('all');
+            expect(stubbedSettlementFactory.calculateRequiredSettlements).to.have.been.calledWith(
+                sinon.match.any,
+                MonetaryAmount.from(ethers.utils.parseUnits('1.2', 18).toString(), currency.ct)
+            );
+        });
+
+        it('settles a percentage of the nahmii balance', async () => {
+            await settle('25%');
+            expect(stubbedSettlementFactory.calculateRequiredSettlements).to.have.been.calledWith(
+                sinon.match.any,
+                MonetaryAmount.from(ethers.utils.parseUnits('0.3', 18).toString(), currency.ct)
+            );
+        });
+    });
+
+    context('settle 1.1 ETH when declined', () => {
+        it('yields an error without starting any settlement', async () => {
+            const requiredSettlement = {type: 'payment', stageAmount: ethers.utils.parseUnits('1.1', 18), currency, start: sinon.stub()};
+            stubbedSettlementFactory.getAllSettlements.resolves([]);
+            stubbedSettlementFactory.calculateRequiredSettlements.resolves([requiredSettlement]);
+            stubbedConfirm.rejects(new CancelledError('Settlement cancelled'));
+            const err = await settleCmd.handler.call(undefined, {
+                amount: '1.1',
+                currency: 'ETH',
+                gas: 2,
+                price: 2
+            }).catch(err => err);
+            expect(err.code).to.equal('CANCELLED');
+            expect(requiredSettlement.start).not.to.have.been.called;
+        });
+    });
+
     context('settle 0 ETH', () => {
         beforeEach(() => {
             requiredSettlements = [
@@ -268,17 +346,20 @@ describe('settle command', () => {
     });
 
     context('settle more than available balance', () => {
-        beforeEach(() => {
-            return settleCmd.handler.call(undefined, {
+        let error;
+
+        beforeEach(async () => {
+            error = await settleCmd.handler.call(undefined, {
                 amount: '1.3',
                 currency: 'ETH',
                 gas: 2,
                 price: 2
-            });
+            }).catch(err => err);
         });
 
-        it('should display maximum settleable balance error', () => {
-            expect(stubbedOra.fail).to.be.calledWith('The maximum settleable nahmii balance is 1.2');
+        it('yields an insufficient funds error', () => {
+            expect(error.message).to.match(/The maximum settleable nahmii balance is 1\.2/);
+            expect(error.code).to.equal('INSUFFICIENT_FUNDS');
         });
 
         it('stops token refresh/spinner', () => {
@@ -288,17 +369,20 @@ describe('settle command', () => {
     });
 
     context('settle on non exist assets', () => {
-        beforeEach(() => {
-            return settleCmd.handler.call(undefined, {
+        let error;
+
+        beforeEach(async () => {
+            error = await settleCmd.handler.call(undefined, {
                 amount: '1.1',
                 currency: 'ABC',
                 gas: 2,
                 price: 2
-            });
+            }).catch(err => err);
         });
 
-        it('should no available balance error', () => {
-            expect(stubbedOra.fail).to.be.calledWith('No nahmii balance available for ABC');
+        it('yields an insufficient funds error', () => {
+            expect(error.message).to.match(/No nahmii balance available for ABC/);
+            expect(error.code).to.equal('INSUFFICIENT_FUNDS');
         });
 
         it('stops token refresh/spinner', () => {
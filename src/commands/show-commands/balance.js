@@ -2,27 +2,62 @@
 
 const dbg = require('../../dbg');
 const nahmii = require('nahmii-sdk');
+const output = require('../../output');
+const prices = require('../../prices');
+const {wrap} = require('../../errors');
+
+async function valuate(balances, source, fiat) {
+    const valued = [];
+    for (const currency of Object.keys(balances)) {
+        const price = await source.price(currency, fiat);
+        if (price === undefined)
+            console.error(`WARNING: No ${fiat} price of ${currency}, it is left out of the total`);
+        const balance = balances[currency];
+        valued.push({currency, balance, price, value: price === undefined ? undefined : prices.value(balance, price)});
+    }
+    const total = prices.sum(valued.filter(b => b.value !== undefined).map(b => b.value));
+    return {fiat, balances: valued, total};
+}
 
 module.exports = {
     command: 'balance',
     describe: 'Show my nahmii assets',
-    builder: {},
-    handler: async () => {
+    builder: yargs => {
+        yargs.example('show balance --fiat USD', 'Shows the value of each token and of all tokens in USD.');
+        yargs.option('fiat', {
+            desc: `Value the assets in a fiat currency, one of ${prices.FIATS.join(', ')}. Prices come from the price source in the config, see "prices.file" and "prices.url".`,
+            type: 'string'
+        });
+    },
+    handler: async (argv) => {
+        const fiat = argv.fiat === undefined ? undefined : prices.parseFiat(argv.fiat);
         const config = require('../../config');
-        const provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
-
+        const source = fiat ? prices.source(config) : undefined;
+        let provider;
         try {
-            const privateKey = await config.privateKey(config.wallet.secret);
-            const wallet = new nahmii.Wallet(privateKey, provider);
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
             const balances = await wallet.getNahmiiBalance();
-            console.log(JSON.stringify(balances));
+            if (!fiat) {
+                output.print(balances, {
+                    rows: data => Object.keys(data).map(currency => ({currency, balance: data[currency]}))
+                });
+                return;
+            }
+
+            output.print(await valuate(balances, source, fiat), {
+                columns: ['currency', 'balance', 'price', 'value'],
+                rows: data => [...data.balances, {currency: 'total', value: data.total}]
+            });
         }
         catch (err) {
             dbg(err);
-            throw new Error('Unable to retrieve the balance.');
+            throw wrap(err, 'Unable to retrieve the balance');
         }
         finally {
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
@@ -0,0 +1,134 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+function stubbedNahmiiProvider() {
+    throw new Error('NahmiiProvider constructor not implemented!');
+}
+stubbedNahmiiProvider.from = sinon.stub();
+
+const stubbedProviderInstance = {
+    stopUpdate: sinon.stub()
+};
+
+const stubbedWallet = {
+    getNahmiiBalance: sinon.stub()
+};
+
+const stubbedConfig = {
+    signer: sinon.stub(),
+    apiRoot: 'some-api-root',
+    appId: 'an-app-id',
+    appSecret: 'much secret!'
+};
+
+const stubbedPrices = {
+    ...require('../../prices'),
+    source: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./balance', {
+        'nahmii-sdk': {
+            NahmiiProvider: stubbedNahmiiProvider,
+            Wallet: function () {
+                return stubbedWallet;
+            }
+        },
+        '../../prices': stubbedPrices,
+        '../../config': stubbedConfig
+    });
+}
+
+describe('Show balance command', () => {
+    const price = sinon.stub();
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        sinon.stub(console, 'error');
+        delete process.env.NAHMII_OUTPUT;
+        stubbedNahmiiProvider.from.resolves(stubbedProviderInstance);
+        stubbedConfig.signer.resolves({});
+        stubbedWallet.getNahmiiBalance.resolves({ETH: '1.5', HBT: '1000.0', XYZ: '7.0'});
+        price.callsFake(async symbol => ({ETH: '2400.5', HBT: '0.0125'})[symbol]);
+        stubbedPrices.source.returns({price});
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        console.error.restore();
+        delete process.env.NAHMII_OUTPUT;
+        stubbedNahmiiProvider.from.reset();
+        stubbedProviderInstance.stopUpdate.reset();
+        stubbedConfig.signer.reset();
+        stubbedWallet.getNahmiiBalance.reset();
+        stubbedPrices.source.reset();
+        price.reset();
+    });
+
+    it('outputs the balances by currency', async () => {
+        await proxyquireCommand().handler({});
+        expect(JSON.parse(console.log.lastCall.args[0])).to.eql({ETH: '1.5', HBT: '1000.0', XYZ: '7.0'});
+        expect(stubbedPrices.source).not.to.have.been.called;
+        expect(stubbedProviderInstance.stopUpdate).to.have.been.called;
+    });
+
+    it('reports an unreachable API as a network error', async () => {
+        stubbedNahmiiProvider.from.rejects(new Error('Unable to retrieve cluster information: Error: getaddrinfo ENOTFOUND some-api-root'));
+        const err = await proxyquireCommand().handler({}).catch(err => err);
+        expect(err.code).to.equal('NETWORK');
+        expect(err.message).to.match(/^Unable to retrieve the balance: Unable to retrieve cluster information/);
+    });
+
+    context('with --fiat', () => {
+        it('values each currency at its current price', async () => {
+            await proxyquireCommand().handler({fiat: 'usd'});
+            expect(stubbedPrices.source).to.have.been.calledWith(stubbedConfig);
+            expect(price).to.have.been.calledWith('ETH', 'USD');
+            const result = JSON.parse(console.log.lastCall.args[0]);
+            expect(result.fiat).to.equal('USD');
+            expect(result.balances).to.eql([
+                {currency: 'ETH', balance: '1.5', price: '2400.5', value: '3600.75'},
+                {currency: 'HBT', balance: '1000.0', price: '0.0125', value: '12.50'},
+                {currency: 'XYZ', balance: '7.0'}
+            ]);
+        });
+
+        it('adds up the total of the currencies that have a price', async () => {
+            await proxyquireCommand().handler({fiat: 'USD'});
+            expect(JSON.parse(console.log.lastCall.args[0]).total).to.equal('3613.25');
+            expect(console.error).to.have.been.calledWith('WARNING: No USD price of XYZ, it is left out of the total');
+        });
+
+        it('outputs a row per currency and the total as CSV', async () => {
+            process.env.NAHMII_OUTPUT = 'csv';
+            await proxyquireCommand().handler({fiat: 'USD'});
+            expect(console.log.lastCall.args[0].split('\n')).to.eql([
+                'currency,balance,price,value',
+                'ETH,1.5,2400.5,3600.75',
+                'HBT,1000.0,0.0125,12.50',
+                'XYZ,7.0,,',
+                'total,,,3613.25'
+            ]);
+        });
+
+        it('rejects unsupported fiat currencies', async () => {
+            const err = await proxyquireCommand().handler({fiat: 'GBP'}).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(stubbedNahmiiProvider.from).not.to.have.been.called;
+        });
+
+        it('fails when the price source fails', async () => {
+            price.rejects(new Error('Service Unavailable'));
+            const err = await proxyquireCommand().handler({fiat: 'USD'}).catch(err => err);
+            expect(err.message).to.equal('Unable to retrieve the balance: Service Unavailable');
+            expect(stubbedProviderInstance.stopUpdate).to.have.been.called;
+        });
+    });
+});
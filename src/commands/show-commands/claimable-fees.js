@@ -2,6 +2,7 @@
 
 const dbg = require('../../dbg');
 const nahmii = require('nahmii-sdk');
+const {wrap, ValidationError} = require('../../errors');
 
 const blockSymbol = Symbol.for('block');
 const accrualSymbol = Symbol.for('accrual');
@@ -45,16 +46,16 @@ module.exports = {
         }
 
         const config = require('../../config');
-        const provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
-
-        const network = await provider.getNetwork();
-
+        let provider;
         try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const network = await provider.getNetwork();
+
             const tokenInfo = await provider.getTokenInfo(argv.currency);
             const currency = nahmii.Currency.from({ct: tokenInfo.currency, id: 0});
 
-            const privateKey = await config.privateKey(config.wallet.secret);
-            const wallet = new nahmii.Wallet(privateKey, provider);
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
 
             const claimant = new nahmii.FeesClaimant(provider, config.tokenHolderRevenueFundAbstractions[network.name]);
 
@@ -69,10 +70,11 @@ module.exports = {
         }
         catch (err) {
             dbg(err);
-            throw new Error('Unable to retrieve the claimable fees.');
+            throw wrap(err, 'Unable to retrieve the claimable fees');
         }
         finally {
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
@@ -80,13 +82,13 @@ module.exports = {
 function validateBlock(index, name) {
     index = parseInt(index);
     if (Number.isNaN(index) || index < 0)
-        throw new Error(`${name} block number must be a number higher than 0.`);
+        throw new ValidationError(`${name} block number must be a number higher than 0.`);
     return index;
 }
 
 function validateAccrual(index, name) {
     index = parseInt(index);
     if (Number.isNaN(index) || index < 0)
-        throw new Error(`${name} accrual index must be a number higher than 0.`);
+        throw new ValidationError(`${name} accrual index must be a number higher than 0.`);
     return index;
 }
\ No newline at end of file
@@ -30,7 +30,7 @@ const stubbedConfig = {
     wallet: {
         secret: 'secret much'
     },
-    privateKey: sinon.stub(),
+    signer: sinon.stub(),
     apiRoot: 'some-api-root',
     appId: 'an-app-id',
     appSecret: 'much secret!',
@@ -101,8 +101,7 @@ describe('Claim fees command', () => {
             .resolves(stubbedTokenInfo);
         stubbedProviderInstance.getNetwork
             .returns({name: 'test-network'});
-        stubbedConfig.privateKey
-            .withArgs(stubbedConfig.wallet.secret)
+        stubbedConfig.signer
             .resolves('privatekey');
 
         sinon.stub(console, 'log');
@@ -2,6 +2,9 @@
 
 const dbg = require('../../dbg');
 const nahmii = require('nahmii-sdk');
+const output = require('../../output');
+const contacts = require('../../contacts');
+const {wrap} = require('../../errors');
 
 function isSameAddress(a, b) {
     a = nahmii.utils.strip0x(a).toLowerCase();
@@ -15,26 +18,31 @@ module.exports = {
     builder: {},
     handler: async () => {
         const config = require('../../config');
-        const provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+        let provider;
+        try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const address = await config.address();
 
-        const isMyPayment = (payment) => {
-            return isSameAddress(payment.sender.wallet, config.wallet.address)
-                || isSameAddress(payment.recipient.wallet, config.wallet.address);
-        };
+            const isMyPayment = (payment) => {
+                return isSameAddress(payment.sender.wallet, address)
+                    || isSameAddress(payment.recipient.wallet, address);
+            };
 
-        try {
             let payments = await provider.getPendingPayments();
             if (!payments.length)
                 payments = [];
             payments = payments.filter(isMyPayment);
-            console.log(JSON.stringify(payments));
+            output.print(contacts.annotate(payments), {
+                columns: ['sender.wallet', 'sender.contact', 'recipient.wallet', 'recipient.contact', 'amount', 'currency.ct', 'seals.wallet.hash']
+            });
         }
         catch (err) {
             dbg(err);
-            throw new Error('Unable to show pending payments.');
+            throw wrap(err, 'Unable to show pending payments');
         }
         finally {
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
@@ -65,7 +65,8 @@ const stubbedConfig = {
         address: wallet1,
         secret: 'expected secret'
     },
-    privateKey: sinon.stub(),
+    signer: sinon.stub(),
+    address: () => Promise.resolve(stubbedConfig.wallet.address),
     apiRoot: 'some-api-root',
     appId: 'an-app-id',
     appSecret: 'much secret!'
@@ -88,12 +89,17 @@ stubbedProviderInstance.reset = function() {
 
 const utils = require('nahmii-sdk').utils;
 
+const stubbedContacts = {
+    annotate: sinon.stub()
+};
+
 function proxyquireCommand() {
     return proxyquire('./payments', {
         'nahmii-sdk': {
             NahmiiProvider: fakeNahmiiProvider,
             utils: utils
         },
+        '../../contacts': stubbedContacts,
         '../../config': stubbedConfig
     });
 }
@@ -103,6 +109,7 @@ describe('Show Payments command', () => {
 
     beforeEach(() => {
         sinon.stub(console, 'log');
+        stubbedContacts.annotate.callsFake(payments => payments);
         stubbedConfig.wallet.address = wallet1;
         fakeNahmiiProvider.from
             .withArgs(stubbedConfig.apiRoot, stubbedConfig.appId, stubbedConfig.appSecret)
@@ -112,9 +119,20 @@ describe('Show Payments command', () => {
 
     afterEach(() => {
         console.log.restore();
+        stubbedContacts.annotate.reset();
         stubbedProviderInstance.reset();
     });
 
+    context('with contacts', () => {
+        it('shows the names of senders and recipients', async () => {
+            const annotated = [{id: '1', sender: {wallet: wallet1, contact: 'me'}, recipient: {wallet: wallet2, contact: 'alice'}}];
+            stubbedProviderInstance.getPendingPayments.resolves([testPayments[0], testPayments[3]]);
+            stubbedContacts.annotate.withArgs([testPayments[0]]).returns(annotated);
+            await showPayments();
+            expect(console.log).to.have.been.calledWith(JSON.stringify(annotated));
+        });
+    });
+
     [utils.prefix0x(wallet1), utils.strip0x(wallet1)].forEach(myWallet => {
         context('API responds with payments', () => {
             beforeEach(async () => {
@@ -1,12 +1,21 @@
 'use strict';
 
 const dbg = require('../../dbg');
-const nahmii = require('nahmii-sdk');
+const output = require('../../output');
+const contacts = require('../../contacts');
+const journal = require('../../journal');
+const ledger = require('../../ledger');
+const receipts = require('../../receipts');
+const receiptFilters = require('../../receipt-filters');
+const {wrap} = require('../../errors');
 
 module.exports = {
     command: 'receipts',
-    describe: 'Show receipts for my executed payments',
+    describe: 'Show receipts for my executed payments from the local ledger',
     builder: yargs => {
+        yargs.example('show receipts --currency HBT --direction in --since 2026-09-01', 'Shows the latest HBT payments received since September 1st 2026.');
+        yargs.example('show receipts --counterparty alice --min-amount 100', 'Shows the latest payments of at least 100 to or from the contact alice.');
+        yargs.example('show receipts --online', 'Syncs the ledger with the API and then shows the latest receipts.');
         yargs.options('from-nonce', {
             desc: 'Earliest possible nonce of receipt',
             type: 'number',
@@ -22,25 +31,74 @@ module.exports = {
             type: 'boolean',
             default: false
         });
+        yargs.option('currency', {
+            desc: 'Only show receipts in this currency, e.g. HBT',
+            type: 'string'
+        });
+        yargs.option('counterparty', {
+            desc: 'Only show receipts of payments to or from this address or contact',
+            type: 'string'
+        });
+        yargs.option('direction', {
+            desc: 'Only show payments received (in) or made (out)',
+            choices: receiptFilters.DIRECTIONS
+        });
+        yargs.option('since', {
+            desc: 'Only show receipts created at or after this date, e.g. 2026-09-01. Dates without a time are in UTC.',
+            type: 'string'
+        });
+        yargs.option('until', {
+            desc: 'Only show receipts created before this date, e.g. 2026-10-01',
+            type: 'string'
+        });
+        yargs.option('min-amount', {
+            desc: 'Only show payments of at least this amount, in the units of the currency',
+            type: 'string'
+        });
+        yargs.option('max-amount', {
+            desc: 'Only show payments of at most this amount, in the units of the currency',
+            type: 'string'
+        });
+        yargs.option('online', {
+            desc: 'Sync the ledger with the API first, see "nahmii sync". The ledger is always synced when it never was.',
+            type: 'boolean',
+            default: false
+        });
     },
     handler: async (argv) => {
         const config = require('../../config');
-        const provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
-
+        let provider;
         try {
-            let receipts = await provider.getWalletReceipts(
-                config.wallet.address, argv.fromNonce, argv.limit, argv.ascending
-            );
-            if (!receipts.length)
-                receipts = [];
-            console.log(JSON.stringify(receipts));
+            const address = await config.address();
+            provider = await ledger.open(config, address, {online: argv.online});
+            const criteria = await receiptFilters.criteria(provider, argv);
+            const currencyInfo = await receipts.currencies(provider);
+
+            let found;
+            if (Object.keys(criteria).length) {
+                const matches = receipts.matcher(address, criteria, currencyInfo);
+                found = await receipts.find(provider, address, matches, {
+                    fromNonce: argv.fromNonce, limit: argv.limit, ascending: argv.ascending
+                });
+            }
+            else {
+                found = await provider.getWalletReceipts(address, argv.fromNonce, argv.limit, argv.ascending);
+                if (!found.length)
+                    found = [];
+            }
+
+            const displayed = found.map(receipt => receipts.display(receipt, currencyInfo));
+            output.print(journal.annotate(contacts.annotate(displayed)), {
+                columns: ['created', 'nonce', 'blockNumber', 'sender.wallet', 'sender.contact', 'recipient.wallet', 'recipient.contact', 'amount', 'currency.symbol', 'currency.ct', 'reference']
+            });
         }
         catch (err) {
             dbg(err);
-            throw new Error('Unable to show receipts for executed payments.');
+            throw wrap(err, 'Unable to show receipts for executed payments');
         }
         finally {
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
@@ -0,0 +1,216 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const me = '0x1234567890123456789012345678901234567891';
+const alice = '0x1234567890123456789012345678901234567890';
+const bob = '0x' + 'bb'.repeat(20);
+const hbt = '0x' + 'ab'.repeat(20);
+const eth = '0x' + '00'.repeat(20);
+
+const stubbedConfig = {
+    address: sinon.stub(),
+    apiRoot: 'some-api-root',
+    appId: 'an-app-id',
+    appSecret: 'much secret!'
+};
+
+function fakeNahmiiProvider() {
+    throw new Error('NahmiiProvider constructor not implemented!');
+}
+fakeNahmiiProvider.from = sinon.stub();
+
+const stubbedProviderInstance = {
+    getWalletReceipts: sinon.stub(),
+    getSupportedTokens: sinon.stub(),
+    stopUpdate: sinon.stub()
+};
+
+const stubbedContacts = {
+    resolve: name => name === 'alice' ? alice : name,
+    annotate: receipts => receipts
+};
+
+const stubbedJournal = {
+    annotate: receipts => receipts
+};
+
+const stubbedLedger = {
+    open: sinon.stub()
+};
+
+function proxyquireCommand() {
+    const stubbedNahmii = {
+        NahmiiProvider: fakeNahmiiProvider,
+        utils: require('nahmii-sdk').utils
+    };
+    return proxyquire('./receipts', {
+        'nahmii-sdk': stubbedNahmii,
+        '../../receipt-filters': proxyquire('../../receipt-filters', {
+            './payments': proxyquire('../../payments', {
+                'nahmii-sdk': stubbedNahmii,
+                './contacts': stubbedContacts
+            })
+        }),
+        '../../contacts': stubbedContacts,
+        '../../journal': stubbedJournal,
+        '../../ledger': stubbedLedger,
+        '../../config': stubbedConfig
+    });
+}
+
+function receipt(nonce, sender, recipient, amount, ct = hbt) {
+    return {
+        nonce,
+        created: `2026-09-${String(nonce).padStart(2, '0')}T00:00:00.000Z`,
+        sender: {wallet: sender},
+        recipient: {wallet: recipient},
+        amount,
+        currency: {ct, id: '0'}
+    };
+}
+
+describe('Show receipts command', () => {
+    const history = [
+        receipt(1, me, alice, '1000000000000000'),
+        receipt(2, alice, me, '2000000000000000'),
+        receipt(3, me, bob, '3000000000000000000', eth),
+        receipt(4, bob, me, '4000000000000000'),
+        receipt(5, me, alice, '5000000000000000')
+    ];
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        stubbedLedger.open.resolves(stubbedProviderInstance);
+        stubbedConfig.address.resolves(me);
+        stubbedProviderInstance.getSupportedTokens.resolves([{currency: hbt, symbol: 'HBT', decimals: 15}]);
+        stubbedProviderInstance.getWalletReceipts.callsFake(async (address, fromNonce, limit, ascending) => {
+            const page = history.filter(r => r.nonce >= fromNonce);
+            return (ascending ? page : page.reverse()).slice(0, limit);
+        });
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        stubbedLedger.open.reset();
+        stubbedConfig.address.reset();
+        stubbedProviderInstance.getWalletReceipts.reset();
+        stubbedProviderInstance.getSupportedTokens.reset();
+        stubbedProviderInstance.stopUpdate.reset();
+    });
+
+    function showReceipts(args = {}) {
+        return proxyquireCommand().handler({fromNonce: 0, limit: 10, ascending: false, ...args});
+    }
+
+    function shown() {
+        return JSON.parse(console.log.lastCall.args[0]);
+    }
+
+    context('ledger', () => {
+        it('queries the ledger of the wallet', async () => {
+            await showReceipts();
+            expect(stubbedLedger.open).to.have.been.calledWith(stubbedConfig, me, {online: undefined});
+        });
+
+        it('syncs the ledger first with --online', async () => {
+            await showReceipts({online: true});
+            expect(stubbedLedger.open).to.have.been.calledWith(stubbedConfig, me, {online: true});
+        });
+
+        it('reports when the ledger can not be synced', async () => {
+            stubbedLedger.open.rejects(new Error('API down'));
+            const err = await showReceipts({online: true}).catch(err => err);
+            expect(err.message).to.match(/Unable to show receipts/);
+        });
+    });
+
+    context('without filters', () => {
+        it('shows a single page of receipts', async () => {
+            await showReceipts({limit: 2});
+            expect(stubbedProviderInstance.getWalletReceipts).to.have.been.calledOnceWith(me, 0, 2, false);
+            expect(shown().map(r => r.nonce)).to.eql([5, 4]);
+        });
+
+        it('renders amounts with the decimals of the currency', async () => {
+            await showReceipts();
+            expect(shown().map(r => [r.amount, r.currency.symbol])).to.eql([
+                ['5.0', 'HBT'], ['4.0', 'HBT'], ['3.0', 'ETH'], ['2.0', 'HBT'], ['1.0', 'HBT']
+            ]);
+        });
+
+        it('outputs an empty list when the API responds with something other than an array', async () => {
+            stubbedProviderInstance.getWalletReceipts.resolves({});
+            await showReceipts();
+            expect(shown()).to.eql([]);
+        });
+    });
+
+    context('with filters', () => {
+        it('filters by currency', async () => {
+            await showReceipts({currency: 'ETH'});
+            expect(shown().map(r => r.nonce)).to.eql([3]);
+        });
+
+        it('filters by counterparty given as contact', async () => {
+            await showReceipts({counterparty: 'alice'});
+            expect(shown().map(r => r.nonce)).to.eql([5, 2, 1]);
+        });
+
+        it('filters by direction', async () => {
+            await showReceipts({direction: 'in'});
+            expect(shown().map(r => r.nonce)).to.eql([4, 2]);
+        });
+
+        it('filters by date', async () => {
+            await showReceipts({since: '2026-09-02', until: '2026-09-04'});
+            expect(shown().map(r => r.nonce)).to.eql([3, 2]);
+        });
+
+        it('filters by amount in display units', async () => {
+            await showReceipts({minAmount: '2', maxAmount: '4.5', currency: 'HBT'});
+            expect(shown().map(r => r.nonce)).to.eql([4, 2]);
+        });
+
+        it('fills the limit with the newest matching receipts', async () => {
+            await showReceipts({direction: 'out', limit: 2});
+            expect(shown().map(r => r.nonce)).to.eql([5, 3]);
+        });
+
+        it('fills the limit with the oldest matching receipts with ascending', async () => {
+            await showReceipts({direction: 'out', limit: 2, ascending: true});
+            expect(shown().map(r => r.nonce)).to.eql([1, 3]);
+        });
+
+        it('starts from the nonce', async () => {
+            await showReceipts({direction: 'out', fromNonce: 2});
+            expect(shown().map(r => r.nonce)).to.eql([5, 3]);
+        });
+
+        it('rejects invalid amounts', async () => {
+            const err = await showReceipts({minAmount: '-1'}).catch(err => err);
+            expect(err.message).to.match(/--min-amount must be a number/);
+        });
+
+        it('rejects a max amount below the min amount', async () => {
+            const err = await showReceipts({minAmount: '10', maxAmount: '9.5'}).catch(err => err);
+            expect(err.message).to.match(/--max-amount must not be less than --min-amount/);
+        });
+
+        it('rejects unknown directions', async () => {
+            const err = await showReceipts({direction: 'sideways'}).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+        });
+
+        it('stops token refresh', async () => {
+            await showReceipts({direction: 'in'});
+            expect(stubbedProviderInstance.stopUpdate).to.have.been.called;
+        });
+    });
+});
@@ -2,6 +2,8 @@
 
 const dbg = require('../../dbg');
 const nahmii = require('nahmii-sdk');
+const output = require('../../output');
+const {wrap} = require('../../errors');
 
 module.exports = {
     command: 'tokens',
@@ -9,27 +11,25 @@ module.exports = {
     builder: {},
     handler: async () => {
         const config = require('../../config');
-        const provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
-
+        let provider;
         try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
             const supportedTokens = await provider.getSupportedTokens();
-            if (supportedTokens.length) {
-                const result = JSON.stringify(supportedTokens.map(t => {
-                    return {
-                        symbol: t.symbol,
-                        currency: t.currency
-                    };
-                }));
-                return console.log(result);
-            }
-            console.log([]);
+            const tokens = (supportedTokens.length ? supportedTokens : []).map(t => {
+                return {
+                    symbol: t.symbol,
+                    currency: t.currency
+                };
+            });
+            output.print(tokens);
         }
         catch (err) {
             dbg(err);
-            throw new Error(`Unable to show supported tokens: ${err.message}`);
+            throw wrap(err, 'Unable to show supported tokens');
         }
         finally {
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
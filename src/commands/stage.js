@@ -5,6 +5,8 @@ const ethers = require('ethers');
 const ora = require('ora');
 const dbg = require('../dbg');
 const utils = require('../utils');
+const {confirm} = require('../confirm');
+const {wrap} = require('../errors');
 
 module.exports = {
     command: 'stage <currency>  [--gas=<gaslimit>] [--price=<gasPrice in gwei>]',
@@ -37,8 +39,8 @@ module.exports = {
             const price = utils.parsePositiveInteger(argv.price);
             const gasPrice = ethers.utils.bigNumberify(price).mul(ethers.utils.bigNumberify(10).pow(9));
             
-            const privateKey = await config.privateKey(config.wallet.secret);
-            const wallet = new nahmii.Wallet(privateKey, provider);
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
             const settlement = new nahmii.SettlementFactory(provider);
             spinner.start('Staging qualified settlement(s)');
             
@@ -69,6 +71,16 @@ module.exports = {
 
             spinner.info(`There are ${stageableSettlements.length} settlement(s) ready to be staged with total stage amount ${totalIntendedStageAmount}`);
 
+            await confirm(provider, {
+                action: 'Staging',
+                amount: totalIntendedStageAmount,
+                currency,
+                contract: stageableSettlements.map(s => `${s.type} settlement`).join(', '),
+                gasLimit,
+                gasPrice,
+                transactions: stageableSettlements.length
+            }, argv);
+
             for (const stageableSettlement of stageableSettlements) {
                 const {type, stageAmount} = stageableSettlement;
                 const formattedStageAmount = ethers.utils.formatUnits(stageAmount, tokenInfo.decimals);
@@ -77,17 +89,18 @@ module.exports = {
                 const tx = await stageableSettlement.stage(wallet, {gasLimit, gasPrice});
                 spinner.start(`Waiting for transaction ${tx.hash} to be mined`);
 
-                const txReceipt = await provider.getTransactionConfirmation(tx.hash, 300);
+                const txReceipt = await utils.confirmTransaction(provider, tx.hash, 300);
                 spinner.succeed(`Updated stage balance (max withdrawal amount). [used gas: ${ethers.utils.bigNumberify(txReceipt.gasUsed).toString()}]`);
             }
         }
         catch (err) {
             dbg(err);
-            throw new Error(`Unable to stage settlement: ${err.message}`);
+            throw wrap(err, 'Unable to stage settlement');
         }
         finally {
             spinner.stop();
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
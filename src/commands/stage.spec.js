@@ -9,6 +9,7 @@ chai.use(sinonChai);
 
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 const ethers = require('ethers');
+const {CancelledError} = require('../errors');
 
 const stubbedWallet = {
     getNahmiiBalance: sinon.stub()
@@ -19,7 +20,7 @@ const stubbedConfig = {
     wallet: {
         secret: 'secret much'
     },
-    privateKey: sinon.stub(),
+    signer: sinon.stub(),
     apiRoot: 'some-api-root',
     appId: 'an-app-id',
     appSecret: 'much secret!'
@@ -73,6 +74,8 @@ stubbedOra.reset = function() {
 }.bind(stubbedOra);
 stubbedOra.start.returns(stubbedOra);
 
+const stubbedConfirm = sinon.stub();
+
 function proxyquireCommand() {
     return proxyquire('./stage', {
         'nahmii-sdk': {
@@ -85,6 +88,7 @@ function proxyquireCommand() {
             },
             MonetaryAmount
         },
+        '../confirm': {confirm: stubbedConfirm},
         '../config': stubbedConfig,
         'ora': function() {
             return stubbedOra;
@@ -114,8 +118,8 @@ describe('stage command', () => {
     let stageableSettlements;
 
     beforeEach(() => {
-        stubbedConfig.privateKey
-            .withArgs(stubbedConfig.wallet.secret)
+        stubbedConfirm.resolves();
+        stubbedConfig.signer
             .resolves('privatekey');
         fakeNahmiiProvider.from
             .withArgs(stubbedConfig.apiRoot, stubbedConfig.appId, stubbedConfig.appSecret)
@@ -139,8 +143,9 @@ describe('stage command', () => {
     });
 
     afterEach(() => {
+        stubbedConfirm.reset();
         stubbedWallet.getNahmiiBalance.reset();
-        stubbedConfig.privateKey.reset();
+        stubbedConfig.signer.reset();
         fakeNahmiiProvider.from.reset();
         stubbedProviderInstance.reset();
         stubbedOra.reset();
@@ -173,6 +178,18 @@ describe('stage command', () => {
             });
         });
 
+        it('asks for confirmation of the staging', () => {
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, {
+                action: 'Staging',
+                amount: '1.1',
+                currency: 'ETH',
+                contract: 'payment settlement, onchain-balance settlement',
+                gasLimit: 2,
+                gasPrice: ethers.utils.bigNumberify(2000000000),
+                transactions: 2
+            });
+        });
+
         it('should settle qualified settlements', () => {
             for(const stageableSettlement of stageableSettlements) {
                 expect(stageableSettlement.stage).to.have.been.calledWith(
@@ -192,6 +209,21 @@ describe('stage command', () => {
         });
     });
 
+    context('stage ETH when declined', () => {
+        it('yields an error without staging any settlement', async () => {
+            const stageableSettlement = {type: 'payment', stageAmount: ethers.utils.parseUnits('1.0', 18), currency, isStageable: true, stage: sinon.stub()};
+            stubbedSettlementFactory.getAllSettlements.resolves([stageableSettlement]);
+            stubbedConfirm.rejects(new CancelledError('Staging cancelled'));
+            const err = await stageCmd.handler.call(undefined, {
+                currency: 'ETH',
+                gas: 2,
+                price: 2
+            }).catch(err => err);
+            expect(err.code).to.equal('CANCELLED');
+            expect(stageableSettlement.stage).not.to.have.been.called;
+        });
+    });
+
     context('no qualified settlements to stage', () => {
         beforeEach(() => {
             const stageableSettlements = [
@@ -0,0 +1,51 @@
+'use strict';
+
+const nahmii = require('nahmii-sdk');
+const ora = require('ora');
+const dbg = require('../dbg');
+const output = require('../output');
+const ledger = require('../ledger');
+const {wrap} = require('../errors');
+
+module.exports = {
+    command: 'sync',
+    describe: 'Copy the receipts of my wallet that are new since the last sync to the local ledger',
+    builder: yargs => {
+        yargs.example('sync', 'Adds the new receipts of the wallet to the ledger of the current profile.');
+        yargs.example('sync --events', 'Also adds the new deposits, settlements, stages, unstages and withdrawals of the wallet.');
+        yargs.option('events', {
+            desc: 'Also copy the deposits, settlements, stages, unstages and withdrawals of my wallet, as read from the nahmii contracts',
+            type: 'boolean',
+            default: false
+        });
+    },
+    handler: async (argv) => {
+        const config = require('../config');
+        let provider;
+        const spinner = ora();
+        try {
+            provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+            const address = await config.address();
+            spinner.start(argv.events ? 'Syncing receipts and events' : 'Syncing receipts');
+            const result = await ledger.sync(provider, config.profile, address, added => {
+                spinner.text = `Synced ${added} new receipts`;
+            }, {events: argv.events});
+            if (result.events === undefined)
+                spinner.succeed(`Synced ${result.added} new receipts`);
+            else
+                spinner.succeed(`Synced ${result.added} new receipts and ${result.events} new events`);
+            if (argv.events && result.events === undefined)
+                console.error(`WARNING: The nahmii contracts are not known on the ${provider.network.name} network, so no events were synced.`);
+            output.print({profile: config.profile, address, ...result, file: ledger.receiptsFile(config.profile, address)});
+        }
+        catch (err) {
+            dbg(err);
+            spinner.stop();
+            throw wrap(err, 'Unable to sync receipts');
+        }
+        finally {
+            if (provider)
+                provider.stopUpdate();
+        }
+    }
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const me = '0x1234567890123456789012345678901234567891';
+
+const stubbedConfig = {
+    profile: 'work',
+    address: sinon.stub(),
+    apiRoot: 'some-api-root',
+    appId: 'an-app-id',
+    appSecret: 'much secret!'
+};
+
+function fakeNahmiiProvider() {
+    throw new Error('NahmiiProvider constructor not implemented!');
+}
+fakeNahmiiProvider.from = sinon.stub();
+
+const stubbedProviderInstance = {
+    network: {name: 'rinkeby', chainId: 4},
+    stopUpdate: sinon.stub()
+};
+
+const stubbedOra = {
+    start: sinon.stub(),
+    succeed: sinon.stub(),
+    stop: sinon.stub()
+};
+
+const stubbedLedger = {
+    sync: sinon.stub(),
+    receiptsFile: () => '/home/me/.nahmii/work/receipts.ndjson'
+};
+
+function proxyquireCommand() {
+    return proxyquire('./sync', {
+        'nahmii-sdk': {
+            NahmiiProvider: fakeNahmiiProvider
+        },
+        'ora': function() {
+            return stubbedOra;
+        },
+        '../ledger': stubbedLedger,
+        '../config': stubbedConfig
+    });
+}
+
+describe('Sync command', () => {
+    const result = {fromNonce: 4, added: 2, lastNonce: 5, synced: '2026-10-19T00:00:00.000Z'};
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        fakeNahmiiProvider.from.resolves(stubbedProviderInstance);
+        stubbedConfig.address.resolves(me);
+        stubbedLedger.sync.resolves(result);
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        fakeNahmiiProvider.from.reset();
+        stubbedProviderInstance.stopUpdate.reset();
+        stubbedConfig.address.reset();
+        stubbedLedger.sync.reset();
+        stubbedOra.succeed.reset();
+    });
+
+    it('syncs the ledger of the wallet in the current profile', async () => {
+        await proxyquireCommand().handler({});
+        expect(stubbedLedger.sync).to.have.been.calledWith(stubbedProviderInstance, 'work', me);
+    });
+
+    it('leaves the events out by default', async () => {
+        await proxyquireCommand().handler({events: false});
+        expect(stubbedLedger.sync).to.have.been.calledWith(stubbedProviderInstance, 'work', me, sinon.match.func, {events: false});
+    });
+
+    it('syncs the events with --events', async () => {
+        stubbedLedger.sync.resolves({...result, events: 2, lastBlock: 1000});
+        await proxyquireCommand().handler({events: true});
+        expect(stubbedLedger.sync).to.have.been.calledWith(stubbedProviderInstance, 'work', me, sinon.match.func, {events: true});
+        expect(stubbedOra.succeed).to.have.been.calledWith('Synced 2 new receipts and 2 new events');
+    });
+
+    it('warns when the events can not be synced on the network', async () => {
+        sinon.stub(console, 'error');
+        try {
+            await proxyquireCommand().handler({events: true});
+            expect(console.error).to.have.been.calledWith(sinon.match(/not known on the rinkeby network/));
+        }
+        finally {
+            console.error.restore();
+        }
+        expect(stubbedOra.succeed).to.have.been.calledWith('Synced 2 new receipts');
+    });
+
+    it('outputs what was synced', async () => {
+        await proxyquireCommand().handler({});
+        expect(JSON.parse(console.log.lastCall.args[0])).to.eql({
+            profile: 'work',
+            address: me,
+            ...result,
+            file: '/home/me/.nahmii/work/receipts.ndjson'
+        });
+    });
+
+    it('stops the provider', async () => {
+        await proxyquireCommand().handler({});
+        expect(stubbedProviderInstance.stopUpdate).to.have.been.calledOnce;
+    });
+
+    it('reports failures', async () => {
+        stubbedLedger.sync.rejects(new Error('API down'));
+        const err = await proxyquireCommand().handler({}).catch(err => err);
+        expect(err.message).to.match(/Unable to sync receipts/);
+        expect(stubbedProviderInstance.stopUpdate).to.have.been.calledOnce;
+    });
+});
@@ -5,6 +5,10 @@ const nahmii = require('nahmii-sdk');
 const ora = require('ora');
 const dbg = require('../dbg');
 const utils = require('../utils');
+const payments = require('../payments');
+const output = require('../output');
+const {confirm} = require('../confirm');
+const {wrap, ValidationError, InsufficientFundsError} = require('../errors');
 
 module.exports = {
     command: 'unstage <amount> <currency> [--gas=<gaslimit>] [--price=<gasPrice in gwei>]',
@@ -14,6 +18,7 @@ module.exports = {
         yargs.example('unstage 1 ETH --gas=500000', 'unstages 1 Ether and sets gas limit to 500000 while using default gas price.');
         yargs.example('unstage 1 ETH --price=2', 'unstages 1 Ether and sets gas price to 2 Gwei while using default gas limit.');
         yargs.example('unstage 1000 HBT', 'unstages 1000 Hubiits (HBT)');
+        yargs.example('unstage all HBT', 'unstages the whole staged balance of HBT. Percentages such as 50% work too.');
         yargs.option('gas', {
             desc: 'Gas limit used',
             default: 600000,
@@ -34,40 +39,53 @@ module.exports = {
             provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
             const tokenInfo = await provider.getTokenInfo(argv.currency);
             
-            const amount = utils.parseAmount(argv.amount, tokenInfo.decimals);
+            const amount = await utils.resolveAmount(argv.amount, tokenInfo.decimals, async () => {
+                return payments.stagedBalance(provider, await config.address(), tokenInfo.symbol);
+            });
             if (!amount.gt(0))
-                throw new Error('Amount must be strictly greater than zero!');
+                throw new ValidationError('Amount must be strictly greater than zero!');
 
             const gasLimit = utils.parsePositiveInteger(argv.gas);
             const gasPriceInGwei = utils.parsePositiveInteger(argv.price);
             const gasPrice = ethers.utils.bigNumberify(gasPriceInGwei).mul(ethers.utils.bigNumberify(10).pow(9));
-            const privateKey = await config.privateKey(config.wallet.secret);
-            const wallet = new nahmii.Wallet(privateKey, provider);
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
 
             const unstageMonetaryAmount = nahmii.MonetaryAmount.from(amount, tokenInfo.currency);
             const stagedBalanceBN = await wallet.getNahmiiStagedBalance(tokenInfo.symbol);
             
             if (amount.gt(stagedBalanceBN)) {
-                spinner.fail(`The maximum unstage amount is ${ethers.utils.formatUnits(stagedBalanceBN, tokenInfo.decimals)}`);
-                return;
+                const stagedBalance = ethers.utils.formatUnits(stagedBalanceBN, tokenInfo.decimals);
+                throw new InsufficientFundsError(`The maximum unstage amount is ${stagedBalance}`, {currency: tokenInfo.symbol, balance: stagedBalance});
             }
 
+            await confirm(provider, {
+                action: 'Unstage',
+                amount: ethers.utils.formatUnits(amount, tokenInfo.decimals),
+                currency: tokenInfo.symbol,
+                contract: 'ClientFund',
+                gasLimit,
+                gasPrice
+            }, argv);
+
             spinner.start('Waiting for transaction to be broadcast');
 
             const request = await wallet.unstage(unstageMonetaryAmount, {gasLimit, gasPrice});
             spinner.succeed(`Transaction broadcast ${request.hash}`);
             spinner.start('Waiting for transaction to be mined');
-            const txReceipt = await provider.getTransactionConfirmation(request.hash);
+            const txReceipt = await utils.confirmTransaction(provider, request.hash);
             spinner.succeed('Transaction mined');
-            console.log(JSON.stringify([utils.reduceReceipt(txReceipt)]));
+            const reduceReceipt = await utils.receiptReducer(provider, config.explorerUrl);
+            output.print([reduceReceipt(txReceipt)]);
         }
         catch (err) {
             dbg(err);
-            throw new Error(`Unstage failed: ${err.message}`);
+            throw wrap(err, 'Unstage failed');
         }
         finally {
             spinner.stop();
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
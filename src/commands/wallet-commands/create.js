@@ -0,0 +1,34 @@
+'use strict';
+
+const ethers = require('ethers');
+const ora = require('ora');
+const keystore = require('../../keystore');
+const {resolveNewPassphrase} = require('../../passphrase');
+const output = require('../../output');
+const {wrap} = require('../../errors');
+
+module.exports = {
+    command: 'create',
+    describe: 'Creates a new wallet and stores it encrypted in the keystore',
+    builder: yargs => {
+        yargs.example('wallet create', 'Creates a new wallet, prompting for the pass phrase to encrypt it with.');
+        yargs.example('wallet create --passphrase-file pass.txt', 'Creates a new wallet encrypted with the pass phrase in pass.txt.');
+    },
+    handler: async () => {
+        const passphrase = resolveNewPassphrase();
+        const wallet = ethers.Wallet.createRandom();
+
+        const spinner = ora();
+        try {
+            spinner.start('Encrypting wallet');
+            const file = await keystore.add(wallet, passphrase);
+            spinner.succeed(`Wallet ${wallet.address} stored in keystore`);
+
+            output.print({address: wallet.address, file});
+        }
+        catch (err) {
+            spinner.fail();
+            throw wrap(err, 'Unable to create wallet');
+        }
+    }
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const {ValidationError} = require('../../errors');
+
+const stubbedKeystore = {
+    add: sinon.stub()
+};
+
+const stubbedPassphrase = {
+    resolveNewPassphrase: sinon.stub()
+};
+
+const stubbedOra = {
+    start: sinon.stub(),
+    succeed: sinon.stub(),
+    fail: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./create', {
+        'ora': function() {
+            return stubbedOra;
+        },
+        '../../keystore': stubbedKeystore,
+        '../../passphrase': stubbedPassphrase
+    });
+}
+
+describe('Wallet create command', () => {
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        stubbedPassphrase.resolveNewPassphrase.returns('pass phrase');
+        stubbedKeystore.add.resolves('/keystore/file');
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        stubbedPassphrase.resolveNewPassphrase.reset();
+        stubbedKeystore.add.reset();
+        stubbedOra.start.reset();
+        stubbedOra.succeed.reset();
+        stubbedOra.fail.reset();
+    });
+
+    it('stores a new wallet encrypted with the pass phrase', async () => {
+        await proxyquireCommand().handler({});
+        expect(stubbedKeystore.add).to.have.been.calledWith(sinon.match.has('address', sinon.match(/^0x[0-9a-fA-F]{40}$/)), 'pass phrase');
+    });
+
+    it('creates a different wallet every time', async () => {
+        await proxyquireCommand().handler({});
+        await proxyquireCommand().handler({});
+        expect(stubbedKeystore.add.firstCall.args[0].address).not.to.equal(stubbedKeystore.add.secondCall.args[0].address);
+    });
+
+    it('outputs the address of the wallet and the keystore file', async () => {
+        await proxyquireCommand().handler({});
+        const {address} = stubbedKeystore.add.firstCall.args[0];
+        expect(JSON.parse(console.log.lastCall.args[0])).to.eql({address, file: '/keystore/file'});
+    });
+
+    it('does not create a wallet without a pass phrase', async () => {
+        stubbedPassphrase.resolveNewPassphrase.throws(new ValidationError('Pass phrases do not match'));
+        await expect(proxyquireCommand().handler({})).to.be.rejectedWith(/Pass phrases do not match/);
+        expect(stubbedKeystore.add).not.to.have.been.called;
+    });
+
+    it('yields an error when the wallet can not be stored', async () => {
+        stubbedKeystore.add.rejects(new Error('EACCES: permission denied'));
+        const err = await proxyquireCommand().handler({}).catch(err => err);
+        expect(err.message).to.equal('Unable to create wallet: EACCES: permission denied');
+        expect(stubbedOra.fail).to.have.been.called;
+    });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const configFile = require('../../config-file');
+const keystore = require('../../keystore');
+const output = require('../../output');
+const {ConfigError, ValidationError} = require('../../errors');
+
+module.exports = {
+    command: 'export [address] [--out=<file>]',
+    describe: 'Writes an encrypted JSON backup of the wallet with [address], or of the active wallet',
+    builder: yargs => {
+        yargs.example('wallet export', 'Writes a backup of the active wallet to the current folder.');
+        yargs.example('wallet export 0x1234567890123456789012345678901234567890 --out=backup.json', 'Writes a backup of the given wallet to backup.json.');
+        yargs.option('out', {
+            desc: 'File to write the backup to. Defaults to the name of the keystore file in the current folder.',
+            type: 'string'
+        });
+    },
+    handler: async (argv) => {
+        let address = argv.address;
+        if (!address) {
+            const config = configFile.loadActiveProfile();
+            address = config && config.wallet && config.wallet.address;
+            if (!address)
+                throw new ConfigError('No wallet address given and no wallet configured for the active profile');
+        }
+
+        const file = keystore.findFile(address);
+        if (!file)
+            throw new ConfigError(`Unable to find keystore file for wallet ${address}`);
+
+        const out = path.resolve(argv.out || path.basename(file));
+        try {
+            fs.writeFileSync(out, fs.readFileSync(file), {mode: 0o600, flag: 'wx'});
+        }
+        catch (err) {
+            if (err.code === 'EEXIST')
+                throw new ValidationError(`File already exists: ${out}`);
+            throw err;
+        }
+        const exportedAddress = ethers.utils.getAddress(keystore.readAddressFromJson(fs.readFileSync(out, 'utf8')));
+        output.print({address: exportedAddress, file: out});
+    }
+};
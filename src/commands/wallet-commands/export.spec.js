@@ -0,0 +1,90 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const configFile = require('../../config-file');
+
+const stubbedConfigFile = {
+    ...configFile,
+    loadActiveProfile: sinon.stub()
+};
+
+const stubbedKeystore = {
+    ...require('../../keystore'),
+    findFile: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./export', {
+        '../../config-file': stubbedConfigFile,
+        '../../keystore': stubbedKeystore
+    });
+}
+
+describe('Wallet export command', () => {
+    const address = '0xABcDeF7890123456789012345678901234567890';
+    const json = JSON.stringify({address: address.slice(2).toLowerCase(), crypto: {}});
+    let dir, keystoreFile;
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-export-'));
+        keystoreFile = path.join(dir, `UTC--2026-10-19T00-00-00.000Z--${address.slice(2).toLowerCase()}`);
+        fs.writeFileSync(keystoreFile, json);
+        stubbedKeystore.findFile.withArgs(address).returns(keystoreFile);
+        stubbedConfigFile.loadActiveProfile.returns({wallet: {address}});
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+        stubbedKeystore.findFile.reset();
+        stubbedConfigFile.loadActiveProfile.reset();
+    });
+
+    it('writes a copy of the keystore file of the given wallet, readable by the owner only', async () => {
+        const out = path.join(dir, 'backup.json');
+        await proxyquireCommand().handler({address, out});
+        expect(fs.readFileSync(out, 'utf8')).to.equal(json);
+        expect(fs.statSync(out).mode & 0o777).to.equal(0o600);
+        expect(JSON.parse(console.log.lastCall.args[0])).to.eql({address, file: out});
+    });
+
+    it('exports the wallet of the active profile by default', async () => {
+        const out = path.join(dir, 'backup.json');
+        await proxyquireCommand().handler({out});
+        expect(stubbedKeystore.findFile).to.have.been.calledWith(address);
+        expect(fs.existsSync(out)).to.be.true;
+    });
+
+    it('yields an error without a wallet', async () => {
+        stubbedConfigFile.loadActiveProfile.returns(null);
+        const err = await proxyquireCommand().handler({}).catch(err => err);
+        expect(err.code).to.equal('CONFIG');
+        expect(err.message).to.match(/No wallet address given/);
+    });
+
+    it('yields an error for wallets that are not in the keystore', async () => {
+        const err = await proxyquireCommand().handler({address: '0x' + '11'.repeat(20)}).catch(err => err);
+        expect(err.code).to.equal('CONFIG');
+        expect(err.message).to.match(/Unable to find keystore file/);
+    });
+
+    it('does not overwrite existing files', async () => {
+        const out = path.join(dir, 'backup.json');
+        fs.writeFileSync(out, 'earlier backup');
+        const err = await proxyquireCommand().handler({address, out}).catch(err => err);
+        expect(err.code).to.equal('VALIDATION');
+        expect(err.message).to.match(/File already exists/);
+        expect(fs.readFileSync(out, 'utf8')).to.equal('earlier backup');
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const fs = require('fs');
+const ethers = require('ethers');
+const ora = require('ora');
+const readlineSync = require('readline-sync');
+const keystore = require('../../keystore');
+const utils = require('../../utils');
+const {resolveNewPassphrase} = require('../../passphrase');
+const output = require('../../output');
+const {wrap, ValidationError} = require('../../errors');
+
+module.exports = {
+    command: 'import [file] [--path=<derivation path>]',
+    describe: 'Imports a wallet into the keystore from a UTC/keystore <file>, or from a private key or mnemonic read from stdin',
+    builder: yargs => {
+        yargs.example('wallet import UTC--2018-06-06T12-00-00.000Z--1234567890123456789012345678901234567890', 'Copies an existing UTC/keystore file into the keystore.');
+        yargs.example('wallet import', 'Prompts for a private key or mnemonic and the pass phrase to encrypt it with.');
+        yargs.example('wallet import --passphrase-file pass.txt < key.txt', 'Imports the private key or mnemonic in key.txt without prompting.');
+        yargs.example('wallet import --path="m/44\'/60\'/0\'/0/1"', 'Imports the second account derived from a mnemonic.');
+        yargs.option('path', {
+            desc: 'Derivation path used when importing a mnemonic',
+            default: ethers.utils.HDNode.defaultPath,
+            type: 'string'
+        });
+    },
+    handler: async (argv) => {
+        if (argv.file) {
+            const file = keystore.save(fs.readFileSync(argv.file, 'utf8'));
+            const address = ethers.utils.getAddress(keystore.readAddressFromJson(fs.readFileSync(file, 'utf8')));
+            output.print({address, file});
+            return;
+        }
+
+        const secret = process.stdin.isTTY
+            ? readlineSync.question('Private key or mnemonic: ', {hideEchoBack: true})
+            : utils.readStdin();
+        const wallet = walletFromSecret(secret.trim(), argv.path);
+        const passphrase = resolveNewPassphrase();
+
+        const spinner = ora();
+        try {
+            spinner.start('Encrypting wallet');
+            const file = await keystore.add(wallet, passphrase);
+            spinner.succeed(`Wallet ${wallet.address} stored in keystore`);
+
+            output.print({address: wallet.address, file});
+        }
+        catch (err) {
+            spinner.fail();
+            throw wrap(err, 'Unable to import wallet');
+        }
+    }
+};
+
+function walletFromSecret(secret, path) {
+    if (/^(0x)?[0-9a-f]{64}$/i.test(secret))
+        return new ethers.Wallet(secret.replace(/^(0x)?/i, '0x'));
+
+    const mnemonic = secret.split(/\s+/).join(' ');
+    if (ethers.utils.HDNode.isValidMnemonic(mnemonic))
+        return ethers.Wallet.fromMnemonic(mnemonic, path);
+
+    throw new ValidationError('Input must be a private key or a valid mnemonic');
+}
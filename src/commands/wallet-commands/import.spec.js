@@ -0,0 +1,138 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const ethers = require('ethers');
+
+const stubbedKeystore = {
+    add: sinon.stub(),
+    save: sinon.stub(),
+    readAddressFromJson: require('../../keystore').readAddressFromJson
+};
+
+const stubbedUtils = {
+    readStdin: sinon.stub()
+};
+
+const stubbedFs = {
+    readFileSync: sinon.stub()
+};
+
+const stubbedPassphrase = {
+    resolveNewPassphrase: sinon.stub()
+};
+
+const stubbedOra = {
+    start: sinon.stub(),
+    succeed: sinon.stub(),
+    fail: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./import', {
+        'fs': stubbedFs,
+        'ora': function() {
+            return stubbedOra;
+        },
+        'readline-sync': {question: sinon.stub()},
+        '../../keystore': stubbedKeystore,
+        '../../utils': stubbedUtils,
+        '../../passphrase': stubbedPassphrase
+    });
+}
+
+describe('Wallet import command', () => {
+    const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+    const defaultPath = ethers.utils.HDNode.defaultPath;
+    let isTTY;
+
+    beforeEach(() => {
+        isTTY = process.stdin.isTTY;
+        process.stdin.isTTY = false;
+        sinon.stub(console, 'log');
+        stubbedPassphrase.resolveNewPassphrase.returns('pass phrase');
+        stubbedKeystore.add.resolves('/keystore/file');
+    });
+
+    afterEach(() => {
+        process.stdin.isTTY = isTTY;
+        stubbedKeystore.add.reset();
+        stubbedKeystore.save.reset();
+        stubbedUtils.readStdin.reset();
+        stubbedFs.readFileSync.reset();
+        stubbedPassphrase.resolveNewPassphrase.reset();
+        console.log.restore();
+    });
+
+    context('importing a private key', () => {
+        const privateKey = '0x' + '22'.repeat(32);
+        const address = new ethers.Wallet(privateKey).address;
+
+        beforeEach(() => {
+            stubbedUtils.readStdin.returns(privateKey.slice(2) + '\n');
+            return proxyquireCommand().handler({path: defaultPath});
+        });
+
+        it('encrypts the wallet with the new pass phrase', () => {
+            expect(stubbedKeystore.add).to.have.been.calledWith(sinon.match({address}), 'pass phrase');
+        });
+
+        it('outputs the address and keystore file', () => {
+            expect(console.log).to.have.been.calledWith(JSON.stringify({address, file: '/keystore/file'}));
+        });
+    });
+
+    context('importing a mnemonic', () => {
+        it('derives the wallet for the default path', async () => {
+            stubbedUtils.readStdin.returns(mnemonic);
+            await proxyquireCommand().handler({path: defaultPath});
+            expect(stubbedKeystore.add).to.have.been.calledWith(sinon.match({address: '0x9858EfFD232B4033E47d90003D41EC34EcaEda94'}));
+        });
+
+        it('derives the wallet for the given path', async () => {
+            stubbedUtils.readStdin.returns(mnemonic);
+            await proxyquireCommand().handler({path: 'm/44\'/60\'/0\'/0/1'});
+            expect(stubbedKeystore.add).to.have.been.calledWith(sinon.match({address: ethers.Wallet.fromMnemonic(mnemonic, 'm/44\'/60\'/0\'/0/1').address}));
+        });
+    });
+
+    context('importing garbage', () => {
+        it('yields an error', async () => {
+            stubbedUtils.readStdin.returns('not a key');
+            await expect(proxyquireCommand().handler({path: defaultPath})).to.be.rejectedWith(/private key or a valid mnemonic/);
+            expect(stubbedKeystore.add).not.to.have.been.called;
+        });
+    });
+
+    context('importing a UTC/keystore file', () => {
+        const json = JSON.stringify({address: '1234567890123456789012345678901234567890'});
+
+        beforeEach(() => {
+            stubbedFs.readFileSync.returns(json);
+            stubbedKeystore.save.withArgs(json).returns('/keystore/UTC');
+            return proxyquireCommand().handler({file: 'UTC.json'});
+        });
+
+        it('copies the file to the keystore', () => {
+            expect(stubbedKeystore.save).to.have.been.calledWith(json);
+        });
+
+        it('does not re-encrypt the wallet', () => {
+            expect(stubbedPassphrase.resolveNewPassphrase).not.to.have.been.called;
+            expect(stubbedKeystore.add).not.to.have.been.called;
+        });
+
+        it('outputs the address and keystore file', () => {
+            expect(console.log).to.have.been.calledWith(JSON.stringify({
+                address: '0x1234567890123456789012345678901234567890',
+                file: '/keystore/UTC'
+            }));
+        });
+    });
+});
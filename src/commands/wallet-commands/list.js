@@ -0,0 +1,22 @@
+'use strict';
+
+const configFile = require('../../config-file');
+const keystore = require('../../keystore');
+const output = require('../../output');
+const {isSameAddress} = require('../../utils');
+
+module.exports = {
+    command: 'list',
+    describe: 'Lists the wallets in the keystore and marks the one used by the active profile',
+    builder: {},
+    handler: async () => {
+        const config = configFile.loadActiveProfile();
+        const activeAddress = config && config.wallet && config.wallet.address;
+
+        const wallets = keystore.list().map(({address}) => ({
+            address,
+            active: !!activeAddress && isSameAddress(address, activeAddress)
+        }));
+        output.print(wallets);
+    }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const configFile = require('../../config-file');
+
+const stubbedConfigFile = {
+    ...configFile,
+    loadActiveProfile: sinon.stub()
+};
+
+const stubbedKeystore = {
+    ...require('../../keystore'),
+    list: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./list', {
+        '../../config-file': stubbedConfigFile,
+        '../../keystore': stubbedKeystore
+    });
+}
+
+describe('Wallet list command', () => {
+    const wallet1 = '0xABcDeF7890123456789012345678901234567890';
+    const wallet2 = '0x1234567890123456789012345678901234567891';
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        stubbedKeystore.list.returns([{address: wallet1, file: '/keystore/1'}, {address: wallet2, file: '/keystore/2'}]);
+    });
+
+    afterEach(() => {
+        console.log.restore();
+        stubbedKeystore.list.reset();
+        stubbedConfigFile.loadActiveProfile.reset();
+    });
+
+    it('marks the wallet of the active profile, regardless of case and prefix', async () => {
+        stubbedConfigFile.loadActiveProfile.returns({wallet: {address: wallet1.slice(2).toLowerCase()}});
+        await proxyquireCommand().handler({});
+        expect(JSON.parse(console.log.lastCall.args[0])).to.eql([
+            {address: wallet1, active: true},
+            {address: wallet2, active: false}
+        ]);
+    });
+
+    it('marks no wallet without a config', async () => {
+        stubbedConfigFile.loadActiveProfile.returns(null);
+        await proxyquireCommand().handler({});
+        expect(JSON.parse(console.log.lastCall.args[0]).map(w => w.active)).to.eql([false, false]);
+    });
+
+    it('outputs an empty list without wallets', async () => {
+        stubbedKeystore.list.returns([]);
+        await proxyquireCommand().handler({});
+        expect(JSON.parse(console.log.lastCall.args[0])).to.eql([]);
+    });
+});
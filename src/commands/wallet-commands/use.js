@@ -0,0 +1,45 @@
+'use strict';
+
+const ethers = require('ethers');
+const configFile = require('../../config-file');
+const configKeys = require('../../config-keys');
+const hdWallet = require('../../hd-wallet');
+const keystore = require('../../keystore');
+const profiles = require('../../profiles');
+const {ConfigError, ValidationError} = require('../../errors');
+
+module.exports = {
+    command: 'use <address>',
+    describe: 'Switches the active profile to the wallet with <address> from the keystore',
+    builder: yargs => {
+        yargs.example('wallet use 0x1234567890123456789012345678901234567890', 'Uses the given wallet for the active profile.');
+        yargs.coerce('address', arg => String(arg));
+    },
+    handler: async (argv) => {
+        const rawConfig = configFile.load();
+        const profile = profiles.selectProfile(rawConfig, process.env.NAHMII_PROFILE);
+        const {path, spec} = configKeys.resolve('wallet.address', profile);
+        spec.validate(argv.address);
+
+        if (!keystore.findFile(argv.address))
+            throw new ValidationError(`Unable to find keystore file for wallet ${argv.address}. Use "wallet import" to add it to the keystore.`);
+
+        const address = ethers.utils.getAddress(argv.address.replace(/^(0x)?/i, '0x').toLowerCase());
+        configFile.setPath(rawConfig, path, address);
+
+        // A mnemonic takes precedence over the address, so its settings are removed
+        const walletPath = path.replace(/\.address$/, '');
+        const removed = ['mnemonic', 'path', 'account']
+            .map(key => `${walletPath}.${key}`)
+            .filter(key => configFile.unsetPath(rawConfig, key));
+        if (hdWallet.isHDWallet(profiles.applyProfile(rawConfig, profile).wallet)) {
+            throw new ConfigError(`Profile "${profile}" uses the wallet derived from the mnemonic in "wallet.mnemonic" of the default profile, which takes precedence over the address. ` +
+                'Remove it with "nahmii --profile default config unset wallet.mnemonic" first.', {profile});
+        }
+
+        configFile.write(rawConfig);
+        for (const key of removed)
+            console.log(`Removed "${key}"`);
+        console.log(`Updated "${path}" to ${address}`);
+    }
+};
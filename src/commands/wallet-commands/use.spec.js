@@ -0,0 +1,115 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const configFile = require('../../config-file');
+
+const stubbedConfigFile = {
+    ...configFile,
+    load: sinon.stub(),
+    write: sinon.stub()
+};
+
+const stubbedKeystore = {
+    findFile: sinon.stub()
+};
+
+function proxyquireCommand() {
+    return proxyquire('./use', {
+        '../../config-file': stubbedConfigFile,
+        '../../keystore': stubbedKeystore
+    });
+}
+
+describe('Wallet use command', () => {
+    const address = '0xabcdef7890123456789012345678901234567890';
+
+    beforeEach(() => {
+        sinon.stub(console, 'log');
+        stubbedConfigFile.load.returns({
+            wallet: {address: '0x' + '00'.repeat(20)},
+            profiles: {mainnet: {apiRoot: 'api.nahmii.io'}}
+        });
+        stubbedKeystore.findFile.withArgs(address).returns('/keystore/file');
+    });
+
+    afterEach(() => {
+        delete process.env.NAHMII_PROFILE;
+        stubbedConfigFile.load.reset();
+        stubbedConfigFile.write.reset();
+        stubbedKeystore.findFile.reset();
+        console.log.restore();
+    });
+
+    it('switches the wallet of the default profile to the checksummed address', async () => {
+        await proxyquireCommand().handler({address});
+        expect(stubbedConfigFile.write).to.have.been.calledWith(sinon.match({
+            wallet: {address: '0xABcDeF7890123456789012345678901234567890'}
+        }));
+    });
+
+    it('switches the wallet of the active profile', async () => {
+        process.env.NAHMII_PROFILE = 'mainnet';
+        await proxyquireCommand().handler({address});
+        expect(stubbedConfigFile.write).to.have.been.calledWith(sinon.match({
+            wallet: {address: '0x' + '00'.repeat(20)},
+            profiles: {mainnet: {wallet: {address: '0xABcDeF7890123456789012345678901234567890'}}}
+        }));
+    });
+
+    it('stops deriving the wallet from a mnemonic, which would take precedence', async () => {
+        stubbedConfigFile.load.returns({
+            wallet: {mnemonic: 'mnemonic-file', path: 'm/44\'/60\'/0\'/0/1', account: 1, secret: 'much secret'}
+        });
+        await proxyquireCommand().handler({address});
+        expect(stubbedConfigFile.write).to.have.been.calledWith({
+            wallet: {address: '0xABcDeF7890123456789012345678901234567890', secret: 'much secret'}
+        });
+        expect(console.log).to.have.been.calledWith('Removed "wallet.mnemonic"');
+    });
+
+    it('stops deriving the wallet of the active profile from a mnemonic', async () => {
+        process.env.NAHMII_PROFILE = 'mainnet';
+        stubbedConfigFile.load.returns({
+            wallet: {address: '0x' + '00'.repeat(20)},
+            profiles: {mainnet: {wallet: {mnemonic: 'mnemonic-file'}}}
+        });
+        await proxyquireCommand().handler({address});
+        expect(stubbedConfigFile.write).to.have.been.calledWith({
+            wallet: {address: '0x' + '00'.repeat(20)},
+            profiles: {mainnet: {wallet: {address: '0xABcDeF7890123456789012345678901234567890'}}}
+        });
+    });
+
+    it('refuses a profile that inherits a mnemonic from the default profile', async () => {
+        process.env.NAHMII_PROFILE = 'mainnet';
+        stubbedConfigFile.load.returns({
+            wallet: {mnemonic: 'mnemonic-file'},
+            profiles: {mainnet: {apiRoot: 'api.nahmii.io'}}
+        });
+        const err = await proxyquireCommand().handler({address}).catch(err => err);
+        expect(err.code).to.equal('CONFIG');
+        expect(err.message).to.match(/derived from the mnemonic in "wallet.mnemonic" of the default profile/);
+        expect(stubbedConfigFile.write).not.to.have.been.called;
+    });
+
+    it('yields an error for wallets that are not in the keystore', async () => {
+        await expect(proxyquireCommand().handler({address: '0x' + '11'.repeat(20)})).to.be.rejectedWith(/unable to find keystore file/i);
+        expect(stubbedConfigFile.write).not.to.have.been.called;
+    });
+
+    it('yields an error for invalid addresses', () => {
+        return expect(proxyquireCommand().handler({address: '0x1234'})).to.be.rejectedWith(/not a valid wallet address/);
+    });
+
+    it('yields a validation error for invalid addresses', async () => {
+        const err = await proxyquireCommand().handler({address: '0xnothex'}).catch(err => err);
+        expect(err.code).to.equal('VALIDATION');
+    });
+});
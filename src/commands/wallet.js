@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    command: 'wallet <create|import|list|export|use>',
+    describe: 'Manage the wallets in the keystore',
+    builder: yargs => {
+        return yargs
+            .commandDir('./wallet-commands', {exclude: /.*.spec.js$/})
+            .demandCommand();
+    },
+    handler: async () => {}
+};
@@ -5,6 +5,10 @@ const ethers = require('ethers');
 const ora = require('ora');
 const dbg = require('../dbg');
 const utils = require('../utils');
+const payments = require('../payments');
+const output = require('../output');
+const {confirm} = require('../confirm');
+const {wrap, ValidationError, InsufficientFundsError} = require('../errors');
 
 module.exports = {
     command: 'withdraw <amount> <currency> [--gas=<gaslimit>] [--price=<gasPrice in gwei>]',
@@ -14,6 +18,7 @@ module.exports = {
         yargs.example('withdraw 1 ETH --gas=500000', 'Withdraws 1 Ether and sets gas limit to 500000 while using default gas price.');
         yargs.example('withdraw 1 ETH --price=2', 'Withdraws 1 Ether and sets gas price to 2 Gwei while using default gas limit.');
         yargs.example('withdraw 1000 HBT', 'Withdraws 1000 Hubiits (HBT)');
+        yargs.example('withdraw all HBT', 'Withdraws the whole staged balance of HBT. Percentages such as 50% work too.');
         yargs.option('gas', {
             desc: 'Gas limit used',
             default: 600000,
@@ -33,41 +38,54 @@ module.exports = {
         try {
             provider = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
             const tokenInfo = await provider.getTokenInfo(argv.currency);
-            const amount = utils.parseAmount(argv.amount, tokenInfo.decimals);
+            const amount = await utils.resolveAmount(argv.amount, tokenInfo.decimals, async () => {
+                return payments.stagedBalance(provider, await config.address(), tokenInfo.symbol);
+            });
             if (!amount.gt(0))
-                throw new Error('Amount must be strictly greater than zero!');
+                throw new ValidationError('Amount must be strictly greater than zero!');
 
             const gasLimit = utils.parsePositiveInteger(argv.gas);
             const gasPriceInGwei = utils.parsePositiveInteger(argv.price);
             const gasPrice = ethers.utils.bigNumberify(gasPriceInGwei).mul(ethers.utils.bigNumberify(10).pow(9));
 
-            const privateKey = await config.privateKey(config.wallet.secret);
-            const wallet = new nahmii.Wallet(privateKey, provider);
+            const signer = await config.signer();
+            const wallet = new nahmii.Wallet(signer, provider);
 
             const withdrawMonetaryAmount = nahmii.MonetaryAmount.from(amount, tokenInfo.currency);
             const stagedBalanceBN = await wallet.getNahmiiStagedBalance(tokenInfo.symbol);
             
             if (amount.gt(stagedBalanceBN)) {
-                spinner.fail(`The maximum withdrawal nahmii balance is ${ethers.utils.formatUnits(stagedBalanceBN, tokenInfo.decimals)}`);
-                return;
+                const stagedBalance = ethers.utils.formatUnits(stagedBalanceBN, tokenInfo.decimals);
+                throw new InsufficientFundsError(`The maximum withdrawal nahmii balance is ${stagedBalance}`, {currency: tokenInfo.symbol, balance: stagedBalance});
             }
 
+            await confirm(provider, {
+                action: 'Withdrawal',
+                amount: ethers.utils.formatUnits(amount, tokenInfo.decimals),
+                currency: tokenInfo.symbol,
+                contract: 'ClientFund',
+                gasLimit,
+                gasPrice
+            }, argv);
+
             spinner.start('Waiting for transaction to be broadcast');
 
             const request = await wallet.withdraw(withdrawMonetaryAmount, {gasLimit, gasPrice});
             spinner.succeed(`Transaction broadcast ${request.hash}`);
             spinner.start('Waiting for transaction to be mined');
-            const txReceipt = await provider.getTransactionConfirmation(request.hash);
+            const txReceipt = await utils.confirmTransaction(provider, request.hash);
             spinner.succeed('Transaction mined');
-            console.log(JSON.stringify([utils.reduceReceipt(txReceipt)]));
+            const reduceReceipt = await utils.receiptReducer(provider, config.explorerUrl);
+            output.print([reduceReceipt(txReceipt)]);
         }
         catch (err) {
             dbg(err);
-            throw new Error(`Withdraw failed: ${err.message}`);
+            throw wrap(err, 'Withdraw failed');
         }
         finally {
             spinner.stop();
-            provider.stopUpdate();
+            if (provider)
+                provider.stopUpdate();
         }
     }
 };
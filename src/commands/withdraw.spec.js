@@ -8,6 +8,7 @@ chai.use(sinonChai);
 
 const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
 const ethers = require('ethers');
+const {CancelledError} = require('../errors');
 const {MonetaryAmount} = require('nahmii-sdk');
 
 const stubbedWallet = {
@@ -19,7 +20,8 @@ const stubbedConfig = {
     wallet: {
         secret: 'secret much'
     },
-    privateKey: sinon.stub(),
+    signer: sinon.stub(),
+    address: sinon.stub(),
     apiRoot: 'some-api-root',
     appId: 'an-app-id',
     appSecret: 'much secret!'
@@ -31,6 +33,7 @@ function fakeNahmiiProvider() {
 fakeNahmiiProvider.from = sinon.stub();
 
 const stubbedProviderInstance = {
+    getNetwork: () => Promise.resolve({name: 'ropsten', chainId: 3}),
     getBlockNumber: sinon.stub(),
     getApiAccessToken: sinon.stub(),
     stopUpdate: sinon.stub(),
@@ -53,6 +56,12 @@ const stubbedOra = {
 };
 stubbedOra.start.returns(stubbedOra);
 
+const stubbedConfirm = sinon.stub();
+
+const stubbedPayments = {
+    stagedBalance: sinon.stub()
+};
+
 function proxyquireCommand() {
     return proxyquire('./withdraw', {
         'nahmii-sdk': {
@@ -62,6 +71,8 @@ function proxyquireCommand() {
             },
             MonetaryAmount
         },
+        '../confirm': {confirm: stubbedConfirm},
+        '../payments': stubbedPayments,
         '../config': stubbedConfig,
         'ora': function() {
             return stubbedOra;
@@ -88,8 +99,8 @@ describe('Withdraw command', () => {
     };
 
     beforeEach(() => {
-        stubbedConfig.privateKey
-            .withArgs(stubbedConfig.wallet.secret)
+        stubbedConfirm.resolves();
+        stubbedConfig.signer
             .resolves('privatekey');
         fakeNahmiiProvider.from
             .withArgs(stubbedConfig.apiRoot, stubbedConfig.appId, stubbedConfig.appSecret)
@@ -114,8 +125,9 @@ describe('Withdraw command', () => {
     });
 
     afterEach(() => {
+        stubbedConfirm.reset();
         stubbedWallet.withdraw.reset();
-        stubbedConfig.privateKey.reset();
+        stubbedConfig.signer.reset();
         fakeNahmiiProvider.from.reset();
         stubbedProviderInstance.reset();
         console.log.restore();
@@ -135,6 +147,17 @@ describe('Withdraw command', () => {
             });
         });
         
+        it('asks for confirmation of the withdrawal', () => {
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, {
+                action: 'Withdrawal',
+                amount,
+                currency: tokenInfo.symbol,
+                contract: 'ClientFund',
+                gasLimit: 2,
+                gasPrice: ethers.utils.bigNumberify(2000000000)
+            });
+        });
+
         it('tells wallet to withdraw 1.1 ETH', () => {
             expect(stubbedWallet.withdraw).to.have.been.calledWith(monetaryAmount, {gasLimit: 2, gasPrice: ethers.utils.bigNumberify(2000000000)});
         });
@@ -155,18 +178,77 @@ describe('Withdraw command', () => {
         });
     });
 
-    context('withdraw more than staged balance', () => {
+    context('withdraw all ETH and withdraw 50% ETH', () => {
+        const stagedBalance = ethers.utils.parseUnits('1.200000000000000001', 18);
+
         beforeEach(() => {
-            return withdrawCmd.handler.call(undefined, {
+            stubbedConfig.address.resolves('0x1234567890123456789012345678901234567890');
+            stubbedPayments.stagedBalance
+                .withArgs(stubbedProviderInstance, '0x1234567890123456789012345678901234567890', tokenInfo.symbol)
+                .resolves(stagedBalance);
+            stubbedWallet.getNahmiiStagedBalance.resolves(stagedBalance);
+        });
+
+        afterEach(() => {
+            stubbedConfig.address.reset();
+            stubbedPayments.stagedBalance.reset();
+        });
+
+        function run(amount) {
+            return withdrawCmd.handler.call(undefined, {amount, currency: tokenInfo.symbol, gas: 2, price: 2});
+        }
+
+        it('withdraws the whole staged balance for all', async () => {
+            await run('all');
+            expect(stubbedWallet.withdraw).to.have.been.calledWith(MonetaryAmount.from(stagedBalance, tokenInfo.ct));
+        });
+
+        it('withdraws a percentage of the staged balance, rounded down', async () => {
+            await run('50%');
+            expect(stubbedConfirm).to.have.been.calledWith(stubbedProviderInstance, sinon.match({
+                action: 'Withdrawal',
+                amount: '0.6'
+            }));
+        });
+
+        it('fails when nothing is staged', async () => {
+            stubbedPayments.stagedBalance.reset();
+            stubbedPayments.stagedBalance.resolves(ethers.utils.bigNumberify(0));
+            const err = await run('max').catch(err => err);
+            expect(err.code).to.equal('INSUFFICIENT_FUNDS');
+            expect(stubbedWallet.withdraw).not.to.have.been.called;
+        });
+    });
+
+    context('withdraw 1.1 ETH when declined', () => {
+        it('yields an error without sending the transaction', async () => {
+            stubbedConfirm.rejects(new CancelledError('Withdrawal cancelled'));
+            const err = await withdrawCmd.handler.call(undefined, {
+                amount: '1.1',
+                currency: tokenInfo.symbol,
+                gas: 2,
+                price: 2
+            }).catch(err => err);
+            expect(err.code).to.equal('CANCELLED');
+            expect(stubbedWallet.withdraw).not.to.have.been.called;
+        });
+    });
+
+    context('withdraw more than staged balance', () => {
+        let error;
+
+        beforeEach(async () => {
+            error = await withdrawCmd.handler.call(undefined, {
                 amount: '1.3',
                 currency: tokenInfo.symbol,
                 gas: 2,
                 price: 2
-            });
+            }).catch(err => err);
         });
 
-        it('should display maximum withdraw amount error', () => {
-            expect(stubbedOra.fail).to.be.calledWith('The maximum withdrawal nahmii balance is 1.2');
+        it('yields an insufficient funds error', () => {
+            expect(error.message).to.match(/The maximum withdrawal nahmii balance is 1\.2/);
+            expect(error.code).to.equal('INSUFFICIENT_FUNDS');
         });
 
         it('stops token refresh/spinner', () => {
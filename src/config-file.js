@@ -0,0 +1,83 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const yaml = require('node-yaml');
+const {JSON_SCHEMA} = require('js-yaml');
+const profiles = require('./profiles');
+const {ConfigError} = require('./errors');
+
+function configDir() {
+    return path.resolve(os.homedir(), '.nahmii');
+}
+
+function configFile() {
+    return path.resolve(configDir(), 'config.yaml');
+}
+
+function read(file = configFile()) {
+    return yaml.readSync(file, {schema: JSON_SCHEMA});
+}
+
+function load(file = configFile()) {
+    if (!fs.existsSync(file))
+        throw new ConfigError('Unable to locate config file: ' + file, {file});
+    return read(file) || {};
+}
+
+function loadActiveProfile(file = configFile()) {
+    return fs.existsSync(file) ? profiles.applyActiveProfile(load(file)) : null;
+}
+
+function write(config, file = configFile()) {
+    // Create the file with restricted access before any secrets are written to it
+    if (!fs.existsSync(file))
+        fs.writeFileSync(file, '', {mode: 0o600});
+    yaml.writeSync(file, config);
+    fs.chmodSync(file, 0o600);
+}
+
+function getPath(obj, key) {
+    return key.split('.').reduce((node, prop) => {
+        return node !== null && typeof node === 'object' ? node[prop] : undefined;
+    }, obj);
+}
+
+function setPath(obj, key, value) {
+    const props = key.split('.');
+    const last = props.pop();
+    let node = obj;
+    for (const prop of props) {
+        if (node[prop] === null || typeof node[prop] !== 'object')
+            node[prop] = {};
+        node = node[prop];
+    }
+    node[last] = value;
+    return obj;
+}
+
+function unsetPath(obj, key) {
+    const props = key.split('.');
+    const last = props.pop();
+    const parent = props.length ? getPath(obj, props.join('.')) : obj;
+    if (parent === null || typeof parent !== 'object' || !(last in parent))
+        return false;
+
+    delete parent[last];
+    if (props.length && !Object.keys(parent).length)
+        unsetPath(obj, props.join('.'));
+    return true;
+}
+
+module.exports = {
+    configDir,
+    configFile,
+    read,
+    load,
+    loadActiveProfile,
+    write,
+    getPath,
+    setPath,
+    unsetPath
+};
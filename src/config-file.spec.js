@@ -0,0 +1,98 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configFile = require('./config-file');
+
+describe('Config file', () => {
+    context('reading nested settings', () => {
+        const config = {wallet: {address: '0x01'}};
+
+        it('returns the value at a dotted path', () => {
+            expect(configFile.getPath(config, 'wallet.address')).to.equal('0x01');
+        });
+
+        it('returns undefined for missing paths', () => {
+            expect(configFile.getPath(config, 'wallet.secret')).to.be.undefined;
+            expect(configFile.getPath(config, 'wallet.address.foo')).to.be.undefined;
+            expect(configFile.getPath(config, 'profiles.mainnet.apiRoot')).to.be.undefined;
+        });
+    });
+
+    context('changing nested settings', () => {
+        it('creates intermediate objects', () => {
+            const config = {};
+            configFile.setPath(config, 'profiles.mainnet.wallet.address', '0x01');
+            expect(config).to.eql({profiles: {mainnet: {wallet: {address: '0x01'}}}});
+        });
+
+        it('keeps sibling settings', () => {
+            const config = {wallet: {address: '0x01', secret: 'secret'}};
+            configFile.setPath(config, 'wallet.address', '0x02');
+            expect(config).to.eql({wallet: {address: '0x02', secret: 'secret'}});
+        });
+    });
+
+    context('removing nested settings', () => {
+        it('removes the setting', () => {
+            const config = {wallet: {address: '0x01', secret: 'secret'}};
+            expect(configFile.unsetPath(config, 'wallet.secret')).to.be.true;
+            expect(config).to.eql({wallet: {address: '0x01'}});
+        });
+
+        it('removes parents that become empty', () => {
+            const config = {apiRoot: 'x', profiles: {mainnet: {wallet: {secret: 'secret'}}}};
+            expect(configFile.unsetPath(config, 'profiles.mainnet.wallet.secret')).to.be.true;
+            expect(config).to.eql({apiRoot: 'x'});
+        });
+
+        it('reports settings that are not set', () => {
+            const config = {wallet: {}};
+            expect(configFile.unsetPath(config, 'wallet.secret')).to.be.false;
+            expect(configFile.unsetPath(config, 'foo.bar')).to.be.false;
+        });
+    });
+
+    context('writing a config file', () => {
+        let dir, file;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-cli-'));
+            file = path.join(dir, 'config.yaml');
+        });
+
+        afterEach(() => {
+            if (fs.existsSync(file))
+                fs.unlinkSync(file);
+            fs.rmdirSync(dir);
+        });
+
+        it('can be read back', () => {
+            configFile.write({apiRoot: 'x', wallet: {address: '0x01'}}, file);
+            expect(configFile.load(file)).to.eql({apiRoot: 'x', wallet: {address: '0x01'}});
+        });
+
+        it('is only accessible by the owner', () => {
+            configFile.write({apiRoot: 'x'}, file);
+            expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+        });
+
+        it('restricts access to an existing file', () => {
+            fs.writeFileSync(file, 'apiRoot: x\n', {mode: 0o644});
+            configFile.write({apiRoot: 'y'}, file);
+            expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+        });
+    });
+
+    context('loading a missing config file', () => {
+        it('yields an error', () => {
+            expect(() => configFile.load(path.join(os.tmpdir(), 'does-not-exist.yaml')))
+                .to.throw(/unable to locate config file/i);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const {EthereumAddress} = require('nahmii-ethereum-address');
+const profiles = require('./profiles');
+const hdWallet = require('./hd-wallet');
+const {ValidationError} = require('./errors');
+
+function validateNonEmpty(value) {
+    if (!value || !value.trim())
+        throw new ValidationError('Value must not be empty');
+}
+
+function validateHost(value) {
+    validateNonEmpty(value);
+    if (!/^[a-z0-9.-]+(:\d+)?$/i.test(value))
+        throw new ValidationError(`"${value}" is not a valid host name`);
+}
+
+function validateAddress(value) {
+    if (!EthereumAddress.from(value))
+        throw new ValidationError(`"${value}" is not a valid wallet address`);
+}
+
+function validatePositiveInteger(value) {
+    if (!/^[1-9]\d*$/.test(value))
+        throw new ValidationError(`"${value}" is not a positive integer`);
+}
+
+function validateAccount(value) {
+    if (!/^\d+$/.test(value))
+        throw new ValidationError(`"${value}" is not a non-negative integer`);
+}
+
+function validateDerivationPath(value) {
+    if (!/^m(\/\d+'?)+$/.test(value))
+        throw new ValidationError(`"${value}" is not a valid derivation path, e.g. m/44'/60'/0'/0/0`);
+}
+
+function validateMnemonic(value) {
+    validateNonEmpty(value);
+    try {
+        hdWallet.mnemonicFile({mnemonic: value});
+    }
+    catch (err) {
+        throw new ValidationError(`"${value}" is neither a file in the keystore folder nor the address of a wallet in it`);
+    }
+}
+
+function validateExplorerUrl(value) {
+    if (!/^https?:\/\/\S+$/.test(value) || !value.includes('{hash}'))
+        throw new ValidationError(`"${value}" is not a valid explorer URL template, e.g. https://etherscan.io/tx/{hash}`);
+}
+
+function validatePriceUrl(value) {
+    if (!/^https?:\/\/\S+$/.test(value) || !value.includes('{symbol}'))
+        throw new ValidationError(`"${value}" is not a valid price URL template, e.g. https://prices.example.com/{symbol}/{fiat}?at={time}`);
+}
+
+function validateProfileName(value, rawConfig) {
+    if (!profiles.listProfiles(rawConfig).includes(value))
+        throw new ValidationError(`Unknown configuration profile "${value}". Available profiles: ${profiles.listProfiles(rawConfig).join(', ')}`);
+}
+
+const keys = {
+    apiRoot: {validate: validateHost},
+    appId: {validate: validateNonEmpty},
+    appSecret: {validate: validateNonEmpty, secret: true},
+    'wallet.address': {validate: validateAddress},
+    'wallet.secret': {validate: validateNonEmpty, secret: true},
+    'wallet.mnemonic': {validate: validateMnemonic},
+    'wallet.path': {validate: validateDerivationPath},
+    'wallet.account': {validate: validateAccount},
+    explorerUrl: {validate: validateExplorerUrl},
+    'prices.file': {validate: validateNonEmpty},
+    'prices.url': {validate: validatePriceUrl},
+    'agent.idleTimeout': {validate: validatePositiveInteger},
+    defaultProfile: {validate: validateProfileName, global: true}
+};
+
+function lookup(key) {
+    const spec = keys[key];
+    if (!spec)
+        throw new ValidationError(`Unknown configuration key "${key}". Known keys: ${Object.keys(keys).join(', ')}`);
+    return spec;
+}
+
+function checkProfileName(name) {
+    if (!profiles.isValidName(name))
+        throw new ValidationError(`"${name}" is not a valid profile name. Use letters, digits, "_" and "-".`);
+}
+
+function resolve(key, profile) {
+    const [root, name, ...rest] = key.split('.');
+    if (root === 'profiles') {
+        const spec = lookup(rest.join('.'));
+        if (!name || spec.global)
+            throw new ValidationError(`"${rest.join('.')}" can not be set for a profile`);
+        checkProfileName(name);
+        return {path: key, spec};
+    }
+
+    const spec = lookup(key);
+    if (spec.global || !profile || profile === profiles.DEFAULT_PROFILE)
+        return {path: key, spec};
+    checkProfileName(profile);
+    return {path: `profiles.${profile}.${key}`, spec};
+}
+
+function isSecret(key) {
+    const spec = keys[key.replace(/^profiles\.[^.]+\./, '')];
+    return !!(spec && spec.secret);
+}
+
+module.exports = {
+    keys,
+    resolve,
+    isSecret
+};
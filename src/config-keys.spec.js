@@ -0,0 +1,113 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const configKeys = require('./config-keys');
+
+describe('Config keys', () => {
+    context('resolving a key', () => {
+        it('uses the top level path for the default profile', () => {
+            expect(configKeys.resolve('wallet.address', 'default').path).to.equal('wallet.address');
+        });
+
+        it('uses the profile path for a named profile', () => {
+            expect(configKeys.resolve('wallet.address', 'mainnet').path).to.equal('profiles.mainnet.wallet.address');
+        });
+
+        it('uses the top level path for global keys', () => {
+            expect(configKeys.resolve('defaultProfile', 'mainnet').path).to.equal('defaultProfile');
+        });
+
+        it('accepts explicit profile paths', () => {
+            expect(configKeys.resolve('profiles.ropsten.apiRoot', 'mainnet').path).to.equal('profiles.ropsten.apiRoot');
+        });
+
+        it('rejects global keys in profiles', () => {
+            expect(() => configKeys.resolve('profiles.ropsten.defaultProfile')).to.throw(/can not be set for a profile/);
+        });
+
+        it('rejects invalid profile names', () => {
+            expect(() => configKeys.resolve('apiRoot', '../keystore')).to.throw(/not a valid profile name/).with.property('code', 'VALIDATION');
+            expect(() => configKeys.resolve('profiles.a/b.apiRoot')).to.throw(/not a valid profile name/);
+        });
+
+        it('rejects unknown keys', () => {
+            expect(() => configKeys.resolve('wallet.adress')).to.throw(/unknown configuration key "wallet.adress"/i);
+        });
+    });
+
+    context('validating values', () => {
+        const {keys} = configKeys;
+
+        it('accepts valid wallet addresses', () => {
+            expect(() => keys['wallet.address'].validate('0x1234567890123456789012345678901234567890')).not.to.throw();
+            expect(() => keys['wallet.address'].validate('1234567890123456789012345678901234567890')).not.to.throw();
+        });
+
+        it('rejects invalid wallet addresses', () => {
+            expect(() => keys['wallet.address'].validate('0x12345')).to.throw(/not a valid wallet address/);
+        });
+
+        it('rejects invalid host names', () => {
+            expect(() => keys.apiRoot.validate('https://api.nahmii.io/')).to.throw(/not a valid host name/);
+        });
+
+        it('rejects empty secrets', () => {
+            expect(() => keys.appSecret.validate('')).to.throw(/must not be empty/);
+        });
+
+        it('validates mnemonics by the keystore file they point to', () => {
+            const {keys} = proxyquire('./config-keys', {
+                './hd-wallet': {
+                    mnemonicFile: wallet => {
+                        if (wallet.mnemonic !== 'mnemonic.json')
+                            throw new Error('Unable to find keystore file with mnemonic');
+                        return '/home/user/.nahmii/keystore/mnemonic.json';
+                    }
+                }
+            });
+            expect(() => keys['wallet.mnemonic'].validate('mnemonic.json')).not.to.throw();
+            expect(() => keys['wallet.mnemonic'].validate('foo')).to.throw(/"foo" is neither a file in the keystore folder nor the address of a wallet in it/).with.property('code', 'VALIDATION');
+            expect(() => keys['wallet.mnemonic'].validate('')).to.throw(/must not be empty/);
+        });
+
+        it('validates derivation paths', () => {
+            expect(() => keys['wallet.path'].validate('m/44\'/60\'/0\'/0/1')).not.to.throw();
+            expect(() => keys['wallet.path'].validate('44/60/0')).to.throw(/not a valid derivation path/);
+        });
+
+        it('validates account indexes', () => {
+            expect(() => keys['wallet.account'].validate('0')).not.to.throw();
+            expect(() => keys['wallet.account'].validate('-1')).to.throw(/not a non-negative integer/);
+        });
+
+        it('validates explorer URL templates', () => {
+            expect(() => keys.explorerUrl.validate('https://explorer.example.com/tx/{hash}')).not.to.throw();
+            expect(() => keys.explorerUrl.validate('https://explorer.example.com/tx/')).to.throw(/not a valid explorer URL template/);
+        });
+
+        it('validates price URL templates', () => {
+            expect(() => keys['prices.url'].validate('https://prices.example.com/{symbol}/{fiat}?at={time}')).not.to.throw();
+            expect(() => keys['prices.url'].validate('prices.example.com/{symbol}')).to.throw(/not a valid price URL template/);
+        });
+
+        it('rejects unknown default profiles', () => {
+            expect(() => keys.defaultProfile.validate('mainnet', {profiles: {ropsten: {}}})).to.throw(/unknown configuration profile/i);
+            expect(() => keys.defaultProfile.validate('ropsten', {profiles: {ropsten: {}}})).not.to.throw();
+        });
+    });
+
+    context('identifying secrets', () => {
+        it('recognizes secrets at the top level and in profiles', () => {
+            expect(configKeys.isSecret('wallet.secret')).to.be.true;
+            expect(configKeys.isSecret('profiles.mainnet.appSecret')).to.be.true;
+        });
+
+        it('does not treat other settings as secrets', () => {
+            expect(configKeys.isSecret('wallet.address')).to.be.false;
+            expect(configKeys.isSecret('foo')).to.be.false;
+        });
+    });
+});
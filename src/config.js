@@ -1,41 +1,92 @@
 'use strict';
 
-const path = require('path');
 const fs = require('fs');
 const ethers = require('ethers');
-const yaml = require('node-yaml');
-const {JSON_SCHEMA} = require('js-yaml');
-const homedir = require('os').homedir();
-
-const configPath = path.resolve(homedir, '.nahmii/config.yaml');
-if (!fs.existsSync(configPath)) {
-    console.error('Unable to locate config file: ' + configPath);
-    process.exit(-1);
-}
+const configFile = require('./config-file');
+const profiles = require('./profiles');
+const {resolvePassphrase} = require('./passphrase');
+const agent = require('./agent/client');
+const keystore = require('./keystore');
+const hdWallet = require('./hd-wallet');
+const {ConfigError} = require('./errors');
+
+const configPath = configFile.configFile();
+if (!fs.existsSync(configPath))
+    throw new ConfigError('Unable to locate config file: ' + configPath, {file: configPath});
 
 const stats = fs.statSync(configPath);
 if ((stats.mode & 0o77) !== 0)
     console.error('WARNING: Config file should only be readable by the owner!');
 
-const cfg = yaml.readSync(configPath, {schema: JSON_SCHEMA});
-if (!cfg) {
-    console.error('Unable to load config file: ' + configPath);
-    process.exit(-1);
+const rawCfg = configFile.read(configPath);
+if (!rawCfg)
+    throw new ConfigError('Unable to load config file: ' + configPath, {file: configPath});
+
+let cfg;
+try {
+    cfg = profiles.applyActiveProfile(rawCfg);
+}
+catch (err) {
+    throw new ConfigError(err.message, {file: configPath});
 }
 cfg.file = configPath;
+cfg.profiles = profiles.listProfiles(rawCfg);
+
+if (process.env.NAHMII_ACCOUNT !== undefined && !hdWallet.isHDWallet(cfg.wallet))
+    throw new ConfigError('The --account option requires a mnemonic based wallet (wallet.mnemonic) in the config file', {file: configPath});
+
+cfg.passphrase = () => resolvePassphrase(cfg.wallet);
+
+let derivedWallet;
+
+async function deriveWallet(secret) {
+    if (!derivedWallet) {
+        const file = hdWallet.mnemonicFile(cfg.wallet);
+        const derivationPath = hdWallet.derivationPath(cfg.wallet, process.env.NAHMII_ACCOUNT);
+        derivedWallet = await hdWallet.derive(fs.readFileSync(file), secret, derivationPath);
+        cfg.wallet.address = derivedWallet.address;
+    }
+    return derivedWallet;
+}
 
-cfg.privateKey = async (secret) => {
-    const files = fs.readdirSync(path.join(homedir, '.nahmii', 'keystore'));
-    const regex = new RegExp(cfg.wallet.address.replace('0x', ''), 'i');
-    const matchedFile = files.filter(f => f.match(regex)).shift();
-    if (!matchedFile) 
-        throw new Error(`Unable to find keystore file for wallet ${cfg.wallet.address}`);
-    
-    const keystore = fs.readFileSync(path.join(homedir, '.nahmii', 'keystore', matchedFile));
-    const wallet = await ethers.Wallet.fromEncryptedJson(keystore, secret);
+cfg.privateKey = async (secret = cfg.passphrase()) => {
+    if (hdWallet.isHDWallet(cfg.wallet))
+        return (await deriveWallet(secret)).privateKey;
+
+    const matchedFile = keystore.findFile(cfg.wallet.address);
+    if (!matchedFile)
+        throw new ConfigError(`Unable to find keystore file for wallet ${cfg.wallet.address}`, {address: cfg.wallet.address});
+
+    const json = fs.readFileSync(matchedFile);
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, secret);
     return wallet.privateKey;
 };
 
+// Derived accounts are identified by keystore file and path, as their address is only known once decrypted
+cfg.walletId = () => {
+    if (!hdWallet.isHDWallet(cfg.wallet))
+        return cfg.wallet.address;
+    return hdWallet.accountId(hdWallet.mnemonicFile(cfg.wallet), hdWallet.derivationPath(cfg.wallet, process.env.NAHMII_ACCOUNT));
+};
+
+cfg.address = async () => {
+    if (!hdWallet.isHDWallet(cfg.wallet) || derivedWallet)
+        return cfg.wallet.address;
+
+    const status = await agent.getStatus(agent.socketPath(cfg.walletId()));
+    if (status)
+        return status.address;
+    return (await deriveWallet(cfg.passphrase())).address;
+};
+
+cfg.signer = async () => {
+    const socketFile = agent.socketPath(cfg.walletId());
+    const status = await agent.getStatus(socketFile);
+    if (status)
+        return agent.createSigner(socketFile, status.address);
+    return cfg.privateKey();
+};
+
 cfg.tokenHolderRevenueFundAbstractions = {
     'ropsten': ['TokenHolderRevenueFund-0-7579770', 'TokenHolderRevenueFund'],
     'homestead': ['TokenHolderRevenueFund']
@@ -0,0 +1,55 @@
+'use strict';
+
+const ethers = require('ethers');
+const readlineSync = require('readline-sync');
+const {ValidationError, CancelledError} = require('./errors');
+
+function isMainnet(network) {
+    return network.name === 'homestead' || network.chainId === 1;
+}
+
+function maxFee(gasLimit, gasPrice, transactions = 1) {
+    return ethers.utils.bigNumberify(gasPrice).mul(gasLimit).mul(transactions);
+}
+
+function summarize(network, details) {
+    const transactions = details.transactions || 1;
+    const lines = [
+        ['Amount', details.amount !== undefined && `${details.amount} ${details.currency || ''}`.trim()],
+        ['Recipient', details.recipient],
+        ['Contract', details.contract],
+        ['Gas limit', details.gasLimit !== undefined && `${details.gasLimit} per transaction`],
+        ['Gas price', details.gasPrice !== undefined && `${ethers.utils.formatUnits(details.gasPrice, 'gwei')} gwei`],
+        ['Estimated max fee', details.gasLimit !== undefined && details.gasPrice !== undefined
+            && `${ethers.utils.formatEther(maxFee(details.gasLimit, details.gasPrice, transactions))} ETH (${transactions} transaction${transactions === 1 ? '' : 's'})`]
+    ].filter(([, value]) => value);
+
+    const width = Math.max(...lines.map(([label]) => label.length)) + 1;
+    return [
+        `${details.action} on ${network.name}:`,
+        ...lines.map(([label, value]) => `  ${(label + ':').padEnd(width)} ${value}`)
+    ].join('\n');
+}
+
+// Without a terminal to ask in, mainnet commands need --yes while other networks go ahead
+async function confirm(provider, details, {yes} = {}) {
+    if (yes)
+        return;
+
+    const network = await provider.getNetwork();
+    if (!process.stdin.isTTY) {
+        if (isMainnet(network))
+            throw new ValidationError(`${details.action} on mainnet needs confirmation. Run it in a terminal or add --yes.`, {network: network.name});
+        return;
+    }
+
+    console.error(summarize(network, details));
+    if (!readlineSync.keyInYN('Proceed?'))
+        throw new CancelledError(`${details.action} cancelled`);
+}
+
+module.exports = {
+    maxFee,
+    summarize,
+    confirm
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const ethers = require('ethers');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const stubbedReadlineSync = {
+    keyInYN: sinon.stub()
+};
+
+const stubbedProvider = {
+    getNetwork: sinon.stub()
+};
+
+const details = {
+    action: 'Deposit',
+    amount: '1.5',
+    currency: 'ETH',
+    contract: 'ClientFund',
+    gasLimit: 600000,
+    gasPrice: ethers.utils.parseUnits('2', 'gwei'),
+    transactions: 2
+};
+
+describe('Confirmation', () => {
+    let confirmation, isTTY;
+
+    beforeEach(() => {
+        isTTY = process.stdin.isTTY;
+        sinon.stub(console, 'error');
+        stubbedProvider.getNetwork.resolves({name: 'ropsten', chainId: 3});
+        confirmation = proxyquire('./confirm', {
+            'readline-sync': stubbedReadlineSync
+        });
+    });
+
+    afterEach(() => {
+        process.stdin.isTTY = isTTY;
+        stubbedReadlineSync.keyInYN.reset();
+        stubbedProvider.getNetwork.reset();
+        console.error.restore();
+    });
+
+    context('summarize', () => {
+        it('lists the details of the transfer and its estimated max fee', () => {
+            expect(confirmation.summarize({name: 'ropsten'}, details)).to.equal([
+                'Deposit on ropsten:',
+                '  Amount:            1.5 ETH',
+                '  Contract:          ClientFund',
+                '  Gas limit:         600000 per transaction',
+                '  Gas price:         2.0 gwei',
+                '  Estimated max fee: 0.0024 ETH (2 transactions)'
+            ].join('\n'));
+        });
+
+        it('leaves out details that do not apply', () => {
+            expect(confirmation.summarize({name: 'homestead'}, {action: 'Payment', amount: '10', currency: 'HBT', recipient: '0x01'})).to.equal([
+                'Payment on homestead:',
+                '  Amount:    10 HBT',
+                '  Recipient: 0x01'
+            ].join('\n'));
+        });
+    });
+
+    context('in a terminal', () => {
+        beforeEach(() => {
+            process.stdin.isTTY = true;
+        });
+
+        it('shows the summary and proceeds when confirmed', async () => {
+            stubbedReadlineSync.keyInYN.returns(true);
+            await confirmation.confirm(stubbedProvider, details);
+            expect(console.error).to.have.been.calledWith(sinon.match(/^Deposit on ropsten:/));
+        });
+
+        it('yields an error when declined', async () => {
+            stubbedReadlineSync.keyInYN.returns(false);
+            const err = await confirmation.confirm(stubbedProvider, details).catch(err => err);
+            expect(err.code).to.equal('CANCELLED');
+        });
+
+        it('does not ask with --yes', async () => {
+            await confirmation.confirm(stubbedProvider, details, {yes: true});
+            expect(stubbedReadlineSync.keyInYN).not.to.have.been.called;
+        });
+    });
+
+    context('without a terminal', () => {
+        beforeEach(() => {
+            process.stdin.isTTY = false;
+        });
+
+        it('proceeds on test networks', async () => {
+            await confirmation.confirm(stubbedProvider, details);
+            expect(stubbedReadlineSync.keyInYN).not.to.have.been.called;
+        });
+
+        it('yields an error on mainnet', async () => {
+            stubbedProvider.getNetwork.resolves({name: 'homestead', chainId: 1});
+            const err = await confirmation.confirm(stubbedProvider, details).catch(err => err);
+            expect(err.code).to.equal('VALIDATION');
+            expect(err.message).to.match(/--yes/);
+        });
+
+        it('proceeds on mainnet with --yes', async () => {
+            stubbedProvider.getNetwork.resolves({name: 'homestead', chainId: 1});
+            await confirmation.confirm(stubbedProvider, details, {yes: true});
+        });
+    });
+});
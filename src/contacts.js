@@ -0,0 +1,114 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const yaml = require('node-yaml');
+const {JSON_SCHEMA} = require('js-yaml');
+const configFile = require('./config-file');
+const utils = require('./utils');
+const {ValidationError} = require('./errors');
+
+function contactsFile() {
+    return path.join(configFile.configDir(), 'contacts.yaml');
+}
+
+function load() {
+    const file = contactsFile();
+    if (!fs.existsSync(file))
+        return {};
+    return yaml.readSync(file, {schema: JSON_SCHEMA}) || {};
+}
+
+function save(contacts) {
+    const file = contactsFile();
+    if (!fs.existsSync(path.dirname(file)))
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+    if (!fs.existsSync(file))
+        fs.writeFileSync(file, '', {mode: 0o600});
+    yaml.writeSync(file, contacts);
+    fs.chmodSync(file, 0o600);
+}
+
+function findName(contacts, name) {
+    return Object.keys(contacts).find(n => n.toLowerCase() === name.toLowerCase());
+}
+
+function isAddress(value) {
+    return /^(0x)?[0-9a-f]{40}$/i.test(value);
+}
+
+function validateName(name) {
+    if (!/^[a-z][a-z0-9._-]*$/i.test(name))
+        throw new ValidationError(`"${name}" is not a valid contact name. Use letters, digits, ".", "_" and "-", starting with a letter.`, {name});
+}
+
+function list() {
+    const contacts = load();
+    return Object.keys(contacts)
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => ({name, address: contacts[name]}));
+}
+
+function add(name, address) {
+    name = String(name);
+    validateName(name);
+    address = utils.checksumAddress(address, 'wallet address');
+
+    const contacts = load();
+    const existing = findName(contacts, name);
+    if (existing)
+        throw new ValidationError(`Contact "${existing}" already exists with address ${contacts[existing]}`, {name: existing, address: contacts[existing]});
+
+    contacts[name] = address;
+    save(contacts);
+    return {name, address};
+}
+
+function remove(name) {
+    name = String(name);
+    const contacts = load();
+    const existing = findName(contacts, name);
+    if (!existing)
+        throw new ValidationError(`Unknown contact "${name}"`, {name});
+
+    const address = contacts[existing];
+    delete contacts[existing];
+    save(contacts);
+    return {name: existing, address};
+}
+
+function resolve(recipient) {
+    if (!recipient || isAddress(recipient))
+        return recipient;
+
+    const contacts = load();
+    const name = findName(contacts, String(recipient));
+    return name ? contacts[name] : recipient;
+}
+
+function nameLookup() {
+    const names = new Map(list().map(c => [c.address.toLowerCase(), c.name]));
+    return address => address ? names.get(String(address).replace(/^(0x)?/i, '0x').toLowerCase()) : undefined;
+}
+
+function annotate(items) {
+    const nameOf = nameLookup();
+    return items.map(item => {
+        const annotated = {...item};
+        for (const party of ['sender', 'recipient']) {
+            if (item[party])
+                annotated[party] = {...item[party], contact: nameOf(item[party].wallet)};
+        }
+        return annotated;
+    });
+}
+
+module.exports = {
+    contactsFile,
+    list,
+    add,
+    remove,
+    resolve,
+    nameLookup,
+    annotate
+};
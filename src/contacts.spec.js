@@ -0,0 +1,109 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const alice = '0xABcDeF7890123456789012345678901234567890';
+const bob = '0x1234567890123456789012345678901234567890';
+
+describe('Contacts', () => {
+    let dir, contacts;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-contacts-'));
+        contacts = proxyquire('./contacts', {
+            './config-file': {configDir: () => dir}
+        });
+    });
+
+    afterEach(() => {
+        fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+    });
+
+    context('without an address book', () => {
+        it('lists no contacts', () => {
+            expect(contacts.list()).to.eql([]);
+        });
+
+        it('resolves names to themselves', () => {
+            expect(contacts.resolve('alice')).to.equal('alice');
+        });
+    });
+
+    context('add', () => {
+        it('stores the checksummed address', () => {
+            expect(contacts.add('alice', alice.toLowerCase())).to.eql({name: 'alice', address: alice});
+            expect(contacts.list()).to.eql([{name: 'alice', address: alice}]);
+        });
+
+        it('keeps the address book in the config folder', () => {
+            contacts.add('alice', alice);
+            expect(fs.existsSync(path.join(dir, 'contacts.yaml'))).to.be.true;
+        });
+
+        it('keeps the address book readable by the owner only', () => {
+            contacts.add('alice', alice);
+            expect(fs.statSync(path.join(dir, 'contacts.yaml')).mode & 0o777).to.equal(0o600);
+        });
+
+        it('rejects names that are taken, regardless of case', () => {
+            contacts.add('alice', alice);
+            expect(() => contacts.add('Alice', bob)).to.throw(/already exists/);
+        });
+
+        it('rejects names that could be mistaken for addresses', () => {
+            expect(() => contacts.add('0x1234', bob)).to.throw(/not a valid contact name/);
+        });
+
+        it('rejects invalid addresses', () => {
+            expect(() => contacts.add('alice', '0x1234')).to.throw(/not a valid wallet address/);
+        });
+
+        it('rejects mixed case addresses with a wrong checksum', () => {
+            expect(() => contacts.add('alice', '0xAbcDeF7890123456789012345678901234567890')).to.throw(/does not match its checksum/);
+        });
+    });
+
+    context('with contacts', () => {
+        beforeEach(() => {
+            contacts.add('bob', bob);
+            contacts.add('alice', alice);
+        });
+
+        it('lists the contacts by name', () => {
+            expect(contacts.list().map(c => c.name)).to.eql(['alice', 'bob']);
+        });
+
+        it('resolves names, regardless of case', () => {
+            expect(contacts.resolve('Alice')).to.equal(alice);
+        });
+
+        it('leaves addresses as they are', () => {
+            expect(contacts.resolve(bob.slice(2))).to.equal(bob.slice(2));
+        });
+
+        it('removes contacts', () => {
+            expect(contacts.remove('bob')).to.eql({name: 'bob', address: bob});
+            expect(contacts.list().map(c => c.name)).to.eql(['alice']);
+        });
+
+        it('yields an error when removing unknown contacts', () => {
+            expect(() => contacts.remove('carol')).to.throw(/unknown contact "carol"/i);
+        });
+
+        it('annotates senders and recipients with their names', () => {
+            const receipts = [{nonce: 1, sender: {wallet: alice.toLowerCase()}, recipient: {wallet: '0x' + '00'.repeat(20)}}];
+            expect(contacts.annotate(receipts)).to.eql([{
+                nonce: 1,
+                sender: {wallet: alice.toLowerCase(), contact: 'alice'},
+                recipient: {wallet: '0x' + '00'.repeat(20), contact: undefined}
+            }]);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const {ValidationError} = require('./errors');
+
+// Five fields of *, numbers, ranges, steps and lists, in local time as with cron
+
+const FIELDS = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'day of month', min: 1, max: 31},
+    {name: 'month', min: 1, max: 12},
+    {name: 'day of week', min: 0, max: 7}
+];
+
+const SHORTHANDS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+const MAX_DAYS = 366 * 28;
+
+function parseField(text, {name, min, max}, expression) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match)
+            throw new ValidationError(`"${expression}" is not a valid interval: "${part}" is not a valid ${name}`, {interval: expression});
+
+        const from = match[1] === '*' ? min : Number(match[2]);
+        const to = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : from;
+        const step = match[4] ? Number(match[4]) : 1;
+        if (from < min || to > max || from > to || step < 1)
+            throw new ValidationError(`"${expression}" is not a valid interval: ${name} must be between ${min} and ${max}`, {interval: expression});
+
+        for (let value = from; value <= to; value += step)
+            values.add(value);
+    }
+    return values;
+}
+
+function parse(expression) {
+    const text = String(expression || '').trim();
+    const fields = (SHORTHANDS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== FIELDS.length)
+        throw new ValidationError(`"${text}" is not a valid interval. Give five cron fields, e.g. "0 9 1 * *" for 9:00 on the first of every month, or one of ${Object.keys(SHORTHANDS).join(', ')}`, {interval: text});
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELDS[i], text));
+    if (weekdays.has(7))
+        weekdays.add(0);
+
+    return {
+        expression: text,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // As with cron, when both days are restricted either of them will do
+        anyDay: fields[2] !== '*' && fields[4] !== '*'
+    };
+}
+
+function matchesDay(cron, date) {
+    const day = cron.days.has(date.getDate());
+    const weekday = cron.weekdays.has(date.getDay());
+    return cron.anyDay ? day || weekday : day && weekday;
+}
+
+function next(cron, after) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const last = after.getTime() + MAX_DAYS * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= last) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        }
+        else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        }
+        else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        }
+        else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        }
+        else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parse,
+    next
+};
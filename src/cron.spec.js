@@ -0,0 +1,85 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const cron = require('./cron');
+
+function local(year, month, day, hours = 0, minutes = 0) {
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+function next(expression, after) {
+    return cron.next(cron.parse(expression), after);
+}
+
+describe('Cron', () => {
+    context('parse', () => {
+        it('rejects expressions without five fields', () => {
+            expect(() => cron.parse('0 9 1 *'))
+                .to.throw(/Give five cron fields/)
+                .with.property('code', 'VALIDATION');
+        });
+
+        it('rejects values out of range', () => {
+            expect(() => cron.parse('0 24 * * *')).to.throw(/hour must be between 0 and 23/);
+        });
+
+        it('rejects unknown syntax', () => {
+            expect(() => cron.parse('0 9 * JAN *')).to.throw(/"JAN" is not a valid month/);
+        });
+
+        it('rejects inverted ranges', () => {
+            expect(() => cron.parse('0 9 20-10 * *')).to.throw(/day of month must be between 1 and 31/);
+        });
+    });
+
+    context('next', () => {
+        it('finds the next minute of "* * * * *"', () => {
+            expect(next('* * * * *', local(2026, 10, 19, 10, 30))).to.eql(local(2026, 10, 19, 10, 31));
+        });
+
+        it('ignores the seconds of the given time', () => {
+            const after = local(2026, 10, 19, 10, 30);
+            after.setSeconds(59, 999);
+            expect(next('* * * * *', after)).to.eql(local(2026, 10, 19, 10, 31));
+        });
+
+        it('finds the first of the next month for @monthly', () => {
+            expect(next('@monthly', local(2026, 12, 1, 0, 0))).to.eql(local(2027, 1, 1));
+        });
+
+        it('finds the next of a list of hours', () => {
+            expect(next('15 9,17 * * *', local(2026, 10, 19, 9, 15))).to.eql(local(2026, 10, 19, 17, 15));
+        });
+
+        it('finds the next step', () => {
+            expect(next('*/20 * * * *', local(2026, 10, 19, 10, 40))).to.eql(local(2026, 10, 19, 11, 0));
+        });
+
+        it('finds the next weekday of a range', () => {
+            // October 23rd 2026 is a Friday
+            expect(next('0 9 * * 1-5', local(2026, 10, 23, 9, 0))).to.eql(local(2026, 10, 26, 9, 0));
+        });
+
+        it('treats 7 as Sunday', () => {
+            expect(next('0 0 * * 7', local(2026, 10, 19))).to.eql(local(2026, 10, 25));
+        });
+
+        it('matches either day when both the day of month and of week are given', () => {
+            expect(next('0 0 1 * 0', local(2026, 10, 19))).to.eql(local(2026, 10, 25));
+        });
+
+        it('skips months without the day', () => {
+            expect(next('0 0 31 * *', local(2026, 10, 31))).to.eql(local(2026, 12, 31));
+        });
+
+        it('finds leap days', () => {
+            expect(next('0 0 29 2 *', local(2026, 10, 19))).to.eql(local(2028, 2, 29));
+        });
+
+        it('finds nothing for days that do not exist', () => {
+            expect(next('0 0 30 2 *', local(2026, 10, 19))).to.be.null;
+        });
+    });
+});
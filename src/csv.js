@@ -0,0 +1,81 @@
+'use strict';
+
+function formatField(value) {
+    if (value === undefined || value === null)
+        return '';
+    value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function format(rows, columns) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return lines.map(line => line.map(formatField).join(',')).join('\n');
+}
+
+function parseLines(text) {
+    const lines = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            }
+            else if (c === '"') {
+                quoted = false;
+            }
+            else {
+                field += c;
+            }
+        }
+        else if (c === '"') {
+            quoted = true;
+        }
+        else if (c === ',') {
+            fields.push(field);
+            field = '';
+        }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n')
+                i++;
+            fields.push(field);
+            lines.push(fields);
+            fields = [];
+            field = '';
+        }
+        else {
+            field += c;
+        }
+    }
+    if (quoted)
+        throw new Error('Unterminated quoted field');
+    if (field || fields.length) {
+        fields.push(field);
+        lines.push(fields);
+    }
+    return lines.filter(line => line.some(value => value.trim() !== ''));
+}
+
+function parse(text) {
+    const [header, ...lines] = parseLines(text);
+    if (!header)
+        return [];
+
+    const columns = header.map(column => column.trim());
+    return lines.map(line => {
+        const row = {};
+        columns.forEach((column, i) => {
+            row[column] = line[i] === undefined ? '' : line[i].trim();
+        });
+        return row;
+    });
+}
+
+module.exports = {
+    format,
+    parse
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const csv = require('./csv');
+
+describe('CSV', () => {
+    context('parse', () => {
+        it('maps each line onto the columns of the header', () => {
+            expect(csv.parse('recipient,amount\n0x1,10\r\n0x2,20\n')).to.eql([
+                {recipient: '0x1', amount: '10'},
+                {recipient: '0x2', amount: '20'}
+            ]);
+        });
+
+        it('supports quoted fields', () => {
+            expect(csv.parse('reference,amount\n"invoice 1, ""final""",10')).to.eql([
+                {reference: 'invoice 1, "final"', amount: '10'}
+            ]);
+        });
+
+        it('skips empty lines and fills in missing fields', () => {
+            expect(csv.parse('recipient,amount,reference\n\n0x1,10\n\n')).to.eql([
+                {recipient: '0x1', amount: '10', reference: ''}
+            ]);
+        });
+
+        it('rejects unterminated quoted fields', () => {
+            expect(() => csv.parse('reference\n"invoice')).to.throw(/unterminated/i);
+        });
+    });
+
+    context('format', () => {
+        it('quotes fields when needed', () => {
+            expect(csv.format([{a: 'x,y', b: undefined}, {a: {c: 1}, b: 2}], ['a', 'b'])).to.equal('a,b\n"x,y",\n"{""c"":1}",2');
+        });
+
+        it('formats what it parses', () => {
+            const text = 'reference,amount\n"invoice 1, ""final""",10';
+            expect(csv.format(csv.parse(text), ['reference', 'amount'])).to.equal(text);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+const nahmii = require('nahmii-sdk');
+
+// Part of the public interface, so only ever add new codes
+const exitCodes = {
+    GENERAL: 1,
+    CONFIG: 2,
+    NETWORK: 3,
+    VALIDATION: 4,
+    INSUFFICIENT_FUNDS: 5,
+    REVERTED: 6,
+    TIMEOUT: 7,
+    CANCELLED: 8,
+    AUTH: 9
+};
+
+const networkErrorCodes = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+class CliError extends Error {
+    constructor(message, code = 'GENERAL', details = undefined) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class ConfigError extends CliError {
+    constructor(message, details) {
+        super(message, 'CONFIG', details);
+    }
+}
+
+class NetworkError extends CliError {
+    constructor(message, details) {
+        super(message, 'NETWORK', details);
+    }
+}
+
+class ValidationError extends CliError {
+    constructor(message, details) {
+        super(message, 'VALIDATION', details);
+    }
+}
+
+class InsufficientFundsError extends CliError {
+    constructor(message, details) {
+        super(message, 'INSUFFICIENT_FUNDS', details);
+    }
+}
+
+class RevertError extends CliError {
+    constructor(message, details) {
+        super(message, 'REVERTED', details);
+    }
+}
+
+class TimeoutError extends CliError {
+    constructor(message, details) {
+        super(message, 'TIMEOUT', details);
+    }
+}
+
+class CancelledError extends CliError {
+    constructor(message, details) {
+        super(message, 'CANCELLED', details);
+    }
+}
+
+// The SDK wraps connection failures in plain errors that keep only the message
+const nestedNetworkError = new RegExp(`\\b(${networkErrorCodes.join('|')})\\b`);
+
+function isNetworkError(err) {
+    return networkErrorCodes.includes(err.code)
+        || !!err.timeout // Superagent response timeout
+        || nestedNetworkError.test(String(err.message || ''))
+        || (!!err.cause && err.cause !== err && isNetworkError(err.cause));
+}
+
+// Credentials refused by the API, or a pass phrase refused by a keystore file or the key agent
+function isAuthError(err) {
+    return err.status === 401 || err.status === 403
+        || /\b(not authorized!|invalid password\b)/i.test(String(err.message || ''))
+        || (!!err.cause && err.cause !== err && isAuthError(err.cause));
+}
+
+function classify(err) {
+    if (!err)
+        return 'GENERAL';
+    if (err instanceof CliError)
+        return err.code;
+    if (err instanceof nahmii.InsufficientFundsError || err.code === 'INSUFFICIENT_FUNDS')
+        return 'INSUFFICIENT_FUNDS';
+    if (err.code === 'CALL_EXCEPTION' || err.message === 'Transaction failed')
+        return 'REVERTED';
+    if (isAuthError(err))
+        return 'AUTH';
+    if (isNetworkError(err))
+        return 'NETWORK';
+    return 'GENERAL';
+}
+
+function wrap(err, message) {
+    const reason = err && err.message ? err.message : String(err);
+    const wrapped = new CliError(`${message}: ${reason}`, classify(err), err && err.details);
+    wrapped.cause = err;
+    return wrapped;
+}
+
+function describe(err) {
+    const code = classify(err);
+    return {
+        code,
+        exitCode: exitCodes[code],
+        message: err && err.message ? err.message : String(err),
+        details: (err && err.details) || {}
+    };
+}
+
+module.exports = {
+    exitCodes,
+    CliError,
+    ConfigError,
+    NetworkError,
+    ValidationError,
+    InsufficientFundsError,
+    RevertError,
+    TimeoutError,
+    CancelledError,
+    classify,
+    wrap,
+    describe
+};
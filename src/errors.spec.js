@@ -0,0 +1,81 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {InsufficientFundsError: SdkInsufficientFundsError} = require('nahmii-sdk');
+const errors = require('./errors');
+
+describe('Errors', () => {
+    context('classify', () => {
+        it('uses the code of CLI errors', () => {
+            expect(errors.classify(new errors.ConfigError('missing'))).to.equal('CONFIG');
+            expect(errors.classify(new errors.ValidationError('invalid'))).to.equal('VALIDATION');
+            expect(errors.classify(new errors.TimeoutError('late'))).to.equal('TIMEOUT');
+            expect(errors.classify(new errors.CancelledError('cancelled'))).to.equal('CANCELLED');
+        });
+
+        it('recognizes insufficient funds reported by the API', () => {
+            expect(errors.classify(new SdkInsufficientFundsError({message: 'Minimum balance 1.2'}))).to.equal('INSUFFICIENT_FUNDS');
+        });
+
+        it('recognizes connection failures', () => {
+            expect(errors.classify(Object.assign(new Error('connect ECONNREFUSED'), {code: 'ECONNREFUSED'}))).to.equal('NETWORK');
+        });
+
+        it('recognizes connection failures wrapped by the SDK', () => {
+            const err = new Error('Unable to retrieve cluster information: Error: getaddrinfo ENOTFOUND api.example.com');
+            expect(errors.classify(err)).to.equal('NETWORK');
+            expect(errors.classify(Object.assign(new Error('Failed'), {cause: Object.assign(new Error('timeout'), {code: 'ETIMEDOUT'})}))).to.equal('NETWORK');
+        });
+
+        it('recognizes rejected credentials', () => {
+            expect(errors.classify(Object.assign(new Error('Unauthorized'), {status: 401}))).to.equal('AUTH');
+            expect(errors.classify(Object.assign(new Error('Forbidden'), {status: 403}))).to.equal('AUTH');
+            expect(errors.classify(new Error('Not authorized!'))).to.equal('AUTH');
+            expect(errors.classify(new Error('Unable to retrieve cluster information: Error: Not authorized!'))).to.equal('AUTH');
+        });
+
+        it('recognizes reverted transactions', () => {
+            expect(errors.classify(new Error('Transaction failed'))).to.equal('REVERTED');
+            expect(errors.classify(Object.assign(new Error('call exception'), {code: 'CALL_EXCEPTION'}))).to.equal('REVERTED');
+        });
+
+        it('recognizes a pass phrase that does not unlock the wallet', () => {
+            expect(errors.classify(new Error('invalid password'))).to.equal('AUTH');
+            expect(errors.classify(new Error('Key agent: invalid password'))).to.equal('AUTH');
+            expect(errors.exitCodes.AUTH).to.equal(9);
+        });
+
+        it('falls back to a general error', () => {
+            expect(errors.classify(new Error('Oops'))).to.equal('GENERAL');
+        });
+    });
+
+    context('wrap', () => {
+        it('keeps the category and details of the wrapped error', () => {
+            const cause = new errors.InsufficientFundsError('The maximum is 1.2', {balance: '1.2'});
+            const err = errors.wrap(cause, 'Withdraw failed');
+            expect(err.message).to.equal('Withdraw failed: The maximum is 1.2');
+            expect(err.code).to.equal('INSUFFICIENT_FUNDS');
+            expect(err.details).to.eql({balance: '1.2'});
+            expect(err.cause).to.equal(cause);
+        });
+    });
+
+    context('describe', () => {
+        it('includes the exit code of the category', () => {
+            expect(errors.describe(new errors.RevertError('Reverted', {transactionHash: '0x1'}))).to.eql({
+                code: 'REVERTED',
+                exitCode: 6,
+                message: 'Reverted',
+                details: {transactionHash: '0x1'}
+            });
+        });
+
+        it('gives every category a distinct exit code', () => {
+            const exitCodes = Object.values(errors.exitCodes);
+            expect(new Set(exitCodes).size).to.equal(exitCodes.length);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const ethers = require('ethers');
+
+const ropstenAbstractions = require('nahmii-contract-abstractions-ropsten');
+const homesteadAbstractions = require('nahmii-contract-abstractions');
+const {ConfigError} = require('./errors');
+const {normalizeAddress} = require('./utils');
+
+// The wallet is not an indexed argument of these events, so all are fetched and filtered by wallet
+const SOURCES = [
+    {
+        contract: 'ClientFund',
+        events: {
+            ReceiveEvent: 'deposit',
+            StageEvent: 'stage',
+            UnstageEvent: 'unstage',
+            WithdrawEvent: 'withdrawal'
+        }
+    },
+    {
+        contract: 'DriipSettlementChallengeByPayment',
+        events: {
+            StartChallengeFromPaymentEvent: 'settlement',
+            StartChallengeFromPaymentByProxyEvent: 'settlement'
+        }
+    },
+    {
+        contract: 'NullSettlementChallengeByPayment',
+        events: {
+            StartChallengeEvent: 'settlement',
+            StartChallengeByProxyEvent: 'settlement'
+        }
+    }
+];
+
+const TYPES = ['deposit', 'settlement', 'stage', 'unstage', 'withdrawal'];
+
+// Nodes refuse to search too many blocks at once
+const BLOCK_RANGE = 10000;
+
+const ABSTRACTIONS = {
+    ropsten: ropstenAbstractions,
+    homestead: homesteadAbstractions
+};
+
+function getDeployment(network, contractName) {
+    const abstractions = ABSTRACTIONS[network.name];
+    const deployment = abstractions && abstractions.getAbstraction(contractName);
+    return deployment && deployment.networks[network.chainId] ? deployment : undefined;
+}
+
+function isSupported(network) {
+    return SOURCES.every(source => getDeployment(network, source.contract));
+}
+
+async function deploymentBlock(provider, deployment) {
+    const {transactionHash} = deployment.networks[provider.network.chainId];
+    const receipt = transactionHash ? await provider.getTransactionReceipt(transactionHash) : null;
+    return receipt ? receipt.blockNumber : 0;
+}
+
+async function getLogs(provider, filter, fromBlock, toBlock) {
+    const logs = [];
+    for (let from = fromBlock; from <= toBlock; from += BLOCK_RANGE)
+        logs.push(...await provider.getLogs({...filter, fromBlock: from, toBlock: Math.min(from + BLOCK_RANGE - 1, toBlock)}));
+    return logs;
+}
+
+function describe(type, log, values) {
+    const event = {
+        type,
+        blockNumber: log.blockNumber,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash,
+        amount: (type === 'settlement' ? values.stageAmount : values.value).toString(),
+        currency: {ct: normalizeAddress(values.currencyCt), id: values.currencyId.toString()}
+    };
+    if (type === 'deposit')
+        event.balanceType = values.balanceType;
+    return event;
+}
+
+async function fetch(provider, address, {fromBlock = 0} = {}) {
+    if (!isSupported(provider.network))
+        throw new ConfigError(`The nahmii contracts are not known on the ${provider.network.name} network`, {network: provider.network.name});
+    const wallet = normalizeAddress(address);
+    const toBlock = await provider.getBlockNumber();
+    const events = [];
+    if (fromBlock > toBlock)
+        return {events, toBlock};
+
+    for (const source of SOURCES) {
+        const deployment = getDeployment(provider.network, source.contract);
+        const contractAddress = deployment.networks[provider.network.chainId].address;
+        const iface = new ethers.utils.Interface(deployment.abi);
+        const topics = Object.keys(source.events).map(name => iface.events[name].topic);
+
+        const from = Math.max(fromBlock, await deploymentBlock(provider, deployment));
+        const logs = await getLogs(provider, {address: contractAddress, topics: [topics]}, from, toBlock);
+        for (const log of logs) {
+            const parsed = iface.parseLog(log);
+            if (!parsed || normalizeAddress(parsed.values.wallet) !== wallet)
+                continue;
+            events.push(describe(source.events[parsed.name], log, parsed.values));
+        }
+    }
+
+    const timestamps = new Map();
+    for (const event of events) {
+        if (!timestamps.has(event.blockNumber))
+            timestamps.set(event.blockNumber, (await provider.getBlock(event.blockNumber)).timestamp);
+        event.created = new Date(timestamps.get(event.blockNumber) * 1000).toISOString();
+    }
+
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    return {events, toBlock};
+}
+
+module.exports = {
+    BLOCK_RANGE,
+    TYPES,
+    isSupported,
+    fetch
+};
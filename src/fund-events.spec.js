@@ -0,0 +1,108 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const abstractions = require('nahmii-contract-abstractions');
+const fundEvents = require('./fund-events');
+
+// Events recorded by the contract abstractions
+const deposit = abstractions.getEvent('ClientFund', 'ReceiveEvent');
+const stage = abstractions.getEvent('ClientFund', 'StageEvent');
+const settlement = abstractions.getEvent('NullSettlementChallengeByPayment', 'StartChallengeEvent');
+const depositor = '0x03ef34adf00ed9423e99642971208228dcf7f34f';
+
+function addressOf(contract) {
+    return abstractions.getAbstraction(contract).networks['1'].address;
+}
+
+describe('Fund events', () => {
+    let provider;
+
+    beforeEach(() => {
+        const logs = {
+            [addressOf('ClientFund')]: [{...stage, logIndex: 0}, {...deposit, logIndex: 1}],
+            [addressOf('DriipSettlementChallengeByPayment')]: [],
+            [addressOf('NullSettlementChallengeByPayment')]: [{...settlement, logIndex: 0}]
+        };
+        provider = {
+            network: {name: 'homestead', chainId: 1},
+            getBlockNumber: sinon.stub().resolves(1000),
+            getLogs: sinon.stub().callsFake(async filter => logs[filter.address]),
+            getTransactionReceipt: sinon.stub().resolves(null),
+            getBlock: sinon.stub().callsFake(async blockNumber => ({timestamp: 1788000000 + blockNumber}))
+        };
+    });
+
+    it('fetches the events of the wallet in the order they happened', async () => {
+        const {events} = await fundEvents.fetch(provider, depositor.toUpperCase().replace('0X', ''));
+        expect(events.map(e => e.type)).to.eql(['deposit', 'stage']);
+        expect(events[0]).to.eql({
+            type: 'deposit',
+            blockNumber: deposit.blockNumber,
+            logIndex: 1,
+            transactionHash: deposit.transactionHash,
+            amount: '1000000000000000000',
+            currency: {ct: '0x' + '00'.repeat(20), id: '0'},
+            balanceType: '',
+            created: new Date((1788000000 + deposit.blockNumber) * 1000).toISOString()
+        });
+    });
+
+    it('tells the kinds of events apart', async () => {
+        const {events} = await fundEvents.fetch(provider, '0x6f9bb373cf555f560eeb35bb8bedf22ac0d7ee4b');
+        expect(events.map(e => e.type)).to.eql(['settlement']);
+        expect(events[0].amount).to.equal('1000000000000000000');
+    });
+
+    it('looks in the blocks from the given one up to the latest', async () => {
+        const {toBlock} = await fundEvents.fetch(provider, depositor, {fromBlock: 500});
+        expect(toBlock).to.equal(1000);
+        expect(provider.getLogs).to.have.been.calledWith(sinon.match({address: addressOf('ClientFund'), fromBlock: 500, toBlock: 1000}));
+    });
+
+    it('looks in ranges of blocks', async () => {
+        provider.getBlockNumber.resolves(2 * fundEvents.BLOCK_RANGE + 10);
+        await fundEvents.fetch(provider, depositor, {fromBlock: 5});
+        const ranges = provider.getLogs.getCalls()
+            .filter(call => call.args[0].address === addressOf('ClientFund'))
+            .map(call => [call.args[0].fromBlock, call.args[0].toBlock]);
+        expect(ranges).to.eql([
+            [5, fundEvents.BLOCK_RANGE + 4],
+            [fundEvents.BLOCK_RANGE + 5, 2 * fundEvents.BLOCK_RANGE + 4],
+            [2 * fundEvents.BLOCK_RANGE + 5, 2 * fundEvents.BLOCK_RANGE + 10]
+        ]);
+    });
+
+    it('starts looking at the block each contract was deployed in', async () => {
+        const {transactionHash} = abstractions.getAbstraction('ClientFund').networks['1'];
+        provider.getTransactionReceipt.withArgs(transactionHash).resolves({blockNumber: 700});
+        await fundEvents.fetch(provider, depositor);
+        expect(provider.getLogs).to.have.been.calledWith(sinon.match({address: addressOf('ClientFund'), fromBlock: 700, toBlock: 1000}));
+        expect(provider.getLogs).to.have.been.calledWith(sinon.match({address: addressOf('NullSettlementChallengeByPayment'), fromBlock: 0, toBlock: 1000}));
+    });
+
+    it('does not look when there are no new blocks', async () => {
+        const result = await fundEvents.fetch(provider, depositor, {fromBlock: 1001});
+        expect(result).to.eql({events: [], toBlock: 1000});
+        expect(provider.getLogs).not.to.have.been.called;
+    });
+
+    it('knows the networks the contracts are deployed on', () => {
+        expect(fundEvents.isSupported({name: 'homestead', chainId: 1})).to.be.true;
+        expect(fundEvents.isSupported({name: 'ropsten', chainId: 3})).to.be.true;
+        expect(fundEvents.isSupported({name: 'rinkeby', chainId: 4})).to.be.false;
+        expect(fundEvents.isSupported({name: 'homestead', chainId: 4})).to.be.false;
+    });
+
+    it('rejects unknown networks', async () => {
+        provider.network = {name: 'rinkeby', chainId: 4};
+        const err = await fundEvents.fetch(provider, depositor).catch(err => err);
+        expect(err.message).to.match(/not known on the rinkeby network/);
+        expect(err.code).to.equal('CONFIG');
+        expect(provider.getLogs).not.to.have.been.called;
+    });
+});
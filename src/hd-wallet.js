@@ -0,0 +1,65 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const ethers = require('ethers');
+const keystore = require('./keystore');
+const {ConfigError, ValidationError} = require('./errors');
+
+const ACCOUNT_BASE_PATH = 'm/44\'/60\'/0\'/0';
+
+function isHDWallet(wallet) {
+    return !!(wallet && wallet.mnemonic);
+}
+
+function parseAccount(account) {
+    const index = Number(account);
+    if (!/^\d+$/.test(String(account)) || index >= 0x80000000)
+        throw new ValidationError(`Account must be a non-negative integer, got "${account}"`, {account});
+    return index;
+}
+
+// An account given on the command line takes precedence over wallet.path, which takes precedence over wallet.account
+function derivationPath(wallet, account) {
+    if (account !== undefined)
+        return `${ACCOUNT_BASE_PATH}/${parseAccount(account)}`;
+    if (wallet.path)
+        return wallet.path;
+    if (wallet.account !== undefined)
+        return `${ACCOUNT_BASE_PATH}/${parseAccount(wallet.account)}`;
+    return ethers.utils.HDNode.defaultPath;
+}
+
+// wallet.mnemonic is either a path relative to the keystore folder or the address of a wallet in it
+function mnemonicFile(wallet) {
+    const file = path.resolve(keystore.keystoreDir(), wallet.mnemonic);
+    if (fs.existsSync(file))
+        return file;
+
+    const matchedFile = /^(0x)?[0-9a-f]{40}$/i.test(wallet.mnemonic) && keystore.findFile(wallet.mnemonic);
+    if (!matchedFile)
+        throw new ConfigError(`Unable to find keystore file with mnemonic: ${wallet.mnemonic}`, {mnemonic: wallet.mnemonic});
+    return matchedFile;
+}
+
+async function derive(json, passphrase, derivationPath) {
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, passphrase);
+    if (!wallet.mnemonic)
+        throw new ConfigError('Keystore file does not contain a mnemonic');
+    return ethers.Wallet.fromMnemonic(wallet.mnemonic, derivationPath);
+}
+
+// Identifies a derived account without revealing its address, e.g. to name the agent socket before unlocking
+function accountId(file, derivationPath) {
+    const hash = crypto.createHash('sha256').update(`${file}:${derivationPath}`).digest('hex');
+    return `hd-${hash.slice(0, 40)}`;
+}
+
+module.exports = {
+    isHDWallet,
+    derivationPath,
+    mnemonicFile,
+    derive,
+    accountId
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+chai.use(require('chai-as-promised'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ethers = require('ethers');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const account0 = '0x9858EfFD232B4033E47d90003D41EC34EcaEda94';
+const account1 = '0x6Fac4D18c912343BF86fa7049364Dd4E424Ab9C0';
+const fastScrypt = {scrypt: {N: 1024}};
+
+describe('HD wallet', () => {
+    let dir, keystoreDir, hdWallet;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-hd-wallet-'));
+        keystoreDir = path.join(dir, 'keystore');
+        fs.mkdirSync(keystoreDir);
+        const keystore = proxyquire('./keystore', {
+            './config-file': {configDir: () => dir}
+        });
+        hdWallet = proxyquire('./hd-wallet', {
+            './keystore': keystore
+        });
+    });
+
+    afterEach(() => {
+        fs.readdirSync(keystoreDir).forEach(f => fs.unlinkSync(path.join(keystoreDir, f)));
+        fs.rmdirSync(keystoreDir);
+        fs.rmdirSync(dir);
+    });
+
+    context('isHDWallet', () => {
+        it('is true when a mnemonic is configured', () => {
+            expect(hdWallet.isHDWallet({mnemonic: 'treasury.json'})).to.be.true;
+        });
+
+        it('is false for a plain wallet', () => {
+            expect(hdWallet.isHDWallet({address: account0})).to.be.false;
+        });
+    });
+
+    context('derivationPath', () => {
+        it('prefers the account given on the command line', () => {
+            expect(hdWallet.derivationPath({path: 'm/44\'/60\'/1\'/0/0', account: 2}, '3')).to.equal('m/44\'/60\'/0\'/0/3');
+        });
+
+        it('then uses the configured path', () => {
+            expect(hdWallet.derivationPath({path: 'm/44\'/60\'/1\'/0/0', account: 2})).to.equal('m/44\'/60\'/1\'/0/0');
+        });
+
+        it('then uses the configured account', () => {
+            expect(hdWallet.derivationPath({account: 2})).to.equal('m/44\'/60\'/0\'/0/2');
+        });
+
+        it('defaults to the first account', () => {
+            expect(hdWallet.derivationPath({})).to.equal('m/44\'/60\'/0\'/0/0');
+        });
+
+        it('rejects an invalid account', () => {
+            expect(() => hdWallet.derivationPath({}, '-1')).to.throw(/non-negative integer/).with.property('code', 'VALIDATION');
+        });
+    });
+
+    context('mnemonicFile', () => {
+        it('resolves file names relative to the keystore folder', () => {
+            fs.writeFileSync(path.join(keystoreDir, 'treasury.json'), '{}');
+            expect(hdWallet.mnemonicFile({mnemonic: 'treasury.json'})).to.equal(path.join(keystoreDir, 'treasury.json'));
+        });
+
+        it('finds keystore files by address', () => {
+            const file = path.join(keystoreDir, 'UTC--treasury');
+            fs.writeFileSync(file, JSON.stringify({address: account0.replace(/^0x/, '').toLowerCase()}));
+            expect(hdWallet.mnemonicFile({mnemonic: account0})).to.equal(file);
+        });
+
+        it('yields an error when there is no such file', () => {
+            expect(() => hdWallet.mnemonicFile({mnemonic: 'missing.json'})).to.throw(/unable to find keystore file with mnemonic/i).with.property('code', 'CONFIG');
+        });
+    });
+
+    context('derive', () => {
+        let json;
+
+        before(async function() {
+            this.timeout(10000);
+            json = await ethers.Wallet.fromMnemonic(mnemonic).encrypt('secret', fastScrypt);
+        });
+
+        it('derives the account of the given path', async () => {
+            const wallet = await hdWallet.derive(json, 'secret', 'm/44\'/60\'/0\'/0/1');
+            expect(wallet.address).to.equal(account1);
+        });
+
+        it('derives the default account', async () => {
+            const wallet = await hdWallet.derive(json, 'secret', hdWallet.derivationPath({}));
+            expect(wallet.address).to.equal(account0);
+        });
+
+        it('yields an error when the keystore file has no mnemonic', async () => {
+            const plainJson = await new ethers.Wallet('0x' + '11'.repeat(32)).encrypt('secret', fastScrypt);
+            return expect(hdWallet.derive(plainJson, 'secret', 'm/44\'/60\'/0\'/0/0')).to.be.rejectedWith(/does not contain a mnemonic/);
+        });
+    });
+
+    context('accountId', () => {
+        it('differs between accounts', () => {
+            expect(hdWallet.accountId('treasury.json', 'm/44\'/60\'/0\'/0/0'))
+                .to.not.equal(hdWallet.accountId('treasury.json', 'm/44\'/60\'/0\'/0/1'));
+        });
+
+        it('does not reveal the file or path', () => {
+            expect(hdWallet.accountId('treasury.json', 'm/44\'/60\'/0\'/0/0')).to.match(/^hd-[0-9a-f]{40}$/);
+        });
+    });
+});
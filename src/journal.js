@@ -0,0 +1,74 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const configFile = require('./config-file');
+const {isSameAddress} = require('./utils');
+
+// What only this machine knows about the payments sent from it, by the hash of their wallet seal
+
+function journalFile() {
+    return path.join(configFile.configDir(), 'journal.json');
+}
+
+function load() {
+    const file = journalFile();
+    if (!fs.existsSync(file))
+        return {};
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function save(entries) {
+    const file = journalFile();
+    if (!fs.existsSync(path.dirname(file)))
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(entries, undefined, 2) + '\n', {mode: 0o600});
+    fs.chmodSync(temporary, 0o600);
+    fs.renameSync(temporary, file);
+}
+
+function normalizeHash(hash) {
+    return String(hash).replace(/^(0x)?/i, '0x').toLowerCase();
+}
+
+function record(hash, entry) {
+    const entries = load();
+    const key = normalizeHash(hash);
+    entries[key] = {...entries[key], ...entry};
+    save(entries);
+    return entries[key];
+}
+
+function lookup(hash) {
+    return hash ? load()[normalizeHash(hash)] : undefined;
+}
+
+function findByIdempotencyKey(idempotencyKey, {profile, sender}) {
+    const entries = load();
+    return Object.keys(entries)
+        .filter(hash => {
+            const entry = entries[hash];
+            return entry.idempotencyKey === idempotencyKey && entry.profile === profile && isSameAddress(entry.sender, sender);
+        })
+        .map(hash => ({hash, ...entries[hash]}))
+        .sort((a, b) => String(a.signed).localeCompare(String(b.signed)))
+        .pop();
+}
+
+function annotate(receipts) {
+    const entries = load();
+    return receipts.map(receipt => {
+        const hash = receipt.seals && receipt.seals.wallet && receipt.seals.wallet.hash;
+        const entry = hash && entries[normalizeHash(hash)];
+        return {...receipt, reference: entry ? entry.reference : undefined};
+    });
+}
+
+module.exports = {
+    journalFile,
+    record,
+    lookup,
+    findByIdempotencyKey,
+    annotate
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const hash = '0x' + 'ab'.repeat(32);
+
+describe('Journal', () => {
+    let dir, journal;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-journal-'));
+        journal = proxyquire('./journal', {
+            './config-file': {configDir: () => dir}
+        });
+    });
+
+    afterEach(() => {
+        fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+    });
+
+    it('finds nothing without a journal', () => {
+        expect(journal.lookup(hash)).to.be.undefined;
+    });
+
+    it('keeps the journal in the config folder', () => {
+        journal.record(hash, {reference: 'invoice 1'});
+        expect(fs.existsSync(path.join(dir, 'journal.json'))).to.be.true;
+    });
+
+    it('looks up entries regardless of the case and prefix of the hash', () => {
+        journal.record(hash.toUpperCase().replace('0X', ''), {reference: 'invoice 1'});
+        expect(journal.lookup(hash)).to.eql({reference: 'invoice 1'});
+    });
+
+    it('merges entries recorded for the same hash', () => {
+        journal.record(hash, {reference: 'invoice 1'});
+        journal.record(hash, {status: 'registered'});
+        expect(journal.lookup(hash)).to.eql({reference: 'invoice 1', status: 'registered'});
+    });
+
+    it('keeps the journal readable by the owner only', () => {
+        journal.record(hash, {reference: 'invoice 1'});
+        expect(fs.statSync(path.join(dir, 'journal.json')).mode & 0o777).to.equal(0o600);
+    });
+
+    it('replaces the journal through a temporary file', () => {
+        journal.record(hash, {reference: 'invoice 1'});
+        journal.record(hash, {status: 'registered'});
+        expect(fs.readdirSync(dir)).to.eql(['journal.json']);
+    });
+
+    context('finding payments by idempotency key', () => {
+        const sender = '0x' + '01'.repeat(20);
+        const scope = {profile: 'mainnet', sender};
+
+        it('finds the latest payment recorded with the key', () => {
+            const other = '0x' + 'cd'.repeat(32);
+            journal.record(hash, {idempotencyKey: 'invoice-1', ...scope, signed: '2026-10-01T10:00:00.000Z'});
+            journal.record(other, {idempotencyKey: 'invoice-1', ...scope, signed: '2026-10-02T10:00:00.000Z'});
+            journal.record('0x' + 'ef'.repeat(32), {idempotencyKey: 'invoice-2', ...scope, signed: '2026-10-03T10:00:00.000Z'});
+            expect(journal.findByIdempotencyKey('invoice-1', scope)).to.eql({hash: other, idempotencyKey: 'invoice-1', ...scope, signed: '2026-10-02T10:00:00.000Z'});
+            expect(journal.findByIdempotencyKey('invoice-3', scope)).to.be.undefined;
+        });
+
+        it('only finds payments made in the same profile', () => {
+            journal.record(hash, {idempotencyKey: 'invoice-1', profile: 'ropsten', sender});
+            expect(journal.findByIdempotencyKey('invoice-1', scope)).to.be.undefined;
+        });
+
+        it('only finds payments made by the same wallet', () => {
+            journal.record(hash, {idempotencyKey: 'invoice-1', profile: 'mainnet', sender: '0x' + '02'.repeat(20)});
+            expect(journal.findByIdempotencyKey('invoice-1', scope)).to.be.undefined;
+        });
+
+        it('matches the wallet however its address is written', () => {
+            journal.record(hash, {idempotencyKey: 'invoice-1', profile: 'mainnet', sender: sender.toUpperCase().replace('0X', '')});
+            expect(journal.findByIdempotencyKey('invoice-1', scope)).to.include({hash});
+        });
+    });
+
+    it('adds the references to receipts', () => {
+        journal.record(hash, {reference: 'invoice 1'});
+        const receipts = [
+            {nonce: 1, seals: {wallet: {hash}}},
+            {nonce: 2, seals: {wallet: {hash: '0x' + '00'.repeat(32)}}},
+            {nonce: 3}
+        ];
+        expect(journal.annotate(receipts).map(r => r.reference)).to.eql(['invoice 1', undefined, undefined]);
+    });
+});
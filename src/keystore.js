@@ -0,0 +1,101 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const ethers = require('ethers');
+const configFile = require('./config-file');
+const {normalizeAddress, isSameAddress} = require('./utils');
+const {ValidationError} = require('./errors');
+
+function keystoreDir() {
+    return path.join(configFile.configDir(), 'keystore');
+}
+
+function hexOf(address) {
+    return normalizeAddress(address).slice(2);
+}
+
+function readAddress(file) {
+    try {
+        const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return json.address ? hexOf(json.address) : null;
+    }
+    catch (err) {
+        return null;
+    }
+}
+
+function list() {
+    const dir = keystoreDir();
+    if (!fs.existsSync(dir))
+        return [];
+
+    return fs.readdirSync(dir)
+        .map(name => path.join(dir, name))
+        .map(file => ({address: readAddress(file), file}))
+        .filter(entry => entry.address)
+        .map(entry => ({address: ethers.utils.getAddress(entry.address), file: entry.file}));
+}
+
+// Files that can not be parsed are found by their name
+function findFile(address) {
+    const normalized = hexOf(address);
+    const match = list().find(entry => isSameAddress(entry.address, address));
+    if (match)
+        return match.file;
+
+    const dir = keystoreDir();
+    if (!fs.existsSync(dir))
+        return undefined;
+    const name = fs.readdirSync(dir).find(f => f.toLowerCase().includes(normalized));
+    return name && path.join(dir, name);
+}
+
+function fileName(address, date = new Date()) {
+    return `UTC--${date.toISOString().replace(/:/g, '-')}--${hexOf(address)}`;
+}
+
+function save(json) {
+    const address = readAddressFromJson(json);
+    if (findFile(address))
+        throw new ValidationError(`Wallet ${ethers.utils.getAddress(address)} already exists in the keystore`, {address: ethers.utils.getAddress(address)});
+
+    const dir = keystoreDir();
+    if (!fs.existsSync(dir))
+        fs.mkdirSync(dir, {recursive: true, mode: 0o700});
+
+    const file = path.join(dir, fileName(address));
+    fs.writeFileSync(file, json, {mode: 0o600});
+    return file;
+}
+
+async function add(wallet, passphrase, progressCallback) {
+    if (findFile(wallet.address))
+        throw new ValidationError(`Wallet ${wallet.address} already exists in the keystore`, {address: wallet.address});
+
+    const json = await wallet.encrypt(passphrase, progressCallback);
+    return save(json);
+}
+
+function readAddressFromJson(json) {
+    let address;
+    try {
+        address = JSON.parse(json).address;
+    }
+    catch (err) {
+        throw new ValidationError('Keystore file must be valid JSON');
+    }
+    if (!address)
+        throw new ValidationError('Keystore file does not contain a wallet address');
+    return address;
+}
+
+module.exports = {
+    keystoreDir,
+    list,
+    findFile,
+    fileName,
+    save,
+    add,
+    readAddressFromJson
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+chai.use(require('chai-as-promised'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const address1 = '0x1234567890123456789012345678901234567890';
+const address2 = '0xABCDEF7890123456789012345678901234567890';
+
+function keystoreJson(address) {
+    return JSON.stringify({address: address.replace(/^0x/, '').toLowerCase(), crypto: {}, version: 3});
+}
+
+describe('Keystore', () => {
+    let dir, keystoreDir, keystore;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-keystore-'));
+        keystoreDir = path.join(dir, 'keystore');
+        keystore = proxyquire('./keystore', {
+            './config-file': {configDir: () => dir}
+        });
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(keystoreDir)) {
+            fs.readdirSync(keystoreDir).forEach(f => fs.unlinkSync(path.join(keystoreDir, f)));
+            fs.rmdirSync(keystoreDir);
+        }
+        fs.rmdirSync(dir);
+    });
+
+    context('without a keystore folder', () => {
+        it('lists no wallets', () => {
+            expect(keystore.list()).to.eql([]);
+        });
+
+        it('finds no keystore files', () => {
+            expect(keystore.findFile(address1)).to.be.undefined;
+        });
+    });
+
+    context('with keystore files', () => {
+        let file1, file2;
+
+        beforeEach(() => {
+            fs.mkdirSync(keystoreDir);
+            file1 = path.join(keystoreDir, 'UTC--2018-06-06T12-00-00.000Z--' + address1.slice(2));
+            file2 = path.join(keystoreDir, 'my-wallet.json');
+            fs.writeFileSync(file1, keystoreJson(address1));
+            fs.writeFileSync(file2, keystoreJson(address2));
+            fs.writeFileSync(path.join(keystoreDir, 'README'), 'not a keystore file');
+        });
+
+        it('lists the checksummed addresses of all wallets', () => {
+            expect(keystore.list().map(w => w.address).sort()).to.eql([
+                '0x1234567890123456789012345678901234567890',
+                '0xABcDeF7890123456789012345678901234567890'
+            ].sort());
+        });
+
+        it('finds keystore files by the address they contain', () => {
+            expect(keystore.findFile(address2.toLowerCase())).to.equal(file2);
+            expect(keystore.findFile(address1.slice(2))).to.equal(file1);
+        });
+
+        it('finds keystore files by name when they can not be parsed', () => {
+            const address3 = '0x' + '33'.repeat(20);
+            const file3 = path.join(keystoreDir, 'UTC--' + address3.slice(2));
+            fs.writeFileSync(file3, 'garbage');
+            expect(keystore.findFile(address3)).to.equal(file3);
+        });
+
+        it('refuses to store a wallet twice', () => {
+            expect(() => keystore.save(keystoreJson(address1))).to.throw(/already exists/).with.property('code', 'VALIDATION');
+        });
+    });
+
+    context('saving an encrypted wallet', () => {
+        let file;
+
+        beforeEach(() => {
+            file = keystore.save(keystoreJson(address1));
+        });
+
+        it('stores it in the keystore folder using the UTC file naming', () => {
+            expect(path.dirname(file)).to.equal(keystoreDir);
+            expect(path.basename(file)).to.match(/^UTC--\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d\.\d{3}Z--1234567890123456789012345678901234567890$/);
+        });
+
+        it('makes it readable by the owner only', () => {
+            expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+        });
+
+        it('rejects files without an address', () => {
+            expect(() => keystore.save('{}')).to.throw(/does not contain a wallet address/).with.property('code', 'VALIDATION');
+            expect(() => keystore.save('garbage')).to.throw(/must be valid JSON/).with.property('code', 'VALIDATION');
+        });
+    });
+
+    context('adding a wallet', () => {
+        it('encrypts the wallet with the pass phrase', async () => {
+            const wallet = {address: address1, encrypt: sinon.stub().resolves(keystoreJson(address1))};
+            const file = await keystore.add(wallet, 'pass phrase');
+            expect(wallet.encrypt).to.have.been.calledWith('pass phrase');
+            expect(fs.readFileSync(file, 'utf8')).to.equal(keystoreJson(address1));
+        });
+
+        it('refuses to encrypt a wallet that already exists', async () => {
+            keystore.save(keystoreJson(address1));
+            const wallet = {address: address1, encrypt: sinon.stub()};
+            await expect(keystore.add(wallet, 'pass phrase')).to.be.rejectedWith(/already exists/);
+            expect(wallet.encrypt).not.to.have.been.called;
+        });
+    });
+});
@@ -0,0 +1,195 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const nahmii = require('nahmii-sdk');
+const configFile = require('./config-file');
+const profiles = require('./profiles');
+const {ConfigError} = require('./errors');
+const receipts = require('./receipts');
+const fundEvents = require('./fund-events');
+const {normalizeAddress} = require('./utils');
+
+// Per profile, append-only files of the receipts of each wallet in nonce order and of its fund events in block order
+
+function ledgerDir(profile) {
+    if (!profiles.isValidName(profile))
+        throw new ConfigError(`"${profile}" is not a valid profile name. Use letters, digits, "_" and "-".`, {profile});
+    return path.join(configFile.configDir(), 'ledger', profile);
+}
+
+function receiptsFile(profile, address) {
+    return path.join(ledgerDir(profile), `receipts-${normalizeAddress(address)}.ndjson`);
+}
+
+function eventsFile(profile, address) {
+    return path.join(ledgerDir(profile), `events-${normalizeAddress(address)}.ndjson`);
+}
+
+function stateFile(profile) {
+    return path.join(ledgerDir(profile), 'ledger.json');
+}
+
+function loadState(profile) {
+    const file = stateFile(profile);
+    if (!fs.existsSync(file))
+        return {tokens: [], synced: {}, blocks: {}};
+    return {tokens: [], synced: {}, blocks: {}, ...JSON.parse(fs.readFileSync(file, 'utf8'))};
+}
+
+function saveState(profile, state) {
+    fs.writeFileSync(stateFile(profile), JSON.stringify(state, undefined, 2) + '\n', {mode: 0o600});
+}
+
+function readLines(file) {
+    if (!fs.existsSync(file))
+        return [];
+    const result = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        try {
+            result.push(JSON.parse(line));
+        }
+        catch (err) {
+            continue;
+        }
+    }
+    return result;
+}
+
+function appendLines(file, items) {
+    if (items.length)
+        fs.appendFileSync(file, items.map(item => JSON.stringify(item) + '\n').join(''), {mode: 0o600});
+}
+
+function load(profile, address) {
+    const result = [];
+    for (const receipt of readLines(receiptsFile(profile, address))) {
+        if (!result.length || Number(receipt.nonce) > Number(result[result.length - 1].nonce))
+            result.push(receipt);
+    }
+    return result;
+}
+
+// Events stored twice by an interrupted sync are only loaded once
+function loadEvents(profile, address) {
+    const seen = new Set();
+    return readLines(eventsFile(profile, address)).filter(event => {
+        const key = `${event.transactionHash}:${event.logIndex}`;
+        if (seen.has(key))
+            return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Drops the partial last line an interrupted sync may leave
+function truncateIncompleteLine(file) {
+    if (!fs.existsSync(file))
+        return;
+    const text = fs.readFileSync(file, 'utf8');
+    const end = text.lastIndexOf('\n') + 1;
+    if (end < text.length)
+        fs.truncateSync(file, Buffer.byteLength(text.slice(0, end)));
+}
+
+function syncedAt(profile, address) {
+    const synced = loadState(profile).synced[normalizeAddress(address)];
+    return synced ? new Date(synced) : undefined;
+}
+
+function syncedBlock(profile, address) {
+    return loadState(profile).blocks[normalizeAddress(address)];
+}
+
+// Events are only fetched when asked for, as it takes a search of the contract logs
+async function sync(provider, profile, address, progress = () => {}, {events: withEvents = false} = {}) {
+    fs.mkdirSync(ledgerDir(profile), {recursive: true, mode: 0o700});
+    truncateIncompleteLine(receiptsFile(profile, address));
+    const known = load(profile, address);
+    let lastNonce = known.length ? Number(known[known.length - 1].nonce) : undefined;
+    const fromNonce = lastNonce === undefined ? 0 : lastNonce + 1;
+
+    let pending = [];
+    let added = 0;
+    const flush = () => {
+        appendLines(receiptsFile(profile, address), pending);
+        added += pending.length;
+        pending = [];
+        progress(added);
+    };
+    await receipts.eachReceipt(provider, address, receipt => {
+        // Pages overlap when receipts come in while syncing
+        if (lastNonce !== undefined && Number(receipt.nonce) <= lastNonce)
+            return;
+        pending.push(receipt);
+        lastNonce = Number(receipt.nonce);
+        if (pending.length >= receipts.PAGE_SIZE)
+            flush();
+    }, {fromNonce});
+    flush();
+
+    const state = loadState(profile);
+    const wallet = normalizeAddress(address);
+    const result = {fromNonce, added, lastNonce};
+    if (withEvents && fundEvents.isSupported(provider.network)) {
+        truncateIncompleteLine(eventsFile(profile, address));
+        const fromBlock = state.blocks[wallet] === undefined ? 0 : state.blocks[wallet] + 1;
+        const {events, toBlock} = await fundEvents.fetch(provider, address, {fromBlock});
+        appendLines(eventsFile(profile, address), events);
+        state.blocks[wallet] = toBlock;
+        result.events = events.length;
+        result.lastBlock = toBlock;
+    }
+
+    state.tokens = await provider.getSupportedTokens();
+    result.synced = new Date().toISOString();
+    state.synced[wallet] = result.synced;
+    saveState(profile, state);
+    return result;
+}
+
+function provider(profile, address) {
+    let cached;
+    const all = () => cached || (cached = load(profile, address));
+
+    return {
+        async getWalletReceipts(wallet, fromNonce, limit, asc) {
+            if (normalizeAddress(wallet) !== normalizeAddress(address))
+                return [];
+            const matching = all().filter(r => Number(r.nonce) >= (fromNonce || 0));
+            const ordered = asc ? matching : matching.slice().reverse();
+            return limit > 0 ? ordered.slice(0, limit) : ordered;
+        },
+        async getSupportedTokens() {
+            return loadState(profile).tokens;
+        },
+        stopUpdate() {
+        }
+    };
+}
+
+async function open(config, address, {online = false, events = false} = {}) {
+    const stale = !syncedAt(config.profile, address) || (events && syncedBlock(config.profile, address) === undefined);
+    if (online || stale) {
+        const api = await nahmii.NahmiiProvider.from(config.apiRoot, config.appId, config.appSecret);
+        try {
+            await sync(api, config.profile, address, undefined, {events});
+        }
+        finally {
+            api.stopUpdate();
+        }
+    }
+    return provider(config.profile, address);
+}
+
+module.exports = {
+    receiptsFile,
+    eventsFile,
+    load,
+    loadEvents,
+    syncedAt,
+    syncedBlock,
+    sync,
+    provider,
+    open
+};
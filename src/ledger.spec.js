@@ -0,0 +1,224 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const me = '0x' + '01'.repeat(20);
+const alice = '0x' + 'aa'.repeat(20);
+const tokens = [{currency: '0x' + 'ab'.repeat(20), symbol: 'HBT', decimals: 15}];
+
+function receipt(nonce) {
+    return {nonce, sender: {wallet: me}, recipient: {wallet: alice}, amount: '1'};
+}
+
+function removeDir(dir) {
+    for (const entry of fs.readdirSync(dir)) {
+        const file = path.join(dir, entry);
+        if (fs.statSync(file).isDirectory())
+            removeDir(file);
+        else
+            fs.unlinkSync(file);
+    }
+    fs.rmdirSync(dir);
+}
+
+function event(blockNumber, type = 'deposit') {
+    return {type, blockNumber, logIndex: 0, transactionHash: '0x' + String(blockNumber).padStart(64, '0'), amount: '1'};
+}
+
+describe('Ledger', () => {
+    let dir, ledger, api, history, chain, stubbedFundEvents, stubbedNahmiiProvider;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-ledger-'));
+        history = [receipt(1), receipt(2), receipt(3)];
+        api = {
+            getWalletReceipts: sinon.stub().callsFake(async (address, fromNonce, limit) => {
+                return history.filter(r => r.nonce >= fromNonce).slice(0, limit);
+            }),
+            getSupportedTokens: sinon.stub().resolves(tokens),
+            network: {name: 'homestead', chainId: 1},
+            stopUpdate: sinon.stub()
+        };
+        chain = {events: [event(10), event(20, 'stage')], toBlock: 30};
+        stubbedFundEvents = {
+            isSupported: sinon.stub().returns(true),
+            fetch: sinon.stub().callsFake(async (provider, address, {fromBlock}) => ({
+                events: chain.events.filter(e => e.blockNumber >= fromBlock),
+                toBlock: chain.toBlock
+            }))
+        };
+        stubbedNahmiiProvider = {from: sinon.stub().resolves(api)};
+        ledger = proxyquire('./ledger', {
+            'nahmii-sdk': {NahmiiProvider: stubbedNahmiiProvider},
+            './fund-events': stubbedFundEvents,
+            './config-file': {configDir: () => dir}
+        });
+    });
+
+    afterEach(() => {
+        removeDir(dir);
+    });
+
+    context('location', () => {
+        it('rejects profile names that could point outside the ledger directory', () => {
+            for (const profile of ['..', '../keystore', 'a/b', ''])
+                expect(() => ledger.receiptsFile(profile, me)).to.throw(/not a valid profile name/).with.property('code', 'CONFIG');
+        });
+    });
+
+    context('sync', () => {
+        it('keeps the receipts per profile and wallet', async () => {
+            await ledger.sync(api, 'work', me.toUpperCase().replace('0X', ''));
+            expect(ledger.receiptsFile('work', me)).to.equal(path.join(dir, 'ledger', 'work', `receipts-${me}.ndjson`));
+            expect(fs.existsSync(ledger.receiptsFile('work', me))).to.be.true;
+            expect(ledger.load('default', me)).to.eql([]);
+        });
+
+        it('keeps the ledger readable by the owner only', async () => {
+            await ledger.sync(api, 'default', me, undefined, {events: true});
+            expect(fs.statSync(path.join(dir, 'ledger', 'default')).mode & 0o777).to.equal(0o700);
+            for (const file of [ledger.receiptsFile('default', me), ledger.eventsFile('default', me), path.join(dir, 'ledger', 'default', 'ledger.json')])
+                expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+        });
+
+        it('copies all receipts', async () => {
+            const result = await ledger.sync(api, 'default', me);
+            expect(ledger.load('default', me)).to.eql(history);
+            expect(result).to.include({fromNonce: 0, added: 3, lastNonce: 3});
+        });
+
+        it('copies the events of the wallet when asked to', async () => {
+            const result = await ledger.sync(api, 'default', me, undefined, {events: true});
+            expect(stubbedFundEvents.fetch).to.have.been.calledWith(api, me, {fromBlock: 0});
+            expect(ledger.loadEvents('default', me)).to.eql(chain.events);
+            expect(ledger.syncedBlock('default', me)).to.equal(30);
+            expect(result).to.include({events: 2, lastBlock: 30});
+        });
+
+        it('leaves the events out by default', async () => {
+            const result = await ledger.sync(api, 'default', me);
+            expect(stubbedFundEvents.fetch).not.to.have.been.called;
+            expect(ledger.syncedBlock('default', me)).to.be.undefined;
+            expect(result).not.to.have.property('events');
+        });
+
+        it('leaves the events out on networks without nahmii contracts', async () => {
+            stubbedFundEvents.isSupported.returns(false);
+            const result = await ledger.sync(api, 'default', me, undefined, {events: true});
+            expect(stubbedFundEvents.isSupported).to.have.been.calledWith(api.network);
+            expect(stubbedFundEvents.fetch).not.to.have.been.called;
+            expect(ledger.load('default', me)).to.eql(history);
+            expect(result).not.to.have.property('events');
+        });
+
+        it('only fetches the events in blocks after the last synced one', async () => {
+            await ledger.sync(api, 'default', me, undefined, {events: true});
+            chain.events.push(event(40, 'withdrawal'));
+            chain.toBlock = 50;
+            const result = await ledger.sync(api, 'default', me, undefined, {events: true});
+            expect(stubbedFundEvents.fetch).to.have.been.calledWith(api, me, {fromBlock: 31});
+            expect(result).to.include({events: 1, lastBlock: 50});
+            expect(ledger.loadEvents('default', me).map(e => e.type)).to.eql(['deposit', 'stage', 'withdrawal']);
+        });
+
+        it('loads events stored twice only once', async () => {
+            await ledger.sync(api, 'default', me, undefined, {events: true});
+            fs.appendFileSync(ledger.eventsFile('default', me), JSON.stringify(event(20, 'stage')) + '\n');
+            expect(ledger.loadEvents('default', me)).to.have.lengthOf(2);
+        });
+
+        it('only fetches the receipts after the last synced one', async () => {
+            await ledger.sync(api, 'default', me);
+            history.push(receipt(4));
+            api.getWalletReceipts.resetHistory();
+            const result = await ledger.sync(api, 'default', me);
+            expect(api.getWalletReceipts).to.have.been.calledOnceWith(me, 4);
+            expect(result).to.include({fromNonce: 4, added: 1, lastNonce: 4});
+            expect(ledger.load('default', me).map(r => r.nonce)).to.eql([1, 2, 3, 4]);
+        });
+
+        it('records when the wallet was synced', async () => {
+            expect(ledger.syncedAt('default', me)).to.be.undefined;
+            const result = await ledger.sync(api, 'default', me);
+            expect(ledger.syncedAt('default', me).toISOString()).to.equal(result.synced);
+        });
+
+        it('recovers from an interrupted sync', async () => {
+            await ledger.sync(api, 'default', me);
+            fs.appendFileSync(ledger.receiptsFile('default', me), '{"nonce":4,"sen');
+            history.push(receipt(4), receipt(5));
+            await ledger.sync(api, 'default', me);
+            expect(ledger.load('default', me).map(r => r.nonce)).to.eql([1, 2, 3, 4, 5]);
+        });
+
+        it('reports its progress', async () => {
+            const progress = sinon.stub();
+            await ledger.sync(api, 'default', me, progress);
+            expect(progress).to.have.been.calledWith(3);
+        });
+    });
+
+    context('provider', () => {
+        let provider;
+
+        beforeEach(async () => {
+            await ledger.sync(api, 'default', me);
+            provider = ledger.provider('default', me);
+        });
+
+        it('pages through the receipts like the API', async () => {
+            expect((await provider.getWalletReceipts(me, 2, 10, true)).map(r => r.nonce)).to.eql([2, 3]);
+            expect((await provider.getWalletReceipts(me, 0, 2, false)).map(r => r.nonce)).to.eql([3, 2]);
+            expect((await provider.getWalletReceipts(me, 0, 0, false)).map(r => r.nonce)).to.eql([3, 2, 1]);
+        });
+
+        it('has no receipts of other wallets', async () => {
+            expect(await provider.getWalletReceipts(alice, 0, 10, true)).to.eql([]);
+        });
+
+        it('has the supported tokens of the last sync', async () => {
+            expect(await provider.getSupportedTokens()).to.eql(tokens);
+        });
+    });
+
+    context('open', () => {
+        const config = {profile: 'default', apiRoot: 'some-api-root', appId: 'an-app-id', appSecret: 'much secret!'};
+
+        it('syncs a wallet that was never synced', async () => {
+            const provider = await ledger.open(config, me);
+            expect(api.getWalletReceipts).to.have.been.called;
+            expect(api.stopUpdate).to.have.been.calledOnce;
+            expect(await provider.getWalletReceipts(me, 0, 10, true)).to.have.lengthOf(3);
+        });
+
+        it('works offline once the wallet was synced', async () => {
+            await ledger.sync(api, 'default', me);
+            await ledger.open(config, me);
+            expect(stubbedNahmiiProvider.from).not.to.have.been.called;
+        });
+
+        it('syncs the events first when they are asked for and were never synced', async () => {
+            await ledger.sync(api, 'default', me);
+            await ledger.open(config, me, {events: true});
+            expect(stubbedFundEvents.fetch).to.have.been.calledOnce;
+            await ledger.open(config, me, {events: true});
+            expect(stubbedNahmiiProvider.from).to.have.been.calledOnce;
+        });
+
+        it('syncs first when online', async () => {
+            await ledger.sync(api, 'default', me);
+            history.push(receipt(4));
+            const provider = await ledger.open(config, me, {online: true});
+            expect(await provider.getWalletReceipts(me, 0, 10, true)).to.have.lengthOf(4);
+        });
+    });
+});
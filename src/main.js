@@ -1,22 +1,81 @@
 #!/usr/bin/env node
 'use strict';
+const path = require('path');
 const ora = require('ora');
+const output = require('./output');
+const errors = require('./errors');
 const spinner = ora();
 
+// Usage errors come before the middleware, so the output option is looked up here as well
+function outputFormat() {
+    if (process.env.NAHMII_OUTPUT)
+        return process.env.NAHMII_OUTPUT;
+
+    const args = process.argv.slice(2);
+    const index = args.findIndex(arg => arg === '--output' || arg === '-o');
+    if (index >= 0)
+        return args[index + 1];
+    const inline = args.find(arg => arg.startsWith('--output='));
+    return inline && inline.slice('--output='.length);
+}
+
 // eslint-disable-next-line no-unused-vars
 const argv = require('yargs')
     .commandDir('./commands', {exclude: /.*.spec.js$/})
+    .option('profile', {
+        desc: 'Name of the configuration profile to use. Defaults to $NAHMII_PROFILE or the configured default profile.',
+        type: 'string',
+        global: true
+    })
+    .option('passphrase-file', {
+        desc: 'File to read the wallet pass phrase from. Takes precedence over $NAHMII_WALLET_PASSPHRASE and the config file.',
+        type: 'string',
+        global: true
+    })
+    .option('account', {
+        desc: 'Index of the account to derive when the wallet is based on a mnemonic. Takes precedence over wallet.path and wallet.account in the config file.',
+        type: 'string',
+        global: true
+    })
+    .option('yes', {
+        alias: 'y',
+        desc: 'Do not ask for confirmation before moving funds. Needed on mainnet when not running in a terminal.',
+        type: 'boolean',
+        global: true
+    })
+    .option('output', {
+        alias: 'o',
+        desc: `Output format of the results. With json, errors are also written to stderr as JSON. [default: ${output.DEFAULT_FORMAT}]`,
+        choices: output.FORMATS,
+        global: true
+    })
+    .middleware(argv => {
+        if (argv.profile)
+            process.env.NAHMII_PROFILE = argv.profile;
+        if (argv.passphraseFile)
+            process.env.NAHMII_WALLET_PASSPHRASE_FILE = path.resolve(argv.passphraseFile);
+        if (argv.account !== undefined)
+            process.env.NAHMII_ACCOUNT = argv.account;
+        if (argv.output)
+            process.env.NAHMII_OUTPUT = argv.output;
+    })
     .fail((msg, err) => {
-        if (err) {
-            if (process.env.LOG_LEVEL === 'debug')
-                spinner.fail(err.stack);
-            else
-                spinner.fail('Error: ' + err.message);
+        const failure = err ? errors.describe(err) : errors.describe(new errors.ValidationError(msg));
+        if (outputFormat() === 'json') {
+            spinner.stop();
+            const {code, message, details} = failure;
+            console.error(JSON.stringify({code, message, details}));
+        }
+        else if (err && process.env.LOG_LEVEL === 'debug') {
+            spinner.fail(err.stack);
+        }
+        else if (err) {
+            spinner.fail('Error: ' + err.message);
         }
         else {
             spinner.fail(msg);
         }
-        process.exit(1);
+        process.exit(failure.exitCode);
     })
     .demandCommand()
     .help()
@@ -0,0 +1,90 @@
+'use strict';
+
+const yaml = require('js-yaml');
+const csv = require('./csv');
+
+const FORMATS = ['json', 'pretty', 'table', 'csv', 'yaml'];
+const DEFAULT_FORMAT = 'json';
+
+function outputFormat() {
+    return process.env.NAHMII_OUTPUT || DEFAULT_FORMAT;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function flatten(value, prefix = '', result = {}) {
+    for (const key of Object.keys(value)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value[key]))
+            flatten(value[key], path, result);
+        else
+            result[path] = value[key];
+    }
+    return result;
+}
+
+function toRows(data) {
+    const items = Array.isArray(data) ? data : [data];
+    return items.map(item => isPlainObject(item) ? flatten(item) : {value: item});
+}
+
+function columnsOf(rows) {
+    const columns = [];
+    for (const row of rows) {
+        for (const column of Object.keys(row)) {
+            if (!columns.includes(column))
+                columns.push(column);
+        }
+    }
+    return columns;
+}
+
+function cell(value) {
+    if (value === undefined || value === null)
+        return '';
+    if (typeof value === 'object')
+        return JSON.stringify(value);
+    return String(value);
+}
+
+function renderTable(rows, columns) {
+    const cells = [columns, ...rows.map(row => columns.map(column => cell(row[column])))];
+    const widths = columns.map((column, i) => Math.max(...cells.map(line => line[i].length)));
+    return cells
+        .map(line => line.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd())
+        .join('\n');
+}
+
+function render(data, options = {}) {
+    const format = options.format || outputFormat();
+    switch (format) {
+    case 'json':
+        return JSON.stringify(data);
+    case 'pretty':
+        return JSON.stringify(data, undefined, 2);
+    case 'yaml':
+        return yaml.safeDump(JSON.parse(JSON.stringify(data)), {skipInvalid: true}).trimEnd();
+    case 'table':
+    case 'csv': {
+        const rows = toRows(options.rows ? options.rows(data) : data);
+        const columns = options.columns || columnsOf(rows);
+        return format === 'table' ? renderTable(rows, columns) : csv.format(rows, columns);
+    }
+    default:
+        throw new Error(`Unknown output format "${format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+}
+
+function print(data, options) {
+    console.log(render(data, options));
+}
+
+module.exports = {
+    FORMATS,
+    DEFAULT_FORMAT,
+    outputFormat,
+    render,
+    print
+};
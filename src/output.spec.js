@@ -0,0 +1,92 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+chai.use(require('sinon-chai'));
+
+const output = require('./output');
+
+describe('Output', () => {
+    const receipts = [
+        {transactionHash: '0x1', blockNumber: 2, sender: {wallet: '0xa'}},
+        {transactionHash: '0x22', blockNumber: 13, sender: {wallet: '0xbb'}, note: 'a, "quoted" note'}
+    ];
+
+    afterEach(() => {
+        delete process.env.NAHMII_OUTPUT;
+    });
+
+    context('json', () => {
+        it('is the default format', () => {
+            expect(output.render(receipts)).to.equal(JSON.stringify(receipts));
+        });
+
+        it('is indented when pretty', () => {
+            expect(output.render(receipts, {format: 'pretty'})).to.equal(JSON.stringify(receipts, undefined, 2));
+        });
+    });
+
+    context('yaml', () => {
+        it('renders the data as YAML', () => {
+            expect(output.render({running: true, address: '0xa'}, {format: 'yaml'})).to.equal('running: true\naddress: \'0xa\'');
+        });
+    });
+
+    context('table', () => {
+        it('aligns flattened columns', () => {
+            expect(output.render(receipts, {format: 'table'})).to.equal([
+                'transactionHash  blockNumber  sender.wallet  note',
+                '0x1              2            0xa',
+                '0x22             13           0xbb           a, "quoted" note'
+            ].join('\n'));
+        });
+
+        it('only includes the given columns', () => {
+            expect(output.render(receipts, {format: 'table', columns: ['sender.wallet', 'blockNumber']})).to.equal([
+                'sender.wallet  blockNumber',
+                '0xa            2',
+                '0xbb           13'
+            ].join('\n'));
+        });
+
+        it('converts the data into rows', () => {
+            const rows = data => Object.keys(data).map(currency => ({currency, balance: data[currency]}));
+            expect(output.render({ETH: '1.5', HBT: '10'}, {format: 'table', rows})).to.equal([
+                'currency  balance',
+                'ETH       1.5',
+                'HBT       10'
+            ].join('\n'));
+        });
+    });
+
+    context('csv', () => {
+        it('quotes fields when needed', () => {
+            expect(output.render(receipts, {format: 'csv'})).to.equal([
+                'transactionHash,blockNumber,sender.wallet,note',
+                '0x1,2,0xa,',
+                '0x22,13,0xbb,"a, ""quoted"" note"'
+            ].join('\n'));
+        });
+    });
+
+    context('print', () => {
+        beforeEach(() => {
+            sinon.stub(console, 'log');
+        });
+
+        afterEach(() => {
+            console.log.restore();
+        });
+
+        it('uses the format of the --output option', () => {
+            process.env.NAHMII_OUTPUT = 'csv';
+            output.print([{symbol: 'HBT'}]);
+            expect(console.log).to.have.been.calledWith('symbol\nHBT');
+        });
+    });
+
+    it('rejects unknown formats', () => {
+        expect(() => output.render(receipts, {format: 'xml'})).to.throw(/unknown output format "xml"/i);
+    });
+});
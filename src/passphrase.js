@@ -0,0 +1,63 @@
+'use strict';
+
+const fs = require('fs');
+const readlineSync = require('readline-sync');
+const {ConfigError, ValidationError} = require('./errors');
+
+function readPassphraseFile(file) {
+    if (!fs.existsSync(file))
+        throw new ConfigError('Unable to locate pass phrase file: ' + file, {file});
+
+    const stats = fs.statSync(file);
+    if ((stats.mode & 0o77) !== 0)
+        console.error('WARNING: Pass phrase file should only be readable by the owner!');
+
+    return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+}
+
+function resolvePassphrase(wallet = {}) {
+    const file = process.env.NAHMII_WALLET_PASSPHRASE_FILE;
+    if (file)
+        return readPassphraseFile(file);
+
+    if (process.env.NAHMII_WALLET_PASSPHRASE !== undefined)
+        return process.env.NAHMII_WALLET_PASSPHRASE;
+
+    if (wallet.secret)
+        return wallet.secret;
+
+    if (process.stdin.isTTY)
+        return readlineSync.question(`Pass phrase for wallet ${wallet.address || wallet.mnemonic}: `, {hideEchoBack: true});
+
+    throw new ConfigError('No wallet pass phrase available. Use --passphrase-file, set NAHMII_WALLET_PASSPHRASE or run in a terminal to be prompted for it.');
+}
+
+function promptNewPassphrase() {
+    const passphrase = readlineSync.question('New wallet pass phrase: ', {hideEchoBack: true});
+    const confirmation = readlineSync.question('Repeat wallet pass phrase: ', {hideEchoBack: true});
+    if (passphrase !== confirmation)
+        throw new ValidationError('Pass phrases do not match');
+    return passphrase;
+}
+
+function resolveNewPassphrase() {
+    let passphrase;
+    const file = process.env.NAHMII_WALLET_PASSPHRASE_FILE;
+    if (file)
+        passphrase = readPassphraseFile(file);
+    else if (process.env.NAHMII_WALLET_PASSPHRASE !== undefined)
+        passphrase = process.env.NAHMII_WALLET_PASSPHRASE;
+    else if (process.stdin.isTTY)
+        passphrase = promptNewPassphrase();
+    else
+        throw new ConfigError('No wallet pass phrase available. Use --passphrase-file, set NAHMII_WALLET_PASSPHRASE or run in a terminal to be prompted for it.');
+
+    if (!passphrase)
+        throw new ValidationError('Wallet pass phrase must not be empty');
+    return passphrase;
+}
+
+module.exports = {
+    resolvePassphrase,
+    resolveNewPassphrase
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const stubbedFs = {
+    existsSync: sinon.stub(),
+    statSync: sinon.stub(),
+    readFileSync: sinon.stub()
+};
+
+const stubbedReadlineSync = {
+    question: sinon.stub()
+};
+
+function proxyquirePassphrase() {
+    return proxyquire('./passphrase', {
+        'fs': stubbedFs,
+        'readline-sync': stubbedReadlineSync
+    });
+}
+
+describe('Wallet pass phrase', () => {
+    const wallet = {address: '0x01', secret: 'config pass phrase'};
+    let resolvePassphrase, isTTY;
+
+    beforeEach(() => {
+        isTTY = process.stdin.isTTY;
+        process.stdin.isTTY = false;
+        sinon.stub(console, 'error');
+        stubbedFs.existsSync.withArgs('/passphrase.txt').returns(true);
+        stubbedFs.statSync.withArgs('/passphrase.txt').returns({mode: 0o600});
+        stubbedFs.readFileSync.withArgs('/passphrase.txt', 'utf8').returns('file pass phrase\n');
+        stubbedReadlineSync.question.returns('prompted pass phrase');
+        resolvePassphrase = proxyquirePassphrase().resolvePassphrase;
+    });
+
+    afterEach(() => {
+        process.stdin.isTTY = isTTY;
+        delete process.env.NAHMII_WALLET_PASSPHRASE_FILE;
+        delete process.env.NAHMII_WALLET_PASSPHRASE;
+        stubbedFs.existsSync.reset();
+        stubbedFs.statSync.reset();
+        stubbedFs.readFileSync.reset();
+        stubbedReadlineSync.question.reset();
+        console.error.restore();
+    });
+
+    it('prefers the pass phrase file', () => {
+        process.env.NAHMII_WALLET_PASSPHRASE_FILE = '/passphrase.txt';
+        process.env.NAHMII_WALLET_PASSPHRASE = 'env pass phrase';
+        expect(resolvePassphrase(wallet)).to.equal('file pass phrase');
+    });
+
+    it('warns when the pass phrase file is readable by others', () => {
+        process.env.NAHMII_WALLET_PASSPHRASE_FILE = '/passphrase.txt';
+        stubbedFs.statSync.withArgs('/passphrase.txt').returns({mode: 0o644});
+        resolvePassphrase(wallet);
+        expect(console.error).to.have.been.calledWith(sinon.match(/only be readable by the owner/));
+    });
+
+    it('yields an error when the pass phrase file is missing', () => {
+        process.env.NAHMII_WALLET_PASSPHRASE_FILE = '/missing.txt';
+        expect(() => resolvePassphrase(wallet)).to.throw(/unable to locate pass phrase file/i);
+    });
+
+    it('prefers the environment over the config file', () => {
+        process.env.NAHMII_WALLET_PASSPHRASE = 'env pass phrase';
+        expect(resolvePassphrase(wallet)).to.equal('env pass phrase');
+    });
+
+    it('uses the secret from the config file', () => {
+        expect(resolvePassphrase(wallet)).to.equal('config pass phrase');
+    });
+
+    it('prompts with hidden input when running in a terminal', () => {
+        process.stdin.isTTY = true;
+        expect(resolvePassphrase({address: '0x01'})).to.equal('prompted pass phrase');
+        expect(stubbedReadlineSync.question).to.have.been.calledWith(sinon.match(/0x01/), {hideEchoBack: true});
+    });
+
+    it('yields an error when no pass phrase is available', () => {
+        expect(() => resolvePassphrase({address: '0x01'})).to.throw(/no wallet pass phrase available/i);
+    });
+
+    context('for a new wallet', () => {
+        let resolveNewPassphrase;
+
+        beforeEach(() => {
+            resolveNewPassphrase = proxyquirePassphrase().resolveNewPassphrase;
+        });
+
+        it('prefers the pass phrase file', () => {
+            process.env.NAHMII_WALLET_PASSPHRASE_FILE = '/passphrase.txt';
+            process.env.NAHMII_WALLET_PASSPHRASE = 'env pass phrase';
+            expect(resolveNewPassphrase()).to.equal('file pass phrase');
+        });
+
+        it('takes the pass phrase from the environment', () => {
+            process.stdin.isTTY = true;
+            process.env.NAHMII_WALLET_PASSPHRASE = 'env pass phrase';
+            expect(resolveNewPassphrase()).to.equal('env pass phrase');
+            expect(stubbedReadlineSync.question).not.to.have.been.called;
+        });
+
+        it('rejects an empty pass phrase from the environment', () => {
+            process.env.NAHMII_WALLET_PASSPHRASE = '';
+            expect(() => resolveNewPassphrase()).to.throw(/must not be empty/).with.property('code', 'VALIDATION');
+        });
+
+        it('prompts twice with hidden input when running in a terminal', () => {
+            process.stdin.isTTY = true;
+            expect(resolveNewPassphrase()).to.equal('prompted pass phrase');
+            expect(stubbedReadlineSync.question).to.have.been.calledTwice;
+            expect(stubbedReadlineSync.question).to.have.been.calledWith('New wallet pass phrase: ', {hideEchoBack: true});
+            expect(stubbedReadlineSync.question).to.have.been.calledWith('Repeat wallet pass phrase: ', {hideEchoBack: true});
+        });
+
+        it('rejects a pass phrase that was not repeated the same', () => {
+            process.stdin.isTTY = true;
+            stubbedReadlineSync.question.onSecondCall().returns('another pass phrase');
+            expect(() => resolveNewPassphrase()).to.throw(/Pass phrases do not match/).with.property('code', 'VALIDATION');
+        });
+
+        it('rejects an empty pass phrase from the prompt', () => {
+            process.stdin.isTTY = true;
+            stubbedReadlineSync.question.returns('');
+            expect(() => resolveNewPassphrase()).to.throw(/must not be empty/);
+        });
+
+        it('yields an error when not running in a terminal', () => {
+            expect(() => resolveNewPassphrase()).to.throw(/no wallet pass phrase available/i).with.property('code', 'CONFIG');
+            expect(stubbedReadlineSync.question).not.to.have.been.called;
+        });
+    });
+});
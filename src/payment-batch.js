@@ -0,0 +1,78 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const csv = require('./csv');
+const {ValidationError} = require('./errors');
+
+const COLUMNS = ['recipient', 'amount', 'currency', 'reference'];
+const RESULT_COLUMNS = ['row', ...COLUMNS, 'status', 'hash', 'error', 'response'];
+
+function isJson(file) {
+    return path.extname(file).toLowerCase() === '.json';
+}
+
+function parse(file, text) {
+    if (!isJson(file))
+        return csv.parse(text);
+
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows))
+        throw new Error('JSON batch files must contain an array of payments');
+    return rows;
+}
+
+function read(file) {
+    if (!fs.existsSync(file))
+        throw new ValidationError(`Unable to locate batch file: ${file}`, {file});
+
+    let rows;
+    try {
+        rows = parse(file, fs.readFileSync(file, 'utf8'));
+    }
+    catch (err) {
+        throw new ValidationError(`Unable to read batch file ${file}: ${err.message}`, {file});
+    }
+
+    return rows.map((row, i) => {
+        const payment = {row: i + 1};
+        for (const column of COLUMNS)
+            payment[column] = row[column] === undefined || row[column] === null ? '' : String(row[column]).trim();
+        return payment;
+    });
+}
+
+function resultsFile(file) {
+    const ext = isJson(file) ? '.json' : '.csv';
+    const base = file.slice(0, file.length - path.extname(file).length);
+    return `${base}.results${ext}`;
+}
+
+// Keyed by what they pay rather than their place in the file, so editing the file keeps paid rows recognized
+function idempotencyKeys(rows, prefix) {
+    const occurrences = new Map();
+    return rows.map(row => {
+        const digest = crypto.createHash('sha256').update(JSON.stringify(COLUMNS.map(column => row[column]))).digest('hex').slice(0, 32);
+        const occurrence = (occurrences.get(digest) || 0) + 1;
+        occurrences.set(digest, occurrence);
+        return `${prefix}:${digest}:${occurrence}`;
+    });
+}
+
+function writeResults(file, results) {
+    const content = isJson(file)
+        ? JSON.stringify(results, undefined, 2)
+        : csv.format(results, RESULT_COLUMNS);
+    // Replace the file in one go, so that it is never left half written
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, content + '\n');
+    fs.renameSync(temporary, file);
+}
+
+module.exports = {
+    read,
+    idempotencyKeys,
+    resultsFile,
+    writeResults
+};
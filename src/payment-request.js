@@ -0,0 +1,51 @@
+'use strict';
+
+const utils = require('./utils');
+const {ValidationError} = require('./errors');
+
+// nahmii:<address>?amount=<amount>&currency=<symbol>&ref=<reference>
+
+const SCHEME = 'nahmii';
+
+// Fixed amounts only, as all or 50% would let the requester decide how much is paid
+function isFixedAmount(amount) {
+    return /^\d+(\.\d+)?$/.test(amount) && /[1-9]/.test(amount);
+}
+
+function toUri({recipient, amount, currency, reference}) {
+    if (!isFixedAmount(String(amount)))
+        throw new ValidationError(`"${amount}" is not a valid amount for a payment request. Use a fixed amount greater than zero, such as 1.5`, {amount});
+    const params = new URLSearchParams({amount: String(amount), currency});
+    if (reference)
+        params.append('ref', reference);
+    return `${SCHEME}:${recipient}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+function fromUri(uri) {
+    const match = /^([a-z]+):([^?]*)(?:\?(.*))?$/i.exec(String(uri || '').trim());
+    if (!match || match[1].toLowerCase() !== SCHEME)
+        throw new ValidationError(`"${uri}" is not a payment request. It must start with "${SCHEME}:"`, {uri});
+
+    const params = new URLSearchParams(match[3] || '');
+    for (const name of ['amount', 'currency']) {
+        if (!params.get(name))
+            throw new ValidationError(`Payment request "${uri}" has no ${name}`, {uri});
+    }
+
+    const amount = params.get('amount');
+    if (!isFixedAmount(amount))
+        throw new ValidationError(`Payment request "${uri}" has an invalid amount "${amount}". Payment requests must be for a fixed amount greater than zero, such as 1.5`, {uri, amount});
+
+    return {
+        recipient: utils.checksumAddress(decodeURIComponent(match[2]), 'recipient address'),
+        amount,
+        currency: params.get('currency'),
+        reference: params.get('ref') || undefined
+    };
+}
+
+module.exports = {
+    SCHEME,
+    toUri,
+    fromUri
+};
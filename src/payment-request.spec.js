@@ -0,0 +1,76 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const paymentRequest = require('./payment-request');
+
+const address = '0x1234567890123456789012345678901234567890';
+
+describe('Payment request', () => {
+    context('toUri', () => {
+        it('encodes the recipient, amount and currency', () => {
+            const uri = paymentRequest.toUri({recipient: address, amount: '100', currency: 'HBT'});
+            expect(uri).to.equal(`nahmii:${address}?amount=100&currency=HBT`);
+        });
+
+        it('encodes the reference', () => {
+            const uri = paymentRequest.toUri({recipient: address, amount: '1.5', currency: 'ETH', reference: 'invoice 1001 & 1002'});
+            expect(uri).to.equal(`nahmii:${address}?amount=1.5&currency=ETH&ref=invoice%201001%20%26%201002`);
+        });
+    });
+
+    context('toUri with a relative amount', () => {
+        it('refuses to create the request', () => {
+            for (const amount of ['all', 'max', '50%', '0'])
+                expect(() => paymentRequest.toUri({recipient: address, amount, currency: 'HBT'}), amount).to.throw(/not a valid amount for a payment request/);
+        });
+    });
+
+    context('fromUri', () => {
+        it('decodes what toUri encodes', () => {
+            const request = {recipient: address, amount: '1.5', currency: 'ETH', reference: 'invoice 1001 & 1002'};
+            expect(paymentRequest.fromUri(paymentRequest.toUri(request))).to.eql(request);
+        });
+
+        it('accepts addresses without prefix and plus signs for spaces', () => {
+            expect(paymentRequest.fromUri(`NAHMII:${address.slice(2)}?currency=HBT&amount=100&ref=invoice+1001`)).to.eql({
+                recipient: address,
+                amount: '100',
+                currency: 'HBT',
+                reference: 'invoice 1001'
+            });
+        });
+
+        it('rejects other schemes', () => {
+            expect(() => paymentRequest.fromUri(`ethereum:${address}?amount=100&currency=HBT`))
+                .to.throw(/is not a payment request/)
+                .with.property('code', 'VALIDATION');
+        });
+
+        it('rejects requests without amount', () => {
+            expect(() => paymentRequest.fromUri(`nahmii:${address}?currency=HBT`)).to.throw(/has no amount/);
+        });
+
+        it('rejects requests without currency', () => {
+            expect(() => paymentRequest.fromUri(`nahmii:${address}?amount=100`)).to.throw(/has no currency/);
+        });
+
+        it('rejects invalid addresses', () => {
+            expect(() => paymentRequest.fromUri('nahmii:0x1234?amount=100&currency=HBT')).to.throw(/has 4 hex digits instead of 40/);
+        });
+
+        it('rejects amounts relative to the balance of the payer', () => {
+            for (const amount of ['all', 'max', '50%', '100%25']) {
+                expect(() => paymentRequest.fromUri(`nahmii:${address}?amount=${amount}&currency=HBT`), amount)
+                    .to.throw(/must be for a fixed amount greater than zero/)
+                    .with.property('code', 'VALIDATION');
+            }
+        });
+
+        it('rejects amounts that are not positive decimal numbers', () => {
+            for (const amount of ['0', '0.0', '-1', '1e18', '1.', '.5'])
+                expect(() => paymentRequest.fromUri(`nahmii:${address}?amount=${amount}&currency=HBT`), amount).to.throw(/has an invalid amount/);
+        });
+    });
+});
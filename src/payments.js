@@ -0,0 +1,230 @@
+'use strict';
+
+const nahmii = require('nahmii-sdk');
+const ethers = require('ethers');
+const utils = require('./utils');
+const contacts = require('./contacts');
+const receipts = require('./receipts');
+const journal = require('./journal');
+const {ValidationError, InsufficientFundsError} = require('./errors');
+const prefix0x = nahmii.utils.prefix0x;
+
+const MAX_REFERENCE_LENGTH = 256;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 128;
+
+async function getCurrencyBySymbol(provider, symbol) {
+    if (symbol.toUpperCase() === 'ETH') {
+        return {
+            currency: prefix0x('00'.repeat(20)),
+            decimals: 18,
+            symbol: 'ETH'
+        };
+    }
+
+    const tokens = await provider.getSupportedTokens();
+    return tokens.find(t => t.symbol.toUpperCase() === symbol.toUpperCase());
+}
+
+function resolveAddress(value, what = 'recipient address') {
+    const address = contacts.resolve(value);
+    if (address && !/^0x/i.test(address) && !/^[0-9a-f]*$/i.test(address))
+        throw new ValidationError(`"${value}" is neither an address nor a known contact. See "nahmii contacts list".`, {address: value});
+    return utils.checksumAddress(address, what);
+}
+
+async function preparePayment(provider, {amount, currency, recipient, reference}, sender) {
+    const currencyDefinition = await getCurrencyBySymbol(provider, currency);
+    if (!currencyDefinition)
+        throw new ValidationError(`Unknown currency "${currency}". See "nahmii show tokens" for a list of supported tokens.`, {currency});
+
+    const relativeAmount = utils.isRelativeAmount(amount);
+    if (relativeAmount && !sender)
+        throw new ValidationError(`Can not pay ${amount} without the address of the paying wallet`, {amount});
+    const amountBN = await utils.resolveAmount(amount, currencyDefinition.decimals, () => nahmiiBalance(provider, sender, currencyDefinition));
+    if (!amountBN.gt(0))
+        throw new ValidationError('Amount must be greater than zero!', {amount});
+
+    const recipientAddress = resolveAddress(recipient);
+    if (sender && recipientAddress.toLowerCase() === prefix0x(sender).toLowerCase())
+        throw new ValidationError(`You can not pay yourself: ${recipientAddress} is the address of your own wallet`, {recipient: recipientAddress});
+
+    if (reference && String(reference).length > MAX_REFERENCE_LENGTH)
+        throw new ValidationError(`Reference must be at most ${MAX_REFERENCE_LENGTH} characters long`, {reference});
+
+    return {
+        amount: nahmii.MonetaryAmount.from(amountBN, prefix0x(currencyDefinition.currency)),
+        amountBN,
+        relativeAmount,
+        currency: currencyDefinition,
+        recipient: recipientAddress,
+        reference: reference ? String(reference) : undefined
+    };
+}
+
+async function nahmiiBalance(provider, address, currency) {
+    const wallet = new nahmii.Wallet(watchOnlySigner(address), provider);
+    const balances = await wallet.getNahmiiBalance();
+    return ethers.utils.parseUnits(balances[currency.symbol] || '0', currency.decimals);
+}
+
+async function stagedBalance(provider, address, symbol) {
+    const wallet = new nahmii.Wallet(watchOnlySigner(address), provider);
+    return wallet.getNahmiiStagedBalance(symbol);
+}
+
+async function checkBalance(wallet, prepared) {
+    const balances = await wallet.getNahmiiBalance();
+    const totals = new Map();
+    for (const p of prepared) {
+        const total = totals.get(p.currency.symbol) || {currency: p.currency, amount: ethers.utils.bigNumberify(0)};
+        total.amount = total.amount.add(p.amountBN);
+        totals.set(p.currency.symbol, total);
+    }
+
+    for (const [symbol, total] of totals) {
+        const balance = ethers.utils.parseUnits(balances[symbol] || '0', total.currency.decimals);
+        if (balance.lt(total.amount)) {
+            const required = ethers.utils.formatUnits(total.amount, total.currency.decimals);
+            throw new InsufficientFundsError(`Payments require ${required} ${symbol}, but the nahmii balance is ${balances[symbol] || '0'}`, {
+                currency: symbol,
+                required,
+                balance: balances[symbol] || '0'
+            });
+        }
+    }
+    return balances;
+}
+
+async function newRecipients(provider, sender, prepared) {
+    const recipients = [...new Set(prepared.map(p => p.recipient))];
+    if (!recipients.length)
+        return [];
+    const known = await receipts.counterparties(provider, sender, {among: recipients});
+    return recipients.filter(r => !known.has(r.toLowerCase()));
+}
+
+function createPayment(wallet, sender, prepared) {
+    return new nahmii.Payment(prepared.amount, prefix0x(sender), prepared.recipient, wallet);
+}
+
+function registeredHash(response) {
+    return response && response.seals && response.seals.wallet ? response.seals.wallet.hash : undefined;
+}
+
+function isSameHash(a, b) {
+    return !!a && !!b && prefix0x(a).toLowerCase() === prefix0x(b).toLowerCase();
+}
+
+// Journaled before registering, so a retry can find it and register the same signed payment again
+async function sendPayment(wallet, sender, prepared, {idempotencyKey, profile} = {}) {
+    const earlier = idempotencyKey === undefined ? undefined : journal.findByIdempotencyKey(idempotencyKey, {profile, sender});
+    const retry = !!earlier && earlier.status === 'signed';
+    const payment = retry ? nahmii.Payment.from(earlier.payload, wallet) : createPayment(wallet, sender, prepared);
+    if (!retry)
+        await payment.sign();
+
+    const signed = payment.toJSON();
+    const hash = signed.seals && signed.seals.wallet ? signed.seals.wallet.hash : undefined;
+    if (hash && !retry) {
+        journal.record(hash, {
+            sender: prefix0x(sender),
+            recipient: prepared.recipient,
+            amount: ethers.utils.formatUnits(prepared.amountBN, prepared.currency.decimals),
+            currency: prepared.currency.symbol,
+            reference: prepared.reference,
+            idempotencyKey,
+            profile,
+            status: 'signed',
+            signed: new Date().toISOString(),
+            payload: signed
+        });
+    }
+
+    const response = await payment.register();
+    if (hash)
+        journal.record(hash, {status: 'registered', registered: new Date().toISOString()});
+    return response;
+}
+
+async function findPayment(provider, sender, hash) {
+    const pending = await provider.getPendingPayments();
+    const payment = (Array.isArray(pending) ? pending : []).find(p => isSameHash(registeredHash(p), hash));
+    if (payment)
+        return {status: 'pending', payment};
+
+    let receipt = null;
+    await receipts.eachReceipt(provider, sender, r => {
+        if (isSameHash(registeredHash(r), hash)) {
+            receipt = r;
+            return false;
+        }
+    });
+    return receipt ? {status: 'executed', payment: receipt} : null;
+}
+
+async function findIdempotentPayment(provider, sender, idempotencyKey, prepared, {profile}) {
+    if (!idempotencyKey || String(idempotencyKey).length > MAX_IDEMPOTENCY_KEY_LENGTH)
+        throw new ValidationError(`Idempotency key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters long`, {idempotencyKey});
+
+    const entry = journal.findByIdempotencyKey(idempotencyKey, {profile, sender});
+    if (!entry)
+        return null;
+
+    // A relative amount, such as "all", comes to another amount once paid
+    const amount = ethers.utils.formatUnits(prepared.amountBN, prepared.currency.decimals);
+    const sameAmount = prepared.relativeAmount || entry.amount === amount;
+    if (entry.recipient.toLowerCase() !== prepared.recipient.toLowerCase() || !sameAmount || entry.currency !== prepared.currency.symbol) {
+        throw new ValidationError(`Idempotency key "${idempotencyKey}" was used for another payment, of ${entry.amount} ${entry.currency} to ${entry.recipient}`, {
+            idempotencyKey,
+            hash: entry.hash
+        });
+    }
+
+    const found = await findPayment(provider, sender, entry.hash);
+    if (found)
+        return {idempotencyKey, status: found.status, hash: entry.hash, payment: found.payment};
+    if (entry.status === 'registered') {
+        throw new ValidationError(`Payment with idempotency key "${idempotencyKey}" was registered before, but is neither pending nor executed. Check "nahmii show payments" and "nahmii show receipts", and pay under another idempotency key if it was not made`, {
+            idempotencyKey,
+            hash: entry.hash
+        });
+    }
+    return null;
+}
+
+function watchOnlySigner(address) {
+    const refuse = () => Promise.reject(new Error('Signing is not possible in a dry run'));
+    return {address, signMessage: refuse, signTransaction: refuse};
+}
+
+async function previewPayment(wallet, sender, prepared) {
+    const balances = await checkBalance(wallet, [prepared]);
+    const payload = createPayment(wallet, sender, prepared).toJSON();
+    return {
+        sender: payload.sender.wallet,
+        recipient: payload.recipient.wallet,
+        amount: prepared.amountBN.toString(),
+        currency: prefix0x(prepared.currency.currency),
+        symbol: prepared.currency.symbol,
+        decimals: prepared.currency.decimals,
+        balance: balances[prepared.currency.symbol] || '0',
+        reference: prepared.reference,
+        payload
+    };
+}
+
+module.exports = {
+    getCurrencyBySymbol,
+    resolveAddress,
+    preparePayment,
+    nahmiiBalance,
+    stagedBalance,
+    checkBalance,
+    newRecipients,
+    registeredHash,
+    sendPayment,
+    findPayment,
+    findIdempotentPayment,
+    watchOnlySigner,
+    previewPayment
+};
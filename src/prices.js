@@ -0,0 +1,135 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const request = require('superagent');
+const {utils} = require('ethers');
+const configFile = require('./config-file');
+const {ConfigError, ValidationError} = require('./errors');
+
+// A price source has a price(symbol, fiat, at) method resolving into a decimal string, or undefined when unknown
+
+const FIATS = ['USD', 'EUR', 'NOK'];
+
+const FIAT_DECIMALS = 2;
+const PRECISION = 18;
+
+function parsePrice(value, origin) {
+    if (value === undefined || value === null)
+        return undefined;
+    const price = String(value);
+    if (!/^\d+(\.\d{1,18})?$/.test(price))
+        throw new ConfigError(`"${price}" is not a valid price in ${origin}`, {price});
+    return price;
+}
+
+function pricesFile(file) {
+    const expanded = file.replace(/^~(?=$|\/)/, os.homedir());
+    return path.resolve(configFile.configDir(), expanded);
+}
+
+function fileSource(file) {
+    const resolved = pricesFile(file);
+    let table;
+
+    function load() {
+        if (!table) {
+            if (!fs.existsSync(resolved))
+                throw new ConfigError(`Unable to locate price file: ${resolved}`, {file: resolved});
+            table = configFile.read(resolved) || {};
+        }
+        return table;
+    }
+
+    async function price(symbol, fiat, at = new Date()) {
+        const bySymbol = Object.keys(load()).find(key => key.toUpperCase() === symbol.toUpperCase());
+        const entry = bySymbol && table[bySymbol] ? table[bySymbol][fiat] : undefined;
+        if (entry === null || typeof entry !== 'object')
+            return parsePrice(entry, resolved);
+
+        const effective = Object.keys(entry)
+            .map(time => ({time: new Date(time.length === 10 ? `${time}T00:00:00Z` : time), price: entry[time]}))
+            .filter(({time}) => !isNaN(time) && time <= at)
+            .sort((a, b) => a.time - b.time)
+            .pop();
+        return effective ? parsePrice(effective.price, resolved) : undefined;
+    }
+
+    return {price};
+}
+
+// The endpoint responds with JSON such as {"price": "2400.50"}, or with 404 when it has no price
+function httpSource(url) {
+    const cache = new Map();
+
+    async function fetch(href) {
+        try {
+            const response = await request.get(href).accept('json').timeout(10000);
+            const body = response.body || {};
+            return parsePrice(body.price, href);
+        }
+        catch (err) {
+            if (err.status === 404)
+                return undefined;
+            throw err;
+        }
+    }
+
+    async function price(symbol, fiat, at = new Date()) {
+        const href = url
+            .replace(/{symbol}/g, encodeURIComponent(symbol.toUpperCase()))
+            .replace(/{fiat}/g, encodeURIComponent(fiat))
+            .replace(/{time}/g, encodeURIComponent(at.toISOString()));
+        if (!cache.has(href))
+            cache.set(href, fetch(href));
+        return cache.get(href);
+    }
+
+    return {price};
+}
+
+function source(config) {
+    const settings = config.prices || {};
+    if (settings.file)
+        return fileSource(settings.file);
+    if (settings.url)
+        return httpSource(settings.url);
+    throw new ConfigError('No price source configured. Set prices.file or prices.url with "nahmii config set", see "Fiat values" in the README.');
+}
+
+function parseFiat(fiat) {
+    const upper = String(fiat).toUpperCase();
+    if (!FIATS.includes(upper))
+        throw new ValidationError(`Unsupported fiat currency "${fiat}". Use one of ${FIATS.join(', ')}.`, {fiat});
+    return upper;
+}
+
+function value(amount, price) {
+    const negative = amount.startsWith('-');
+    const scale = utils.bigNumberify(10).pow(2 * PRECISION - FIAT_DECIMALS);
+    const product = utils.parseUnits(negative ? amount.slice(1) : amount, PRECISION)
+        .mul(utils.parseUnits(price, PRECISION))
+        .add(scale.div(2))
+        .div(scale);
+    return formatFiat(negative ? product.mul(-1) : product);
+}
+
+function sum(values) {
+    return formatFiat(values.reduce((total, v) => total.add(utils.parseUnits(v, FIAT_DECIMALS)), utils.bigNumberify(0)));
+}
+
+function formatFiat(cents) {
+    const [units, decimals = ''] = utils.formatUnits(cents, FIAT_DECIMALS).split('.');
+    return `${units}.${decimals.padEnd(FIAT_DECIMALS, '0')}`;
+}
+
+module.exports = {
+    FIATS,
+    fileSource,
+    httpSource,
+    source,
+    parseFiat,
+    value,
+    sum
+};
@@ -0,0 +1,164 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+chai.use(require('chai-as-promised'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const priceFile = `
+ETH:
+    USD: 2400.50
+    EUR:
+        2026-09-01: 2200
+        2026-09-15T12:00:00Z: '2250.25'
+        2026-10-01: 2300
+hbt:
+    NOK: '0.0125'
+`;
+
+describe('Prices', () => {
+    let dir, prices, agent;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-prices-'));
+        fs.writeFileSync(path.join(dir, 'prices.yaml'), priceFile);
+        agent = {
+            accept: sinon.stub().returnsThis(),
+            timeout: sinon.stub()
+        };
+        prices = proxyquire('./prices', {
+            superagent: {get: sinon.stub().returns(agent)}
+        });
+    });
+
+    afterEach(() => {
+        for (const entry of fs.readdirSync(dir))
+            fs.unlinkSync(path.join(dir, entry));
+        fs.rmdirSync(dir);
+    });
+
+    context('from a price file', () => {
+        let source;
+
+        beforeEach(() => {
+            source = prices.fileSource(path.join(dir, 'prices.yaml'));
+        });
+
+        it('takes a single price at any time', async () => {
+            expect(await source.price('ETH', 'USD')).to.equal('2400.5');
+            expect(await source.price('ETH', 'USD', new Date('2020-01-01T00:00:00Z'))).to.equal('2400.5');
+        });
+
+        it('takes the historical price in effect at the time', async () => {
+            expect(await source.price('ETH', 'EUR', new Date('2026-09-15T11:59:59Z'))).to.equal('2200');
+            expect(await source.price('ETH', 'EUR', new Date('2026-09-15T12:00:00Z'))).to.equal('2250.25');
+            expect(await source.price('ETH', 'EUR', new Date('2026-10-19T00:00:00Z'))).to.equal('2300');
+        });
+
+        it('has no price before the first historical price', async () => {
+            expect(await source.price('ETH', 'EUR', new Date('2026-08-31T00:00:00Z'))).to.be.undefined;
+        });
+
+        it('matches symbols regardless of case', async () => {
+            expect(await source.price('HBT', 'NOK')).to.equal('0.0125');
+        });
+
+        it('has no price of unknown tokens and fiat currencies', async () => {
+            expect(await source.price('XYZ', 'USD')).to.be.undefined;
+            expect(await source.price('HBT', 'USD')).to.be.undefined;
+        });
+
+        it('rejects invalid prices', async () => {
+            fs.writeFileSync(path.join(dir, 'prices.yaml'), 'ETH:\n    USD: cheap\n');
+            const err = await source.price('ETH', 'USD').catch(err => err);
+            expect(err.message).to.match(/"cheap" is not a valid price/);
+            expect(err.code).to.equal('CONFIG');
+        });
+
+        it('fails when the price file is missing', async () => {
+            const err = await prices.fileSource(path.join(dir, 'missing.yaml')).price('ETH', 'USD').catch(err => err);
+            expect(err.message).to.match(/Unable to locate price file/);
+        });
+    });
+
+    context('from an HTTP endpoint', () => {
+        let source, superagent;
+
+        beforeEach(() => {
+            superagent = {get: sinon.stub().returns(agent)};
+            prices = proxyquire('./prices', {superagent});
+            source = prices.httpSource('https://prices.example.com/{symbol}/{fiat}?at={time}');
+        });
+
+        it('requests the price of the symbol and fiat at the time', async () => {
+            agent.timeout.resolves({body: {price: '2250.25'}});
+            expect(await source.price('eth', 'EUR', new Date('2026-09-15T12:00:00Z'))).to.equal('2250.25');
+            expect(superagent.get).to.have.been.calledWith('https://prices.example.com/ETH/EUR?at=2026-09-15T12%3A00%3A00.000Z');
+        });
+
+        it('requests each price once', async () => {
+            agent.timeout.resolves({body: {price: 2400}});
+            const at = new Date('2026-09-15T12:00:00Z');
+            await source.price('ETH', 'USD', at);
+            expect(await source.price('ETH', 'USD', at)).to.equal('2400');
+            expect(superagent.get).to.have.been.calledOnce;
+        });
+
+        it('has no price when the endpoint has none', async () => {
+            agent.timeout.rejects(Object.assign(new Error('Not Found'), {status: 404}));
+            expect(await source.price('XYZ', 'USD')).to.be.undefined;
+        });
+
+        it('passes on other errors', async () => {
+            agent.timeout.rejects(Object.assign(new Error('Service Unavailable'), {status: 503}));
+            await expect(source.price('ETH', 'USD')).to.be.rejectedWith(/Service Unavailable/);
+        });
+    });
+
+    context('choosing the price source', () => {
+        it('prefers the price file', async () => {
+            const source = prices.source({prices: {file: path.join(dir, 'prices.yaml'), url: 'https://prices.example.com/{symbol}'}});
+            expect(await source.price('ETH', 'USD')).to.equal('2400.5');
+        });
+
+        it('fails when no price source is configured', () => {
+            expect(() => prices.source({})).to.throw(/No price source configured/).with.property('code', 'CONFIG');
+        });
+    });
+
+    context('parseFiat', () => {
+        it('accepts the supported fiat currencies in any case', () => {
+            expect(prices.parseFiat('nok')).to.equal('NOK');
+            expect(prices.parseFiat('USD')).to.equal('USD');
+        });
+
+        it('rejects other currencies', () => {
+            expect(() => prices.parseFiat('GBP')).to.throw(/Unsupported fiat currency "GBP". Use one of USD, EUR, NOK./);
+        });
+    });
+
+    context('value', () => {
+        it('values amounts rounded to cents', () => {
+            expect(prices.value('1.5', '2400.5')).to.equal('3600.75');
+            expect(prices.value('0.001', '0.0125')).to.equal('0.00');
+            expect(prices.value('123.456', '1')).to.equal('123.46');
+            expect(prices.value('-2', '1.005')).to.equal('-2.01');
+        });
+
+        it('keeps precision beyond that of floating point numbers', () => {
+            expect(prices.value('123456789012345.678901234567890123', '3')).to.equal('370370367037037.04');
+        });
+
+        it('adds up values', () => {
+            expect(prices.sum(['3600.75', '0.25', '10.00'])).to.equal('3611.00');
+            expect(prices.sum([])).to.equal('0.00');
+        });
+    });
+});
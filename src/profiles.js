@@ -0,0 +1,63 @@
+'use strict';
+
+const {ConfigError} = require('./errors');
+
+const DEFAULT_PROFILE = 'default';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, overrides) {
+    const result = {...base};
+    for (const key of Object.keys(overrides)) {
+        if (isPlainObject(result[key]) && isPlainObject(overrides[key]))
+            result[key] = merge(result[key], overrides[key]);
+        else
+            result[key] = overrides[key];
+    }
+    return result;
+}
+
+// Profile names end up in file paths, such as that of the ledger
+function isValidName(name) {
+    return /^[a-z0-9][a-z0-9_-]*$/i.test(String(name));
+}
+
+function listProfiles(cfg) {
+    return [DEFAULT_PROFILE, ...Object.keys(cfg.profiles || {})];
+}
+
+function selectProfile(cfg, name) {
+    return name || cfg.defaultProfile || DEFAULT_PROFILE;
+}
+
+function applyProfile(cfg, name) {
+    const base = {...cfg};
+    delete base.profiles;
+    delete base.defaultProfile;
+
+    if (name === DEFAULT_PROFILE)
+        return {...base, profile: DEFAULT_PROFILE};
+    if (!isValidName(name))
+        throw new ConfigError(`"${name}" is not a valid profile name. Use letters, digits, "_" and "-".`, {profile: name});
+
+    const overrides = (cfg.profiles || {})[name];
+    if (!isPlainObject(overrides))
+        throw new ConfigError(`Unknown configuration profile "${name}". Available profiles: ${listProfiles(cfg).join(', ')}`, {profile: name});
+
+    return {...merge(base, overrides), profile: name};
+}
+
+function applyActiveProfile(cfg) {
+    return applyProfile(cfg, selectProfile(cfg, process.env.NAHMII_PROFILE));
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    isValidName,
+    listProfiles,
+    selectProfile,
+    applyProfile,
+    applyActiveProfile
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const profiles = require('./profiles');
+
+const rawConfig = {
+    apiRoot: 'api2.dev.hubii.net',
+    appId: 'an-app-id',
+    appSecret: 'much secret!',
+    wallet: {
+        address: '0x1234567890123456789012345678901234567890',
+        secret: 'secret much'
+    },
+    profiles: {
+        mainnet: {
+            apiRoot: 'api.nahmii.io',
+            wallet: {
+                address: '0x0987654321098765432109876543210987654321'
+            }
+        }
+    }
+};
+
+describe('Configuration profiles', () => {
+    context('listing profiles', () => {
+        it('includes the default profile and all named profiles', () => {
+            expect(profiles.listProfiles(rawConfig)).to.eql(['default', 'mainnet']);
+        });
+
+        it('includes only the default profile when no profiles are configured', () => {
+            expect(profiles.listProfiles({apiRoot: 'x'})).to.eql(['default']);
+        });
+    });
+
+    context('selecting a profile', () => {
+        it('prefers the requested profile', () => {
+            expect(profiles.selectProfile({defaultProfile: 'mainnet'}, 'ropsten')).to.equal('ropsten');
+        });
+
+        it('falls back to the configured default profile', () => {
+            expect(profiles.selectProfile({defaultProfile: 'mainnet'})).to.equal('mainnet');
+        });
+
+        it('falls back to the default profile', () => {
+            expect(profiles.selectProfile({})).to.equal('default');
+        });
+    });
+
+    context('applying the default profile', () => {
+        let cfg;
+
+        beforeEach(() => {
+            cfg = profiles.applyProfile(rawConfig, 'default');
+        });
+
+        it('uses the top level settings', () => {
+            expect(cfg.apiRoot).to.equal(rawConfig.apiRoot);
+            expect(cfg.wallet).to.eql(rawConfig.wallet);
+        });
+
+        it('records the active profile', () => {
+            expect(cfg.profile).to.equal('default');
+        });
+
+        it('strips the profile map', () => {
+            expect(cfg).not.to.have.property('profiles');
+        });
+    });
+
+    context('applying a named profile', () => {
+        let cfg;
+
+        beforeEach(() => {
+            cfg = profiles.applyProfile(rawConfig, 'mainnet');
+        });
+
+        it('overrides top level settings', () => {
+            expect(cfg.apiRoot).to.equal('api.nahmii.io');
+            expect(cfg.wallet.address).to.equal('0x0987654321098765432109876543210987654321');
+        });
+
+        it('inherits settings the profile does not override', () => {
+            expect(cfg.appId).to.equal(rawConfig.appId);
+            expect(cfg.wallet.secret).to.equal(rawConfig.wallet.secret);
+        });
+
+        it('records the active profile', () => {
+            expect(cfg.profile).to.equal('mainnet');
+        });
+
+        it('does not modify the loaded configuration', () => {
+            expect(rawConfig.wallet.address).to.equal('0x1234567890123456789012345678901234567890');
+        });
+    });
+
+    context('applying an unknown profile', () => {
+        it('yields an error listing the available profiles', () => {
+            expect(() => profiles.applyProfile(rawConfig, 'foo'))
+                .to.throw(/unknown.*"foo".*default, mainnet/i)
+                .with.property('code', 'CONFIG');
+        });
+
+        it('rejects names that could point outside the config directory', () => {
+            expect(() => profiles.applyProfile({profiles: {'..': {}}}, '..'))
+                .to.throw(/"\.\." is not a valid profile name/)
+                .with.property('code', 'CONFIG');
+            expect(() => profiles.applyProfile(rawConfig, 'a/b')).to.throw(/not a valid profile name/);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const csv = require('./csv');
+const {ValidationError} = require('./errors');
+
+const FORMATS = ['csv', 'ndjson'];
+const COLUMNS = ['nonce', 'created', 'blockNumber', 'direction', 'sender', 'recipient', 'amount', 'symbol', 'currency', 'hash', 'reference'];
+
+function formatOf(file, format) {
+    if (format) {
+        if (!FORMATS.includes(format))
+            throw new ValidationError(`Unknown export format "${format}". Use one of: ${FORMATS.join(', ')}`, {format});
+        return format;
+    }
+    return ['.ndjson', '.jsonl'].includes(path.extname(file).toLowerCase()) ? 'ndjson' : 'csv';
+}
+
+// Leaves out the partial line an interrupted export may end in
+function completeLines(text) {
+    return text.slice(0, text.lastIndexOf('\n') + 1);
+}
+
+function readRecords(file, format) {
+    const text = completeLines(fs.readFileSync(file, 'utf8'));
+    if (format === 'csv')
+        return csv.parse(text);
+    return text.split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+function lastNonce(file, format) {
+    if (!fs.existsSync(file))
+        return undefined;
+    const nonces = readRecords(file, format)
+        .map(record => Number(record.nonce))
+        .filter(nonce => Number.isInteger(nonce));
+    return nonces.length ? Math.max(...nonces) : undefined;
+}
+
+function open(file, format, {append = false} = {}) {
+    if (append && fs.existsSync(file)) {
+        const text = fs.readFileSync(file, 'utf8');
+        fs.truncateSync(file, Buffer.byteLength(completeLines(text)));
+    }
+    const appending = append && fs.existsSync(file) && fs.statSync(file).size > 0;
+    const fd = fs.openSync(file, appending ? 'a' : 'w');
+    let header = !appending && format === 'csv';
+
+    return {
+        write(records) {
+            if (!records.length && !header)
+                return;
+            let text;
+            if (format === 'csv') {
+                text = csv.format(records, COLUMNS);
+                // csv.format() always starts with the header
+                if (!header)
+                    text = text.slice(text.indexOf('\n') + 1);
+                header = false;
+            }
+            else {
+                text = records.map(record => JSON.stringify(record)).join('\n');
+            }
+            if (text)
+                fs.writeSync(fd, text + '\n');
+        },
+        close() {
+            fs.closeSync(fd);
+        }
+    };
+}
+
+module.exports = {
+    FORMATS,
+    COLUMNS,
+    formatOf,
+    lastNonce,
+    open
+};
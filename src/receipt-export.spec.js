@@ -0,0 +1,136 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const receiptExport = require('./receipt-export');
+
+function record(nonce, reference) {
+    return {nonce, created: '2026-09-01T00:00:00.000Z', direction: 'out', amount: '1.5', symbol: 'HBT', reference};
+}
+
+describe('Receipt export', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-export-'));
+    });
+
+    afterEach(() => {
+        fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+    });
+
+    context('formatOf', () => {
+        it('uses ndjson for .ndjson and .jsonl files', () => {
+            expect(receiptExport.formatOf('receipts.ndjson')).to.equal('ndjson');
+            expect(receiptExport.formatOf('receipts.JSONL')).to.equal('ndjson');
+        });
+
+        it('uses csv for other files', () => {
+            expect(receiptExport.formatOf('receipts.csv')).to.equal('csv');
+            expect(receiptExport.formatOf('receipts')).to.equal('csv');
+        });
+
+        it('uses the given format', () => {
+            expect(receiptExport.formatOf('receipts.txt', 'ndjson')).to.equal('ndjson');
+        });
+
+        it('rejects unknown formats', () => {
+            expect(() => receiptExport.formatOf('receipts.txt', 'xml')).to.throw(/Unknown export format "xml"/);
+        });
+    });
+
+    for (const format of receiptExport.FORMATS) {
+        context(`${format} files`, () => {
+            let file;
+
+            beforeEach(() => {
+                file = path.join(dir, `receipts.${format}`);
+            });
+
+            it('have no last nonce before anything is exported', () => {
+                expect(receiptExport.lastNonce(file, format)).to.be.undefined;
+            });
+
+            it('are written as records come', () => {
+                const out = receiptExport.open(file, format);
+                out.write([record(1, 'invoice 1, part 1'), record(2)]);
+                out.write([]);
+                out.write([record(3)]);
+                out.close();
+                expect(receiptExport.lastNonce(file, format)).to.equal(3);
+            });
+
+            it('are appended to when resuming', () => {
+                let out = receiptExport.open(file, format);
+                out.write([record(1), record(2)]);
+                out.close();
+                out = receiptExport.open(file, format, {append: true});
+                out.write([record(5)]);
+                out.close();
+                expect(receiptExport.lastNonce(file, format)).to.equal(5);
+            });
+
+            it('are resumed after the last complete record when the export was interrupted', () => {
+                let out = receiptExport.open(file, format);
+                out.write([record(1), record(2)]);
+                out.close();
+                fs.appendFileSync(file, format === 'csv' ? '3,2026-09-01T00:00' : '{"nonce":3,"created":"2026-');
+                expect(receiptExport.lastNonce(file, format)).to.equal(2);
+
+                out = receiptExport.open(file, format, {append: true});
+                out.write([record(3)]);
+                out.close();
+                const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+                expect(lines).to.have.lengthOf(format === 'csv' ? 4 : 3);
+                expect(receiptExport.lastNonce(file, format)).to.equal(3);
+            });
+
+            it('are replaced when not resuming', () => {
+                let out = receiptExport.open(file, format);
+                out.write([record(7)]);
+                out.close();
+                out = receiptExport.open(file, format);
+                out.write([record(1)]);
+                out.close();
+                expect(receiptExport.lastNonce(file, format)).to.equal(1);
+            });
+        });
+    }
+
+    it('writes CSV with a single header', () => {
+        const file = path.join(dir, 'receipts.csv');
+        let out = receiptExport.open(file, 'csv');
+        out.write([record(1, 'invoice 1, part 1')]);
+        out.close();
+        out = receiptExport.open(file, 'csv', {append: true});
+        out.write([record(2)]);
+        out.close();
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        expect(lines).to.have.lengthOf(3);
+        expect(lines[0]).to.equal(receiptExport.COLUMNS.join(','));
+        expect(lines[1]).to.match(/^1,.*,"invoice 1, part 1"$/);
+    });
+
+    it('writes a CSV header even without records', () => {
+        const file = path.join(dir, 'receipts.csv');
+        const out = receiptExport.open(file, 'csv');
+        out.write([]);
+        out.close();
+        expect(fs.readFileSync(file, 'utf8')).to.equal(receiptExport.COLUMNS.join(',') + '\n');
+    });
+
+    it('writes a JSON object per line', () => {
+        const file = path.join(dir, 'receipts.ndjson');
+        const out = receiptExport.open(file, 'ndjson');
+        out.write([record(1), record(2)]);
+        out.close();
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        expect(lines.map(line => JSON.parse(line).nonce)).to.eql([1, 2]);
+    });
+});
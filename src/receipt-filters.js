@@ -0,0 +1,53 @@
+'use strict';
+
+const utils = require('./utils');
+const payments = require('./payments');
+const {ValidationError} = require('./errors');
+
+const DIRECTIONS = ['in', 'out'];
+
+function parseAmountFilter(value, option) {
+    const amount = String(value).trim();
+    if (!/^\d+(\.\d+)?$/.test(amount))
+        throw new ValidationError(`--${option} must be a number of at least 0, e.g. 1.5`, {amount: value});
+    return amount;
+}
+
+async function criteria(provider, argv) {
+    const result = {};
+    if (argv.since !== undefined)
+        result.since = utils.parseDate(argv.since);
+    if (argv.until !== undefined)
+        result.until = utils.parseDate(argv.until);
+    if (result.since && result.until && result.until <= result.since)
+        throw new ValidationError('--until must be later than --since', {since: argv.since, until: argv.until});
+
+    if (argv.minAmount !== undefined)
+        result.minAmount = parseAmountFilter(argv.minAmount, 'min-amount');
+    if (argv.maxAmount !== undefined)
+        result.maxAmount = parseAmountFilter(argv.maxAmount, 'max-amount');
+    if (result.minAmount && result.maxAmount && Number(result.maxAmount) < Number(result.minAmount))
+        throw new ValidationError('--max-amount must not be less than --min-amount', {minAmount: argv.minAmount, maxAmount: argv.maxAmount});
+
+    if (argv.direction !== undefined) {
+        if (!DIRECTIONS.includes(argv.direction))
+            throw new ValidationError(`Unknown direction "${argv.direction}". Use one of: ${DIRECTIONS.join(', ')}`, {direction: argv.direction});
+        result.direction = argv.direction;
+    }
+
+    if (argv.counterparty !== undefined)
+        result.counterparty = payments.resolveAddress(argv.counterparty, 'counterparty address');
+
+    if (argv.currency !== undefined) {
+        const definition = await payments.getCurrencyBySymbol(provider, argv.currency);
+        if (!definition)
+            throw new ValidationError(`Unknown currency "${argv.currency}". See "nahmii show tokens" for a list of supported tokens.`, {currency: argv.currency});
+        result.currency = definition.currency;
+    }
+    return result;
+}
+
+module.exports = {
+    DIRECTIONS,
+    criteria
+};
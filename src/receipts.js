@@ -0,0 +1,152 @@
+'use strict';
+
+const ethers = require('ethers');
+const {normalizeAddress} = require('./utils');
+
+const PAGE_SIZE = 100;
+
+function directionOf(receipt, address) {
+    const sender = receipt.sender && receipt.sender.wallet;
+    return sender && normalizeAddress(sender) === normalizeAddress(address) ? 'out' : 'in';
+}
+
+async function eachReceipt(provider, address, visit, {fromNonce = 0, pageSize = PAGE_SIZE} = {}) {
+    let nonce = fromNonce;
+    for (;;) {
+        const page = await provider.getWalletReceipts(address, nonce, pageSize, true);
+        if (!Array.isArray(page) || !page.length)
+            return;
+
+        for (const receipt of page) {
+            if (await visit(receipt) === false)
+                return;
+        }
+
+        if (page.length < pageSize)
+            return;
+        nonce = Math.max(...page.map(r => Number(r.nonce))) + 1;
+    }
+}
+
+// Newest first means walking the whole history, as pages can only be fetched from a nonce onwards
+async function find(provider, address, matches, {fromNonce = 0, limit, ascending = false} = {}) {
+    const bounded = limit > 0;
+    const found = [];
+    await eachReceipt(provider, address, receipt => {
+        if (!matches(receipt))
+            return;
+        found.push(receipt);
+        if (ascending)
+            return !bounded || found.length < limit;
+        if (bounded && found.length > limit)
+            found.shift();
+    }, {fromNonce});
+    return ascending ? found : found.reverse();
+}
+
+async function counterparties(provider, address, {among} = {}) {
+    const own = normalizeAddress(address);
+    const wanted = among ? new Set(among.map(normalizeAddress)) : undefined;
+    const result = new Set();
+    await eachReceipt(provider, address, receipt => {
+        for (const party of [receipt.sender, receipt.recipient]) {
+            if (party && party.wallet && normalizeAddress(party.wallet) !== own && (!wanted || wanted.has(normalizeAddress(party.wallet))))
+                result.add(normalizeAddress(party.wallet));
+        }
+        if (wanted && result.size === wanted.size)
+            return false;
+    });
+    return result;
+}
+
+async function currencies(provider) {
+    const result = new Map([[normalizeAddress('00'.repeat(20)), {symbol: 'ETH', decimals: 18}]]);
+    for (const token of await provider.getSupportedTokens())
+        result.set(normalizeAddress(token.currency), {symbol: token.symbol, decimals: Number(token.decimals)});
+    return result;
+}
+
+function currencyOf(receipt, currencyInfo) {
+    return currencyInfo.get(receipt.currency ? normalizeAddress(receipt.currency.ct) : undefined);
+}
+
+function formatAmount(receipt, currencyInfo) {
+    const currency = currencyOf(receipt, currencyInfo);
+    return currency ? ethers.utils.formatUnits(receipt.amount, currency.decimals) : String(receipt.amount);
+}
+
+function display(receipt, currencyInfo) {
+    const currency = currencyOf(receipt, currencyInfo);
+    return {
+        ...receipt,
+        amount: formatAmount(receipt, currencyInfo),
+        currency: {...receipt.currency, symbol: currency ? currency.symbol : undefined}
+    };
+}
+
+function compareAmount(receipt, displayAmount, currencyInfo) {
+    const currency = currencyOf(receipt, currencyInfo);
+    const decimals = currency ? currency.decimals : 0;
+    const fraction = (String(displayAmount).split('.')[1] || '').length;
+    const scale = Math.max(decimals, fraction);
+    const amount = ethers.utils.bigNumberify(receipt.amount).mul(ethers.utils.bigNumberify(10).pow(scale - decimals));
+    const other = ethers.utils.parseUnits(String(displayAmount), scale);
+    return amount.lt(other) ? -1 : amount.gt(other) ? 1 : 0;
+}
+
+function matcher(address, {since, until, currency, counterparty, direction, minAmount, maxAmount} = {}, currencyInfo = new Map()) {
+    const own = normalizeAddress(address);
+    return receipt => {
+        const created = new Date(receipt.created);
+        if (since && !(created >= since))
+            return false;
+        if (until && !(created < until))
+            return false;
+        if (currency && normalizeAddress(receipt.currency && receipt.currency.ct) !== normalizeAddress(currency))
+            return false;
+        if (counterparty) {
+            const parties = [receipt.sender, receipt.recipient]
+                .filter(party => party && party.wallet)
+                .map(party => normalizeAddress(party.wallet))
+                .filter(party => party !== own);
+            if (!parties.includes(normalizeAddress(counterparty)))
+                return false;
+        }
+        if (direction && directionOf(receipt, own) !== direction)
+            return false;
+        if (minAmount !== undefined && compareAmount(receipt, minAmount, currencyInfo) < 0)
+            return false;
+        if (maxAmount !== undefined && compareAmount(receipt, maxAmount, currencyInfo) > 0)
+            return false;
+        return true;
+    };
+}
+
+function describe(receipt, address, currencyInfo) {
+    const currency = currencyOf(receipt, currencyInfo);
+    const sender = receipt.sender && receipt.sender.wallet ? normalizeAddress(receipt.sender.wallet) : undefined;
+    const recipient = receipt.recipient && receipt.recipient.wallet ? normalizeAddress(receipt.recipient.wallet) : undefined;
+    return {
+        nonce: receipt.nonce,
+        created: receipt.created,
+        blockNumber: receipt.blockNumber,
+        direction: directionOf(receipt, address),
+        sender,
+        recipient,
+        amount: formatAmount(receipt, currencyInfo),
+        symbol: currency ? currency.symbol : undefined,
+        currency: receipt.currency ? normalizeAddress(receipt.currency.ct) : undefined,
+        hash: receipt.seals && receipt.seals.wallet ? receipt.seals.wallet.hash : undefined
+    };
+}
+
+module.exports = {
+    PAGE_SIZE,
+    eachReceipt,
+    find,
+    counterparties,
+    currencies,
+    display,
+    matcher,
+    describe
+};
@@ -0,0 +1,227 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const sinonChai = require('sinon-chai');
+const expect = chai.expect;
+chai.use(sinonChai);
+
+const receipts = require('./receipts');
+
+const me = '0x' + '01'.repeat(20);
+const alice = '0x' + 'aa'.repeat(20);
+const bob = '0x' + 'bb'.repeat(20);
+
+function receipt(nonce, sender, recipient) {
+    return {nonce, sender: {wallet: sender}, recipient: {wallet: recipient}};
+}
+
+describe('Receipts', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = {getWalletReceipts: sinon.stub()};
+        provider.getWalletReceipts.withArgs(me, 0, 2, true).resolves([receipt(1, me, alice), receipt(2, alice, me)]);
+        provider.getWalletReceipts.withArgs(me, 3, 2, true).resolves([receipt(5, me, bob.toUpperCase().replace('0X', ''))]);
+    });
+
+    context('eachReceipt', () => {
+        it('visits the receipts of all pages in nonce order', async () => {
+            const nonces = [];
+            await receipts.eachReceipt(provider, me, r => {
+                nonces.push(r.nonce);
+            }, {pageSize: 2});
+            expect(nonces).to.eql([1, 2, 5]);
+        });
+
+        it('stops when the visitor returns false', async () => {
+            await receipts.eachReceipt(provider, me, () => false, {pageSize: 2});
+            expect(provider.getWalletReceipts).to.have.been.calledOnce;
+        });
+
+        it('stops when a page is empty', async () => {
+            provider.getWalletReceipts.withArgs(me, 0, 2, true).resolves([receipt(1, me, alice), receipt(2, me, alice)]);
+            provider.getWalletReceipts.withArgs(me, 3, 2, true).resolves([]);
+            const visit = sinon.stub();
+            await receipts.eachReceipt(provider, me, visit, {pageSize: 2});
+            expect(visit).to.have.been.calledTwice;
+        });
+    });
+
+    context('find', () => {
+        const matches = r => r.nonce !== 2;
+
+        it('stops fetching pages once the limit is filled with ascending', async () => {
+            provider.getWalletReceipts.withArgs(me, 0, receipts.PAGE_SIZE, true).resolves([receipt(1, me, alice), receipt(2, alice, me)]);
+            const found = await receipts.find(provider, me, () => true, {limit: 1, ascending: true});
+            expect(found.map(r => r.nonce)).to.eql([1]);
+            expect(provider.getWalletReceipts).to.have.been.calledOnce;
+        });
+
+        it('finds the newest matching receipts first', async () => {
+            provider.getWalletReceipts.withArgs(me, 0, receipts.PAGE_SIZE, true).resolves([receipt(1, me, alice), receipt(2, alice, me), receipt(3, me, bob), receipt(4, me, bob)]);
+            const found = await receipts.find(provider, me, matches, {limit: 2});
+            expect(found.map(r => r.nonce)).to.eql([4, 3]);
+        });
+
+        it('finds all matching receipts without a limit', async () => {
+            provider.getWalletReceipts.withArgs(me, 0, receipts.PAGE_SIZE, true).resolves([receipt(1, me, alice), receipt(2, alice, me), receipt(3, me, bob)]);
+            const found = await receipts.find(provider, me, matches, {ascending: true});
+            expect(found.map(r => r.nonce)).to.eql([1, 3]);
+        });
+
+        it('starts from the nonce', async () => {
+            provider.getWalletReceipts.withArgs(me, 3, receipts.PAGE_SIZE, true).resolves([receipt(3, me, bob)]);
+            const found = await receipts.find(provider, me, matches, {fromNonce: 3, limit: 10});
+            expect(found.map(r => r.nonce)).to.eql([3]);
+        });
+    });
+
+    context('currencies', () => {
+        it('looks up ETH and the supported tokens by lower case contract address', async () => {
+            provider.getSupportedTokens = sinon.stub().resolves([{currency: '0x' + 'AB'.repeat(20), symbol: 'HBT', decimals: '15'}]);
+            const result = await receipts.currencies(provider);
+            expect(result.get('0x' + '00'.repeat(20))).to.eql({symbol: 'ETH', decimals: 18});
+            expect(result.get('0x' + 'ab'.repeat(20))).to.eql({symbol: 'HBT', decimals: 15});
+        });
+    });
+
+    context('matcher', () => {
+        const hbt = '0x' + 'ab'.repeat(20);
+
+        function dated(created, sender, recipient, ct = hbt) {
+            return {...receipt(1, sender, recipient), created, currency: {ct}};
+        }
+
+        it('matches any receipt without criteria', () => {
+            expect(receipts.matcher(me)(dated('2026-09-01T00:00:00Z', me, alice))).to.be.true;
+        });
+
+        it('matches receipts created from since until before until', () => {
+            const matches = receipts.matcher(me, {since: new Date('2026-09-01'), until: new Date('2026-10-01')});
+            expect(matches(dated('2026-08-31T23:59:59Z', me, alice))).to.be.false;
+            expect(matches(dated('2026-09-01T00:00:00Z', me, alice))).to.be.true;
+            expect(matches(dated('2026-09-30T23:59:59Z', me, alice))).to.be.true;
+            expect(matches(dated('2026-10-01T00:00:00Z', me, alice))).to.be.false;
+        });
+
+        it('matches receipts in the currency', () => {
+            const matches = receipts.matcher(me, {currency: hbt.toUpperCase().replace('0X', '0x')});
+            expect(matches(dated('2026-09-01T00:00:00Z', me, alice))).to.be.true;
+            expect(matches(dated('2026-09-01T00:00:00Z', me, alice, '0x' + '00'.repeat(20)))).to.be.false;
+        });
+
+        it('matches receipts of payments to and from the counterparty', () => {
+            const matches = receipts.matcher(me, {counterparty: alice});
+            expect(matches(dated('2026-09-01T00:00:00Z', me, alice))).to.be.true;
+            expect(matches(dated('2026-09-01T00:00:00Z', alice, me))).to.be.true;
+            expect(matches(dated('2026-09-01T00:00:00Z', me, bob))).to.be.false;
+        });
+
+        it('matches receipts in the direction', () => {
+            expect(receipts.matcher(me, {direction: 'in'})(dated('2026-09-01T00:00:00Z', alice, me))).to.be.true;
+            expect(receipts.matcher(me, {direction: 'in'})(dated('2026-09-01T00:00:00Z', me, alice))).to.be.false;
+            expect(receipts.matcher(me, {direction: 'out'})(dated('2026-09-01T00:00:00Z', me.toUpperCase().replace('0X', ''), alice))).to.be.true;
+        });
+
+        it('matches receipts by amount in display units', () => {
+            const currencies = new Map([[hbt, {symbol: 'HBT', decimals: 15}]]);
+            const matches = receipts.matcher(me, {minAmount: '1.5', maxAmount: '10'}, currencies);
+            const amounted = amount => ({...dated('2026-09-01T00:00:00Z', me, alice), amount});
+            expect(matches(amounted('1499999999999999'))).to.be.false;
+            expect(matches(amounted('1500000000000000'))).to.be.true;
+            expect(matches(amounted('10000000000000000'))).to.be.true;
+            expect(matches(amounted('10000000000000001'))).to.be.false;
+        });
+
+        it('compares amounts more precise than the currency', () => {
+            const currencies = new Map([[hbt, {symbol: 'HBT', decimals: 2}]]);
+            const matches = receipts.matcher(me, {minAmount: '1.005'}, currencies);
+            expect(matches({...dated('2026-09-01T00:00:00Z', me, alice), amount: '100'})).to.be.false;
+            expect(matches({...dated('2026-09-01T00:00:00Z', me, alice), amount: '101'})).to.be.true;
+        });
+
+        it('compares amounts in unknown currencies in base units', () => {
+            const matches = receipts.matcher(me, {maxAmount: '5'});
+            expect(matches({...dated('2026-09-01T00:00:00Z', me, alice), amount: '5'})).to.be.true;
+            expect(matches({...dated('2026-09-01T00:00:00Z', me, alice), amount: '6'})).to.be.false;
+        });
+    });
+
+    context('display', () => {
+        const currencies = new Map([['0x' + 'ab'.repeat(20), {symbol: 'HBT', decimals: 15}]]);
+
+        it('renders the amount in display units with the symbol', () => {
+            const result = receipts.display({...receipt(7, me, alice), amount: '1500000000000000', currency: {ct: '0x' + 'AB'.repeat(20), id: '0'}}, currencies);
+            expect(result).to.eql({...receipt(7, me, alice), amount: '1.5', currency: {ct: '0x' + 'AB'.repeat(20), id: '0', symbol: 'HBT'}});
+        });
+
+        it('keeps the amount in base units for unknown currencies', () => {
+            const result = receipts.display({...receipt(7, me, alice), amount: '15', currency: {ct: '0x' + 'cd'.repeat(20)}}, currencies);
+            expect(result.amount).to.equal('15');
+            expect(result.currency.symbol).to.be.undefined;
+        });
+    });
+
+    context('describe', () => {
+        const currencies = new Map([['0x' + 'ab'.repeat(20), {symbol: 'HBT', decimals: 15}]]);
+
+        it('flattens the receipt with the amount in display units', () => {
+            const result = receipts.describe({
+                ...receipt(7, me, alice.toUpperCase().replace('0X', '0x')),
+                created: '2026-09-01T00:00:00.000Z',
+                blockNumber: 100,
+                amount: '1500000000000000',
+                currency: {ct: '0x' + 'AB'.repeat(20), id: '0'},
+                seals: {wallet: {hash: '0x1234'}}
+            }, me, currencies);
+            expect(result).to.eql({
+                nonce: 7,
+                created: '2026-09-01T00:00:00.000Z',
+                blockNumber: 100,
+                direction: 'out',
+                sender: me,
+                recipient: alice,
+                amount: '1.5',
+                symbol: 'HBT',
+                currency: '0x' + 'ab'.repeat(20),
+                hash: '0x1234'
+            });
+        });
+
+        it('tells incoming receipts apart', () => {
+            const result = receipts.describe({...receipt(8, alice, me), amount: '1', currency: {ct: '0x' + 'ab'.repeat(20)}}, me, currencies);
+            expect(result.direction).to.equal('in');
+        });
+
+        it('keeps the amount in base units for unknown currencies', () => {
+            const result = receipts.describe({...receipt(9, alice, me), amount: '1', currency: {ct: '0x' + 'cd'.repeat(20)}}, me, currencies);
+            expect(result).to.include({amount: '1', symbol: undefined});
+        });
+    });
+
+    context('counterparties', () => {
+        it('collects the other parties of all receipts in lower case', async () => {
+            provider.getWalletReceipts.withArgs(me, 0, receipts.PAGE_SIZE, true).resolves([receipt(1, me, alice), receipt(2, bob, me)]);
+            const result = await receipts.counterparties(provider, me);
+            expect([...result]).to.eql([alice, bob]);
+        });
+
+        it('stops fetching receipts once all the addresses looked for are found', async () => {
+            const page = Array.from({length: receipts.PAGE_SIZE}, (_, i) => receipt(i, me, i === 10 ? alice : bob));
+            provider.getWalletReceipts.withArgs(me, 0, receipts.PAGE_SIZE, true).resolves(page);
+            const result = await receipts.counterparties(provider, me, {among: [alice.toUpperCase().replace('0X', '0x')]});
+            expect([...result]).to.eql([alice]);
+            expect(provider.getWalletReceipts).to.have.been.calledOnce;
+        });
+
+        it('walks the whole history when an address looked for is not found', async () => {
+            const page = Array.from({length: receipts.PAGE_SIZE}, (_, i) => receipt(i, me, bob));
+            provider.getWalletReceipts.withArgs(me, 0, receipts.PAGE_SIZE, true).resolves(page);
+            provider.getWalletReceipts.withArgs(me, receipts.PAGE_SIZE, receipts.PAGE_SIZE, true).resolves([receipt(receipts.PAGE_SIZE, alice, me)]);
+            const result = await receipts.counterparties(provider, me, {among: [alice, '0x' + '33'.repeat(20)]});
+            expect([...result]).to.eql([alice]);
+            expect(provider.getWalletReceipts).to.have.been.calledTwice;
+        });
+    });
+});
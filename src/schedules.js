@@ -0,0 +1,211 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const yaml = require('node-yaml');
+const {JSON_SCHEMA} = require('js-yaml');
+const configFile = require('./config-file');
+const cron = require('./cron');
+const {CliError, ValidationError} = require('./errors');
+const {isSameAddress} = require('./utils');
+
+// Schedules by name, each paying from the wallet and through the profile it was added with
+
+function schedulesFile() {
+    return path.join(configFile.configDir(), 'schedules.yaml');
+}
+
+function lockFile() {
+    return path.join(configFile.configDir(), 'schedules.lock');
+}
+
+function load() {
+    const file = schedulesFile();
+    if (!fs.existsSync(file))
+        return {};
+    return yaml.readSync(file, {schema: JSON_SCHEMA}) || {};
+}
+
+function save(schedules) {
+    const file = schedulesFile();
+    if (!fs.existsSync(path.dirname(file)))
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+    if (!fs.existsSync(file))
+        fs.writeFileSync(file, '', {mode: 0o600});
+    yaml.writeSync(file, schedules);
+    fs.chmodSync(file, 0o600);
+}
+
+function findName(schedules, name) {
+    return Object.keys(schedules).find(n => n.toLowerCase() === name.toLowerCase());
+}
+
+function validateName(name) {
+    if (!/^[a-z][a-z0-9._-]*$/i.test(name))
+        throw new ValidationError(`"${name}" is not a valid schedule name. Use letters, digits, ".", "_" and "-", starting with a letter.`, {name});
+}
+
+function list() {
+    const schedules = load();
+    return Object.keys(schedules)
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => ({name, ...schedules[name]}));
+}
+
+function add(name, {recipient, amount, currency, interval, reference, profile, sender}, now = new Date()) {
+    name = String(name);
+    validateName(name);
+    interval = cron.parse(interval).expression;
+
+    const schedules = load();
+    const existing = findName(schedules, name);
+    if (existing)
+        throw new ValidationError(`Schedule "${existing}" already exists`, {name: existing});
+
+    schedules[name] = {recipient, amount: String(amount), currency, interval, profile, sender, created: now.toISOString()};
+    if (reference)
+        schedules[name].reference = reference;
+    save(schedules);
+    return {name, ...schedules[name]};
+}
+
+function belongsTo(schedule, {profile, sender}) {
+    return schedule.profile === profile && isSameAddress(schedule.sender, sender);
+}
+
+function remove(name) {
+    name = String(name);
+    const schedules = load();
+    const existing = findName(schedules, name);
+    if (!existing)
+        throw new ValidationError(`Unknown schedule "${name}"`, {name});
+
+    const removed = {name: existing, ...schedules[existing]};
+    delete schedules[existing];
+    save(schedules);
+    return removed;
+}
+
+// Only the latest occurrence of a schedule is due, earlier ones that were not paid in time count as missed
+function due(now = new Date()) {
+    const result = [];
+    for (const schedule of list()) {
+        const {latest, count} = unpaidOccurrences(schedule, now);
+        if (latest)
+            result.push({name: schedule.name, schedule, due: latest, missed: count - 1});
+    }
+    return result;
+}
+
+function nextDue(schedule, now = new Date()) {
+    const {latest} = unpaidOccurrences(schedule, now);
+    return latest || cron.next(cron.parse(schedule.interval), new Date(schedule.lastDue || schedule.created));
+}
+
+function unpaidOccurrences(schedule, now) {
+    const interval = cron.parse(schedule.interval);
+    let latest = null;
+    let count = 0;
+    for (let next = cron.next(interval, new Date(schedule.lastDue || schedule.created)); next && next <= now; next = cron.next(interval, next)) {
+        latest = next;
+        count++;
+    }
+    return {latest, count};
+}
+
+function markPaid(name, dueAt) {
+    const schedules = load();
+    const existing = findName(schedules, name);
+    if (!existing)
+        return;
+    schedules[existing].lastDue = dueAt.toISOString();
+    save(schedules);
+}
+
+function idempotencyKey(name, dueAt) {
+    return `schedule:${name.toLowerCase()}:${dueAt.toISOString()}`;
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    }
+    catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+// Linked into place, so the lock never exists without the pid in it
+function createLock(file) {
+    const temporary = `${file}.${process.pid}`;
+    fs.writeFileSync(temporary, String(process.pid));
+    try {
+        fs.linkSync(temporary, file);
+        return true;
+    }
+    catch (err) {
+        if (err.code !== 'EEXIST')
+            throw err;
+        return false;
+    }
+    finally {
+        fs.unlinkSync(temporary);
+    }
+}
+
+function readLock(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    }
+    catch (err) {
+        if (err.code !== 'ENOENT')
+            throw err;
+        return undefined;
+    }
+}
+
+function acquireLock() {
+    const file = lockFile();
+    if (!fs.existsSync(path.dirname(file)))
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+    while (!createLock(file)) {
+        const content = readLock(file);
+        const pid = Number(content);
+        if (pid && isRunning(pid))
+            throw new CliError(`Schedules are already being run by process ${pid}`, 'GENERAL', {pid});
+        // Left behind by a run that did not finish, and only removed while it is still the same lock
+        if (content !== undefined && readLock(file) === content) {
+            try {
+                fs.unlinkSync(file);
+            }
+            catch (err) {
+                if (err.code !== 'ENOENT')
+                    throw err;
+            }
+        }
+    }
+}
+
+async function withLock(fn) {
+    acquireLock();
+    try {
+        return await fn();
+    }
+    finally {
+        fs.unlinkSync(lockFile());
+    }
+}
+
+module.exports = {
+    schedulesFile,
+    list,
+    add,
+    belongsTo,
+    remove,
+    due,
+    nextDue,
+    markPaid,
+    idempotencyKey,
+    withLock
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+
+const alice = '0x1234567890123456789012345678901234567890';
+const sender = '0x1234567890123456789012345678901234567891';
+const rent = {recipient: alice, amount: '100', currency: 'HBT', interval: '0 9 1 * *', profile: 'mainnet', sender};
+
+function local(year, month, day, hours = 0, minutes = 0) {
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+describe('Schedules', () => {
+    let dir, schedules;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nahmii-schedules-'));
+        schedules = proxyquire('./schedules', {
+            './config-file': {configDir: () => dir}
+        });
+    });
+
+    afterEach(() => {
+        fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+        fs.rmdirSync(dir);
+    });
+
+    context('add', () => {
+        it('keeps the schedules readable by the owner only', () => {
+            schedules.add('rent', rent, local(2026, 10, 19));
+            expect(fs.statSync(path.join(dir, 'schedules.yaml')).mode & 0o777).to.equal(0o600);
+        });
+
+        it('stores the payment and the time it was added', () => {
+            schedules.add('rent', {...rent, reference: 'flat 1'}, local(2026, 10, 19));
+            expect(schedules.list()).to.eql([
+                {name: 'rent', ...rent, reference: 'flat 1', created: local(2026, 10, 19).toISOString()}
+            ]);
+        });
+
+        it('rejects invalid intervals', () => {
+            expect(() => schedules.add('rent', {...rent, interval: 'monthly'})).to.throw(/is not a valid interval/);
+        });
+
+        it('rejects invalid names', () => {
+            expect(() => schedules.add('1st', rent)).to.throw(/is not a valid schedule name/);
+        });
+
+        it('rejects existing names regardless of case', () => {
+            schedules.add('rent', rent);
+            expect(() => schedules.add('Rent', rent)).to.throw(/Schedule "rent" already exists/);
+        });
+    });
+
+    context('belongsTo', () => {
+        it('matches the profile and wallet the schedule was added with', () => {
+            expect(schedules.belongsTo(rent, {profile: 'mainnet', sender: sender.toUpperCase().replace('0X', '')})).to.be.true;
+        });
+
+        it('does not match other profiles or wallets', () => {
+            expect(schedules.belongsTo(rent, {profile: 'ropsten', sender})).to.be.false;
+            expect(schedules.belongsTo(rent, {profile: 'mainnet', sender: alice})).to.be.false;
+        });
+    });
+
+    context('remove', () => {
+        it('removes the schedule', () => {
+            schedules.add('rent', rent);
+            expect(schedules.remove('RENT')).to.include({name: 'rent'});
+            expect(schedules.list()).to.eql([]);
+        });
+
+        it('rejects unknown schedules', () => {
+            expect(() => schedules.remove('rent')).to.throw(/Unknown schedule "rent"/);
+        });
+    });
+
+    context('due', () => {
+        beforeEach(() => {
+            schedules.add('rent', rent, local(2026, 10, 19));
+        });
+
+        it('finds nothing before the first occurrence', () => {
+            expect(schedules.due(local(2026, 11, 1, 8, 59))).to.eql([]);
+        });
+
+        it('finds the first occurrence after the schedule was added', () => {
+            const [result] = schedules.due(local(2026, 11, 1, 9, 0));
+            expect(result).to.include({name: 'rent', missed: 0});
+            expect(result.due).to.eql(local(2026, 11, 1, 9, 0));
+        });
+
+        it('finds only the latest occurrence and counts the missed ones', () => {
+            const [result] = schedules.due(local(2027, 1, 15));
+            expect(result.due).to.eql(local(2027, 1, 1, 9, 0));
+            expect(result.missed).to.equal(2);
+        });
+
+        it('finds nothing once the occurrence is paid', () => {
+            schedules.markPaid('rent', local(2026, 11, 1, 9, 0));
+            expect(schedules.due(local(2026, 11, 20))).to.eql([]);
+            expect(schedules.due(local(2026, 12, 1, 9, 0))[0].due).to.eql(local(2026, 12, 1, 9, 0));
+        });
+    });
+
+    context('nextDue', () => {
+        beforeEach(() => {
+            schedules.add('rent', rent, local(2026, 10, 19));
+        });
+
+        it('finds the next occurrence', () => {
+            const [schedule] = schedules.list();
+            expect(schedules.nextDue(schedule, local(2026, 10, 20))).to.eql(local(2026, 11, 1, 9, 0));
+        });
+
+        it('finds the occurrence that is due already', () => {
+            const [schedule] = schedules.list();
+            expect(schedules.nextDue(schedule, local(2026, 12, 5))).to.eql(local(2026, 12, 1, 9, 0));
+        });
+    });
+
+    context('idempotencyKey', () => {
+        it('identifies the occurrence of the schedule', () => {
+            const dueAt = new Date('2026-11-01T09:00:00.000Z');
+            expect(schedules.idempotencyKey('Rent', dueAt)).to.equal('schedule:rent:2026-11-01T09:00:00.000Z');
+        });
+    });
+
+    context('withLock', () => {
+        const lock = () => path.join(dir, 'schedules.lock');
+
+        it('holds the lock while running and releases it after', async () => {
+            const result = await schedules.withLock(async () => fs.existsSync(lock()));
+            expect(result).to.be.true;
+            expect(fs.existsSync(lock())).to.be.false;
+        });
+
+        it('releases the lock when the run fails', async () => {
+            await expect(schedules.withLock(async () => {
+                throw new Error('failed');
+            })).to.be.rejectedWith('failed');
+            expect(fs.existsSync(lock())).to.be.false;
+        });
+
+        it('refuses to run while another process holds the lock', async () => {
+            fs.writeFileSync(lock(), String(process.ppid));
+            await expect(schedules.withLock(async () => true)).to.be.rejectedWith(/already being run by process/);
+        });
+
+        it('takes over a lock left behind by a process that is gone', async () => {
+            fs.writeFileSync(lock(), '999999999');
+            expect(await schedules.withLock(async () => fs.readFileSync(lock(), 'utf8'))).to.equal(String(process.pid));
+        });
+
+        it('takes over a lock without a pid', async () => {
+            fs.writeFileSync(lock(), '');
+            expect(await schedules.withLock(async () => true)).to.be.true;
+        });
+
+        it('leaves no other files behind', async () => {
+            await schedules.withLock(async () => true);
+            expect(fs.readdirSync(dir).filter(f => f.startsWith('schedules.lock'))).to.eql([]);
+        });
+    });
+});
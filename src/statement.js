@@ -0,0 +1,196 @@
+'use strict';
+
+const ethers = require('ethers');
+const prices = require('./prices');
+const {normalizeAddress} = require('./utils');
+
+const COLUMNS = ['created', 'type', 'counterparty', 'contact', 'reference', 'amount', 'in', 'out', 'fee', 'balance', 'staged', 'hash'];
+
+const zero = ethers.utils.bigNumberify(0);
+
+// The fee of a payment is paid by the sender, in the currency of the payment
+function paymentEntry(receipt, wallet, ct) {
+    const amount = ethers.utils.bigNumberify(receipt.amount);
+    const sender = receipt.sender && receipt.sender.wallet ? normalizeAddress(receipt.sender.wallet) : undefined;
+    const recipient = receipt.recipient && receipt.recipient.wallet ? normalizeAddress(receipt.recipient.wallet) : undefined;
+    const entry = {
+        created: receipt.created,
+        type: 'payment',
+        reference: receipt.reference,
+        amount,
+        staged: zero,
+        hash: receipt.seals && receipt.seals.wallet ? receipt.seals.wallet.hash : undefined
+    };
+    if (sender === wallet) {
+        const single = receipt.sender.fees && receipt.sender.fees.single;
+        const paysFee = single && single.currency && normalizeAddress(single.currency.ct) === ct;
+        entry.fee = paysFee ? ethers.utils.bigNumberify(single.amount) : zero;
+        entry.counterparty = recipient;
+        entry.balance = amount.add(entry.fee).mul(-1);
+    }
+    else {
+        entry.fee = zero;
+        entry.counterparty = sender;
+        entry.balance = amount;
+    }
+    return entry;
+}
+
+// Starting a settlement changes no balance, the settled amount moves when it is staged
+function eventEntry(event) {
+    const amount = ethers.utils.bigNumberify(event.amount);
+    const changes = {
+        deposit: event.balanceType === 'staged' ? [zero, amount] : [amount, zero],
+        settlement: [zero, zero],
+        stage: [amount.mul(-1), amount],
+        unstage: [amount, amount.mul(-1)],
+        withdrawal: [zero, amount.mul(-1)]
+    }[event.type];
+    return {
+        created: event.created,
+        type: event.type,
+        amount,
+        fee: zero,
+        balance: changes[0],
+        staged: changes[1],
+        hash: event.transactionHash
+    };
+}
+
+// The opening balances add up everything before the period, so the receipts and events must go back to the start
+function drawUp({address, receipts, events, currency, since, until}) {
+    const wallet = normalizeAddress(address);
+    const ct = normalizeAddress(currency.currency);
+    const format = value => ethers.utils.formatUnits(value, currency.decimals);
+    const inCurrency = item => item.currency && normalizeAddress(item.currency.ct) === ct;
+
+    const all = [
+        ...receipts.filter(inCurrency).map(receipt => paymentEntry(receipt, wallet, ct)),
+        ...events.filter(inCurrency).map(eventEntry)
+    ]
+        .map((entry, index) => ({entry, index, time: new Date(entry.created).getTime()}))
+        .sort((a, b) => a.time - b.time || a.index - b.index);
+
+    let balance = zero;
+    let staged = zero;
+    const opening = {};
+    const entries = [];
+    const totals = {in: zero, out: zero, fees: zero};
+    const counterparties = new Map();
+
+    for (const {entry, time} of all) {
+        if (time >= until.getTime())
+            break;
+        balance = balance.add(entry.balance);
+        staged = staged.add(entry.staged);
+        if (time < since.getTime())
+            continue;
+
+        if (!opening.balance) {
+            opening.balance = balance.sub(entry.balance);
+            opening.staged = staged.sub(entry.staged);
+        }
+        const credit = entry.balance.gt(0) ? entry.balance : zero;
+        const debit = entry.balance.lt(0) ? entry.balance.mul(-1).sub(entry.fee) : zero;
+        totals.in = totals.in.add(credit);
+        totals.out = totals.out.add(debit);
+        totals.fees = totals.fees.add(entry.fee);
+
+        if (entry.counterparty) {
+            if (!counterparties.has(entry.counterparty))
+                counterparties.set(entry.counterparty, {payments: 0, in: zero, out: zero, fees: zero});
+            const party = counterparties.get(entry.counterparty);
+            party.payments++;
+            party.in = party.in.add(credit);
+            party.out = party.out.add(debit);
+            party.fees = party.fees.add(entry.fee);
+        }
+
+        entries.push({
+            created: new Date(time).toISOString(),
+            type: entry.type,
+            counterparty: entry.counterparty,
+            reference: entry.reference,
+            amount: format(entry.amount),
+            in: credit.gt(0) ? format(credit) : undefined,
+            out: debit.gt(0) ? format(debit) : undefined,
+            fee: entry.fee.gt(0) ? format(entry.fee) : undefined,
+            balance: format(balance),
+            staged: format(staged),
+            hash: entry.hash
+        });
+    }
+    if (!opening.balance) {
+        opening.balance = balance;
+        opening.staged = staged;
+    }
+
+    return {
+        address: wallet,
+        currency: currency.symbol,
+        ct,
+        since: since.toISOString(),
+        until: until.toISOString(),
+        opening: {balance: format(opening.balance), staged: format(opening.staged)},
+        entries,
+        closing: {balance: format(balance), staged: format(staged)},
+        totals: {in: format(totals.in), out: format(totals.out), fees: format(totals.fees)},
+        counterparties: [...counterparties].map(([counterparty, party]) => ({
+            counterparty,
+            payments: party.payments,
+            in: format(party.in),
+            out: format(party.out),
+            fees: format(party.fees),
+            net: format(party.in.sub(party.out).sub(party.fees))
+        }))
+    };
+}
+
+function toRows(statement) {
+    return [
+        {created: statement.since, type: 'opening', ...statement.opening},
+        ...statement.entries,
+        {
+            created: statement.until,
+            type: 'closing',
+            in: statement.totals.in,
+            out: statement.totals.out,
+            fee: statement.totals.fees,
+            ...statement.closing
+        },
+        ...statement.counterparties.map(party => ({
+            type: 'counterparty',
+            counterparty: party.counterparty,
+            contact: party.contact,
+            in: party.in,
+            out: party.out,
+            fee: party.fees
+        }))
+    ];
+}
+
+async function valuate(statement, source, fiat) {
+    async function valued(item, amount, at) {
+        const price = await source.price(statement.currency, fiat, at);
+        return {...item, price, value: price === undefined ? undefined : prices.value(amount, price)};
+    }
+
+    const entries = [];
+    for (const entry of statement.entries)
+        entries.push(await valued(entry, entry.amount, new Date(entry.created)));
+    return {
+        ...statement,
+        fiat,
+        opening: await valued(statement.opening, statement.opening.balance, new Date(statement.since)),
+        entries,
+        closing: await valued(statement.closing, statement.closing.balance, new Date(new Date(statement.until) - 1))
+    };
+}
+
+module.exports = {
+    COLUMNS,
+    FIAT_COLUMNS: [...COLUMNS.slice(0, -1), 'price', 'value', 'hash'],
+    drawUp,
+    valuate,
+    toRows
+};
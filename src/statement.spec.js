@@ -0,0 +1,150 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const statement = require('./statement');
+
+const me = '0x' + '01'.repeat(20);
+const alice = '0x' + 'aa'.repeat(20);
+const bob = '0x' + 'bb'.repeat(20);
+const hbt = '0x' + 'ab'.repeat(20);
+const eth = '0x' + '00'.repeat(20);
+const currency = {currency: hbt, symbol: 'HBT', decimals: 2};
+
+function payment(created, sender, recipient, amount, {fee, ct = hbt, reference} = {}) {
+    return {
+        created,
+        sender: {wallet: sender, fees: fee ? {single: {amount: fee, currency: {ct, id: '0'}}} : undefined},
+        recipient: {wallet: recipient},
+        amount,
+        currency: {ct, id: '0'},
+        seals: {wallet: {hash: `0x${created.slice(0, 10)}`}},
+        reference
+    };
+}
+
+function event(created, type, amount, {ct = hbt, balanceType} = {}) {
+    return {created, type, amount, currency: {ct, id: '0'}, transactionHash: `0x${type}`, balanceType};
+}
+
+describe('Statement', () => {
+    const since = new Date('2026-09-01T00:00:00Z');
+    const until = new Date('2026-10-01T00:00:00Z');
+    const receipts = [
+        payment('2026-08-20T00:00:00Z', alice, me, '5000'),
+        payment('2026-09-02T00:00:00Z', me, alice, '1000', {fee: '10', reference: 'rent'}),
+        payment('2026-09-03T00:00:00Z', bob, me, '250'),
+        payment('2026-09-04T00:00:00Z', me, bob, '100', {ct: eth}),
+        payment('2026-10-02T00:00:00Z', alice, me, '700')
+    ];
+    const events = [
+        event('2026-08-01T00:00:00Z', 'deposit', '10000', {balanceType: ''}),
+        event('2026-09-10T00:00:00Z', 'settlement', '2000'),
+        event('2026-09-11T00:00:00Z', 'stage', '2000'),
+        event('2026-09-12T00:00:00Z', 'unstage', '500'),
+        event('2026-09-13T00:00:00Z', 'withdrawal', '1500'),
+        event('2026-09-14T00:00:00Z', 'deposit', '300', {ct: eth})
+    ];
+    let result;
+
+    beforeEach(() => {
+        result = statement.drawUp({address: me.toUpperCase().replace('0X', ''), receipts, events, currency, since, until});
+    });
+
+    it('opens with the balances from before the period', () => {
+        expect(result.opening).to.eql({balance: '150.0', staged: '0.0'});
+    });
+
+    it('lists what happened in the period and currency in order, with running balances', () => {
+        expect(result.entries.map(e => [e.created.slice(0, 10), e.type, e.in, e.out, e.fee, e.balance, e.staged])).to.eql([
+            ['2026-09-02', 'payment', undefined, '10.0', '0.1', '139.9', '0.0'],
+            ['2026-09-03', 'payment', '2.5', undefined, undefined, '142.4', '0.0'],
+            ['2026-09-10', 'settlement', undefined, undefined, undefined, '142.4', '0.0'],
+            ['2026-09-11', 'stage', undefined, '20.0', undefined, '122.4', '20.0'],
+            ['2026-09-12', 'unstage', '5.0', undefined, undefined, '127.4', '15.0'],
+            ['2026-09-13', 'withdrawal', undefined, undefined, undefined, '127.4', '0.0']
+        ]);
+    });
+
+    it('tells the counterparty and reference of payments', () => {
+        expect(result.entries[0]).to.include({counterparty: alice, reference: 'rent', amount: '10.0', hash: '0x2026-09-02'});
+        expect(result.entries[1]).to.include({counterparty: bob});
+    });
+
+    it('closes with the balances at the end of the period', () => {
+        expect(result.closing).to.eql({balance: '127.4', staged: '0.0'});
+    });
+
+    it('adds up the period', () => {
+        expect(result.totals).to.eql({in: '7.5', out: '30.0', fees: '0.1'});
+    });
+
+    it('adds up the payments by counterparty', () => {
+        expect(result.counterparties).to.eql([
+            {counterparty: alice, payments: 1, in: '0.0', out: '10.0', fees: '0.1', net: '-10.1'},
+            {counterparty: bob, payments: 1, in: '2.5', out: '0.0', fees: '0.0', net: '2.5'}
+        ]);
+    });
+
+    it('describes the statement', () => {
+        expect(result).to.include({address: me, currency: 'HBT', ct: hbt, since: '2026-09-01T00:00:00.000Z', until: '2026-10-01T00:00:00.000Z'});
+    });
+
+    it('opens and closes with the same balances when nothing happened', () => {
+        const quiet = statement.drawUp({address: me, receipts, events, currency, since: new Date('2026-08-25T00:00:00Z'), until: new Date('2026-09-01T00:00:00Z')});
+        expect(quiet.entries).to.eql([]);
+        expect(quiet.opening).to.eql({balance: '150.0', staged: '0.0'});
+        expect(quiet.closing).to.eql(quiet.opening);
+    });
+
+    it('lays out the statement as rows', () => {
+        const rows = statement.toRows(result);
+        expect(rows.map(row => row.type)).to.eql(['opening', 'payment', 'payment', 'settlement', 'stage', 'unstage', 'withdrawal', 'closing', 'counterparty', 'counterparty']);
+        expect(rows[0]).to.eql({created: '2026-09-01T00:00:00.000Z', type: 'opening', balance: '150.0', staged: '0.0'});
+        expect(rows[7]).to.include({type: 'closing', in: '7.5', out: '30.0', fee: '0.1', balance: '127.4'});
+        expect(rows[8]).to.include({counterparty: alice, out: '10.0', fee: '0.1'});
+    });
+
+    context('valued in fiat', () => {
+        // 1 HBT was worth 2 EUR in August and 3 EUR from September 10
+        const source = {
+            price: async (symbol, fiat, at) => {
+                if (symbol !== 'HBT' || fiat !== 'EUR')
+                    return undefined;
+                return at < new Date('2026-09-10T00:00:00Z') ? '2' : '3';
+            }
+        };
+
+        it('values each entry at the price of its time', async () => {
+            const valued = await statement.valuate(result, source, 'EUR');
+            expect(valued.fiat).to.equal('EUR');
+            expect(valued.entries.map(e => [e.type, e.amount, e.price, e.value])).to.eql([
+                ['payment', '10.0', '2', '20.00'],
+                ['payment', '2.5', '2', '5.00'],
+                ['settlement', '20.0', '3', '60.00'],
+                ['stage', '20.0', '3', '60.00'],
+                ['unstage', '5.0', '3', '15.00'],
+                ['withdrawal', '15.0', '3', '45.00']
+            ]);
+        });
+
+        it('values the opening and closing balances at the start and end of the period', async () => {
+            const valued = await statement.valuate(result, source, 'EUR');
+            expect(valued.opening).to.eql({balance: '150.0', staged: '0.0', price: '2', value: '300.00'});
+            expect(valued.closing).to.eql({balance: '127.4', staged: '0.0', price: '3', value: '382.20'});
+        });
+
+        it('leaves out the value when there is no price', async () => {
+            const valued = await statement.valuate(result, source, 'USD');
+            expect(valued.entries[0]).to.include({price: undefined, value: undefined});
+        });
+
+        it('lays out the prices and values as rows', async () => {
+            const rows = statement.toRows(await statement.valuate(result, source, 'EUR'));
+            expect(rows[0]).to.include({type: 'opening', value: '300.00'});
+            expect(rows[1]).to.include({type: 'payment', price: '2', value: '20.00'});
+            expect(statement.FIAT_COLUMNS.slice(-3)).to.eql(['price', 'value', 'hash']);
+        });
+    });
+});
@@ -1,7 +1,9 @@
 'use strict';
 
+const fs = require('fs');
 const ethers = require('ethers');
 const dbg = require('./dbg');
+const {ValidationError, InsufficientFundsError, RevertError, TimeoutError} = require('./errors');
 
 function parseAmount(amount, decimals) {
     let amountBN;
@@ -10,30 +12,146 @@ function parseAmount(amount, decimals) {
     }
     catch (err) {
         dbg(err);
-        throw new TypeError('Amount must be a number!');
+        throw new ValidationError('Amount must be a number!');
     }
 
     return amountBN;
 }
 
+const PERCENTAGE_DECIMALS = 18;
+
+function isRelativeAmount(amount) {
+    return /^(all|max|\d+(\.\d+)?%)$/i.test(String(amount).trim());
+}
+
+// Percentages are rounded down, so the result never exceeds the balance
+function amountOfBalance(amount, balance) {
+    const text = String(amount).trim();
+    if (!isRelativeAmount(text))
+        throw new ValidationError(`"${amount}" is not an amount relative to the balance`, {amount});
+
+    balance = ethers.utils.bigNumberify(balance);
+    if (balance.isZero())
+        throw new InsufficientFundsError(`Can not use ${text} of the balance, the balance is 0`, {amount: text, balance: '0'});
+    if (/^(all|max)$/i.test(text))
+        return balance;
+
+    const percentage = ethers.utils.parseUnits(text.slice(0, -1), PERCENTAGE_DECIMALS);
+    const hundred = ethers.utils.parseUnits('100', PERCENTAGE_DECIMALS);
+    if (percentage.isZero() || percentage.gt(hundred))
+        throw new ValidationError(`Percentage must be greater than 0% and at most 100%, not ${text}`, {amount: text});
+    return balance.mul(percentage).div(hundred);
+}
+
+async function resolveAmount(amount, decimals, getBalance) {
+    if (!isRelativeAmount(amount))
+        return parseAmount(amount, decimals);
+    return amountOfBalance(amount, await getBalance());
+}
+
+// Dates without a time are taken as midnight UTC
+function parseDate(text) {
+    const date = /^\d{4}-\d{2}-\d{2}/.test(String(text)) ? new Date(text) : new Date(NaN);
+    if (isNaN(date.getTime()))
+        throw new ValidationError(`"${text}" is not a valid date. Use a date such as 2026-09-01, or a date and time such as 2026-09-01T12:00:00Z.`, {date: text});
+    return date;
+}
+
+function parseMonth(text) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(text).trim());
+    if (!match)
+        throw new ValidationError(`"${text}" is not a valid month. Use a month such as 2026-09.`, {month: text});
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    return {since: new Date(Date.UTC(year, month, 1)), until: new Date(Date.UTC(year, month + 1, 1))};
+}
+
 function parsePositiveInteger(str) {
     const number = parseInt(str);
     if (number <= 0)
-        throw new Error('Gas limit/price must be a number higher than 0');
+        throw new ValidationError('Gas limit/price must be a number higher than 0');
     return number;
 }
 
-function reduceReceipt(txReceipt) {
+const explorerUrls = {
+    homestead: 'https://etherscan.io/tx/{hash}',
+    ropsten: 'https://ropsten.etherscan.io/tx/{hash}'
+};
+
+function reduceReceipt(txReceipt, explorerUrl) {
+    if (!txReceipt)
+        return null;
+
     return {
         transactionHash: txReceipt.transactionHash,
         blockNumber: txReceipt.blockNumber,
         gasUsed: ethers.utils.bigNumberify(txReceipt.gasUsed).toString(),
-        href: `https://ropsten.etherscan.io/tx/${txReceipt.transactionHash}`
+        href: explorerUrl ? explorerUrl.replace('{hash}', txReceipt.transactionHash) : null
     };
 }
 
+async function receiptReducer(provider, explorerUrl) {
+    const network = await provider.getNetwork();
+    const template = explorerUrl || explorerUrls[network.name];
+    return txReceipt => reduceReceipt(txReceipt, template);
+}
+
+async function confirmTransaction(provider, hash, timeout) {
+    try {
+        return await provider.getTransactionConfirmation(hash, timeout);
+    }
+    catch (err) {
+        if (!err)
+            throw new TimeoutError(`Transaction ${hash} was not mined in time`, {transactionHash: hash, timeout});
+        if (err.message === 'Transaction failed')
+            throw new RevertError(`Transaction ${hash} was reverted`, {transactionHash: hash});
+        throw err;
+    }
+}
+
+function checksumAddress(address, what = 'address') {
+    if (address === undefined || address === null || address === '')
+        throw new ValidationError(`No ${what} given`);
+
+    address = String(address);
+    const hex = address.replace(/^0x/i, '');
+    if (!/^[0-9a-f]*$/i.test(hex))
+        throw new ValidationError(`"${address}" is not a valid ${what}: it may only contain the hex digits 0-9 and a-f after the 0x prefix`, {address});
+    if (hex.length !== 40)
+        throw new ValidationError(`"${address}" is not a valid ${what}: it has ${hex.length} hex digits instead of 40`, {address});
+
+    const checksummed = ethers.utils.getAddress('0x' + hex.toLowerCase());
+    if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase() && checksummed.slice(2) !== hex)
+        throw new ValidationError(`"${address}" does not match its checksum (EIP-55), expected ${checksummed}. Check the ${what} for typos.`, {address});
+
+    return checksummed;
+}
+
+function normalizeAddress(address) {
+    return String(address).replace(/^(0x)?/i, '0x').toLowerCase();
+}
+
+function isSameAddress(a, b) {
+    return !!a && !!b && normalizeAddress(a) === normalizeAddress(b);
+}
+
+function readStdin() {
+    return fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+}
+
 module.exports = {
     parseAmount,
+    isRelativeAmount,
+    amountOfBalance,
+    resolveAmount,
+    parseDate,
+    parseMonth,
     parsePositiveInteger,
-    reduceReceipt
+    reduceReceipt,
+    receiptReducer,
+    confirmTransaction,
+    checksumAddress,
+    normalizeAddress,
+    isSameAddress,
+    readStdin
 };
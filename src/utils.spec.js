@@ -0,0 +1,219 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+chai.use(require('chai-as-promised'));
+
+const ethers = require('ethers');
+const utils = require('./utils');
+
+describe('Utils', () => {
+    context('receiptReducer', () => {
+        const txReceipt = {
+            transactionHash: '0x123',
+            blockNumber: 2,
+            gasUsed: ethers.utils.bigNumberify(123)
+        };
+
+        function providerOn(name) {
+            return {getNetwork: () => Promise.resolve({name})};
+        }
+
+        it('links to etherscan on mainnet', async () => {
+            const reduceReceipt = await utils.receiptReducer(providerOn('homestead'));
+            expect(reduceReceipt(txReceipt)).to.eql({
+                transactionHash: '0x123',
+                blockNumber: 2,
+                gasUsed: '123',
+                href: 'https://etherscan.io/tx/0x123'
+            });
+        });
+
+        it('links to etherscan on ropsten', async () => {
+            const reduceReceipt = await utils.receiptReducer(providerOn('ropsten'));
+            expect(reduceReceipt(txReceipt).href).to.equal('https://ropsten.etherscan.io/tx/0x123');
+        });
+
+        it('prefers the configured explorer URL', async () => {
+            const reduceReceipt = await utils.receiptReducer(providerOn('homestead'), 'https://explorer.example.com/tx/{hash}');
+            expect(reduceReceipt(txReceipt).href).to.equal('https://explorer.example.com/tx/0x123');
+        });
+
+        it('leaves out the link on unknown networks', async () => {
+            const reduceReceipt = await utils.receiptReducer(providerOn('unknown'));
+            expect(reduceReceipt(txReceipt).href).to.be.null;
+        });
+
+        it('reduces missing receipts to null', async () => {
+            const reduceReceipt = await utils.receiptReducer(providerOn('ropsten'));
+            expect(reduceReceipt(undefined)).to.be.null;
+        });
+    });
+
+    context('confirmTransaction', () => {
+        function providerConfirming(promise) {
+            return {getTransactionConfirmation: () => promise};
+        }
+
+        it('resolves into the transaction receipt', async () => {
+            const receipt = await utils.confirmTransaction(providerConfirming(Promise.resolve({status: 1})), '0x123');
+            expect(receipt).to.eql({status: 1});
+        });
+
+        it('yields a revert error when the transaction failed', () => {
+            const confirmation = utils.confirmTransaction(providerConfirming(Promise.reject(new Error('Transaction failed'))), '0x123');
+            return expect(confirmation).to.be.rejected.then(err => {
+                expect(err.code).to.equal('REVERTED');
+                expect(err.details).to.eql({transactionHash: '0x123'});
+            });
+        });
+
+        it('yields a timeout error when the transaction is not mined in time', () => {
+            const confirmation = utils.confirmTransaction(providerConfirming(Promise.reject()), '0x123', 5);
+            return expect(confirmation).to.be.rejected.then(err => {
+                expect(err.code).to.equal('TIMEOUT');
+                expect(err.message).to.match(/not mined in time/);
+            });
+        });
+    });
+
+    context('isRelativeAmount', () => {
+        it('accepts all, max and percentages', () => {
+            for (const amount of ['all', 'MAX', '50%', '12.5%', '100%'])
+                expect(utils.isRelativeAmount(amount), amount).to.be.true;
+        });
+
+        it('rejects plain amounts and malformed percentages', () => {
+            for (const amount of ['100', '1.5', '%', '50 %', '-5%', 'everything'])
+                expect(utils.isRelativeAmount(amount), amount).to.be.false;
+        });
+    });
+
+    context('amountOfBalance', () => {
+        const balance = ethers.utils.bigNumberify('1000000000000000001');
+
+        it('takes the whole balance for all and max', () => {
+            expect(utils.amountOfBalance('all', balance).toString()).to.equal('1000000000000000001');
+            expect(utils.amountOfBalance('max', balance).toString()).to.equal('1000000000000000001');
+        });
+
+        it('takes a percentage of the balance rounded down to the smallest unit', () => {
+            expect(utils.amountOfBalance('50%', balance).toString()).to.equal('500000000000000000');
+            expect(utils.amountOfBalance('12.5%', balance).toString()).to.equal('125000000000000000');
+            expect(utils.amountOfBalance('100%', balance).toString()).to.equal('1000000000000000001');
+        });
+
+        it('keeps precision beyond that of floating point numbers', () => {
+            const large = ethers.utils.parseUnits('123456789012345678.123456789012345678', 18);
+            expect(utils.amountOfBalance('33.333333333333333333%', large).toString()).to.equal('41152263004115226040740740374074073');
+        });
+
+        it('rejects percentages above 100%', () => {
+            expect(() => utils.amountOfBalance('101%', balance)).to.throw(/at most 100%/).with.property('code', 'VALIDATION');
+        });
+
+        it('rejects 0%', () => {
+            expect(() => utils.amountOfBalance('0%', balance)).to.throw(/greater than 0%/);
+        });
+
+        it('fails when the balance is zero', () => {
+            expect(() => utils.amountOfBalance('all', ethers.utils.bigNumberify(0)))
+                .to.throw(/the balance is 0/)
+                .with.property('code', 'INSUFFICIENT_FUNDS');
+        });
+    });
+
+    context('resolveAmount', () => {
+        it('parses plain amounts without looking up the balance', async () => {
+            const amount = await utils.resolveAmount('1.5', 18, () => {
+                throw new Error('balance looked up');
+            });
+            expect(amount.toString()).to.equal('1500000000000000000');
+        });
+
+        it('resolves relative amounts against the balance', async () => {
+            const amount = await utils.resolveAmount('25%', 18, async () => ethers.utils.parseEther('2'));
+            expect(amount.toString()).to.equal('500000000000000000');
+        });
+    });
+
+    context('parseDate', () => {
+        it('parses dates as midnight UTC', () => {
+            expect(utils.parseDate('2026-09-01').toISOString()).to.equal('2026-09-01T00:00:00.000Z');
+        });
+
+        it('parses dates with a time', () => {
+            expect(utils.parseDate('2026-09-01T12:30:00+02:00').toISOString()).to.equal('2026-09-01T10:30:00.000Z');
+        });
+
+        it('rejects anything else', () => {
+            for (const text of ['yesterday', '09/01/2026', '2026-13-01', ''])
+                expect(() => utils.parseDate(text), text).to.throw(/is not a valid date/);
+        });
+    });
+
+    context('parseMonth', () => {
+        it('spans the month in UTC', () => {
+            const {since, until} = utils.parseMonth('2026-09');
+            expect(since.toISOString()).to.equal('2026-09-01T00:00:00.000Z');
+            expect(until.toISOString()).to.equal('2026-10-01T00:00:00.000Z');
+        });
+
+        it('ends December in the next year', () => {
+            expect(utils.parseMonth('2026-12').until.toISOString()).to.equal('2027-01-01T00:00:00.000Z');
+        });
+
+        it('rejects anything else', () => {
+            for (const text of ['2026-13', '2026-9', '2026-09-01', 'september'])
+                expect(() => utils.parseMonth(text), text).to.throw(/is not a valid month/);
+        });
+    });
+
+    context('checksumAddress', () => {
+        const address = '0xABcDeF7890123456789012345678901234567890';
+
+        it('checksums lower case addresses', () => {
+            expect(utils.checksumAddress(address.toLowerCase())).to.equal(address);
+        });
+
+        it('accepts upper case addresses and addresses without 0x prefix', () => {
+            expect(utils.checksumAddress('0x' + address.slice(2).toUpperCase())).to.equal(address);
+            expect(utils.checksumAddress(address.slice(2))).to.equal(address);
+        });
+
+        it('accepts mixed case addresses that match their checksum', () => {
+            expect(utils.checksumAddress(address)).to.equal(address);
+        });
+
+        it('rejects mixed case addresses with a wrong checksum', () => {
+            expect(() => utils.checksumAddress('0xAbcDeF7890123456789012345678901234567890', 'recipient address'))
+                .to.throw(/does not match its checksum \(EIP-55\), expected 0xABcDeF7890123456789012345678901234567890. Check the recipient address for typos/);
+        });
+
+        it('rejects addresses of the wrong length', () => {
+            expect(() => utils.checksumAddress('0x1234')).to.throw(/not a valid address: it has 4 hex digits instead of 40/);
+        });
+
+        it('rejects addresses with other characters than hex digits', () => {
+            expect(() => utils.checksumAddress('0x123456789012345678901234567890123456789g')).to.throw(/may only contain the hex digits/);
+        });
+
+        it('rejects missing addresses', () => {
+            expect(() => utils.checksumAddress('', 'recipient address')).to.throw(/no recipient address given/i);
+        });
+    });
+
+    context('isSameAddress', () => {
+        const address = '0xabcdef7890123456789012345678901234567890';
+
+        it('compares addresses regardless of case and 0x prefix', () => {
+            expect(utils.normalizeAddress(address.slice(2).toUpperCase())).to.equal(address);
+            expect(utils.isSameAddress(address.toUpperCase().replace('0X', ''), address)).to.be.true;
+            expect(utils.isSameAddress(address, '0x' + '00'.repeat(20))).to.be.false;
+        });
+
+        it('never matches a missing address', () => {
+            expect(utils.isSameAddress(undefined, undefined)).to.be.false;
+        });
+    });
+});